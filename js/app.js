@@ -18,6 +18,7 @@ import { DiagramModel } from './core/Model.js';
 import { DiagramView } from './core/View.js';
 import { DiagramController } from './core/Controller.js';
 import { RenderingEngine } from './rendering/RenderingEngine.js';
+import { createStorageAdapter } from './storage/StorageFactory.js';
 
 // Import chatbot
 import Chatbot from './chatbot.js';
@@ -30,7 +31,9 @@ const CONFIG = {
     name: 'Diagram IDE',
     version: '1.0.0',
     author: 'Diagram IDE Team',
-    debug: false
+    debug: false,
+    // Storage backend, e.g. { type: 'rest', baseUrl: 'https://example.com/api' }; null picks the best browser storage
+    storage: null
 };
 
 /**
@@ -84,22 +87,21 @@ class DiagramIDE {
          * @private
          */
         this.chatbot = null;
-
-        // Initialize application
-        this.initialize();
     }
 
     /**
      * Initializes the application components
-     * @private
+     * @returns {Promise<void>}
+     * @public
      */
-    initialize() {
+    async initialize() {
         try {
             console.log(`Initializing ${this.config.name} v${this.config.version}`);
 
             // Create core components
             this.renderingEngine = new RenderingEngine();
-            this.model = new DiagramModel();
+            this.model = new DiagramModel({ storage: createStorageAdapter(this.config.storage) });
+            await this.model.initialize();
             this.view = new DiagramView({ renderingEngine: this.renderingEngine });
             this.controller = new DiagramController(this.model, this.view);
 
@@ -220,10 +222,11 @@ window.addEventListener('unhandledrejection', (event) => {
 });
 
 // Application startup
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     try {
         // Initialize the application
         const app = new DiagramIDE();
+        await app.initialize();
 
         // Log startup information
         console.log('Diagram IDE application started successfully');
@@ -298,6 +298,9 @@ class Chatbot {
         // Get the Ace editor instance from the view
         const editor = window.diagramApp ? window.diagramApp.view.editor : null;
         if (editor) {
+            // Keep the current content in the file history so it can be restored
+            window.diagramApp.controller.handleBeforeAIInsert();
+
             // Replace entire content with new code
             editor.setValue(code, -1);
         } else {
@@ -0,0 +1,136 @@
+/**
+ * CommandHistory Module - Enterprise Diagram IDE
+ * Undo and redo stacks for project tree operations.
+ *
+ * Each command records how to undo and redo one change to the file system,
+ * together with a label naming the operation for the Edit menu.
+ *
+ * @module CommandHistory
+ * @version 1.0.0
+ * @author Diagram IDE Team
+ * @license MIT
+ */
+
+'use strict';
+
+/**
+ * Most commands kept on the undo stack
+ * @constant {number}
+ */
+export const MAX_HISTORY_COMMANDS = 100;
+
+/**
+ * CommandHistory class - Undo and redo stacks of reversible commands
+ * @class
+ */
+export class CommandHistory {
+    /**
+     * Creates an empty history
+     * @param {number} [limit=MAX_HISTORY_COMMANDS] - Most commands kept on the undo stack
+     * @constructor
+     */
+    constructor(limit = MAX_HISTORY_COMMANDS) {
+        /**
+         * Most commands kept on the undo stack
+         * @type {number}
+         * @private
+         */
+        this.limit = limit;
+
+        /**
+         * Commands that can be undone, most recent last
+         * @type {Array<Object>}
+         * @private
+         */
+        this.undoStack = [];
+
+        /**
+         * Undone commands that can be redone, most recently undone last
+         * @type {Array<Object>}
+         * @private
+         */
+        this.redoStack = [];
+    }
+
+    /**
+     * Records a command that was just executed. Anything undone before can no
+     * longer be redone.
+     * @param {Object} command - Command to record
+     * @param {string} command.label - Operation name, e.g. "delete 'auth-flow.mmd'"
+     * @param {string} command.scope - Project the command applies to
+     * @param {Function} command.undo - Reverts the change
+     * @param {Function} command.redo - Applies the change again
+     * @public
+     */
+    record(command) {
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    /**
+     * Retrieves the command the next undo reverts. Commands recorded in
+     * another project are out of reach while it is not the current one.
+     * @param {string} scope - Current project
+     * @returns {Object|null} Command or null if there is nothing to undo
+     * @public
+     */
+    peekUndo(scope) {
+        const command = this.undoStack[this.undoStack.length - 1];
+        return command && command.scope === scope ? command : null;
+    }
+
+    /**
+     * Retrieves the command the next redo applies
+     * @param {string} scope - Current project
+     * @returns {Object|null} Command or null if there is nothing to redo
+     * @public
+     */
+    peekRedo(scope) {
+        const command = this.redoStack[this.redoStack.length - 1];
+        return command && command.scope === scope ? command : null;
+    }
+
+    /**
+     * Reverts the most recent command. A command that fails is dropped, as
+     * the tree no longer matches what it recorded.
+     * @param {string} scope - Current project
+     * @returns {Object|null} Undone command or null if there was nothing to undo
+     * @throws {Error} If the command could not be undone
+     * @public
+     */
+    undo(scope) {
+        const command = this.peekUndo(scope);
+        if (!command) {
+            return null;
+        }
+
+        this.undoStack.pop();
+        command.undo();
+        this.redoStack.push(command);
+        return command;
+    }
+
+    /**
+     * Applies the most recently undone command again
+     * @param {string} scope - Current project
+     * @returns {Object|null} Redone command or null if there was nothing to redo
+     * @throws {Error} If the command could not be redone
+     * @public
+     */
+    redo(scope) {
+        const command = this.peekRedo(scope);
+        if (!command) {
+            return null;
+        }
+
+        this.redoStack.pop();
+        command.redo();
+        this.undoStack.push(command);
+        return command;
+    }
+}
+
+export default CommandHistory;
@@ -13,9 +13,11 @@
 
 'use strict';
 
-import { DiagramModel } from './Model.js';
+import { DiagramModel, AUTO_SAVE_DELAY_MIN, AUTO_SAVE_DELAY_MAX } from './Model.js';
 import { DiagramView } from './View.js';
-import { detectDiagramType } from '../utils/DiagramUtils.js';
+import { TRASH_NODE_ID } from '../view/TreeRenderer.js';
+import { getReplacementText } from '../utils/SearchUtils.js';
+import { createProjectArchive, createDiagramArchive, readProjectArchive, readDirectoryFiles, readDroppedItems, readFileList, IMPORTABLE_EXTENSIONS } from '../utils/ProjectArchive.js';
 
 /**
  * DiagramController class - Manages user interactions and business logic
@@ -43,6 +45,50 @@ export class DiagramController {
          */
         this.view = view;
 
+        /**
+         * Item waiting for a destination in the "Move to" dialog
+         * @type {string|null}
+         * @private
+         */
+        this.movingItemId = null;
+
+        /**
+         * Item copied to the tree clipboard
+         * @type {string|null}
+         * @private
+         */
+        this.clipboardItemId = null;
+
+        /**
+         * Parsed project data waiting for the import dialog
+         * @type {Object|null}
+         * @private
+         */
+        this.pendingImport = null;
+
+        /**
+         * Conflict dialogs shown one after another
+         * @type {Promise<void>}
+         * @private
+         */
+        this.conflictQueue = Promise.resolve();
+
+        /**
+         * Conflicts in projects that were not open, asked about once the
+         * project is opened again
+         * @type {Array<Object>}
+         * @private
+         */
+        this.deferredConflicts = [];
+
+        /**
+         * Pending autosaves keyed by file ID, so an edit in one editor does
+         * not cancel the autosave of another
+         * @type {Map<string, number>}
+         * @private
+         */
+        this.autoSaveTimers = new Map();
+
         // Initialize controller
         this.initializeController();
 
@@ -57,6 +103,7 @@ export class DiagramController {
      */
     initializeController() {
         // Update view with initial model data
+        this.view.applySettings(this.model.getSettings());
         this.view.update(this.model);
 
         // Set up all event handlers
@@ -76,6 +123,19 @@ export class DiagramController {
      * @private
      */
     setupProjectManagement() {
+        // Surface persistence failures (e.g. quota exceeded) to the user
+        this.model.fileSystem.on('storage-error', (error) => {
+            this.handleStorageError(error);
+        });
+
+        // Keep this tab in step with changes saved in other tabs
+        this.model.fileSystem.on('external-change', (change) => {
+            this.handleExternalChange(change);
+        });
+        this.model.fileSystem.on('file-conflict', (conflict) => {
+            this.handleFileConflict(conflict);
+        });
+
         // New project button
         if (this.view.elements.newProjectBtn) {
             this.view.elements.newProjectBtn.addEventListener('click', () => {
@@ -90,6 +150,62 @@ export class DiagramController {
             });
         }
 
+        const newFromTemplate = document.getElementById('new-project-from-template');
+        if (newFromTemplate) {
+            newFromTemplate.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.handleShowProjectTemplates();
+            });
+        }
+
+        const saveTemplate = document.getElementById('save-project-template');
+        if (saveTemplate) {
+            saveTemplate.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.handleSaveProjectAsTemplate();
+            });
+        }
+
+        // Project manager (File menu and dialog footer)
+        const manageProjects = document.getElementById('manage-projects');
+        if (manageProjects) {
+            manageProjects.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.handleShowProjectManager();
+            });
+        }
+
+        const projectSettings = document.getElementById('project-settings');
+        if (projectSettings) {
+            projectSettings.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.handleShowProjectSettings();
+            });
+        }
+
+        const projectCheckpoints = document.getElementById('project-checkpoints');
+        if (projectCheckpoints) {
+            projectCheckpoints.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.handleShowCheckpoints();
+            });
+        }
+
+        const managerNewProject = document.getElementById('project-manager-new');
+        if (managerNewProject) {
+            managerNewProject.addEventListener('click', () => {
+                this.handleNewProject();
+            });
+        }
+
+        const managerNewFromTemplate = document.getElementById('project-manager-new-from-template');
+        if (managerNewFromTemplate) {
+            managerNewFromTemplate.addEventListener('click', () => {
+                this.view.projectManagerPanel.hide();
+                this.handleShowProjectTemplates();
+            });
+        }
+
         // Import project functionality (dropdown menu)
         const importBtn = document.getElementById('import-project');
         if (importBtn) {
@@ -97,6 +213,51 @@ export class DiagramController {
                 this.handleImportProject();
             });
         }
+
+        const exportZipBtn = document.getElementById('export-project-zip');
+        if (exportZipBtn) {
+            exportZipBtn.addEventListener('click', async (e) => {
+                e.preventDefault();
+                await this.handleExportProjectZip();
+            });
+        }
+
+        const exportDiagramsBtn = document.getElementById('export-all-diagrams');
+        if (exportDiagramsBtn) {
+            exportDiagramsBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.handleShowExportDiagrams();
+            });
+        }
+
+        const importZipBtn = document.getElementById('import-project-zip');
+        if (importZipBtn) {
+            importZipBtn.addEventListener('click', () => {
+                this.handleImportArchive();
+            });
+        }
+
+        const importFilesBtn = document.getElementById('import-files');
+        if (importFilesBtn) {
+            importFilesBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.handleImportFiles('root');
+            });
+        }
+
+        const importFolderBtn = document.getElementById('import-project-folder');
+        if (importFolderBtn) {
+            importFolderBtn.addEventListener('click', () => {
+                this.handleImportFolder();
+            });
+        }
+
+        const importConfirm = document.getElementById('import-confirm');
+        if (importConfirm) {
+            importConfirm.addEventListener('click', () => {
+                this.handleImportConfirm();
+            });
+        }
     }
 
     /**
@@ -161,27 +322,13 @@ export class DiagramController {
                     const fileItem = this.model.fileSystem.getItem(itemId);
 
                     if (fileItem && fileItem.type === 'file') {
-                        this.model.openFile(itemId);
-                        this.view.selectTreeItem(itemId);
-                        this.view.update(this.model);
-
-                        // Auto-render diagram
-                        this.view.renderDiagram(fileItem.content);
+                        this.showFile(itemId);
                     } else {
                         this.view.selectTreeItem(itemId);
                     }
                 }
             });
         }
-
-        // File editor input (auto-save)
-        if (this.view.elements.fileEditor) {
-            this.view.elements.fileEditor.addEventListener('input', (e) => {
-                if (this.model.getSettings().autoSave) {
-                    this.model.saveCurrentFile(e.target.value);
-                }
-            });
-        }
     }
 
     /**
@@ -190,9 +337,15 @@ export class DiagramController {
      */
     setupContextMenu() {
         const contextActions = {
+            'context-open-side': (targetId) => this.handleOpenToSide(targetId),
             'context-new-file': (targetId) => this.handleNewFileFromContext(targetId),
             'context-new-folder': (targetId) => this.handleNewFolderFromContext(targetId),
             'context-delete': (targetId) => this.handleDeleteItem(targetId),
+            'context-move': (targetId) => this.handleMoveItemPrompt(targetId),
+            'context-duplicate': (targetId) => this.handleDuplicateItem(targetId),
+            'context-copy': (targetId) => this.handleCopyItem(targetId),
+            'context-paste': (targetId) => this.handlePasteItem(targetId),
+            'context-history': (targetId) => this.handleShowHistory(targetId),
             'context-download': () => this.handleDownloadFile()
         };
 
@@ -215,6 +368,19 @@ export class DiagramController {
                 this.handleRenameConfirm();
             });
         }
+
+        // Move modal confirmation
+        const moveConfirm = document.getElementById('move-confirm');
+        if (moveConfirm) {
+            moveConfirm.addEventListener('click', () => {
+                const targetFolderId = this.view.elements.moveTargetFolder.value;
+                if (this.movingItemId && targetFolderId) {
+                    this.handleMoveItem(this.movingItemId, targetFolderId);
+                }
+                this.movingItemId = null;
+                this.view.hideMoveModal();
+            });
+        }
     }
 
     /**
@@ -222,212 +388,1387 @@ export class DiagramController {
      * @private
      */
     setupAutoSave() {
-        // Auto-save functionality is handled in setupFileOperations
-    }
-
-    /**
-     * Sets up menu handlers for dropdown menus
-     * @private
-     */
-    setupMenuHandlers() {
+        if (this.view.editor) {
+            this.view.editor.on('change', () => this.handleEditorChange());
+            this.view.editor.commands.addCommand({
+                name: 'saveFile',
+                bindKey: { win: 'Ctrl-S', mac: 'Command-S' },
+                exec: () => this.handleSaveFile()
+            });
+        }
+        if (this.view.splitEditor) {
+            this.view.splitEditor.on('change', () => this.handleEditorChange(this.model.getSplitFile()));
+            this.view.splitEditor.commands.addCommand({
+                name: 'saveFile',
+                bindKey: { win: 'Ctrl-S', mac: 'Command-S' },
+                exec: () => this.handleSaveFile(this.model.getSplitFile())
+            });
+        }
 
-        // Rename from Edit menu
-        const renameMenu = document.getElementById('rename');
-        if (renameMenu) {
-            renameMenu.addEventListener('click', () => {
-                this.handleRenameItem();
+        if (this.view.elements.autoSaveToggle) {
+            this.view.elements.autoSaveToggle.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.handleToggleAutoSave();
+            });
+        }
+        if (this.view.elements.autoSaveDelayBtn) {
+            this.view.elements.autoSaveDelayBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.handleAutoSaveDelay();
             });
         }
 
-        // File type selection buttons
-        const fileTypes = ['mermaid', 'plantuml', 'txt', 'md'];
-        fileTypes.forEach(type => {
-            const button = document.getElementById(`create-${type}`);
-            if (button) {
-                button.addEventListener('click', () => {
-                    this.handleCreateFileWithType(type);
-                });
+        // Save pending edits when the tab is hidden; closing it with edits that
+        // are still unsaved (autosave off) asks for confirmation
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.flushAutoSave();
+            }
+        });
+        window.addEventListener('beforeunload', (e) => {
+            this.flushAutoSave();
+            if (this.hasUnsavedChanges()) {
+                e.preventDefault();
+                e.returnValue = '';
             }
         });
     }
 
+    /**
+     * Checks whether a file's tab holds content that differs from the saved file
+     * @param {Object} file - File object
+     * @returns {boolean} True if the tab has unsaved changes
+     * @private
+     */
+    isFileModified(file) {
+        const content = this.view.getSessionContent(file.id);
+        return content !== null && content !== file.content;
+    }
 
     /**
-     * Handles showing settings view
+     * Checks whether any open tab or the split editor has unsaved changes
+     * @returns {boolean} True if there are unsaved changes
      * @private
      */
-    handleShowSettings() {
-        // Switch to settings view
-        this.showView('settings-view');
+    hasUnsavedChanges() {
+        return this.model.getOpenFiles().some(file => this.isFileModified(file));
     }
 
     /**
-     * Shows a specific view by ID
-     * @param {string} viewId - ID of the view to show
+     * Updates the modified marker and (re)schedules the autosave after an edit
+     * @param {Object|null} [file] - Edited file (defaults to the current file)
      * @private
      */
-    showView(viewId) {
-        // Hide all views
-        const views = document.querySelectorAll('.view');
-        views.forEach(view => {
-            view.classList.remove('active');
-        });
+    handleEditorChange(file = this.model.getCurrentFile()) {
+        const modified = Boolean(file) && this.isFileModified(file);
+        const settings = this.model.getSettings();
 
-        // Show the specified view
-        const targetView = document.getElementById(viewId);
-        if (targetView) {
-            targetView.classList.add('active');
+        if (!file) {
+            return;
+        }
+        this.view.setFileModified(file.id, modified);
+        this.cancelAutoSave(file.id);
+        if (modified && settings.autoSave) {
+            this.autoSaveTimers.set(file.id, setTimeout(() => {
+                this.autoSaveTimers.delete(file.id);
+                const current = this.model.fileSystem.getItem(file.id);
+                if (current && this.isFileModified(current)) {
+                    this.saveEditorContent(file.id, 'autosave');
+                }
+            }, settings.autoSaveDelay));
         }
     }
 
     /**
-     * Handles new project creation
+     * Cancels the pending autosave of a file
+     * @param {string} fileId - File identifier
      * @private
      */
-    handleNewProject() {
-        const projectName = prompt('Enter project name:', 'New Project');
-        if (projectName && projectName.trim()) {
-            this.model.createNewProject(projectName.trim());
-            this.view.update(this.model);
-            this.view.showNotification(`Project "${projectName}" created!`, 'success');
-        }
+    cancelAutoSave(fileId) {
+        clearTimeout(this.autoSaveTimers.get(fileId));
+        this.autoSaveTimers.delete(fileId);
     }
 
     /**
-     * Handles project export
+     * Cancels every pending autosave
      * @private
      */
-    async handleExportProject() {
-        try {
-            const blob = await this.model.exportCurrentProject();
-            if (blob) {
-                const url = URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = `${this.model.getCurrentProject().name}.json`;
-                document.body.appendChild(a);
-                a.click();
-                document.body.removeChild(a);
-                URL.revokeObjectURL(url);
-                this.view.showNotification('Project exported successfully!', 'success');
-            }
-        } catch (error) {
-            console.error('Export failed:', error);
-            this.view.showNotification('Failed to export project', 'error');
+    cancelAutoSaves() {
+        this.autoSaveTimers.forEach(timer => clearTimeout(timer));
+        this.autoSaveTimers.clear();
+    }
+
+    /**
+     * Saves pending changes of every open tab right away if autosave is on
+     * @private
+     */
+    flushAutoSave() {
+        this.cancelAutoSaves();
+        if (this.model.getSettings().autoSave) {
+            this.saveOpenFiles('autosave');
         }
     }
 
     /**
-     * Handles project import
+     * Writes the content of every open tab (and the split editor) with unsaved changes
+     * @param {string} [reason='save'] - 'save', or 'autosave' when no one asked to save
      * @private
      */
-    handleImportProject() {
-        const input = document.createElement('input');
-        input.type = 'file';
-        input.accept = '.json';
-        input.onchange = (e) => {
-            const file = e.target.files[0];
-            if (file) {
-                const reader = new FileReader();
-                reader.onload = (event) => {
-                    try {
-                        const importData = JSON.parse(event.target.result);
-                        this.model.importProject(importData);
-                        this.view.update(this.model);
-                        this.view.showNotification('Project imported successfully!', 'success');
-                    } catch (error) {
-                        console.error('Import failed:', error);
-                        this.view.showNotification('Failed to import project', 'error');
-                    }
-                };
-                reader.readAsText(file);
-            }
-        };
-        input.click();
+    saveOpenFiles(reason = 'save') {
+        this.model.getOpenFiles()
+            .filter(file => this.isFileModified(file))
+            .forEach(file => this.saveEditorContent(file.id, reason));
     }
 
     /**
-     * Handles new file creation
-     * @param {string} [parentPath='/'] - Parent path for new file
+     * Writes the editor content of an open tab to its file
+     * @param {string} [fileId] - File identifier (defaults to the current file)
+     * @param {string} [reason='save'] - 'save', or 'autosave' when no one asked to save
      * @private
      */
-    handleNewFile(parentPath = '/') {
-        this.view.showFileTypeModal(parentPath);
+    saveEditorContent(fileId = this.model.getCurrentFile().id, reason = 'save') {
+        const content = this.view.getSessionContent(fileId);
+        if (content === null) {
+            return;
+        }
+
+        this.cancelAutoSave(fileId);
+        this.model.saveFile(fileId, content, reason);
+        this.view.markSessionSaved(fileId);
     }
 
     /**
-     * Handles new folder creation
+     * Saves unsaved editor changes of open files inside an item that is about
+     * to be deleted, so they go to the Trash with it
+     * @param {Object} item - File or folder
      * @private
      */
-    handleNewFolder() {
-        this.handleNewFolderFromContext(null);
+    saveOpenFilesIn(item) {
+        this.model.getOpenFiles()
+            .filter(file => file.id === item.id || file.path.startsWith(`${item.path}/`))
+            .filter(file => this.isFileModified(file))
+            .forEach(file => this.saveEditorContent(file.id));
     }
 
     /**
-     * Handles new folder creation from context menu
-     * @param {string} targetId - Target folder/item ID
+     * Makes sure unsaved changes in tabs that are about to close are not lost
+     * silently: they are saved when autosave is on, otherwise the user
+     * confirms discarding them
+     * @param {Array<Object>} files - Files whose tabs close
+     * @returns {boolean} False if the user chose to keep the tabs open
      * @private
      */
-    handleNewFolderFromContext(targetId) {
-        let parentPath = '/';
-        if (targetId) {
-            const item = this.model.fileSystem.getItem(targetId);
-            if (item) {
-                parentPath = item.type === 'folder' ? item.path : item.path.substring(0, item.path.lastIndexOf('/')) || '/';
-            }
+    confirmCloseFiles(files) {
+        const unsaved = files.filter(file => this.isFileModified(file));
+        if (unsaved.length === 0) {
+            return true;
         }
-        
-        const folderName = prompt('Enter folder name:', 'new-folder');
-        if (folderName && folderName.trim()) {
-            try {
-                this.model.createFolder(folderName.trim(), parentPath);
-                this.view.update(this.model);
-                this.view.showNotification(`Folder "${folderName}" created!`, 'success');
-            } catch (error) {
-                console.error('Folder creation failed:', error);
-                this.view.showNotification('Failed to create folder', 'error');
-            }
+
+        if (this.model.getSettings().autoSave) {
+            unsaved.forEach(file => this.saveEditorContent(file.id, 'autosave'));
+            return true;
         }
+
+        const message = unsaved.length === 1
+            ? `"${unsaved[0].name}" has unsaved changes. Discard them?`
+            : `${unsaved.length} files have unsaved changes (${unsaved.map(file => file.name).join(', ')}). Discard them?`;
+        if (!confirm(message)) {
+            return false;
+        }
+        unsaved.forEach(file => this.view.setFileModified(file.id, false));
+        return true;
     }
 
     /**
-     * Handles file creation from context menu
-     * @param {string} targetId - Target folder/item ID
+     * Asks about unsaved changes in every open tab before another project is opened
+     * @returns {boolean} False if the user chose to stay in the current project
      * @private
      */
-    handleNewFileFromContext(targetId) {
-        let parentPath = '/';
-        if (targetId) {
-            const item = this.model.fileSystem.getItem(targetId);
-            if (item) {
-                parentPath = item.type === 'folder' ? item.path : item.path.substring(0, item.path.lastIndexOf('/')) || '/';
-            }
+    confirmLeaveProject() {
+        return this.confirmCloseFiles(this.model.getOpenFiles());
+    }
+
+    /**
+     * Asks about unsaved changes of the split editor's file before the pane
+     * closes or shows another file. Files that are also open in a tab keep
+     * their changes.
+     * @param {string|null} nextFileId - File the pane shows next, null if it closes
+     * @returns {boolean} False if the user chose to keep the file in the pane
+     * @private
+     */
+    confirmLeaveSplit(nextFileId) {
+        const splitFile = this.model.getSplitFile();
+        if (!splitFile || splitFile.id === nextFileId
+            || this.model.getOpenTabs().some(tab => tab.file.id === splitFile.id)) {
+            return true;
         }
-        
-        this.handleNewFile(parentPath);
+        return this.confirmCloseFiles([splitFile]);
     }
 
     /**
-     * Handles file creation with specific type
-     * @param {string} type - File type ('mermaid', 'plantuml', 'txt', 'md')
+     * Opens a file in a tab, or switches to its tab if it is already open.
+     * Pending autosave changes of the file being left are written first.
+     * @param {string} fileId - File identifier
      * @private
      */
-    handleCreateFileWithType(type) {
-        if (!this.view.elements.fileLocation || !this.view.elements.fileNameInput) {
+    showFile(fileId) {
+        const currentFile = this.model.getCurrentFile();
+        if (currentFile && currentFile.id !== fileId) {
+            this.flushAutoSave();
+        }
+
+        this.model.openFile(fileId);
+        this.view.selectTreeItem(fileId);
+        this.view.update(this.model);
+        this.rerenderCurrentFile();
+    }
+
+    /**
+     * Handles clicking an editor tab
+     * @param {string} fileId - File identifier
+     * @public
+     */
+    handleSwitchTab(fileId) {
+        const currentFile = this.model.getCurrentFile();
+        if (!currentFile || currentFile.id !== fileId) {
+            this.showFile(fileId);
+        }
+    }
+
+    /**
+     * Handles closing an editor tab (close button, middle click or tab menu)
+     * @param {string} fileId - File identifier
+     * @public
+     */
+    handleCloseTab(fileId) {
+        const tab = this.model.getOpenTabs().find(entry => entry.file.id === fileId);
+        if (!tab || !this.confirmCloseFiles([tab.file])) {
             return;
         }
-        
-        const parentPath = this.view.elements.fileLocation.value;
-        const fileName = this.view.elements.fileNameInput.value.trim();
-        
-        if (!fileName) {
-            this.view.showNotification('Please enter a file name', 'warning');
+
+        const currentFile = this.model.getCurrentFile();
+        this.model.closeFile(fileId);
+        this.view.update(this.model);
+        if (currentFile && currentFile.id === fileId) {
+            this.rerenderCurrentFile();
+        }
+    }
+
+    /**
+     * Handles "Close Others" from the tab menu. Pinned tabs stay open.
+     * @param {string} fileId - File identifier of the tab to keep
+     * @public
+     */
+    handleCloseOtherTabs(fileId) {
+        const closing = this.model.getOpenTabs()
+            .filter(tab => tab.file.id !== fileId && !tab.pinned)
+            .map(tab => tab.file);
+        if (!this.confirmCloseFiles(closing)) {
             return;
         }
-        
-        try {
-            const content = this.getFileTemplate(type);
-            this.model.createFile(fileName, parentPath, content);
+
+        const currentFile = this.model.getCurrentFile();
+        this.model.closeOtherFiles(fileId);
+        this.view.selectTreeItem(fileId);
+        this.view.update(this.model);
+        if (!currentFile || currentFile.id !== fileId) {
+            this.rerenderCurrentFile();
+        }
+    }
+
+    /**
+     * Handles "Open to the Side" from the tree and tab menus, and picking a
+     * file in the split editor
+     * @param {string} fileId - File identifier
+     * @public
+     */
+    handleOpenToSide(fileId) {
+        const file = this.model.fileSystem.getItem(fileId);
+        if (!file || file.type !== 'file' || !this.confirmLeaveSplit(fileId)) {
+            return;
+        }
+
+        this.model.openSplitFile(fileId);
+        this.view.update(this.model);
+    }
+
+    /**
+     * Handles picking another file in the split editor
+     * @param {string} fileId - File identifier
+     * @public
+     */
+    handleSplitFileChange(fileId) {
+        this.handleOpenToSide(fileId);
+        // The picker shows the pane's file again if the change was cancelled
+        this.view.update(this.model);
+    }
+
+    /**
+     * Handles closing the split editor
+     * @public
+     */
+    handleCloseSplit() {
+        if (!this.model.getSplitFile() || !this.confirmLeaveSplit(null)) {
+            return;
+        }
+
+        this.model.closeSplit();
+        this.view.update(this.model);
+    }
+
+    /**
+     * Handles "Split Editor" from the View menu: opens the current file to the
+     * side, or closes the split editor if it is open
+     * @public
+     */
+    handleToggleSplitEditor() {
+        if (this.model.getSplitFile()) {
+            this.handleCloseSplit();
+            return;
+        }
+
+        const file = this.model.getCurrentFile();
+        if (!file) {
+            this.view.showNotification('Open a file to split the editor', 'warning');
+            return;
+        }
+        this.handleOpenToSide(file.id);
+    }
+
+    /**
+     * Handles the compare button of the split editor and "Compare Files" from
+     * the View menu. Without a split editor, the file of the next tab (or the
+     * current file) opens to the side first.
+     * @public
+     */
+    handleToggleCompare() {
+        if (!this.model.getSplitFile()) {
+            const currentFile = this.model.getCurrentFile();
+            if (!currentFile) {
+                this.view.showNotification('Open a file to compare it with another file', 'warning');
+                return;
+            }
+            const other = this.model.getOpenTabs().find(tab => tab.file.id !== currentFile.id);
+            this.handleOpenToSide(other ? other.file.id : currentFile.id);
+            this.model.setCompareMode(true);
+        } else {
+            this.model.setCompareMode(!this.model.isCompareMode());
+        }
+        this.view.update(this.model);
+    }
+
+    /**
+     * Handles pinning or unpinning an editor tab
+     * @param {string} fileId - File identifier
+     * @public
+     */
+    handleTogglePinTab(fileId) {
+        const tab = this.model.getOpenTabs().find(entry => entry.file.id === fileId);
+        if (tab) {
+            this.model.setFilePinned(fileId, !tab.pinned);
+            this.view.update(this.model);
+        }
+    }
+
+    /**
+     * Handles turning autosave on or off from the File menu
+     * @public
+     */
+    handleToggleAutoSave() {
+        const autoSave = !this.model.getSettings().autoSave;
+        this.model.updateSettings({ autoSave });
+        this.view.setAutoSaveState(autoSave);
+        if (autoSave) {
+            this.flushAutoSave();
+        } else {
+            this.cancelAutoSaves();
+        }
+        this.view.showNotification(autoSave ? 'Auto save enabled' : 'Auto save disabled - press Ctrl+S to save', 'info');
+    }
+
+    /**
+     * Handles configuring how long autosave waits after the last edit
+     * @public
+     */
+    handleAutoSaveDelay() {
+        const current = this.model.getSettings().autoSaveDelay / 1000;
+        const input = prompt(`Save automatically how many seconds after the last edit? (${AUTO_SAVE_DELAY_MIN / 1000}-${AUTO_SAVE_DELAY_MAX / 1000})`, String(current));
+        if (input === null) {
+            return;
+        }
+
+        const delay = Math.round(parseFloat(input) * 1000);
+        if (isNaN(delay) || delay < AUTO_SAVE_DELAY_MIN || delay > AUTO_SAVE_DELAY_MAX) {
+            this.view.showNotification(`Please enter a number of seconds between ${AUTO_SAVE_DELAY_MIN / 1000} and ${AUTO_SAVE_DELAY_MAX / 1000}`, 'warning');
+            return;
+        }
+
+        this.model.updateSettings({ autoSaveDelay: delay });
+        this.view.showNotification(`Changes are saved ${delay / 1000} second(s) after the last edit`, 'success');
+    }
+
+    /**
+     * Sets up menu handlers for dropdown menus
+     * @private
+     */
+    setupMenuHandlers() {
+
+        // Version history from File menu
+        const historyMenu = document.getElementById('file-history');
+        if (historyMenu) {
+            historyMenu.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.handleShowHistory();
+            });
+        }
+
+        // Rename from Edit menu
+        const renameMenu = document.getElementById('rename');
+        if (renameMenu) {
+            renameMenu.addEventListener('click', () => {
+                this.handleRenameItem();
+            });
+        }
+
+        // File templates (new file dialog and File menu)
+        const saveFileTemplate = document.getElementById('save-file-template');
+        if (saveFileTemplate) {
+            saveFileTemplate.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.handleSaveFileAsTemplate();
+            });
+        }
+
+        const importFileTemplates = document.getElementById('import-file-templates');
+        if (importFileTemplates) {
+            importFileTemplates.addEventListener('click', () => {
+                this.handleImportFileTemplates();
+            });
+        }
+
+        const exportFileTemplates = document.getElementById('export-file-templates');
+        if (exportFileTemplates) {
+            exportFileTemplates.addEventListener('click', () => {
+                this.handleExportFileTemplates();
+            });
+        }
+    }
+
+
+    /**
+     * Handles showing settings view
+     * @private
+     */
+    handleShowSettings() {
+        // Switch to settings view
+        this.showView('settings-view');
+    }
+
+    /**
+     * Shows a specific view by ID
+     * @param {string} viewId - ID of the view to show
+     * @private
+     */
+    showView(viewId) {
+        // Hide all views
+        const views = document.querySelectorAll('.view');
+        views.forEach(view => {
+            view.classList.remove('active');
+        });
+
+        // Show the specified view
+        const targetView = document.getElementById(viewId);
+        if (targetView) {
+            targetView.classList.add('active');
+        }
+    }
+
+    /**
+     * Handles new project creation
+     * @private
+     */
+    handleNewProject() {
+        if (!this.confirmLeaveProject()) {
+            return;
+        }
+
+        const projectName = prompt('Enter project name:', 'New Project');
+        if (projectName && projectName.trim()) {
+            this.model.createNewProject(projectName.trim());
+            this.view.applySettings(this.model.getSettings());
+            this.view.update(this.model);
+            this.view.showNotification(`Project "${projectName}" created!`, 'success');
+        }
+    }
+
+    /**
+     * Handles opening the new project from template dialog
+     * @public
+     */
+    handleShowProjectTemplates() {
+        this.view.showProjectTemplates(this.model.getProjectTemplates());
+    }
+
+    /**
+     * Handles creating a project from a template. The new project is opened
+     * with its README (or first file) shown.
+     * @param {string} templateId - Template identifier
+     * @param {string} name - Project name
+     * @public
+     */
+    handleCreateProjectFromTemplate(templateId, name) {
+        if (!name || !name.trim()) {
+            this.view.showNotification('Enter a name for the project', 'warning');
+            return;
+        }
+        if (!this.confirmLeaveProject()) {
+            return;
+        }
+
+        try {
+            const template = this.model.getProjectTemplates().find(entry => entry.id === templateId);
+            const { project, files } = this.model.createProjectFromTemplate(templateId, name);
+            this.view.projectTemplatesDialog.hide();
+            this.view.selectedItemId = null;
+            this.view.applySettings(this.model.getSettings());
+            this.view.update(this.model);
+
+            const firstFile = files.find(file => /^readme\.md$/i.test(file.name)) || files[0];
+            if (firstFile) {
+                this.showFile(firstFile.id);
+            }
+            this.view.showNotification(`Project "${project.name}" created from "${template.name}"!`, 'success');
+        } catch (error) {
+            console.error('Creating project from template failed:', error);
+            this.view.showNotification(`Failed to create project: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Handles saving a project as a reusable template
+     * @param {string} [projectId] - Project identifier (defaults to the current project)
+     * @public
+     */
+    handleSaveProjectAsTemplate(projectId = null) {
+        const current = this.model.getCurrentProject();
+        const project = projectId ? this.model.getProjects()[projectId] : current;
+        if (!project) {
+            return;
+        }
+        if (current && project.id === current.id) {
+            this.flushAutoSave();
+        }
+
+        const name = prompt('Template name:', project.name);
+        if (name === null) {
+            return;
+        }
+
+        try {
+            const template = this.model.saveProjectAsTemplate(project.id, name, `Saved from project "${project.name}".`);
+            this.view.showNotification(`Saved template "${template.name}"`, 'success');
+        } catch (error) {
+            this.view.showNotification(`Failed to save template: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Handles deleting a saved project template
+     * @param {string} templateId - Template identifier
+     * @public
+     */
+    handleDeleteProjectTemplate(templateId) {
+        const template = this.model.getProjectTemplates().find(entry => entry.id === templateId);
+        if (!template || !confirm(`Delete the template "${template.name}"? Projects created from it are not affected.`)) {
+            return;
+        }
+
+        try {
+            this.model.deleteProjectTemplate(templateId);
+            this.view.projectTemplatesDialog.refresh(this.model.getProjectTemplates());
+            this.view.showNotification(`Deleted template "${template.name}"`, 'success');
+        } catch (error) {
+            this.view.showNotification(error.message, 'error');
+        }
+    }
+
+    /**
+     * Handles opening the project manager dialog
+     * @public
+     */
+    handleShowProjectManager() {
+        this.view.showProjectManager(this.model.getProjectSummaries());
+    }
+
+    /**
+     * Handles switching to another project
+     * @param {string} projectId - Project identifier
+     * @public
+     */
+    handleOpenProject(projectId) {
+        const current = this.model.getCurrentProject();
+        if (current && current.id === projectId) {
+            return;
+        }
+        if (!this.confirmLeaveProject()) {
+            return;
+        }
+
+        const project = this.model.openProject(projectId);
+        if (!project) {
+            this.view.showNotification('Project not found', 'error');
+            return;
+        }
+
+        this.view.selectedItemId = null;
+        this.view.applySettings(this.model.getSettings());
+        this.view.update(this.model);
+        this.view.showNotification(`Opened project "${project.name}"`, 'success');
+        this.showDeferredConflicts();
+    }
+
+    /**
+     * Handles renaming a project
+     * @param {string} projectId - Project identifier
+     * @public
+     */
+    handleRenameProject(projectId) {
+        const project = this.model.getProjects()[projectId];
+        if (!project) {
+            return;
+        }
+
+        const name = prompt('Enter project name:', project.name);
+        if (name === null) {
+            return;
+        }
+
+        try {
+            this.model.renameProject(projectId, name);
+            this.view.update(this.model);
+            this.view.showNotification('Project renamed successfully!', 'success');
+        } catch (error) {
+            this.view.showNotification(`Failed to rename project: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Handles duplicating a project
+     * @param {string} projectId - Project identifier
+     * @public
+     */
+    handleDuplicateProject(projectId) {
+        try {
+            const copy = this.model.duplicateProject(projectId);
+            this.view.update(this.model);
+            this.view.showNotification(`Project "${copy.name}" created!`, 'success');
+        } catch (error) {
+            this.view.showNotification(`Failed to duplicate project: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Handles deleting a project
+     * @param {string} projectId - Project identifier
+     * @public
+     */
+    handleDeleteProject(projectId) {
+        const project = this.model.getProjects()[projectId];
+        if (!project || !confirm(`Delete project "${project.name}" and all of its files? This cannot be undone.`)) {
+            return;
+        }
+
+        const wasCurrent = this.model.getCurrentProject() && this.model.getCurrentProject().id === projectId;
+        this.model.deleteProject(projectId);
+        if (wasCurrent) {
+            this.view.selectedItemId = null;
+            this.view.applySettings(this.model.getSettings());
+        }
+        this.view.update(this.model);
+        this.view.showNotification(`Project "${project.name}" deleted`, 'success');
+    }
+
+    /**
+     * Handles opening the settings dialog of the current project
+     * @public
+     */
+    handleShowProjectSettings() {
+        const project = this.model.getCurrentProject();
+        if (!project) {
+            this.view.showNotification('No project is open', 'warning');
+            return;
+        }
+
+        this.view.showProjectSettings(project.name, this.model.getProjectSettings(), this.model.getGlobalSettings());
+    }
+
+    /**
+     * Handles saving the current project's setting overrides
+     * @param {Object} changes - Setting values by key; null inherits the application setting
+     * @returns {boolean} True if the settings were saved
+     * @public
+     */
+    handleSaveProjectSettings(changes) {
+        try {
+            this.model.updateProjectSettings(changes);
+        } catch (error) {
+            this.view.showNotification(`Failed to save project settings: ${error.message}`, 'error');
+            return false;
+        }
+
+        this.view.applySettings(this.model.getSettings());
+        this.rerenderCurrentFile();
+        this.view.showNotification('Project settings saved', 'success');
+        return true;
+    }
+
+    /**
+     * Handles switching between the light and dark theme
+     * @public
+     */
+    handleToggleTheme() {
+        const theme = this.view.getTheme() === 'light' ? 'dark' : 'light';
+        this.model.setTheme(theme);
+        this.view.setTheme(theme);
+        this.rerenderCurrentFile();
+    }
+
+    /**
+     * Renders the open file again, e.g. after diagram settings changed
+     * @private
+     */
+    rerenderCurrentFile() {
+        const currentFile = this.model.getCurrentFile();
+        if (currentFile) {
+            this.view.renderDiagram(this.view.editor ? this.view.editor.getValue() : currentFile.content);
+        }
+    }
+
+    /**
+     * Handles storage failures reported by the file system
+     * @param {Error} error - Storage error
+     * @private
+     */
+    handleStorageError(error) {
+        const isQuotaError = error && (error.name === 'QuotaExceededError' || error.code === 22);
+        const message = isQuotaError
+            ? 'Browser storage is full. Recent changes were NOT saved - export your project or delete unused files.'
+            : `Failed to save changes: ${error && error.message ? error.message : 'unknown storage error'}`;
+
+        this.view.showNotification(message, 'error');
+    }
+
+    /**
+     * Refreshes the UI after another tab saved changes. Open tabs are
+     * reloaded unless they have unsaved edits, in which case the user decides.
+     * @param {Object} change - 'external-change' event from the file system
+     * @private
+     */
+    handleExternalChange(change) {
+        const currentProject = this.model.getCurrentProject();
+        const isCurrentProject = Boolean(currentProject && currentProject.id === change.projectId);
+        const openFile = this.model.getCurrentFile();
+
+        // Tab content before the change was merged, to tell unsaved edits apart
+        const affected = isCurrentProject
+            ? Object.keys(change.previous).filter(id => this.view.getSessionContent(id) !== null)
+            : [];
+        const edited = affected.filter(id => this.view.getSessionContent(id) !== change.previous[id].content);
+
+        this.model.syncWithFileSystem();
+
+        if (change.projectDeleted && isCurrentProject) {
+            this.view.selectedItemId = null;
+            this.view.applySettings(this.model.getSettings());
+            this.view.update(this.model);
+            this.rerenderCurrentFile();
+            this.view.showNotification(`Project "${currentProject.name}" was deleted in another tab`, 'warning');
+            this.showDeferredConflicts();
+            return;
+        }
+
+        if (change.project && isCurrentProject) {
+            this.view.applySettings(this.model.getSettings());
+        }
+
+        // Edited tabs keep their content until the conflict is resolved; the
+        // tab of a deleted file closes, the dialog still has its content
+        edited.forEach(id => {
+            const previous = change.previous[id];
+            const file = this.model.fileSystem.getItem(id);
+            this.queueFileConflict({
+                projectId: change.projectId,
+                fileId: id,
+                name: previous.name,
+                path: previous.path,
+                content: this.view.getSessionContent(id),
+                deleted: !file
+            });
+        });
+
+        this.view.update(this.model);
+
+        const current = this.model.getCurrentFile();
+        if (openFile && (!current || current.id !== openFile.id || affected.includes(openFile.id))) {
+            this.rerenderCurrentFile();
+        }
+
+        const reloaded = affected.filter(id => !edited.includes(id));
+        if (reloaded.length > 0) {
+            const names = reloaded.map(id => `"${change.previous[id].name}"`).join(', ');
+            const deleted = reloaded.every(id => !this.model.fileSystem.getItem(id));
+            this.view.showNotification(`${names} ${deleted ? 'deleted' : 'updated'} in another tab`, deleted ? 'warning' : 'info');
+        }
+    }
+
+    /**
+     * Handles a save that was not written because another tab changed the
+     * same file first
+     * @param {Object} conflict - 'file-conflict' event from the file system
+     * @private
+     */
+    handleFileConflict(conflict) {
+        const currentProject = this.model.getCurrentProject();
+        if (!currentProject || currentProject.id !== conflict.projectId) {
+            const project = this.model.getProjects()[conflict.projectId];
+            if (project) {
+                this.deferredConflicts.push(conflict);
+                this.view.showNotification(`Your edit of "${conflict.name}" conflicts with another tab. You will be asked about it when you open "${project.name}" again`, 'warning');
+            }
+            return;
+        }
+
+        const content = this.view.getSessionContent(conflict.fileId);
+
+        this.model.syncWithFileSystem();
+        this.view.updateSidebar(this.model);
+        this.queueFileConflict({
+            ...conflict,
+            content: content !== null ? content : conflict.content
+        });
+    }
+
+    /**
+     * Asks about the deferred conflicts of the current project. Conflicts of
+     * projects deleted in the meantime are dropped.
+     * @private
+     */
+    showDeferredConflicts() {
+        const currentProject = this.model.getCurrentProject();
+        const projects = this.model.getProjects();
+        const deferred = this.deferredConflicts;
+
+        this.deferredConflicts = deferred.filter(conflict => projects[conflict.projectId] && (!currentProject || conflict.projectId !== currentProject.id));
+        if (currentProject) {
+            deferred.filter(conflict => conflict.projectId === currentProject.id).forEach(conflict => this.queueFileConflict(conflict));
+        }
+    }
+
+    /**
+     * Asks how to resolve a conflict once earlier conflict dialogs are closed
+     * @param {Object} conflict - Conflicting file and this tab's content
+     * @private
+     */
+    queueFileConflict(conflict) {
+        this.conflictQueue = this.conflictQueue.then(async () => {
+            const stored = this.model.fileSystem.getItem(conflict.fileId);
+            const choice = await this.view.askFileConflict(conflict, stored ? stored.content : '');
+            this.resolveFileConflict(conflict, choice);
+        });
+    }
+
+    /**
+     * Applies the choice made in the conflict dialog
+     * @param {Object} conflict - Conflicting file and this tab's content
+     * @param {string} choice - 'reload', 'overwrite' or 'copy'
+     * @private
+     */
+    resolveFileConflict(conflict, choice) {
+        try {
+            const file = this.model.resolveFileConflict(conflict, choice, conflict.content);
+
+            // The conflicting file's tab shows the stored version from now on
+            const original = this.model.fileSystem.getItem(conflict.fileId);
+            if (original) {
+                this.view.setSessionContent(original.id, original.content);
+            }
+            if (file && file.id !== conflict.fileId) {
+                this.model.openFile(file.id);
+                this.view.selectedItemId = file.id;
+            }
+            this.view.update(this.model);
+            this.rerenderCurrentFile();
+
+            const messages = {
+                reload: conflict.deleted ? `Discarded your changes to "${conflict.name}"` : `Reloaded "${conflict.name}" from the other tab`,
+                overwrite: `Saved your version of "${conflict.name}"`,
+                copy: `Saved your version as "${file ? file.name : conflict.name}"`
+            };
+            this.view.showNotification(messages[choice], choice === 'reload' ? 'info' : 'success');
+        } catch (error) {
+            console.error('Resolving conflict failed:', error);
+            this.view.showNotification(`Failed to resolve the conflict: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Handles project export
+     * @private
+     */
+    async handleExportProject() {
+        try {
+            const blob = await this.model.exportCurrentProject();
+            if (blob) {
+                const url = URL.createObjectURL(blob);
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = `${this.model.getCurrentProject().name}.json`;
+                document.body.appendChild(a);
+                a.click();
+                document.body.removeChild(a);
+                URL.revokeObjectURL(url);
+                this.view.showNotification('Project exported successfully!', 'success');
+            }
+        } catch (error) {
+            console.error('Export failed:', error);
+            this.view.showNotification('Failed to export project', 'error');
+        }
+    }
+
+    /**
+     * Handles project import
+     * @private
+     */
+    handleImportProject() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json';
+        input.onchange = (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                const reader = new FileReader();
+                reader.onload = (event) => {
+                    let data;
+                    try {
+                        data = JSON.parse(event.target.result);
+                    } catch (error) {
+                        console.error('Import failed:', error);
+                        this.view.showNotification('Failed to import project: the file is not valid JSON', 'error');
+                        return;
+                    }
+                    this.pendingImport = { kind: 'json', data };
+                    this.view.showImportModal(data.name || file.name);
+                };
+                reader.readAsText(file);
+            }
+        };
+        input.click();
+    }
+
+    /**
+     * Handles exporting the current project as a ZIP of plain files
+     * @private
+     */
+    async handleExportProjectZip() {
+        const project = this.model.getCurrentProject();
+        if (!project) {
+            return;
+        }
+
+        const includeManifest = confirm('Include a project.json manifest? It keeps item order and project settings when the ZIP is imported again.');
+        try {
+            const blob = await createProjectArchive(this.model.fileSystem.exportProjectData(project.id), { includeManifest });
+            this.downloadBlob(blob, `${project.name}.zip`, 'application/zip');
+            this.view.showNotification('Project exported as ZIP!', 'success');
+        } catch (error) {
+            console.error('ZIP export failed:', error);
+            this.view.showNotification(`Failed to export ZIP: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Handles opening the batch export dialog for a folder or project
+     * @param {string} [folderId='root'] - Folder to export, 'root' for the whole project
+     * @param {string} [projectId] - Project identifier (defaults to the current project)
+     * @public
+     */
+    handleShowExportDiagrams(folderId = 'root', projectId = null) {
+        const project = this.model.getCurrentProject();
+        const targetProjectId = projectId || (project && project.id);
+        if (!targetProjectId) {
+            return;
+        }
+
+        this.flushAutoSave();
+        let exportInfo;
+        try {
+            exportInfo = this.model.getDiagramExport(targetProjectId, folderId);
+        } catch (error) {
+            this.view.showNotification(`Failed to export diagrams: ${error.message}`, 'error');
+            return;
+        }
+
+        if (exportInfo.diagrams.length === 0) {
+            this.view.showNotification(`No Mermaid or PlantUML diagrams in "${exportInfo.name}"`, 'warning');
+            return;
+        }
+
+        this.view.showExportDiagramsDialog({
+            projectId: targetProjectId,
+            folderId,
+            name: exportInfo.name,
+            count: exportInfo.diagrams.length
+        });
+    }
+
+    /**
+     * Renders every diagram of a folder or project and downloads the images
+     * as a ZIP. Diagrams that fail are listed in the export dialog.
+     * @param {{projectId: string, folderId: string}} target - What the dialog was opened for
+     * @param {Array<string>} formats - 'svg' and/or 'png'
+     * @returns {Promise<void>}
+     * @public
+     */
+    async handleExportDiagrams(target, formats) {
+        const dialog = this.view.exportDiagramsDialog;
+        let exportInfo;
+        try {
+            exportInfo = this.model.getDiagramExport(target.projectId, target.folderId);
+        } catch (error) {
+            this.view.showNotification(`Failed to export diagrams: ${error.message}`, 'error');
+            return;
+        }
+
+        const { name, diagrams } = exportInfo;
+        const images = [];
+        const failures = [];
+        dialog.setBusy(true);
+
+        try {
+            for (const [index, diagram] of diagrams.entries()) {
+                dialog.setProgress(index, diagrams.length, diagram.path);
+
+                let svg;
+                try {
+                    svg = (await this.view.renderingEngine.renderForExport(diagram.content, diagram.type)).svg;
+                } catch (error) {
+                    failures.push({ path: diagram.path, reason: error.message });
+                    continue;
+                }
+
+                if (formats.includes('svg')) {
+                    images.push({ path: diagram.path, format: 'svg', data: svg });
+                }
+                if (formats.includes('png')) {
+                    try {
+                        images.push({ path: diagram.path, format: 'png', data: await this.convertSvgToPng(svg) });
+                    } catch (error) {
+                        failures.push({ path: diagram.path, reason: `PNG conversion failed: ${error.message}` });
+                    }
+                }
+            }
+
+            if (images.length > 0) {
+                const blob = await createDiagramArchive(images);
+                this.downloadBlob(blob, `${name}-diagrams.zip`, 'application/zip');
+            }
+            dialog.showResults(images.length, failures);
+
+            const exported = `${images.length} image${images.length === 1 ? '' : 's'}`;
+            if (images.length === 0) {
+                this.view.showNotification('No diagram could be exported', 'error');
+            } else if (failures.length > 0) {
+                this.view.showNotification(`Exported ${exported}, ${failures.length} failed`, 'warning');
+            } else {
+                this.view.showNotification(`Exported ${exported} to "${name}-diagrams.zip"`, 'success');
+            }
+        } catch (error) {
+            console.error('Diagram export failed:', error);
+            this.view.showNotification(`Failed to export diagrams: ${error.message}`, 'error');
+        } finally {
+            dialog.setProgress(0, 0);
+            dialog.setBusy(false);
+        }
+    }
+
+    /**
+     * Handles importing a ZIP archive of project files
+     * @private
+     */
+    handleImportArchive() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.zip,application/zip';
+        input.onchange = async (e) => {
+            const file = e.target.files[0];
+            if (!file) {
+                return;
+            }
+
+            try {
+                const data = await readProjectArchive(file, file.name.replace(/\.zip$/i, ''));
+                this.queueEntriesImport(data);
+            } catch (error) {
+                console.error('ZIP import failed:', error);
+                this.view.showNotification(`Failed to read ZIP: ${error.message}`, 'error');
+            }
+        };
+        input.click();
+    }
+
+    /**
+     * Handles importing a local folder of project files
+     * @private
+     */
+    handleImportFolder() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.webkitdirectory = true;
+        input.multiple = true;
+        input.onchange = async (e) => {
+            if (!e.target.files.length) {
+                return;
+            }
+
+            try {
+                this.queueEntriesImport(await readDirectoryFiles(e.target.files));
+            } catch (error) {
+                console.error('Folder import failed:', error);
+                this.view.showNotification(`Failed to read folder: ${error.message}`, 'error');
+            }
+        };
+        input.click();
+    }
+
+    /**
+     * Handles files and directories dropped from the desktop onto the tree.
+     * Must be called from the drop event handler.
+     * @param {string} folderId - Folder the files were dropped on
+     * @param {DataTransfer} dataTransfer - Drop event data
+     * @public
+     */
+    async handleExternalDrop(folderId, dataTransfer) {
+        let data;
+        try {
+            data = await readDroppedItems(dataTransfer);
+        } catch (error) {
+            console.error('Reading dropped files failed:', error);
+            this.view.showNotification(`Failed to read dropped files: ${error.message}`, 'error');
+            return;
+        }
+        await this.importExternalFiles(folderId, data);
+    }
+
+    /**
+     * Opens a multi-file picker and imports the chosen files into a folder
+     * @param {string} [folderId='root'] - Target folder
+     * @public
+     */
+    handleImportFiles(folderId = 'root') {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.multiple = true;
+        input.accept = IMPORTABLE_EXTENSIONS.map(extension => '.' + extension).join(',');
+        input.onchange = async (e) => {
+            if (!e.target.files.length) {
+                return;
+            }
+            try {
+                await this.importExternalFiles(folderId, await readFileList(e.target.files));
+            } catch (error) {
+                console.error('File import failed:', error);
+                this.view.showNotification(`Failed to import files: ${error.message}`, 'error');
+            }
+        };
+        input.click();
+    }
+
+    /**
+     * Imports file entries into a folder, asking how to resolve name conflicts
+     * @param {string} folderId - Target folder
+     * @param {Object} data - Entries from readDroppedItems()/readFileList()
+     * @private
+     */
+    async importExternalFiles(folderId, data) {
+        if (data.files.length === 0 && data.folders.length === 0) {
+            this.view.showNotification('No diagram, Markdown or text files found to import', 'warning');
+            return;
+        }
+
+        let choiceForAll = null;
+        const resolveConflict = async (path, existing) => {
+            if (choiceForAll && (choiceForAll !== 'overwrite' || existing.type === 'file')) {
+                return choiceForAll;
+            }
+            const { choice, applyToAll } = await this.view.askImportConflict(path, existing.type === 'file');
+            if (applyToAll) {
+                choiceForAll = choice;
+            }
+            return choice;
+        };
+
+        const summary = await this.model.importExternalFiles(folderId, data, resolveConflict);
+        this.view.update(this.model);
+
+        const labels = { mermaid: 'Mermaid', plantuml: 'PlantUML', markdown: 'Markdown', text: 'Text' };
+        const counts = {};
+        [...summary.imported, ...summary.overwritten].forEach(item => {
+            const label = labels[item.fileType] || 'Text';
+            counts[label] = (counts[label] || 0) + 1;
+        });
+        const total = summary.imported.length + summary.overwritten.length;
+        const parts = [`Imported ${total} file${total === 1 ? '' : 's'}`];
+        if (total > 0) {
+            parts[0] += ` (${Object.entries(counts).map(([label, count]) => `${count} ${label}`).join(', ')})`;
+        }
+        if (summary.skipped.length > 0) {
+            parts.push(`${summary.skipped.length} skipped`);
+        }
+        if (summary.failed.length > 0) {
+            parts.push(`${summary.failed.length} failed`);
+            console.warn('Import failures:', summary.failed);
+        }
+
+        const type = summary.failed.length > 0 ? 'warning' : total > 0 ? 'success' : 'info';
+        this.view.showNotification(parts.join('; '), type);
+    }
+
+    /**
+     * Stores file entries for the import dialog and opens it
+     * @param {Object} data - Entries from readProjectArchive()/readDirectoryFiles()
+     * @private
+     */
+    queueEntriesImport(data) {
+        if (data.files.length === 0 && data.folders.length === 0) {
+            this.view.showNotification('No diagram, Markdown or text files found to import', 'warning');
+            return;
+        }
+        if (data.skipped.length > 0) {
+            this.view.showNotification(`${data.skipped.length} unsupported file(s) will be skipped`, 'info');
+        }
+
+        this.pendingImport = { kind: 'entries', data };
+        this.view.showImportModal(`${data.name} (${data.files.length} file${data.files.length === 1 ? '' : 's'})`);
+    }
+
+    /**
+     * Imports the pending project data using the mode chosen in the import dialog
+     * @private
+     */
+    handleImportConfirm() {
+        if (!this.pendingImport) {
+            return;
+        }
+
+        const mode = this.view.getImportMode();
+        if (mode === 'new' && !this.confirmLeaveProject()) {
+            return;
+        }
+
+        const { kind, data } = this.pendingImport;
+        try {
+            const project = kind === 'entries'
+                ? this.model.importFileEntries(data, { mode }).project
+                : this.model.importProject(data, { mode });
+            this.view.hideImportModal();
+            this.view.selectedItemId = null;
+            this.view.applySettings(this.model.getSettings());
+            this.view.update(this.model);
+            this.view.showNotification(mode === 'merge'
+                ? `Merged into "${project.name}"`
+                : `Project "${project.name}" imported successfully!`, 'success');
+        } catch (error) {
+            console.error('Import failed:', error);
+            this.view.showNotification(`Failed to import project: ${error.message}`, 'error');
+        } finally {
+            this.pendingImport = null;
+        }
+    }
+
+    /**
+     * Handles new file creation
+     * @param {string} [parentPath='/'] - Parent path for new file
+     * @private
+     */
+    handleNewFile(parentPath = '/') {
+        this.view.fileTemplatesPanel.render(this.model.getFileTemplates());
+        this.view.showFileTypeModal(parentPath);
+    }
+
+    /**
+     * Handles new folder creation
+     * @private
+     */
+    handleNewFolder() {
+        this.handleNewFolderFromContext(null);
+    }
+
+    /**
+     * Handles new folder creation from context menu
+     * @param {string} targetId - Target folder/item ID
+     * @private
+     */
+    handleNewFolderFromContext(targetId) {
+        let parentPath = '/';
+        if (targetId) {
+            const item = this.model.fileSystem.getItem(targetId);
+            if (item) {
+                parentPath = item.type === 'folder' ? item.path : item.path.substring(0, item.path.lastIndexOf('/')) || '/';
+            }
+        }
+        
+        const folderName = prompt('Enter folder name:', 'new-folder');
+        if (folderName && folderName.trim()) {
+            try {
+                this.model.createFolder(folderName.trim(), parentPath);
+                this.view.update(this.model);
+                this.view.showNotification(`Folder "${folderName}" created!`, 'success');
+            } catch (error) {
+                console.error('Folder creation failed:', error);
+                this.view.showNotification(`Failed to create folder: ${error.message}`, 'error');
+            }
+        }
+    }
+
+    /**
+     * Handles file creation from context menu
+     * @param {string} targetId - Target folder/item ID
+     * @private
+     */
+    handleNewFileFromContext(targetId) {
+        let parentPath = '/';
+        if (targetId) {
+            const item = this.model.fileSystem.getItem(targetId);
+            if (item) {
+                parentPath = item.type === 'folder' ? item.path : item.path.substring(0, item.path.lastIndexOf('/')) || '/';
+            }
+        }
+        
+        this.handleNewFile(parentPath);
+    }
+
+    /**
+     * Handles creating a file from a template, using the location and name
+     * entered in the new file dialog
+     * @param {string} templateId - Template identifier
+     * @param {Object<string, string>} [values={}] - Placeholder values by name
+     * @public
+     */
+    handleCreateFileFromTemplate(templateId, values = {}) {
+        if (!this.view.elements.fileLocation || !this.view.elements.fileNameInput) {
+            return;
+        }
+        
+        const parentPath = this.view.elements.fileLocation.value;
+        const fileName = this.view.elements.fileNameInput.value.trim();
+        
+        if (!fileName) {
+            this.view.showNotification('Please enter a file name', 'warning');
+            return;
+        }
+        
+        try {
+            this.model.createFileFromTemplate(templateId, fileName, parentPath, values);
             this.view.update(this.model);
             this.view.showNotification(`File "${fileName}" created!`, 'success');
             // Hide modal
@@ -436,100 +1777,430 @@ export class DiagramController {
             }
         } catch (error) {
             console.error('File creation failed:', error);
-            this.view.showNotification('Failed to create file', 'error');
+            this.view.showNotification(`Failed to create file: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Handles saving a file as a template, including unsaved editor changes
+     * @param {string} [fileId] - File identifier (defaults to the current file)
+     * @public
+     */
+    handleSaveFileAsTemplate(fileId = null) {
+        const currentFile = this.model.getCurrentFile();
+        const file = fileId ? this.model.fileSystem.getItem(fileId) : currentFile;
+        if (!file || file.type !== 'file') {
+            this.view.showNotification('Open a file to save it as a template', 'warning');
+            return;
+        }
+
+        const name = prompt('Template name:', file.name.replace(/\.[^/.]+$/, ''));
+        if (name === null) {
+            return;
+        }
+
+        try {
+            const template = this.model.saveFileAsTemplate(file.id, name, this.view.getSessionContent(file.id));
+            this.view.showNotification(`Saved template "${template.name}"`, 'success');
+        } catch (error) {
+            this.view.showNotification(`Failed to save template: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Handles deleting a saved file template
+     * @param {string} templateId - Template identifier
+     * @public
+     */
+    handleDeleteFileTemplate(templateId) {
+        const template = this.model.getFileTemplates().find(entry => entry.id === templateId);
+        if (!template || !confirm(`Delete the template "${template.name}"? Files created from it are not affected.`)) {
+            return;
+        }
+
+        try {
+            this.model.deleteFileTemplate(templateId);
+            this.view.fileTemplatesPanel.render(this.model.getFileTemplates());
+            this.view.showNotification(`Deleted template "${template.name}"`, 'success');
+        } catch (error) {
+            this.view.showNotification(error.message, 'error');
+        }
+    }
+
+    /**
+     * Handles downloading the saved file templates as a JSON library
+     * @public
+     */
+    handleExportFileTemplates() {
+        const data = this.model.exportFileTemplates();
+        if (data.templates.length === 0) {
+            this.view.showNotification('There are no saved templates to export', 'warning');
+            return;
+        }
+
+        this.downloadBlob(JSON.stringify(data, null, 2), 'file-templates.json', 'application/json');
+        this.view.showNotification(`Exported ${data.templates.length} template(s)`, 'success');
+    }
+
+    /**
+     * Handles importing a JSON template library
+     * @public
+     */
+    handleImportFileTemplates() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json';
+        input.onchange = (e) => {
+            const file = e.target.files[0];
+            if (!file) {
+                return;
+            }
+
+            const reader = new FileReader();
+            reader.onload = (event) => {
+                try {
+                    const created = this.model.importFileTemplates(JSON.parse(event.target.result));
+                    this.view.fileTemplatesPanel.render(this.model.getFileTemplates());
+                    this.view.showNotification(`Imported ${created.length} template(s)`, 'success');
+                } catch (error) {
+                    console.error('Template import failed:', error);
+                    const message = error instanceof SyntaxError ? 'the file is not valid JSON' : error.message;
+                    this.view.showNotification(`Failed to import templates: ${message}`, 'error');
+                }
+            };
+            reader.readAsText(file);
+        };
+        input.click();
+    }
+
+    /**
+     * Gets default file name for a type
+     * @param {string} type - File type
+     * @returns {string} Default filename
+     * @public
+     */
+    getDefaultFileName(type) {
+        const defaults = {
+            mermaid: 'diagram.mmd',
+            plantuml: 'diagram.puml',
+            txt: 'document.txt',
+            md: 'README.md'
+        };
+        return defaults[type] || 'new-file.txt';
+    }
+
+    /**
+     * Handles file saving
+     * @param {Object|null} [file] - File to save (defaults to the current file)
+     * @private
+     */
+    handleSaveFile(file = this.model.getCurrentFile()) {
+        if (this.view.editor && file) {
+            this.saveEditorContent(file.id);
+            this.view.showNotification('File saved successfully!', 'success');
+        }
+    }
+
+    /**
+     * Handles a project-wide search from the search sidebar
+     * @param {string} query - Search text or pattern
+     * @param {Object} options - caseSensitive, wholeWord, regex, include and exclude globs
+     * @returns {Object} Matches grouped by file
+     * @throws {SyntaxError} If a regex query is invalid
+     * @public
+     */
+    handleProjectSearch(query, options) {
+        return this.model.searchProject(query, options, this.getUnsavedContent());
+    }
+
+    /**
+     * Returns the editor content of open tabs with unsaved changes, which
+     * search and replace use instead of the stored content
+     * @returns {Object<string, string>} Content by file id
+     * @private
+     */
+    getUnsavedContent() {
+        const content = {};
+        this.model.getOpenFiles()
+            .filter(file => this.isFileModified(file))
+            .forEach(file => {
+                content[file.id] = this.view.getSessionContent(file.id);
+            });
+        return content;
+    }
+
+    /**
+     * Handles "Replace All" by showing a preview of every replacement
+     * @param {string} query - Search text or pattern
+     * @param {Object} options - caseSensitive, wholeWord, regex, include and exclude globs
+     * @param {string} replacement - Replacement text
+     * @public
+     */
+    handleReplaceAll(query, options, replacement) {
+        try {
+            const plan = this.model.planProjectReplace(query, options, replacement, this.getUnsavedContent());
+            if (plan.total === 0) {
+                this.view.showNotification('No matches to replace', 'info');
+                return;
+            }
+            this.view.showReplacePreview(plan);
+        } catch (error) {
+            console.error('Error preparing replace:', error);
+            this.view.showNotification(`Failed to prepare replace: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Handles replacing a single search match
+     * @param {string} fileId - File identifier
+     * @param {Object} match - Search match
+     * @param {string} query - Search text or pattern
+     * @param {Object} options - Options the search was run with
+     * @param {string} replacement - Replacement text
+     * @public
+     */
+    handleReplaceMatch(fileId, match, query, options, replacement) {
+        const planned = { ...match, replacement: getReplacementText(match.text, match, query, replacement, options) };
+        this.handleApplyReplace([{ fileId, matches: [planned] }]);
+    }
+
+    /**
+     * Handles applying accepted replacements as one undoable batch
+     * @param {Array<{fileId: string, matches: Array<Object>}>} edits - Matches to replace, by file
+     * @public
+     */
+    handleApplyReplace(edits) {
+        if (edits.length === 0) {
+            return;
+        }
+
+        // The matches were found in the editor content of open tabs
+        const currentFile = this.model.getCurrentFile();
+        const touchesCurrent = currentFile && edits.some(edit => edit.fileId === currentFile.id);
+        edits.forEach(edit => {
+            const file = this.model.fileSystem.getItem(edit.fileId);
+            if (file && this.isFileModified(file)) {
+                this.saveEditorContent(edit.fileId);
+            }
+        });
+
+        try {
+            const result = this.model.applyProjectReplace(edits);
+            this.view.update(this.model);
+            if (touchesCurrent) {
+                this.view.renderDiagram(currentFile.content);
+            }
+
+            const message = `Replaced ${result.replaced} occurrence${result.replaced === 1 ? '' : 's'} in ${result.files} file${result.files === 1 ? '' : 's'}`;
+            if (result.skipped.length > 0) {
+                this.view.showNotification(`${message}. Skipped files changed since the preview: ${result.skipped.join(', ')}`, 'warning');
+            } else {
+                this.view.showNotification(message, 'success');
+            }
+        } catch (error) {
+            console.error('Error replacing:', error);
+            this.view.showNotification(`Failed to replace: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Handles undoing the last replace batch
+     * @public
+     */
+    handleUndoReplace() {
+        // Unsaved edits count as changes made after the replace
+        const currentFile = this.model.getCurrentFile();
+        this.saveOpenFiles();
+
+        const result = this.model.undoLastReplace();
+        this.view.update(this.model);
+        if (currentFile) {
+            this.view.renderDiagram(currentFile.content);
+        }
+
+        if (result.skipped.length > 0) {
+            this.view.showNotification(`Restored ${result.restored} file${result.restored === 1 ? '' : 's'}. Left files edited since the replace unchanged: ${result.skipped.join(', ')}`, 'warning');
+        } else {
+            this.view.showNotification(`Undid replace in ${result.restored} file${result.restored === 1 ? '' : 's'}`, 'success');
+        }
+    }
+
+    /**
+     * Handles opening a search result and selecting the match in the editor
+     * @param {string} fileId - File identifier
+     * @param {number} line - 1-based line number
+     * @param {number} column - 0-based column
+     * @param {number} length - Length of the match
+     * @public
+     */
+    handleOpenSearchResult(fileId, line, column, length) {
+        const file = this.model.fileSystem.getItem(fileId);
+        if (!file || file.type !== 'file') {
+            this.view.showNotification('This file no longer exists', 'warning');
+            return;
+        }
+
+        const currentFile = this.model.getCurrentFile();
+        if (!currentFile || currentFile.id !== fileId) {
+            this.showFile(fileId);
         }
+
+        this.view.revealEditorRange(line, column, length);
     }
 
     /**
-     * Gets default file name for a type
-     * @param {string} type - File type
-     * @returns {string} Default filename
+     * Handles showing the version history of a file
+     * @param {string} [fileId] - File identifier (defaults to the current file)
      * @public
      */
-    getDefaultFileName(type) {
-        const defaults = {
-            mermaid: 'diagram.mmd',
-            plantuml: 'diagram.puml',
-            txt: 'document.txt',
-            md: 'README.md'
-        };
-        return defaults[type] || 'new-file.txt';
+    handleShowHistory(fileId = null) {
+        const currentFile = this.model.getCurrentFile();
+        const targetId = fileId || (currentFile ? currentFile.id : null);
+        const file = targetId ? this.model.fileSystem.getItem(targetId) : null;
+
+        if (!file || file.type !== 'file') {
+            this.view.showNotification('Select a file to view its history', 'warning');
+            return;
+        }
+
+        // Compare against unsaved editor content when the file is open
+        const sessionContent = this.view.getSessionContent(file.id);
+        const currentContent = sessionContent !== null ? sessionContent : file.content;
+
+        this.view.showHistoryPanel(file, this.model.getFileVersions(file.id), currentContent);
     }
 
     /**
-     * Gets template content for a file type
-     * @param {string} type - File type
-     * @returns {string} Template content
-     * @private
-     */
-    getFileTemplate(type) {
-        const templates = {
-            mermaid: `graph TD
-    A[Start] --> B{Decision}
-    B -->|Yes| C[Action 1]
-    B -->|No| D[Action 2]
-    C --> E[End]
-    D --> E
-
-%% Welcome to Mermaid!
-%% This is a flowchart template
-%% Learn more at: https://mermaid-js.github.io/`,
-
-            plantuml: `@startuml
-actor User
-User --> (Login)
-User --> (Logout)
-
-rectangle System {
-  (Login) --> (Validate Credentials)
-  (Validate Credentials) --> (Show Dashboard)
-  (Show Dashboard) --> (Logout)
-}
-@enduml
-
-' Welcome to PlantUML!
-' This is a basic use case diagram template
-' Learn more at: https://plantuml.com/`,
+     * Handles restoring a file version
+     * @param {string} fileId - File identifier
+     * @param {string} versionId - Version identifier
+     * @public
+     */
+    handleRestoreVersion(fileId, versionId) {
+        const file = this.model.fileSystem.getItem(fileId);
+        if (!file || !confirm(`Restore this version of "${file.name}"? The current content will be kept in the history.`)) {
+            return;
+        }
 
-            txt: `This is a plain text file.
+        const currentFile = this.model.getCurrentFile();
+        const isCurrent = currentFile && currentFile.id === fileId;
 
-You can write any text content here.
+        // Keep unsaved editor changes in the history before replacing them
+        if (this.isFileModified(file)) {
+            this.saveEditorContent(fileId);
+        }
 
-Created with Diagram IDE.`,
+        const restored = this.model.restoreFileVersion(fileId, versionId);
+        if (!restored) {
+            this.view.showNotification('Version not found', 'error');
+            return;
+        }
 
-            md: `# Document Title
+        this.view.historyPanel.hide();
+        this.view.update(this.model);
+        if (isCurrent) {
+            this.view.renderDiagram(restored.content);
+        }
+        this.view.showNotification(`Restored a previous version of "${file.name}"`, 'success');
+    }
 
-## Introduction
+    /**
+     * Handles File → Checkpoints…
+     * @public
+     */
+    handleShowCheckpoints() {
+        if (!this.model.getCurrentProject()) {
+            this.view.showNotification('Open a project to manage its checkpoints', 'warning');
+            return;
+        }
 
-This is a Markdown file created with Diagram IDE.
+        // Pending autosave changes are part of the current state
+        this.flushAutoSave();
+        this.view.showCheckpointsPanel(this.model.getCheckpoints());
+    }
 
-## Features
+    /**
+     * Handles creating a checkpoint from the checkpoints dialog
+     * @param {string} name - Checkpoint name
+     * @public
+     */
+    handleCreateCheckpoint(name) {
+        try {
+            const checkpoint = this.model.createCheckpoint(name);
+            this.view.elements.checkpointNameInput.value = '';
+            this.view.checkpointsPanel.refresh(this.model.getCheckpoints(), checkpoint.id);
+            this.view.showNotification(`Created checkpoint "${checkpoint.name}"`, 'success');
+        } catch (error) {
+            this.view.showNotification(error.message, 'error');
+        }
+    }
 
-- Easy to read and write
-- Supports formatting
-- Great for documentation
+    /**
+     * Compares a checkpoint with the current state of the project
+     * @param {string} checkpointId - Checkpoint identifier
+     * @returns {Promise<Object|null>} Added, removed and changed files, or null if the
+     *          checkpoint was not found or could not be loaded
+     * @public
+     */
+    async handleCompareCheckpoint(checkpointId) {
+        try {
+            return await this.model.compareCheckpoint(checkpointId);
+        } catch (error) {
+            console.error('Loading checkpoint failed:', error);
+            return null;
+        }
+    }
 
-## Code Example
+    /**
+     * Handles deleting a checkpoint
+     * @param {string} checkpointId - Checkpoint identifier
+     * @public
+     */
+    handleDeleteCheckpoint(checkpointId) {
+        const checkpoint = this.model.getCheckpoints().find(entry => entry.id === checkpointId);
+        if (!checkpoint || !confirm(`Delete checkpoint "${checkpoint.name}"? This cannot be undone.`)) {
+            return;
+        }
 
-\`\`\`javascript
-console.log('Hello, World!');
-\`\`\`
+        this.model.deleteCheckpoint(checkpointId);
+        this.view.checkpointsPanel.refresh(this.model.getCheckpoints());
+        this.view.showNotification(`Deleted checkpoint "${checkpoint.name}"`, 'success');
+    }
 
-Learn more about Markdown: [Markdown Guide](https://www.markdownguide.org/)`
-        };
+    /**
+     * Handles restoring a checkpoint. Unsaved editor changes are saved first,
+     * so they are part of the checkpoint holding the replaced state.
+     * @param {string} checkpointId - Checkpoint identifier
+     * @returns {Promise<void>}
+     * @public
+     */
+    async handleRestoreCheckpoint(checkpointId) {
+        const checkpoint = this.model.getCheckpoints().find(entry => entry.id === checkpointId);
+        if (!checkpoint || !confirm(`Restore checkpoint "${checkpoint.name}"? All files of the project are replaced; the current state is saved as a checkpoint first.`)) {
+            return;
+        }
 
-        return templates[type] || '';
+        this.saveOpenFiles();
+        try {
+            const backup = await this.model.restoreCheckpoint(checkpointId);
+            this.view.checkpointsPanel.hide();
+            this.view.update(this.model);
+            this.rerenderCurrentFile();
+            this.view.showNotification(backup
+                ? `Restored "${checkpoint.name}". The previous state is saved as "${backup.name}".`
+                : `Restored "${checkpoint.name}"`, 'success');
+        } catch (error) {
+            this.view.showNotification(error.message, 'error');
+        }
     }
 
     /**
-     * Handles file saving
-     * @private
+     * Snapshots the editor content before the AI assistant replaces it
+     * @public
      */
-    handleSaveFile() {
+    handleBeforeAIInsert() {
         if (this.view.editor) {
-            const content = this.view.editor.getValue();
-            this.model.saveCurrentFile(content);
-            this.view.showNotification('File saved successfully!', 'success');
+            this.model.snapshotCurrentFile(this.view.editor.getValue(), 'ai-insert');
         }
     }
 
@@ -538,12 +2209,13 @@ Learn more about Markdown: [Markdown Guide](https://www.markdownguide.org/)`
      * @private
      */
     handleDeleteFile() {
-        if (confirm('Are you sure you want to delete this file?')) {
-            const fileId = this.model.getCurrentFile()?.id;
-            if (fileId) {
-                this.model.deleteItem(fileId);
+        if (confirm('Move this file to the Trash?')) {
+            const file = this.model.getCurrentFile();
+            if (file) {
+                this.saveOpenFilesIn(file);
+                this.model.deleteItem(file.id);
                 this.view.update(this.model);
-                this.view.showNotification('File deleted!', 'success');
+                this.view.showNotification('File moved to Trash', 'success');
             }
         }
     }
@@ -582,180 +2254,238 @@ Learn more about Markdown: [Markdown Guide](https://www.markdownguide.org/)`
     }
 
     /**
-     * Handles item deletion
-     * @private
+     * Opens the "Move to" dialog for an item
+     * @param {string} [itemId] - Item identifier (defaults to the context menu target)
+     * @public
      */
-    handleDeleteItem(itemId = null) {
+    handleMoveItemPrompt(itemId = null) {
         const targetId = itemId || this.view.contextMenuTarget;
-        if (!targetId) {
+        const item = targetId ? this.model.fileSystem.getItem(targetId) : null;
+        if (!item || targetId === 'root') {
             return;
         }
 
-        const item = this.model.fileSystem.getItem(targetId);
-        if (item && confirm(`Are you sure you want to delete "${item.name}"?`)) {
-            this.model.deleteItem(targetId);
+        const folders = this.model.fileSystem.getMoveTargets(targetId);
+        this.movingItemId = targetId;
+        this.view.showMoveModal(item, folders, this.model.fileSystem.getParentId(targetId));
+    }
+
+    /**
+     * Handles a drop in the project tree
+     * @param {string} draggedId - Dragged item identifier
+     * @param {string} targetId - Tree item the item was dropped on
+     * @param {string} position - 'before', 'after' or 'inside'
+     * @public
+     */
+    handleTreeDrop(draggedId, targetId, position) {
+        const target = this.model.fileSystem.getItem(targetId);
+        if (!target || draggedId === targetId) {
+            return;
+        }
+
+        if (position === 'inside' && target.type === 'folder') {
+            this.handleMoveItem(draggedId, targetId);
+            return;
+        }
+
+        const parentId = this.model.fileSystem.getParentId(targetId);
+        const parent = parentId ? this.model.fileSystem.getItem(parentId) : null;
+        if (!parent) {
+            return;
+        }
+
+        // Index among the siblings once the dragged item has been taken out
+        const siblings = parent.children.filter(childId => childId !== draggedId);
+        const index = siblings.indexOf(targetId) + (position === 'after' ? 1 : 0);
+        this.handleMoveItem(draggedId, parentId, index);
+    }
+
+    /**
+     * Moves an item into a folder and refreshes the tree
+     * @param {string} itemId - Item identifier
+     * @param {string} targetFolderId - Destination folder identifier
+     * @param {number|null} [index=null] - Position among the destination's children
+     * @public
+     */
+    handleMoveItem(itemId, targetFolderId, index = null) {
+        try {
+            const item = this.model.moveItem(itemId, targetFolderId, index);
             this.view.update(this.model);
-            this.view.showNotification('Item deleted!', 'success');
+            const target = this.model.fileSystem.getItem(targetFolderId);
+            this.view.showNotification(`Moved "${item.name}" to ${target.path || '/'}`, 'success');
+        } catch (error) {
+            this.view.showNotification(error.message, 'error');
         }
     }
 
     /**
-     * Handles SVG download for a file
-     * @param {string} fileId - File ID to download as SVG
+     * Duplicates a file or folder next to the original
+     * @param {string} [itemId] - Item identifier (defaults to the context menu target)
      * @public
      */
-    async handleDownloadSVG(fileId) {
-        const content = this.view.getCurrentDiagramContent();
-        if (!content) {
-            this.view.showNotification('No diagram available for SVG export', 'warning');
+    handleDuplicateItem(itemId = null) {
+        const targetId = itemId || this.view.contextMenuTarget;
+        if (!targetId || targetId === 'root') {
+            this.view.showNotification('Select a file or folder to duplicate', 'warning');
             return;
         }
 
         try {
-            const result = await this.renderDiagramForDownload(content, 'svg');
-            if (result && result.content) {
-                const filename = this.sanitizeDownloadFilename(fileId, 'svg');
-                this.downloadBlob(result.content, filename, 'image/svg+xml');
-                this.view.showNotification('SVG downloaded successfully!', 'success');
-            } else {
-                this.view.showNotification('Failed to generate SVG', 'error');
-            }
+            const copy = this.model.duplicateItem(targetId);
+            this.view.update(this.model);
+            this.view.showNotification(`Created "${copy.name}"`, 'success');
         } catch (error) {
-            console.error('SVG download failed:', error);
-            this.view.showNotification('Failed to download SVG', 'error');
+            this.view.showNotification(error.message, 'error');
         }
     }
 
     /**
-     * Handles PNG download for a file
-     * @param {string} fileId - File ID to download as PNG
+     * Puts a file or folder on the tree clipboard
+     * @param {string} [itemId] - Item identifier (defaults to the context menu target)
      * @public
      */
-    async handleDownloadPNG(fileId) {
-        const content = this.view.getCurrentDiagramContent();
-        if (!content) {
-            this.view.showNotification('No diagram available for PNG export', 'warning');
+    handleCopyItem(itemId = null) {
+        const targetId = itemId || this.view.contextMenuTarget;
+        const item = targetId && targetId !== 'root' ? this.model.fileSystem.getItem(targetId) : null;
+        if (!item) {
+            this.view.showNotification('Select a file or folder to copy', 'warning');
             return;
         }
 
-        try {
-            let pngBlob = await this.renderDiagramAsPNG(content);
+        this.clipboardItemId = targetId;
+        this.view.showNotification(`Copied "${item.name}"`, 'info');
+    }
 
-            if (!pngBlob) {
-                const svgResult = await this.renderDiagramForDownload(content, 'svg');
-                if (svgResult && svgResult.content) {
-                    pngBlob = await this.convertSvgToPng(svgResult.content);
-                }
-            }
+    /**
+     * Pastes the clipboard item into a folder, or next to a file
+     * @param {string} [itemId] - Target item identifier (defaults to the context menu target)
+     * @public
+     */
+    handlePasteItem(itemId = null) {
+        if (!this.clipboardItemId || !this.model.fileSystem.getItem(this.clipboardItemId)) {
+            this.clipboardItemId = null;
+            this.view.showNotification('Nothing to paste', 'warning');
+            return;
+        }
 
-            if (pngBlob) {
-                const filename = this.sanitizeDownloadFilename(fileId, 'png');
-                this.downloadBlob(pngBlob, filename, 'image/png');
-                this.view.showNotification('PNG downloaded successfully!', 'success');
-            } else {
-                this.view.showNotification('Failed to generate PNG', 'error');
-            }
+        const targetId = itemId || this.view.contextMenuTarget || 'root';
+        const target = this.model.fileSystem.getItem(targetId);
+        const folderId = target && target.type === 'folder' ? targetId : this.model.fileSystem.getParentId(targetId);
+
+        try {
+            const copy = this.model.copyItem(this.clipboardItemId, folderId || 'root');
+            this.view.update(this.model);
+            this.view.showNotification(`Pasted "${copy.name}"`, 'success');
         } catch (error) {
-            console.error('PNG download failed:', error);
-            this.view.showNotification('Failed to download PNG', 'error');
+            this.view.showNotification(error.message, 'error');
         }
     }
 
     /**
-     * Generates a sanitized filename for downloads based on current file or timestamp
-     * @param {string} fileId - Original file ID
-     * @param {string} extension - Desired extension (svg/png)
-     * @returns {string} Download filename
-     * @private
+     * Handles Edit → Undo and Ctrl+Z in the project tree
+     * @public
      */
-    sanitizeDownloadFilename(fileId, extension) {
-        const file = this.model.fileSystem.getItem(fileId);
-        const baseName = file && file.name
-            ? file.name.replace(/\.[^/.]+$/, '')
-            : `diagram-${Date.now()}`;
+    handleUndoTreeOperation() {
+        this.runTreeHistory('undo');
+    }
 
-        return `${baseName}.${extension}`;
+    /**
+     * Handles Edit → Redo and Ctrl+Y in the project tree
+     * @public
+     */
+    handleRedoTreeOperation() {
+        this.runTreeHistory('redo');
     }
 
     /**
-     * Renders diagram directly as PNG using dedicated rendering
-     * @param {string} content - Diagram content
-     * @returns {Promise<Blob|null>} PNG blob or null if failed
+     * Undoes or redoes a project tree operation and refreshes the editor.
+     * Pending autosave changes are written first so files removed by the
+     * operation come back with them on redo.
+     * @param {string} direction - 'undo' or 'redo'
      * @private
      */
-    async renderDiagramAsPNG(content) {
-        const type = detectDiagramType(content);
+    runTreeHistory(direction) {
+        this.flushAutoSave();
+        const currentFile = this.model.getCurrentFile();
 
         try {
-            if (type === 'mermaid') {
-                return await this.renderMermaidAsPNG(content);
-            } else if (type === 'plantuml') {
-                return await this.renderPlantumlAsPNG(content);
+            const label = this.model[direction]();
+            if (!label) {
+                this.view.showNotification(`Nothing to ${direction} in the project tree`, 'info');
+                return;
             }
+            this.view.showNotification(`${direction === 'undo' ? 'Undid' : 'Redid'} ${label}`, 'success');
         } catch (error) {
-            console.warn('Dedicated PNG rendering failed:', error.message);
+            this.view.showNotification(error.message, 'error');
         }
 
-        return null; // Fallback to SVG conversion
+        this.view.update(this.model);
+        if (this.model.getCurrentFile() !== currentFile) {
+            this.rerenderCurrentFile();
+        }
     }
 
     /**
-     * Renders Mermaid diagram directly as PNG
-     * @param {string} content - Mermaid content
-     * @returns {Promise<Blob>} PNG blob
-     * @private
+     * Handles SVG download for a file
+     * @param {string} fileId - File ID to download as SVG
+     * @public
      */
-    async renderMermaidAsPNG(content) {
-        if (!window.mermaid) {
-            throw new Error('Mermaid library not loaded');
+    async handleDownloadSVG(fileId) {
+        const content = this.view.getCurrentDiagramContent();
+        if (!content) {
+            this.view.showNotification('No diagram available for SVG export', 'warning');
+            return;
         }
 
-        // Configure Mermaid for PNG export
-        window.mermaid.initialize(this.getMermaidConfig('default'));
+        try {
+            const { svg } = await this.view.renderingEngine.renderForExport(content, this.view.previewMode);
+            const filename = this.sanitizeDownloadFilename(fileId, 'svg');
+            this.downloadBlob(svg, filename, 'image/svg+xml');
+            this.view.showNotification('SVG downloaded successfully!', 'success');
+        } catch (error) {
+            console.error('SVG download failed:', error);
+            this.view.showNotification(`Failed to download SVG: ${error.message}`, 'error');
+        }
+    }
 
-        return new Promise((resolve, reject) => {
-            // Create a temporary container for rendering
-            const container = document.createElement('div');
-            container.style.position = 'absolute';
-            container.style.left = '-9999px';
-            container.style.top = '-9999px';
-            container.style.visibility = 'hidden';
-            document.body.appendChild(container);
-
-            const renderCallback = async (svgCode, bindFunctions) => {
-                try {
-                    // Convert SVG string to PNG using unified method
-                    const pngBlob = await this.convertSvgToPng(svgCode);
-                    document.body.removeChild(container);
-                    resolve(pngBlob);
-                } catch (error) {
-                    document.body.removeChild(container);
-                    reject(error);
-                }
-            };
+    /**
+     * Handles PNG download for a file
+     * @param {string} fileId - File ID to download as PNG
+     * @public
+     */
+    async handleDownloadPNG(fileId) {
+        const content = this.view.getCurrentDiagramContent();
+        if (!content) {
+            this.view.showNotification('No diagram available for PNG export', 'warning');
+            return;
+        }
 
-            // Generate unique ID for this render
-            const id = 'png-render-' + Date.now();
-            window.mermaid.render(id, content).then(({ svg, bindFunctions }) => {
-                renderCallback(svg, bindFunctions);
-            }).catch(reject);
-        });
+        try {
+            const { svg } = await this.view.renderingEngine.renderForExport(content, this.view.previewMode);
+            const pngBlob = await this.convertSvgToPng(svg);
+            const filename = this.sanitizeDownloadFilename(fileId, 'png');
+            this.downloadBlob(pngBlob, filename, 'image/png');
+            this.view.showNotification('PNG downloaded successfully!', 'success');
+        } catch (error) {
+            console.error('PNG download failed:', error);
+            this.view.showNotification(`Failed to download PNG: ${error.message}`, 'error');
+        }
     }
 
     /**
-     * Renders PlantUML diagram directly as PNG
-     * @param {string} content - PlantUML content
-     * @returns {Promise<Blob>} PNG blob
+     * Generates a sanitized filename for downloads based on current file or timestamp
+     * @param {string} fileId - Original file ID
+     * @param {string} extension - Desired extension (svg/png)
+     * @returns {string} Download filename
      * @private
      */
-    async renderPlantumlAsPNG(content) {
-        if (!window.plantumlEncoder) {
-            throw new Error('PlantUML encoder not loaded');
-        }
+    sanitizeDownloadFilename(fileId, extension) {
+        const file = this.model.fileSystem.getItem(fileId);
+        const baseName = file && file.name
+            ? file.name.replace(/\.[^/.]+$/, '')
+            : `diagram-${Date.now()}`;
 
-        // For PlantUML, we'll use the SVG approach since direct PNG might not be available
-        // This will be handled by the SVG fallback
-        return null;
+        return `${baseName}.${extension}`;
     }
 
     /**
@@ -764,11 +2494,12 @@ Learn more about Markdown: [Markdown Guide](https://www.markdownguide.org/)`
      * @param {Object} [options={}] - Conversion options
      * @param {number} [options.minWidth=800] - Minimum canvas width
      * @param {number} [options.minHeight=600] - Minimum canvas height
+     * @param {number} [options.scale] - Pixel ratio (defaults to the export scale setting)
      * @returns {Promise<Blob>} PNG blob
      * @private
      */
     async convertSvgToPng(svgInput, options = {}) {
-        const { minWidth = 800, minHeight = 600 } = options;
+        const { minWidth = 800, minHeight = 600, scale = this.model.getSettings().exportScale || 1 } = options;
 
         return new Promise((resolve, reject) => {
             const canvas = document.createElement('canvas');
@@ -797,16 +2528,17 @@ Learn more about Markdown: [Markdown Guide](https://www.markdownguide.org/)`
 
             if (viewBox) {
                 const [, , width, height] = viewBox.split(' ').map(Number);
-                canvas.width = Math.max(width, minWidth);
-                canvas.height = Math.max(height, minHeight);
+                canvas.width = Math.max(width, minWidth) * scale;
+                canvas.height = Math.max(height, minHeight) * scale;
             } else {
-                canvas.width = minWidth;
-                canvas.height = minHeight;
+                canvas.width = minWidth * scale;
+                canvas.height = minHeight * scale;
             }
 
             img.onload = () => {
                 try {
                     ctx.clearRect(0, 0, canvas.width, canvas.height);
+                    ctx.scale(scale, scale);
                     ctx.drawImage(img, 0, 0);
 
                     canvas.toBlob((blob) => {
@@ -854,24 +2586,6 @@ Learn more about Markdown: [Markdown Guide](https://www.markdownguide.org/)`
         URL.revokeObjectURL(url);
     }
 
-    /**
-     * Gets Mermaid configuration for rendering
-     * @param {string} [theme='default'] - Theme to use
-     * @returns {Object} Mermaid configuration object
-     * @private
-     */
-    getMermaidConfig(theme = 'default') {
-        return {
-            startOnLoad: false,
-            theme,
-            securityLevel: 'loose',
-            flowchart: {
-                useMaxWidth: true,
-                htmlLabels: true
-            }
-        };
-    }
-
     /**
      * Handles inline rename from tree view
      * @param {string} itemId - Item ID to rename
@@ -879,11 +2593,7 @@ Learn more about Markdown: [Markdown Guide](https://www.markdownguide.org/)`
      * @public
      */
     handleInlineRename(itemId, newName) {
-        if (!newName || !newName.trim()) {
-            throw new Error('Name cannot be empty');
-        }
-        
-        this.model.renameItem(itemId, newName.trim());
+        this.model.renameItem(itemId, newName);
         this.view.update(this.model);
         this.view.showNotification('Item renamed successfully!', 'success');
     }
@@ -902,7 +2612,7 @@ Learn more about Markdown: [Markdown Guide](https://www.markdownguide.org/)`
                 this.view.showNotification('Item renamed successfully!', 'success');
             } catch (error) {
                 console.error('Rename failed:', error);
-                this.view.showNotification('Failed to rename item', 'error');
+                this.view.showNotification(`Failed to rename item: ${error.message}`, 'error');
             }
         }
     }
@@ -919,11 +2629,84 @@ Learn more about Markdown: [Markdown Guide](https://www.markdownguide.org/)`
         }
 
         const item = this.model.fileSystem.getItem(targetId);
-        if (item && confirm(`Are you sure you want to delete "${item.name}"?`)) {
+        if (item && confirm(`Move "${item.name}" to the Trash?`)) {
+            this.saveOpenFilesIn(item);
             this.model.deleteItem(targetId);
             this.view.update(this.model);
-            this.view.showNotification('Item deleted!', 'success');
+            this.view.showNotification(`"${item.name}" moved to Trash`, 'success');
+        }
+    }
+
+    /**
+     * Handles restoring an item from the trash
+     * @param {string} entryId - Trash entry identifier
+     * @public
+     */
+    handleRestoreTrashItem(entryId) {
+        try {
+            const item = this.model.restoreTrashItem(entryId);
+            if (!item) {
+                this.view.showNotification('Item not found in Trash', 'error');
+                return;
+            }
+
+            this.view.update(this.model);
+            this.view.showNotification(`"${item.name}" restored to ${item.path}`, 'success');
+        } catch (error) {
+            console.error('Restore failed:', error);
+            this.view.update(this.model);
+            this.view.showNotification(`Failed to restore item: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Handles permanent deletion of a trash entry
+     * @param {string} entryId - Trash entry identifier
+     * @public
+     */
+    handlePurgeTrashItem(entryId) {
+        const entry = this.model.getTrash().find(trashEntry => trashEntry.id === entryId);
+        if (entry && confirm(`Permanently delete "${entry.name}"? This cannot be undone.`)) {
+            this.model.purgeTrashItem(entryId);
+            this.view.update(this.model);
+            this.view.showNotification(`"${entry.name}" permanently deleted`, 'success');
+        }
+    }
+
+    /**
+     * Handles emptying the trash
+     * @public
+     */
+    handleEmptyTrash() {
+        const count = this.model.getTrash().length;
+        if (count > 0 && confirm(`Permanently delete ${count} item(s) in the Trash? This cannot be undone.`)) {
+            this.model.emptyTrash();
+            this.view.update(this.model);
+            this.view.showNotification('Trash emptied', 'success');
+        }
+    }
+
+    /**
+     * Handles configuring the trash retention period
+     * @public
+     */
+    handleTrashRetention() {
+        const project = this.model.getCurrentProject();
+        const current = project && project.settings ? project.settings.trashRetentionDays : null;
+        const input = prompt('Automatically delete items from the Trash after how many days?\nLeave empty to keep them until the Trash is emptied.', current || '');
+        if (input === null) {
+            return;
+        }
+
+        const days = input.trim() === '' ? null : parseInt(input, 10);
+        if (days !== null && (isNaN(days) || days <= 0)) {
+            this.view.showNotification('Please enter a positive number of days', 'warning');
+            return;
         }
+
+        this.model.setTrashRetention(days);
+        this.view.update(this.model);
+        this.view.showNotification(days ? `Trashed items are kept for ${days} day(s)` : 'Trashed items are kept until the Trash is emptied', 'success');
     }
 
     /**
@@ -932,6 +2715,12 @@ Learn more about Markdown: [Markdown Guide](https://www.markdownguide.org/)`
      * @private
      */
     toggleFolder(itemId) {
+        if (itemId === TRASH_NODE_ID) {
+            this.view.trashExpanded = !this.view.trashExpanded;
+            this.view.updateProjectTree(this.model);
+            return;
+        }
+
         const project = this.model.getCurrentProject();
         if (project && project.files[itemId]) {
             project.files[itemId].expanded = !project.files[itemId].expanded;
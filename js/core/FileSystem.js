@@ -1,9 +1,10 @@
 /**
  * FileSystem Module - Enterprise Diagram IDE
- * Handles localStorage-based file operations for the Diagram IDE application.
+ * Handles persistent file operations for the Diagram IDE application.
  *
- * This module provides a complete file system abstraction using browser localStorage,
- * supporting hierarchical folder structures, file operations, and project management.
+ * This module provides a complete file system abstraction on top of a pluggable
+ * storage adapter (IndexedDB, localStorage, memory or REST), supporting
+ * hierarchical folder structures, file operations, and project management.
  *
  * @module FileSystem
  * @version 1.0.0
@@ -13,154 +14,1078 @@
 
 'use strict';
 
+import { createDefaultStorageAdapter } from '../storage/StorageFactory.js';
+import { createDefaultTabSync } from '../storage/TabSync.js';
+
+/**
+ * Identifier written into project exports
+ * @constant {string}
+ */
+export const PROJECT_EXPORT_FORMAT = 'diagram-ide-project';
+
+/**
+ * Current project export format version. Version 1 is the legacy
+ * `{name, files: {path: {content}}}` layout, which can still be imported.
+ * @constant {number}
+ */
+export const PROJECT_EXPORT_VERSION = 2;
+
+/**
+ * Application settings a project can override. A null value inherits the
+ * application-wide setting.
+ * @constant {Array<string>}
+ */
+export const PROJECT_SETTING_KEYS = ['theme', 'fontSize', 'scale', 'mermaidTheme', 'mermaidConfig', 'plantumlServer', 'exportScale'];
+
+/**
+ * Mermaid themes accepted in settings; 'auto' follows the editor theme
+ * @constant {Array<string>}
+ */
+export const MERMAID_THEMES = ['auto', 'default', 'dark', 'forest', 'neutral', 'base'];
+
+/**
+ * Autosaves within this many milliseconds of the last autosave snapshot of a
+ * file add no snapshot of their own
+ * @constant {number}
+ */
+const AUTOSAVE_VERSION_INTERVAL = 5 * 60 * 1000;
+
 /**
- * FileSystem class - Manages localStorage-based file operations
+ * File fields that change together with the file content
+ * @constant {Array<string>}
+ */
+const CONTENT_FIELDS = ['content', 'revision', 'history', 'modified'];
+
+/**
+ * Merges a list of IDs (a folder's children, the saved templates) with a
+ * stored version of it. IDs the stored list gained since `known` are
+ * appended; IDs it lost are removed. Local additions and removals are kept.
+ * @param {Array<string>} local - IDs in memory
+ * @param {Array<string>} stored - IDs in storage
+ * @param {Array<string>} known - IDs as last read from or written to storage
+ * @returns {Array<string>} Merged IDs
+ */
+function mergeIds(local, stored, known) {
+    if (local.length === known.length && local.every((id, index) => id === known[index])) {
+        return [...stored];
+    }
+    const removed = known.filter(id => !stored.includes(id));
+    const added = stored.filter(id => !known.includes(id) && !local.includes(id));
+    return [...local.filter(id => !removed.includes(id)), ...added];
+}
+
+/**
+ * FileSystem class - Manages persistent file operations
  * @class
  */
 export class FileSystem {
     /**
      * Creates a new FileSystem instance
-     * @param {string} [storageKey='diagramIDE_projects'] - localStorage key for data persistence
+     * @param {Object} [options={}]
+     * @param {StorageAdapter} [options.storage] - Storage backend (defaults to IndexedDB/localStorage)
+     * @param {number} [options.maxFileVersions=50] - History snapshots kept per file
+     * @param {TabSync|null} [options.sync] - Channel to other tabs (defaults to a BroadcastChannel in browsers)
      */
-    constructor(storageKey = 'diagramIDE_projects') {
+    constructor({ storage = createDefaultStorageAdapter(), maxFileVersions = 50, sync = createDefaultTabSync() } = {}) {
         /**
-         * localStorage key for project data persistence
-         * @type {string}
+         * Storage backend for project data persistence
+         * @type {StorageAdapter}
          * @private
          */
-        this.storageKey = storageKey;
+        this.storage = storage;
+
+        /**
+         * Maximum number of history snapshots kept per file
+         * @type {number}
+         * @private
+         */
+        this.maxFileVersions = maxFileVersions;
 
         /**
          * In-memory project data structure
          * @type {Object}
          * @private
          */
-        this.projects = this.loadProjects();
+        this.projects = {
+            currentProject: null,
+            projects: {}
+        };
+
+        /**
+         * Chain of pending asynchronous writes, kept in order
+         * @type {Promise<void>}
+         * @private
+         */
+        this.pendingWrite = Promise.resolve();
+
+        /**
+         * Registered event listeners keyed by event name
+         * @type {Object<string, Array<Function>>}
+         * @private
+         */
+        this.listeners = {};
+
+        /**
+         * Channel notifying other tabs of persisted changes
+         * @type {TabSync|null}
+         * @private
+         */
+        this.sync = sync;
+
+        /**
+         * Revision of each item as last read from or written to storage, keyed
+         * by project and item ID. A higher stored revision means another tab
+         * has written the item since.
+         * @type {Object<string, Object<string, number>>}
+         * @private
+         */
+        this.knownRevisions = {};
+
+        /**
+         * Children of each folder as last read from or written to storage,
+         * keyed by project and folder ID, to merge folders changed by two tabs
+         * @type {Object<string, Object<string, Array<string>>>}
+         * @private
+         */
+        this.knownChildren = {};
+
+        /**
+         * Project templates saved by the user
+         * @type {Array<Object>}
+         * @private
+         */
+        this.templates = [];
+
+        /**
+         * IDs of the saved templates as last read from or written to storage
+         * @type {Array<string>}
+         * @private
+         */
+        this.knownTemplateIds = [];
+
+        /**
+         * File trees of checkpoints whose storage write is still queued,
+         * keyed by project and checkpoint ID
+         * @type {Map<string, Object<string, Object>>}
+         * @private
+         */
+        this.unsavedCheckpoints = new Map();
     }
 
     /**
-     * Loads projects data from localStorage
-     * @returns {Object} Projects data structure with current project and project list
-     * @private
+     * Loads projects from the storage backend, switching to the adapter's
+     * fallback if the primary backend cannot be opened.
+     * @returns {Promise<void>}
+     * @public
      */
-    loadProjects() {
+    async initialize() {
+        let stored;
         try {
-            const data = localStorage.getItem(this.storageKey);
-            return data ? JSON.parse(data) : {
-                currentProject: null,
-                projects: {}
-            };
+            stored = await this.storage.loadState();
         } catch (error) {
-            console.warn('Failed to load projects from localStorage:', error.message);
-            return {
-                currentProject: null,
-                projects: {}
-            };
+            if (!this.storage.fallback) {
+                throw error;
+            }
+            console.warn('Primary storage unavailable, using fallback storage:', error.message);
+            this.storage = this.storage.fallback;
+            stored = await this.storage.loadState();
+        }
+
+        if (stored) {
+            this.projects = stored;
+        }
+
+        Object.values(this.projects.projects).forEach(project => {
+            const isLegacy = !project.settings || !('mermaidTheme' in project.settings);
+            project.settings = this.normalizeProjectSettings(project.settings);
+            const migrated = this.migrateCheckpoints(project);
+            if (this.purgeExpiredTrash(project) > 0 || isLegacy || migrated) {
+                this.persistProjectMeta(project);
+            }
+            this.rememberRevisions(project, Object.keys(project.files));
+        });
+
+        try {
+            this.templates = await this.storage.loadTemplates() || [];
+            this.knownTemplateIds = this.templates.map(template => template.id);
+        } catch (error) {
+            console.warn('Failed to load project templates:', error.message);
+        }
+
+        if (this.sync) {
+            this.sync.onMessage(message => this.handleSyncMessage(message));
         }
     }
 
     /**
-     * Saves projects data to localStorage
-     * @private
+     * Registers an event listener
+     * @param {string} event - Event name (e.g. 'storage-error')
+     * @param {Function} handler - Listener callback
+     * @public
      */
-    saveProjects() {
-        try {
-            localStorage.setItem(this.storageKey, JSON.stringify(this.projects));
-        } catch (error) {
-            console.error('Failed to save projects to localStorage:', error.message);
+    on(event, handler) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
         }
+        this.listeners[event].push(handler);
     }
 
     /**
-     * Creates a new project with default structure
-     * @param {string} name - Project name
-     * @returns {Object} Created project object
+     * Removes an event listener
+     * @param {string} event - Event name
+     * @param {Function} handler - Listener callback
      * @public
      */
-    createProject(name) {
-        const projectId = 'project_' + Date.now();
+    off(event, handler) {
+        if (this.listeners[event]) {
+            this.listeners[event] = this.listeners[event].filter(listener => listener !== handler);
+        }
+    }
 
-        const project = {
-            id: projectId,
-            name: name,
-            created: new Date().toISOString(),
-            files: {
-                'root': {
-                    type: 'folder',
-                    name: 'root',
-                    path: '/',
-                    children: [],
-                    expanded: true
+    /**
+     * Notifies listeners of an event
+     * @param {string} event - Event name
+     * @param {*} payload - Event payload
+     * @private
+     */
+    emit(event, payload) {
+        (this.listeners[event] || []).forEach(handler => {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`FileSystem "${event}" listener failed:`, error);
+            }
+        });
+    }
+
+    /**
+     * Queues an asynchronous write so writes reach the backend in order.
+     * Failures are reported through the 'storage-error' event.
+     * @param {Function} operation - Function returning a promise
+     * @returns {Promise<void>} Resolves when the write has settled
+     * @public
+     */
+    enqueueWrite(operation) {
+        this.pendingWrite = this.pendingWrite
+            .then(operation)
+            .catch(error => this.handleStorageError(error));
+        return this.pendingWrite;
+    }
+
+    /**
+     * Waits until all queued writes have been persisted
+     * @returns {Promise<void>}
+     * @public
+     */
+    flush() {
+        return this.pendingWrite;
+    }
+
+    /**
+     * Reports a failed write to listeners instead of failing silently
+     * @param {Error} error - Storage error
+     * @private
+     */
+    handleStorageError(error) {
+        console.error('Failed to persist projects:', error && error.message);
+        this.emit('storage-error', error);
+    }
+
+    /**
+     * Persists the current project pointer
+     * @private
+     */
+    persistState() {
+        this.enqueueWrite(() => this.storage.saveState(this.projects));
+    }
+
+    /**
+     * Persists the user's templates, merged with templates other tabs have
+     * added or deleted in the meantime
+     * @private
+     */
+    persistTemplates() {
+        this.enqueueWrite(async () => {
+            await this.storage.updateTemplates(stored => {
+                this.templates = this.mergeTemplates(stored || []);
+                this.knownTemplateIds = this.templates.map(template => template.id);
+                return JSON.parse(JSON.stringify(this.templates));
+            });
+            this.notifyTabs({ type: 'templates' });
+        });
+    }
+
+    /**
+     * Merges the templates in memory with a stored version of them by ID
+     * @param {Array<Object>} stored - Stored templates
+     * @returns {Array<Object>} Merged templates
+     * @private
+     */
+    mergeTemplates(stored) {
+        const local = new Map(this.templates.map(template => [template.id, template]));
+        const remote = new Map(stored.map(template => [template.id, template]));
+        return mergeIds([...local.keys()], [...remote.keys()], this.knownTemplateIds)
+            .map(id => remote.get(id) || local.get(id));
+    }
+
+    /**
+     * Persists a whole project including all of its files
+     * @param {Object} project - Project object
+     * @private
+     */
+    persistProject(project) {
+        this.enqueueWrite(async () => {
+            // Items created while the write runs are not known to be stored yet
+            const ids = Object.keys(project.files);
+            await this.storage.saveProject(project);
+            this.rememberRevisions(project, ids);
+            this.notifyTabs({ type: 'project', projectId: project.id });
+        });
+    }
+
+    /**
+     * Persists project metadata (name, settings, trash, ...) without its files
+     * @param {Object} project - Project object
+     * @param {boolean} [notify=true] - Whether other tabs should reload the metadata
+     * @private
+     */
+    persistProjectMeta(project, notify = true) {
+        this.enqueueWrite(async () => {
+            await this.storage.saveProjectMeta(project);
+            if (notify) {
+                this.notifyTabs({ type: 'project-meta', projectId: project.id });
+            }
+        });
+    }
+
+    /**
+     * Persists selected items of a project. Items another tab has changed or
+     * deleted since they were loaded are checked in the same storage update
+     * (see checkStoredItems). Children another tab added to a written folder
+     * are loaded afterwards.
+     * @param {Object} project - Project object
+     * @param {Array<string>} ids - Item identifiers to write
+     * @private
+     */
+    persistItems(project, ids) {
+        this.enqueueWrite(async () => {
+            const events = [];
+            const written = await this.storage.updateFiles(project, ids, stored => this.checkStoredItems(project, ids, stored, events));
+            events.forEach(({ event, payload }) => this.emit(event, payload));
+            if (written.length === 0) {
+                return;
+            }
+            this.notifyTabs({ type: 'items', projectId: project.id, ids: written });
+
+            const missing = [];
+            written.forEach(id => {
+                const item = project.files[id];
+                if (item && Array.isArray(item.children)) {
+                    missing.push(...item.children.filter(childId => !project.files[childId]));
                 }
-            },
-            settings: {
-                theme: 'dark',
-                scale: 100,
-                fontSize: 14
+            });
+            if (missing.length > 0) {
+                await this.mergeRemoteItems(project.id, missing);
             }
-        };
+        });
+    }
 
-        this.projects.projects[projectId] = project;
-        this.projects.currentProject = projectId;
-        this.saveProjects();
+    /**
+     * Removes selected items of a project from storage
+     * @param {Object} project - Project object
+     * @param {Array<string>} ids - Item identifiers to remove
+     * @private
+     */
+    removeItems(project, ids) {
+        this.enqueueWrite(async () => {
+            await this.storage.deleteFiles(project, ids);
+            const known = this.knownRevisions[project.id] || {};
+            const knownChildren = this.knownChildren[project.id] || {};
+            ids.forEach(id => {
+                delete known[id];
+                delete knownChildren[id];
+            });
+            this.notifyTabs({ type: 'items', projectId: project.id, ids });
+        });
+    }
 
-        return project;
+    /**
+     * Records the revisions of items, and the children of folders, as they are
+     * now in storage
+     * @param {Object} project - Project object
+     * @param {Array<string>} ids - Item identifiers
+     * @private
+     */
+    rememberRevisions(project, ids) {
+        const known = this.knownRevisions[project.id] || (this.knownRevisions[project.id] = {});
+        const knownChildren = this.knownChildren[project.id] || (this.knownChildren[project.id] = {});
+        ids.forEach(id => {
+            const item = project.files[id];
+            if (item) {
+                known[id] = item.revision || 0;
+            } else {
+                delete known[id];
+            }
+            if (item && Array.isArray(item.children)) {
+                knownChildren[id] = [...item.children];
+            } else {
+                delete knownChildren[id];
+            }
+        });
     }
 
     /**
-     * Retrieves the current active project
-     * @returns {Object|null} Current project object or null if none selected
-     * @public
+     * Compares items about to be written with their stored versions.
+     *
+     * - Stored revision unchanged: the item is written.
+     * - Another tab changed the content, this tab only changed the structure
+     *   (rename, move, ...): the newer content is taken over and the item written.
+     * - Both tabs changed the content: the stored version wins in memory, the
+     *   item is not written and a 'file-conflict' event carries this tab's content.
+     * - Another tab deleted the item: it is dropped instead of being written back.
+     * - Another tab changed a folder's children: both tabs' changes are merged.
+     *
+     * Runs inside the storage update, so it only collects the events to emit
+     * once the write has finished. The written items are remembered as stored.
+     *
+     * @param {Object} project - Project object
+     * @param {Array<string>} ids - Item identifiers about to be written
+     * @param {Object<string, Object>|null} stored - Stored items by ID, or null if the backend cannot tell
+     * @param {Array<Object>} events - Receives `{event, payload}` entries to emit
+     * @returns {Array<string>} Identifiers that are safe to write
+     * @private
      */
-    getCurrentProject() {
-        if (!this.projects.currentProject) {
-            return null;
+    checkStoredItems(project, ids, stored, events) {
+        if (!stored) {
+            this.rememberRevisions(project, ids);
+            return ids;
         }
-        return this.projects.projects[this.projects.currentProject] || null;
+
+        const known = this.knownRevisions[project.id] || {};
+        const knownChildren = this.knownChildren[project.id] || {};
+        const change = { projectId: project.id, changed: [], deleted: [], previous: {} };
+        const writable = [];
+
+        ids.forEach(id => {
+            const local = project.files[id];
+            const remote = stored[id];
+            if (!local || known[id] === undefined) {
+                writable.push(id);
+                return;
+            }
+
+            const editedHere = local.type === 'file' && (local.revision || 0) > known[id];
+            const conflict = { projectId: project.id, fileId: id, name: local.name, path: local.path, content: local.content };
+
+            if (!remote) {
+                this.dropItem(project, id);
+                delete known[id];
+                delete knownChildren[id];
+                change.deleted.push(id);
+                if (editedHere) {
+                    events.push({ event: 'file-conflict', payload: { ...conflict, deleted: true } });
+                }
+                return;
+            }
+
+            if (Array.isArray(local.children) && Array.isArray(remote.children) && knownChildren[id]) {
+                local.children = mergeIds(local.children, remote.children, knownChildren[id]);
+            }
+
+            if ((remote.revision || 0) <= known[id]) {
+                writable.push(id);
+                return;
+            }
+
+            known[id] = remote.revision || 0;
+            if (editedHere) {
+                this.adoptItem(local, remote);
+                events.push({ event: 'file-conflict', payload: { ...conflict, deleted: false } });
+                return;
+            }
+
+            change.previous[id] = { name: local.name, path: local.path, content: local.content, revision: local.revision || 0 };
+            CONTENT_FIELDS.forEach(key => {
+                if (key in remote) {
+                    local[key] = remote[key];
+                } else {
+                    delete local[key];
+                }
+            });
+            change.changed.push(id);
+            writable.push(id);
+        });
+
+        if (change.changed.length > 0 || change.deleted.length > 0) {
+            events.push({ event: 'external-change', payload: change });
+        }
+        this.rememberRevisions(project, writable);
+        return writable;
     }
 
     /**
-     * Sets the current active project
-     * @param {string} projectId - Project identifier
-     * @public
+     * Replaces an item's fields in place with a stored version, so references
+     * held elsewhere (e.g. the open file) stay valid. Folders keep their local
+     * expanded state.
+     * @param {Object} local - In-memory item
+     * @param {Object} remote - Stored item
+     * @private
      */
-    setCurrentProject(projectId) {
-        if (this.projects.projects[projectId]) {
-            this.projects.currentProject = projectId;
-            this.saveProjects();
+    adoptItem(local, remote) {
+        const expanded = local.expanded;
+        Object.keys(local).forEach(key => {
+            if (!(key in remote)) {
+                delete local[key];
+            }
+        });
+        Object.assign(local, remote);
+        if (expanded !== undefined && local.type === 'folder') {
+            local.expanded = expanded;
         }
     }
 
     /**
-     * Retrieves all projects
-     * @returns {Object} Projects collection
-     * @public
+     * Removes an item from memory only, including references from folders
+     * @param {Object} project - Project object
+     * @param {string} id - Item identifier
+     * @private
      */
-    getProjects() {
-        return this.projects.projects;
+    dropItem(project, id) {
+        delete project.files[id];
+        Object.values(project.files).forEach(item => {
+            if (Array.isArray(item.children) && item.children.includes(id)) {
+                item.children = item.children.filter(childId => childId !== id);
+            }
+        });
     }
 
     /**
-     * Creates a new file or folder item
-     * @param {string} parentPath - Parent folder path
-     * @param {string} name - Item name
-     * @param {string} type - Item type ('file' or 'folder')
-     * @param {string} [content=''] - File content (ignored for folders)
-     * @returns {Object} Created item object
-     * @public
+     * Tells other tabs that something was persisted
+     * @param {Object} message - Change message
+     * @private
      */
-    createItem(parentPath, name, type, content = '') {
-        const project = this.getCurrentProject();
-        if (!project) {
-            throw new Error('No current project selected');
+    notifyTabs(message) {
+        if (this.sync) {
+            this.sync.post(message);
         }
+    }
 
-        const itemId = type + '_' + Date.now();
-        const fullPath = parentPath === '/' ? `/${name}` : `${parentPath}/${name}`;
+    /**
+     * Reloads whatever another tab reports as changed. Runs on the write queue,
+     * so local writes queued before the message are persisted first.
+     * @param {Object} message - Message from TabSync
+     * @private
+     */
+    handleSyncMessage(message) {
+        this.enqueueWrite(async () => {
+            try {
+                switch (message.type) {
+                    case 'items':
+                        await this.mergeRemoteItems(message.projectId, message.ids || []);
+                        break;
+                    case 'project':
+                        await this.mergeRemoteProject(message.projectId, true);
+                        break;
+                    case 'project-meta':
+                        await this.mergeRemoteProject(message.projectId, false);
+                        break;
+                    case 'project-deleted':
+                        this.mergeRemoteDeletion(message.projectId);
+                        break;
+                    case 'templates': {
+                        const stored = await this.storage.loadTemplates() || [];
+                        this.templates = this.mergeTemplates(stored);
+                        this.knownTemplateIds = stored.map(template => template.id);
+                        break;
+                    }
+                    default:
+                        break;
+                }
+            } catch (error) {
+                console.warn('Failed to load changes from another tab:', error.message);
+            }
+        });
+    }
 
-        const item = {
-            id: itemId,
-            type: type,
+    /**
+     * Loads items another tab has written or deleted
+     * @param {string} projectId - Project identifier
+     * @param {Array<string>} ids - Changed item identifiers
+     * @returns {Promise<void>}
+     * @private
+     */
+    async mergeRemoteItems(projectId, ids) {
+        const project = this.projects.projects[projectId];
+        if (!project) {
+            await this.mergeRemoteProject(projectId, true);
+            return;
+        }
+
+        let stored = await this.storage.loadFiles(projectId, ids);
+        if (!stored) {
+            const remote = await this.storage.loadProject(projectId);
+            if (!remote) {
+                return;
+            }
+            stored = remote.files;
+        }
+
+        const change = this.applyRemoteItems(project, stored, ids);
+        if (change.changed.length > 0 || change.deleted.length > 0) {
+            this.emit('external-change', change);
+        }
+    }
+
+    /**
+     * Loads a project another tab has created or changed
+     * @param {string} projectId - Project identifier
+     * @param {boolean} withFiles - Whether the files changed too, or only metadata
+     * @returns {Promise<void>}
+     * @private
+     */
+    async mergeRemoteProject(projectId, withFiles) {
+        const remote = await this.storage.loadProject(projectId);
+        if (!remote) {
+            return;
+        }
+
+        const project = this.projects.projects[projectId];
+        if (!project) {
+            remote.settings = this.normalizeProjectSettings(remote.settings);
+            this.projects.projects[projectId] = remote;
+            this.rememberRevisions(remote, Object.keys(remote.files));
+            this.emit('external-change', { projectId, changed: [], deleted: [], previous: {}, project: true });
+            return;
+        }
+
+        const { files, ...meta } = remote;
+        Object.keys(project).forEach(key => {
+            if (key !== 'files' && !(key in meta)) {
+                delete project[key];
+            }
+        });
+        Object.assign(project, meta);
+        project.settings = this.normalizeProjectSettings(project.settings);
+
+        const ids = withFiles ? [...new Set([...Object.keys(project.files), ...Object.keys(files)])] : [];
+        const change = this.applyRemoteItems(project, files, ids);
+        this.emit('external-change', { ...change, project: true });
+    }
+
+    /**
+     * Forgets a project another tab has deleted
+     * @param {string} projectId - Project identifier
+     * @private
+     */
+    mergeRemoteDeletion(projectId) {
+        if (!this.projects.projects[projectId]) {
+            return;
+        }
+
+        delete this.projects.projects[projectId];
+        delete this.knownRevisions[projectId];
+        delete this.knownChildren[projectId];
+        if (this.projects.currentProject === projectId) {
+            const [next] = this.getProjectSummaries();
+            this.projects.currentProject = next ? next.id : null;
+        }
+
+        this.emit('external-change', { projectId, changed: [], deleted: [], previous: {}, projectDeleted: true });
+    }
+
+    /**
+     * Merges stored items into a project. A file with a local edit that has not
+     * been written yet keeps its content, so that write can detect the conflict.
+     * @param {Object} project - Project object
+     * @param {Object<string, Object>} stored - Stored items by ID
+     * @param {Array<string>} ids - Item identifiers to merge; absent ones are removed
+     * @returns {{projectId: string, changed: Array<string>, deleted: Array<string>, previous: Object}}
+     *     Changed and deleted IDs, with the name, path and replaced content of changed or deleted files
+     * @private
+     */
+    applyRemoteItems(project, stored, ids) {
+        const known = this.knownRevisions[project.id] || (this.knownRevisions[project.id] = {});
+        const knownChildren = this.knownChildren[project.id] || (this.knownChildren[project.id] = {});
+        const change = { projectId: project.id, changed: [], deleted: [], previous: {} };
+
+        ids.forEach(id => {
+            const local = project.files[id];
+            let remote = stored[id];
+
+            if (!remote) {
+                if (local && id !== 'root') {
+                    if (local.type === 'file') {
+                        change.previous[id] = { name: local.name, path: local.path, content: local.content, revision: local.revision || 0 };
+                    }
+                    this.dropItem(project, id);
+                    delete known[id];
+                    delete knownChildren[id];
+                    change.deleted.push(id);
+                }
+                return;
+            }
+
+            change.changed.push(id);
+            if (Array.isArray(remote.children)) {
+                const children = local && Array.isArray(local.children) && knownChildren[id]
+                    ? mergeIds(local.children, remote.children, knownChildren[id])
+                    : remote.children;
+                knownChildren[id] = [...remote.children];
+                remote = { ...remote, children };
+            }
+            if (!local) {
+                project.files[id] = remote;
+                known[id] = remote.revision || 0;
+                return;
+            }
+
+            if (local.type === 'file' && known[id] !== undefined && (local.revision || 0) > known[id]) {
+                const pending = {};
+                CONTENT_FIELDS.filter(key => key in local).forEach(key => {
+                    pending[key] = local[key];
+                });
+                this.adoptItem(local, remote);
+                CONTENT_FIELDS.forEach(key => delete local[key]);
+                Object.assign(local, pending);
+                return;
+            }
+
+            if (local.type === 'file' && local.content !== remote.content) {
+                change.previous[id] = { name: local.name, path: local.path, content: local.content, revision: local.revision || 0 };
+            }
+            this.adoptItem(local, remote);
+            known[id] = remote.revision || 0;
+        });
+
+        return change;
+    }
+
+    /**
+     * Creates a new project with default structure
+     * @param {string} name - Project name
+     * @returns {Object} Created project object
+     * @public
+     */
+    createProject(name) {
+        const projectId = this.generateId('project', this.projects.projects);
+
+        const project = {
+            id: projectId,
+            name: name,
+            created: new Date().toISOString(),
+            files: {
+                'root': {
+                    type: 'folder',
+                    name: 'root',
+                    path: '/',
+                    children: [],
+                    expanded: true
+                }
+            },
+            settings: this.normalizeProjectSettings({}),
+            trash: []
+        };
+
+        this.projects.projects[projectId] = project;
+        this.projects.currentProject = projectId;
+        this.persistProject(project);
+        this.persistState();
+
+        return project;
+    }
+
+    /**
+     * Retrieves the current active project
+     * @returns {Object|null} Current project object or null if none selected
+     * @public
+     */
+    getCurrentProject() {
+        if (!this.projects.currentProject) {
+            return null;
+        }
+        return this.projects.projects[this.projects.currentProject] || null;
+    }
+
+    /**
+     * Sets the current active project
+     * @param {string} projectId - Project identifier
+     * @public
+     */
+    setCurrentProject(projectId) {
+        if (this.projects.projects[projectId]) {
+            this.projects.currentProject = projectId;
+            this.persistState();
+        }
+    }
+
+    /**
+     * Retrieves all projects
+     * @returns {Object} Projects collection
+     * @public
+     */
+    getProjects() {
+        return this.projects.projects;
+    }
+
+    /**
+     * Builds a summary of every project for project pickers, most recently modified first
+     * @returns {Array<{id: string, name: string, created: string, modified: string, fileCount: number, isCurrent: boolean}>}
+     * @public
+     */
+    getProjectSummaries() {
+        return Object.values(this.projects.projects)
+            .map(project => {
+                const items = Object.values(project.files || {});
+                const modified = items.reduce((latest, item) =>
+                    item.modified && item.modified > latest ? item.modified : latest,
+                project.modified || project.created || '');
+
+                return {
+                    id: project.id,
+                    name: project.name,
+                    created: project.created,
+                    modified,
+                    fileCount: items.filter(item => item.type === 'file').length,
+                    isCurrent: project.id === this.projects.currentProject
+                };
+            })
+            .sort((a, b) => (b.modified || '').localeCompare(a.modified || ''));
+    }
+
+    /**
+     * Renames a project
+     * @param {string} projectId - Project identifier
+     * @param {string} name - New project name
+     * @returns {Object} Renamed project
+     * @throws {Error} If the project does not exist or the name is empty
+     * @public
+     */
+    renameProject(projectId, name) {
+        const project = this.projects.projects[projectId];
+        if (!project) {
+            throw new Error('Project not found');
+        }
+
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!trimmed) {
+            throw new Error('Project name cannot be empty');
+        }
+
+        project.name = trimmed;
+        project.modified = new Date().toISOString();
+        this.persistProjectMeta(project);
+        return project;
+    }
+
+    /**
+     * Duplicates a project with all of its files, settings and trash.
+     * The copy is not opened.
+     * @param {string} projectId - Project identifier
+     * @returns {Object} Project copy
+     * @throws {Error} If the project does not exist
+     * @public
+     */
+    duplicateProject(projectId) {
+        const source = this.projects.projects[projectId];
+        if (!source) {
+            throw new Error('Project not found');
+        }
+
+        const names = new Set(Object.values(this.projects.projects).map(project => project.name));
+        let name = `${source.name} (copy)`;
+        for (let counter = 2; names.has(name); counter++) {
+            name = `${source.name} (copy ${counter})`;
+        }
+
+        const now = new Date().toISOString();
+        const project = JSON.parse(JSON.stringify(source));
+        project.id = this.generateId('project', this.projects.projects);
+        project.name = name;
+        project.created = now;
+        project.modified = now;
+
+        this.projects.projects[project.id] = project;
+        this.persistProject(project);
+        (project.checkpoints || []).forEach(checkpoint => {
+            const unsaved = this.unsavedCheckpoints.get(`${source.id}/${checkpoint.id}`);
+            this.saveCheckpointFiles(project.id, checkpoint.id, unsaved || null, source.id);
+        });
+        return project;
+    }
+
+    /**
+     * Permanently deletes a project. When the current project is deleted,
+     * the most recently modified remaining project becomes current.
+     * @param {string} projectId - Project identifier
+     * @returns {boolean} True if the project existed
+     * @public
+     */
+    deleteProject(projectId) {
+        if (!this.projects.projects[projectId]) {
+            return false;
+        }
+
+        delete this.projects.projects[projectId];
+        delete this.knownRevisions[projectId];
+        delete this.knownChildren[projectId];
+        this.enqueueWrite(async () => {
+            await this.storage.deleteProject(projectId);
+            this.notifyTabs({ type: 'project-deleted', projectId });
+        });
+
+        if (this.projects.currentProject === projectId) {
+            const [next] = this.getProjectSummaries();
+            this.projects.currentProject = next ? next.id : null;
+            this.persistState();
+        }
+
+        return true;
+    }
+
+    /**
+     * Retrieves the templates saved by the user
+     * @param {string} [kind='project'] - 'project' or 'file'
+     * @returns {Array<Object>} Templates of that kind, oldest first
+     * @public
+     */
+    getTemplates(kind = 'project') {
+        return this.templates.filter(template => (template.kind || 'project') === kind);
+    }
+
+    /**
+     * Adds a template saved by the user
+     * @param {string} kind - 'project' or 'file'
+     * @param {string} name - Template name, unique among templates of the kind
+     * @param {Object} fields - Content of the template
+     * @returns {Object} Created template
+     * @throws {Error} If the name is empty or taken
+     * @private
+     */
+    addTemplate(kind, name, fields) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!trimmed) {
+            throw new Error('Template name cannot be empty');
+        }
+        if (this.getTemplates(kind).some(template => template.name === trimmed)) {
+            throw new Error(`A template named "${trimmed}" already exists`);
+        }
+
+        const template = {
+            id: this.generateId('template', Object.fromEntries(this.templates.map(entry => [entry.id, entry]))),
+            kind,
+            name: trimmed,
+            created: new Date().toISOString(),
+            ...fields
+        };
+
+        this.templates.push(template);
+        this.persistTemplates();
+        return template;
+    }
+
+    /**
+     * Saves a project's folders, files and settings as a reusable template.
+     * File histories, trash and checkpoints are not part of the template.
+     * @param {string} projectId - Project identifier
+     * @param {string} name - Template name
+     * @param {string} [description=''] - Template description
+     * @returns {Object} Created template
+     * @throws {Error} If the project does not exist or the name is empty or taken
+     * @public
+     */
+    createTemplate(projectId, name, description = '') {
+        const project = this.projects.projects[projectId];
+        if (!project) {
+            throw new Error('Project not found');
+        }
+
+        const folders = [];
+        const files = [];
+        const walk = (node, path) => {
+            (node.children || []).forEach(child => {
+                const childPath = this.joinPath(path, child.name);
+                if (child.type === 'folder') {
+                    folders.push(childPath);
+                    walk(child, childPath);
+                } else {
+                    files.push({ path: childPath, content: child.content });
+                }
+            });
+        };
+        walk(this.exportProjectData(projectId).root, '/');
+
+        return this.addTemplate('project', name, {
+            description: typeof description === 'string' ? description.trim() : '',
+            settings: { ...project.settings },
+            folders,
+            files
+        });
+    }
+
+    /**
+     * Saves file content as a reusable file template
+     * @param {Object} template - Template fields
+     * @param {string} template.name - Template name
+     * @param {string} template.language - 'mermaid', 'plantuml', 'md' or 'txt'
+     * @param {string} template.content - Content, may contain {{placeholders}}
+     * @param {string} [template.description=''] - Template description
+     * @returns {Object} Created template
+     * @throws {Error} If the name is empty or taken
+     * @public
+     */
+    createFileTemplate({ name, language, content, description = '' }) {
+        return this.addTemplate('file', name, {
+            language,
+            description: typeof description === 'string' ? description.trim() : '',
+            content: typeof content === 'string' ? content : ''
+        });
+    }
+
+    /**
+     * Deletes a template saved by the user
+     * @param {string} templateId - Template identifier
+     * @returns {boolean} True if the template existed
+     * @public
+     */
+    deleteTemplate(templateId) {
+        const index = this.templates.findIndex(template => template.id === templateId);
+        if (index === -1) {
+            return false;
+        }
+
+        this.templates.splice(index, 1);
+        this.persistTemplates();
+        return true;
+    }
+
+    /**
+     * Creates a new file or folder item
+     * @param {string} parentPath - Parent folder path
+     * @param {string} name - Item name
+     * @param {string} type - Item type ('file' or 'folder')
+     * @param {string} [content=''] - File content (ignored for folders)
+     * @returns {Object} Created item object
+     * @throws {Error} If the parent folder does not exist or the name is invalid
+     * @public
+     */
+    createItem(parentPath, name, type, content = '') {
+        const project = this.getCurrentProject();
+        if (!project) {
+            throw new Error('No current project selected');
+        }
+
+        const parentId = this.findItemByPath(parentPath);
+        if (!parentId || project.files[parentId].type !== 'folder') {
+            throw new Error(`Folder "${parentPath}" does not exist`);
+        }
+
+        name = this.validateItemName(parentId, name);
+        const itemId = this.generateId(type, project.files);
+        const fullPath = this.joinPath(parentPath, name);
+
+        const item = {
+            id: itemId,
+            type: type,
             name: name,
             path: fullPath,
             content: type === 'file' ? content : '',
@@ -173,152 +1098,1111 @@ export class FileSystem {
             item.expanded = true;
         }
 
-        project.files[itemId] = item;
+        project.files[itemId] = item;
+
+        // Add to parent folder's children
+        const parentItem = project.files[parentId];
+        if (!Array.isArray(parentItem.children)) {
+            parentItem.children = [];
+        }
+        parentItem.children.push(itemId);
+
+        this.persistItems(project, [itemId, parentId]);
+        return item;
+    }
+
+    /**
+     * Finds an item by its path
+     * @param {string} path - Item path
+     * @returns {string|null} Item ID or null if not found
+     * @private
+     */
+    findItemByPath(path) {
+        const project = this.getCurrentProject();
+        if (!project) {
+            return null;
+        }
+
+        for (const [id, item] of Object.entries(project.files)) {
+            if (item.path === path) {
+                return id;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Retrieves an item by its ID
+     * @param {string} id - Item identifier
+     * @returns {Object|null} Item object or null if not found
+     * @public
+     */
+    getItem(id) {
+        const project = this.getCurrentProject();
+        return project ? project.files[id] || null : null;
+    }
+
+    /**
+     * Retrieves an item by its path
+     * @param {string} path - Item path
+     * @returns {Object|null} Item object or null if not found
+     * @public
+     */
+    getItemByPath(path) {
+        const id = this.findItemByPath(path);
+        return id ? this.getItem(id) : null;
+    }
+
+    /**
+     * Updates file content
+     * @param {string} id - File identifier
+     * @param {string} content - New content
+     * @param {string} [reason='save'] - Why the content changed, recorded on the history snapshot
+     * @public
+     */
+    updateFileContent(id, content, reason = 'save') {
+        const project = this.getCurrentProject();
+        if (project && project.files[id] && project.files[id].type === 'file') {
+            const file = project.files[id];
+            if (file.content !== content) {
+                // Keep the overwritten content so it can be restored later
+                this.pushFileVersion(file, file.content, reason);
+                file.revision = (file.revision || 0) + 1;
+            }
+            file.content = content;
+            file.modified = new Date().toISOString();
+            this.persistItems(project, [id]);
+        }
+    }
+
+    /**
+     * Appends a history snapshot to a file, skipping empty and duplicate content
+     * and dropping the oldest snapshots beyond the configured limit. Autosaves
+     * share one snapshot per AUTOSAVE_VERSION_INTERVAL, so they do not push
+     * older versions out of the history.
+     * @param {Object} file - File item
+     * @param {string} content - Content to snapshot
+     * @param {string} reason - Why the snapshot was taken ('save', 'autosave', 'ai-insert', 'restore', 'replace', 'checkpoint')
+     * @returns {Object|null} Created version or null if skipped
+     * @private
+     */
+    pushFileVersion(file, content, reason) {
+        if (!content) {
+            return null;
+        }
+
+        if (!Array.isArray(file.history)) {
+            file.history = [];
+        }
+
+        const last = file.history[file.history.length - 1];
+        if (last && last.content === content) {
+            return null;
+        }
+        if (reason === 'autosave' && last && last.reason === 'autosave'
+            && Date.now() - Date.parse(last.timestamp) < AUTOSAVE_VERSION_INTERVAL) {
+            return null;
+        }
+
+        const version = {
+            id: 'version_' + Date.now().toString(36) + '_' + Math.random().toString(36).slice(2, 8),
+            timestamp: new Date().toISOString(),
+            reason,
+            content
+        };
+
+        file.history.push(version);
+        if (file.history.length > this.maxFileVersions) {
+            file.history.splice(0, file.history.length - this.maxFileVersions);
+        }
+
+        return version;
+    }
+
+    /**
+     * Records a history snapshot for a file
+     * @param {string} id - File identifier
+     * @param {string} content - Content to snapshot
+     * @param {string} [reason='manual'] - Why the snapshot was taken
+     * @returns {Object|null} Created version or null if skipped
+     * @public
+     */
+    addFileVersion(id, content, reason = 'manual') {
+        const project = this.getCurrentProject();
+        const file = project ? project.files[id] : null;
+        if (!file || file.type !== 'file') {
+            return null;
+        }
+
+        const version = this.pushFileVersion(file, content, reason);
+        if (version) {
+            this.persistItems(project, [id]);
+        }
+        return version;
+    }
+
+    /**
+     * Retrieves the history snapshots of a file
+     * @param {string} id - File identifier
+     * @returns {Array<Object>} Versions, newest first
+     * @public
+     */
+    getFileVersions(id) {
+        const file = this.getItem(id);
+        if (!file || !Array.isArray(file.history)) {
+            return [];
+        }
+        return file.history.slice().reverse();
+    }
+
+    /**
+     * Restores a file to a history snapshot. The content being replaced is
+     * snapshotted first, so a restore can itself be undone.
+     * @param {string} id - File identifier
+     * @param {string} versionId - Version identifier
+     * @returns {Object|null} Updated file or null if the version was not found
+     * @public
+     */
+    restoreFileVersion(id, versionId) {
+        const project = this.getCurrentProject();
+        const file = project ? project.files[id] : null;
+        if (!file || !Array.isArray(file.history)) {
+            return null;
+        }
+
+        const version = file.history.find(entry => entry.id === versionId);
+        if (!version) {
+            return null;
+        }
+
+        this.pushFileVersion(file, file.content, 'restore');
+        file.content = version.content;
+        file.revision = (file.revision || 0) + 1;
+        file.modified = new Date().toISOString();
+        this.persistItems(project, [id]);
+
+        return file;
+    }
+
+    /**
+     * Renames an item
+     * @param {string} id - Item identifier
+     * @param {string} newName - New name
+     * @returns {Object|undefined} Renamed item
+     * @throws {Error} If the item is the root folder or the name is invalid
+     * @public
+     */
+    renameItem(id, newName) {
+        const project = this.getCurrentProject();
+        if (!project || !project.files[id]) {
+            return;
+        }
+        if (id === 'root') {
+            throw new Error('The root folder cannot be renamed');
+        }
+
+        const item = project.files[id];
+        newName = this.validateItemName(this.getParentId(id), newName, id);
+        if (newName === item.name) {
+            return item;
+        }
+
+        const oldPath = item.path;
+        const newPath = this.joinPath(this.getParentPath(oldPath), newName);
+
+        item.name = newName;
+        item.path = newPath;
+        item.modified = new Date().toISOString();
+
+        // Update paths for children if it's a folder
+        if (item.type === 'folder') {
+            this.updateChildrenPaths(id, oldPath, newPath);
+        }
+
+        this.persistItems(project, this.collectSubtreeIds(id, project));
+        return item;
+    }
+
+    /**
+     * Moves an item into a folder, rewriting the paths of all descendants
+     * @param {string} id - Item identifier
+     * @param {string} targetFolderId - Destination folder identifier
+     * @param {number|null} [index=null] - Position among the destination's children
+     *        (not counting the moved item); null appends at the end
+     * @returns {Object} Moved item
+     * @throws {Error} If the move is invalid (root, non-folder target, folder into itself, name clash)
+     * @public
+     */
+    moveItem(id, targetFolderId, index = null) {
+        const project = this.getCurrentProject();
+        if (!project) {
+            throw new Error('No current project selected');
+        }
+
+        const item = project.files[id];
+        const target = project.files[targetFolderId];
+        if (!item) {
+            throw new Error('Item not found');
+        }
+        if (id === 'root') {
+            throw new Error('The root folder cannot be moved');
+        }
+        if (!target || target.type !== 'folder') {
+            throw new Error('Items can only be moved into a folder');
+        }
+        if (item.type === 'folder' && this.collectSubtreeIds(id, project).includes(targetFolderId)) {
+            throw new Error(`Cannot move "${item.name}" into itself`);
+        }
+
+        const oldParentId = this.getParentId(id);
+        this.validateItemName(targetFolderId, item.name, id);
+
+        if (oldParentId && project.files[oldParentId]) {
+            project.files[oldParentId].children = project.files[oldParentId].children.filter(childId => childId !== id);
+        }
+
+        if (!Array.isArray(target.children)) {
+            target.children = [];
+        }
+        const position = index === null || index === undefined
+            ? target.children.length
+            : Math.max(0, Math.min(index, target.children.length));
+        target.children.splice(position, 0, id);
+        target.expanded = true;
+
+        const newPath = this.joinPath(target.path, item.name);
+        if (newPath !== item.path) {
+            const oldPath = item.path;
+            item.path = newPath;
+            if (item.type === 'folder') {
+                this.updateChildrenPaths(id, oldPath, newPath);
+            }
+        }
+
+        const changedIds = this.collectSubtreeIds(id, project);
+        changedIds.push(targetFolderId);
+        if (oldParentId && oldParentId !== targetFolderId) {
+            changedIds.push(oldParentId);
+        }
+        this.persistItems(project, changedIds);
+
+        return item;
+    }
+
+    /**
+     * Copies a file or folder subtree into a folder. Copies get new IDs, start
+     * without version history and are renamed "name (copy)" when the name is taken.
+     * @param {string} id - Item identifier
+     * @param {string} targetFolderId - Destination folder identifier
+     * @returns {Object} Copied top-level item
+     * @throws {Error} If the item or destination is invalid
+     * @public
+     */
+    copyItem(id, targetFolderId) {
+        const project = this.getCurrentProject();
+        if (!project) {
+            throw new Error('No current project selected');
+        }
+
+        const source = project.files[id];
+        const target = project.files[targetFolderId];
+        if (!source) {
+            throw new Error('Item not found');
+        }
+        if (id === 'root') {
+            throw new Error('The root folder cannot be copied');
+        }
+        if (!target || target.type !== 'folder') {
+            throw new Error('Items can only be copied into a folder');
+        }
+
+        const now = new Date().toISOString();
+        const copiedIds = [];
+
+        // Children are read before the copy is attached, so copying a folder
+        // into one of its own subfolders cannot recurse into the copy
+        const cloneSubtree = (sourceId, parentPath, name) => {
+            const original = project.files[sourceId];
+            if (!original) {
+                return null;
+            }
+
+            const copy = JSON.parse(JSON.stringify(original));
+            delete copy.history;
+            copy.id = this.generateId(original.type, project.files);
+            copy.name = name;
+            copy.path = this.joinPath(parentPath, name);
+            copy.created = now;
+            copy.modified = now;
+
+            project.files[copy.id] = copy;
+            copiedIds.push(copy.id);
+
+            if (original.type === 'folder') {
+                copy.children = (original.children || [])
+                    .map(childId => cloneSubtree(childId, copy.path, project.files[childId] ? project.files[childId].name : ''))
+                    .filter(Boolean);
+            }
+
+            return copy.id;
+        };
+
+        const name = this.getAvailableName(targetFolderId, source.name, source.type, 'copy');
+        const copyId = cloneSubtree(id, target.path, name);
+
+        if (!Array.isArray(target.children)) {
+            target.children = [];
+        }
+        target.children.push(copyId);
+        target.expanded = true;
+
+        this.persistItems(project, [...copiedIds, targetFolderId]);
+        return project.files[copyId];
+    }
+
+    /**
+     * Duplicates an item next to the original
+     * @param {string} id - Item identifier
+     * @returns {Object} Duplicated item
+     * @public
+     */
+    duplicateItem(id) {
+        return this.copyItem(id, this.getParentId(id));
+    }
+
+    /**
+     * Lists the folders an item can be moved into
+     * @param {string} id - Item identifier
+     * @returns {Array<Object>} Folder descriptors as returned by getFolderPaths()
+     * @public
+     */
+    getMoveTargets(id) {
+        const project = this.getCurrentProject();
+        const item = this.getItem(id);
+        if (!project || !item) {
+            return [];
+        }
+
+        // A folder cannot be moved into itself or one of its descendants
+        const excluded = item.type === 'folder' ? this.collectSubtreeIds(id, project) : [];
+        return this.getFolderPaths().filter(folder => !excluded.includes(folder.id));
+    }
+
+    /**
+     * Validates a file or folder name for a parent folder
+     * @param {string} parentId - Parent folder identifier
+     * @param {string} name - Proposed name
+     * @param {string|null} [ignoreId=null] - Item allowed to hold the name already (the item being renamed or moved)
+     * @returns {string} Trimmed name
+     * @throws {Error} If the name is empty, contains "/", is "." or "..", or clashes with a sibling
+     * @public
+     */
+    validateItemName(parentId, name, ignoreId = null) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!trimmed) {
+            throw new Error('Name cannot be empty');
+        }
+        if (trimmed.includes('/')) {
+            throw new Error(`Name "${trimmed}" cannot contain "/"`);
+        }
+        if (trimmed === '.' || trimmed === '..') {
+            throw new Error(`"${trimmed}" is not a valid name`);
+        }
+
+        const project = this.getCurrentProject();
+        const parent = project ? project.files[parentId] : null;
+        const clash = parent && Array.isArray(parent.children) && parent.children.some(childId =>
+            childId !== ignoreId && project.files[childId] && project.files[childId].name === trimmed);
+        if (clash) {
+            throw new Error(`An item named "${trimmed}" already exists in ${parent.path}`);
+        }
+
+        return trimmed;
+    }
+
+    /**
+     * Retrieves the ID of an item's parent folder
+     * @param {string} id - Item identifier
+     * @returns {string|null} Parent folder ID or null for the root / unknown items
+     * @public
+     */
+    getParentId(id) {
+        const item = this.getItem(id);
+        if (!item || id === 'root') {
+            return null;
+        }
+        return this.findItemByPath(this.getParentPath(item.path));
+    }
+
+    /**
+     * Updates children paths recursively
+     * @param {string} folderId - Folder identifier
+     * @param {string} oldPath - Old path
+     * @param {string} newPath - New path
+     * @private
+     */
+    updateChildrenPaths(folderId, oldPath, newPath) {
+        const project = this.getCurrentProject();
+        if (!project) {
+            return;
+        }
+
+        const folder = project.files[folderId];
+        if (!folder || folder.type !== 'folder') {
+            return;
+        }
+
+        const prefix = oldPath + '/';
+        folder.children.forEach(childId => {
+            const child = project.files[childId];
+            // Only rewrite exact path prefixes, so "/a" never touches "/ab/..."
+            if (child && child.path.startsWith(prefix)) {
+                child.path = newPath + child.path.slice(oldPath.length);
+                if (child.type === 'folder') {
+                    this.updateChildrenPaths(childId, oldPath, newPath);
+                }
+            }
+        });
+    }
+
+    /**
+     * Moves an item and its children to the project trash
+     * @param {string} id - Item identifier
+     * @returns {Object|null} Trash entry or null if nothing was deleted
+     * @public
+     */
+    deleteItem(id) {
+        const project = this.getCurrentProject();
+        if (!project || !project.files[id] || id === 'root') {
+            return null;
+        }
+
+        const item = project.files[id];
+        const removedIds = this.collectSubtreeIds(id, project);
+        const parentPath = this.getParentPath(item.path);
+
+        const entry = {
+            id: 'trash_' + Date.now().toString(36) + '_' + Math.random().toString(36).slice(2, 8),
+            itemId: id,
+            name: item.name,
+            type: item.type,
+            originalParentPath: parentPath,
+            deletedAt: new Date().toISOString(),
+            items: {}
+        };
+        removedIds.forEach(removedId => {
+            entry.items[removedId] = project.files[removedId];
+        });
+
+        // Remove from parent's children
+        const parentId = this.findItemByPath(parentPath);
+        if (parentId && project.files[parentId]) {
+            project.files[parentId].children = project.files[parentId].children.filter(childId => childId !== id);
+        }
+
+        // Detach item and children recursively; they live on in the trash entry
+        this.deleteItemRecursive(id, project);
+
+        if (!Array.isArray(project.trash)) {
+            project.trash = [];
+        }
+        project.trash.push(entry);
+        this.purgeExpiredTrash(project);
+
+        this.removeItems(project, removedIds);
+        if (parentId) {
+            this.persistItems(project, [parentId]);
+        }
+        this.persistProjectMeta(project);
+
+        return entry;
+    }
+
+    /**
+     * Retrieves the trash entries of the current project
+     * @returns {Array<Object>} Trash entries, most recently deleted first
+     * @public
+     */
+    getTrash() {
+        const project = this.getCurrentProject();
+        if (!project || !Array.isArray(project.trash)) {
+            return [];
+        }
+        return project.trash.slice().reverse();
+    }
+
+    /**
+     * Restores a trashed item to its original parent path, recreating missing
+     * parent folders. A name clash with an existing sibling gets a "(restored)" suffix.
+     * @param {string} entryId - Trash entry identifier
+     * @returns {Object|null} Restored item or null if the entry was not found
+     * @public
+     */
+    restoreTrashItem(entryId) {
+        const project = this.getCurrentProject();
+        const index = project && Array.isArray(project.trash)
+            ? project.trash.findIndex(entry => entry.id === entryId)
+            : -1;
+        if (index === -1) {
+            return null;
+        }
+
+        const entry = project.trash[index];
+        const parentId = this.ensureFolderPath(entry.originalParentPath);
+        const parent = project.files[parentId];
+        const item = entry.items[entry.itemId];
+
+        const name = this.getAvailableName(parentId, item.name, item.type, 'restored');
+        Object.assign(project.files, entry.items);
+        if (name !== item.name) {
+            const oldPath = item.path;
+            item.name = name;
+            item.path = this.joinPath(parent.path, name);
+            if (item.type === 'folder') {
+                this.updateChildrenPaths(entry.itemId, oldPath, item.path);
+            }
+        }
+
+        parent.children.push(entry.itemId);
+        project.trash.splice(index, 1);
+
+        this.persistItems(project, [...Object.keys(entry.items), parentId]);
+        this.persistProjectMeta(project);
+
+        return item;
+    }
+
+    /**
+     * Restores the items of a trash entry that was purged, e.g. to redo the
+     * creation of an item whose creation was undone
+     * @param {Object} entry - Trash entry as returned by deleteItem()
+     * @returns {Object|null} Restored item or null if there is no current project
+     * @public
+     */
+    restorePurgedEntry(entry) {
+        const project = this.getCurrentProject();
+        if (!project) {
+            return null;
+        }
+
+        if (!Array.isArray(project.trash)) {
+            project.trash = [];
+        }
+        project.trash.push(entry);
+        return this.restoreTrashItem(entry.id);
+    }
+
+    /**
+     * Permanently deletes a trash entry
+     * @param {string} entryId - Trash entry identifier
+     * @public
+     */
+    purgeTrashItem(entryId) {
+        const project = this.getCurrentProject();
+        if (!project || !Array.isArray(project.trash)) {
+            return;
+        }
+
+        project.trash = project.trash.filter(entry => entry.id !== entryId);
+        this.persistProjectMeta(project);
+    }
+
+    /**
+     * Permanently deletes every trash entry of the current project
+     * @public
+     */
+    emptyTrash() {
+        const project = this.getCurrentProject();
+        if (!project) {
+            return;
+        }
+
+        project.trash = [];
+        this.persistProjectMeta(project);
+    }
+
+    /**
+     * Saves the whole file tree of the current project under a name. File
+     * version histories are not part of a checkpoint. The project only keeps a
+     * summary; the file tree is stored in a record of its own.
+     * @param {string} name - Checkpoint name, e.g. "v1 sign-off"
+     * @returns {Object} Checkpoint summary as returned by getCheckpoints()
+     * @throws {Error} If there is no current project, or the name is empty or taken
+     * @public
+     */
+    createCheckpoint(name) {
+        const project = this.getCurrentProject();
+        if (!project) {
+            throw new Error('No current project selected');
+        }
+
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!trimmed) {
+            throw new Error('Checkpoint name cannot be empty');
+        }
+        if (!Array.isArray(project.checkpoints)) {
+            project.checkpoints = [];
+        }
+        if (project.checkpoints.some(checkpoint => checkpoint.name === trimmed)) {
+            throw new Error(`A checkpoint named "${trimmed}" already exists`);
+        }
+
+        const files = JSON.parse(JSON.stringify(project.files));
+        Object.values(files).forEach(item => delete item.history);
+
+        const checkpoint = {
+            id: 'checkpoint_' + Date.now().toString(36) + '_' + Math.random().toString(36).slice(2, 8),
+            name: trimmed,
+            created: new Date().toISOString(),
+            fileCount: Object.values(files).filter(item => item.type === 'file').length
+        };
+        project.checkpoints.push(checkpoint);
+        this.saveCheckpointFiles(project.id, checkpoint.id, files);
+        this.persistProjectMeta(project);
+
+        return { ...checkpoint };
+    }
+
+    /**
+     * Lists the checkpoints of the current project
+     * @returns {Array<{id: string, name: string, created: string, fileCount: number}>} Newest first
+     * @public
+     */
+    getCheckpoints() {
+        const project = this.getCurrentProject();
+        if (!project || !Array.isArray(project.checkpoints)) {
+            return [];
+        }
+        return project.checkpoints.map(checkpoint => ({ ...checkpoint })).reverse();
+    }
+
+    /**
+     * Loads the saved file tree of a checkpoint of the current project
+     * @param {string} checkpointId - Checkpoint identifier
+     * @returns {Promise<Object<string, Object>|null>} Items by ID or null if the checkpoint was not found
+     * @public
+     */
+    async getCheckpointFiles(checkpointId) {
+        const project = this.getCurrentProject();
+        if (!project || !this.findCheckpoint(checkpointId)) {
+            return null;
+        }
+
+        const unsaved = this.unsavedCheckpoints.get(`${project.id}/${checkpointId}`);
+        if (unsaved) {
+            return JSON.parse(JSON.stringify(unsaved));
+        }
+        return this.storage.loadCheckpoint(project.id, checkpointId);
+    }
+
+    /**
+     * Deletes a checkpoint
+     * @param {string} checkpointId - Checkpoint identifier
+     * @public
+     */
+    deleteCheckpoint(checkpointId) {
+        const project = this.getCurrentProject();
+        if (!project || !Array.isArray(project.checkpoints)) {
+            return;
+        }
+
+        project.checkpoints = project.checkpoints.filter(checkpoint => checkpoint.id !== checkpointId);
+        this.unsavedCheckpoints.delete(`${project.id}/${checkpointId}`);
+        this.persistProjectMeta(project);
+        this.enqueueWrite(() => this.storage.deleteCheckpoint(project.id, checkpointId));
+    }
+
+    /**
+     * Replaces the file tree of the current project with a checkpoint. Files
+     * that still exist keep their version history, with the content being
+     * replaced added to it; files the checkpoint does not have are removed.
+     * @param {string} checkpointId - Checkpoint identifier
+     * @param {Object<string, Object>} files - File tree as returned by getCheckpointFiles()
+     * @returns {boolean} True if the checkpoint belongs to the current project and was restored
+     * @public
+     */
+    restoreCheckpoint(checkpointId, files) {
+        const project = this.getCurrentProject();
+        if (!project || !this.findCheckpoint(checkpointId) || !files) {
+            return false;
+        }
+
+        files = JSON.parse(JSON.stringify(files));
+        Object.entries(files).forEach(([id, item]) => {
+            const current = project.files[id];
+            if (!current) {
+                return;
+            }
+            item.revision = current.revision || 0;
+            if (item.type === 'file' && current.type === 'file') {
+                item.history = current.history;
+                if (current.content !== item.content) {
+                    this.pushFileVersion(item, current.content, 'checkpoint');
+                    item.revision++;
+                }
+            }
+        });
+
+        const removedIds = Object.keys(project.files).filter(id => !files[id]);
+        project.files = files;
+
+        if (removedIds.length > 0) {
+            this.removeItems(project, removedIds);
+        }
+        this.persistItems(project, Object.keys(files));
+
+        return true;
+    }
+
+    /**
+     * Finds a checkpoint of the current project
+     * @param {string} checkpointId - Checkpoint identifier
+     * @returns {Object|null} Checkpoint summary or null if not found
+     * @private
+     */
+    findCheckpoint(checkpointId) {
+        const project = this.getCurrentProject();
+        const checkpoints = project && Array.isArray(project.checkpoints) ? project.checkpoints : [];
+        return checkpoints.find(checkpoint => checkpoint.id === checkpointId) || null;
+    }
+
+    /**
+     * Queues a write of a checkpoint file tree. Until it has been written, the
+     * tree is served from memory.
+     * @param {string} projectId - Project identifier
+     * @param {string} checkpointId - Checkpoint identifier
+     * @param {Object<string, Object>|null} files - File tree, or null to copy it from another project
+     * @param {string} [sourceProjectId] - Project to copy the stored file tree from
+     * @private
+     */
+    saveCheckpointFiles(projectId, checkpointId, files, sourceProjectId) {
+        const key = `${projectId}/${checkpointId}`;
+        if (files) {
+            this.unsavedCheckpoints.set(key, files);
+        }
+
+        this.enqueueWrite(async () => {
+            try {
+                const saved = files || await this.storage.loadCheckpoint(sourceProjectId, checkpointId);
+                if (saved) {
+                    await this.storage.saveCheckpoint(projectId, checkpointId, saved);
+                }
+            } finally {
+                if (this.unsavedCheckpoints.get(key) === files) {
+                    this.unsavedCheckpoints.delete(key);
+                }
+            }
+        });
+    }
+
+    /**
+     * Moves checkpoints saved inside the project record by earlier versions
+     * into records of their own
+     * @param {Object} project - Project object
+     * @returns {boolean} True if any checkpoint was moved and the metadata needs writing
+     * @private
+     */
+    migrateCheckpoints(project) {
+        if (!Array.isArray(project.checkpoints)) {
+            return false;
+        }
+
+        let migrated = false;
+        project.checkpoints = project.checkpoints.map(checkpoint => {
+            if (!checkpoint.files) {
+                return checkpoint;
+            }
+            migrated = true;
+            const { files, ...summary } = checkpoint;
+            this.saveCheckpointFiles(project.id, checkpoint.id, files);
+            return { ...summary, fileCount: Object.values(files).filter(item => item.type === 'file').length };
+        });
+        return migrated;
+    }
+
+    /**
+     * Updates the settings a project overrides
+     * @param {string} projectId - Project identifier
+     * @param {Object} changes - Setting values by key; null or '' inherits the application setting
+     * @returns {Object} Updated project settings
+     * @throws {Error} If the project does not exist or a value is invalid
+     * @public
+     */
+    updateProjectSettings(projectId, changes) {
+        const project = this.projects.projects[projectId];
+        if (!project) {
+            throw new Error('Project not found');
+        }
+
+        const settings = { ...project.settings };
+        Object.entries(changes).forEach(([key, value]) => {
+            settings[key] = this.validateProjectSetting(key, value);
+        });
 
-        // Add to parent folder's children
-        const parentId = this.findItemByPath(parentPath);
-        if (parentId && project.files[parentId]) {
-            const parentItem = project.files[parentId];
-            if (parentItem.type === 'folder') {
-                if (!Array.isArray(parentItem.children)) {
-                    parentItem.children = [];
-                }
-                parentItem.children.push(itemId);
-            }
+        project.settings = settings;
+        this.persistProjectMeta(project);
+        return project.settings;
+    }
+
+    /**
+     * Remembers which files a project has open in editor tabs. Only this tab
+     * uses the list, so other tabs are not asked to reload it.
+     * @param {string} projectId - Project identifier
+     * @param {{files: Array<{id: string, pinned: boolean}>, active: string|null, split: string|null, compare: boolean}} openTabs
+     *     Open tabs in order, the active file, the split pane's file and whether it compares
+     * @public
+     */
+    setOpenTabs(projectId, openTabs) {
+        const project = this.projects.projects[projectId];
+        if (!project || JSON.stringify(project.openTabs) === JSON.stringify(openTabs)) {
+            return;
         }
 
-        this.saveProjects();
-        return item;
+        project.openTabs = openTabs;
+        this.persistProjectMeta(project, false);
     }
 
     /**
-     * Finds an item by its path
-     * @param {string} path - Item path
-     * @returns {string|null} Item ID or null if not found
+     * Validates one project setting override
+     * @param {string} key - Setting key (see PROJECT_SETTING_KEYS)
+     * @param {*} value - Value to validate
+     * @returns {*} Normalized value, or null to inherit the application setting
+     * @throws {Error} If the key is unknown or the value is invalid
      * @private
      */
-    findItemByPath(path) {
-        const project = this.getCurrentProject();
-        if (!project) {
+    validateProjectSetting(key, value) {
+        if (value === null || value === undefined || value === '') {
             return null;
         }
 
-        for (const [id, item] of Object.entries(project.files)) {
-            if (item.path === path) {
-                return id;
+        const validateRange = (label, min, max) => {
+            const number = Number(value);
+            if (!Number.isFinite(number) || number < min || number > max) {
+                throw new Error(`${label} must be between ${min} and ${max}`);
+            }
+            return number;
+        };
+
+        switch (key) {
+            case 'theme':
+                if (value !== 'light' && value !== 'dark') {
+                    throw new Error(`Unknown theme "${value}"`);
+                }
+                return value;
+            case 'fontSize':
+                return Math.round(validateRange('Font size', 8, 40));
+            case 'scale':
+                return Math.round(validateRange('Preview scale', 25, 400));
+            case 'exportScale':
+                return validateRange('Export scale', 1, 4);
+            case 'mermaidTheme':
+                if (!MERMAID_THEMES.includes(value)) {
+                    throw new Error(`Unknown Mermaid theme "${value}"`);
+                }
+                return value;
+            case 'mermaidConfig':
+                if (typeof value !== 'object' || Array.isArray(value)) {
+                    throw new Error('Mermaid config must be a JSON object');
+                }
+                return value;
+            case 'plantumlServer': {
+                let url;
+                try {
+                    url = new URL(value);
+                } catch (error) {
+                    throw new Error(`Invalid PlantUML server URL "${value}"`);
+                }
+                if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+                    throw new Error('PlantUML server URL must use http or https');
+                }
+                return String(value).replace(/\/+$/, '');
             }
+            default:
+                throw new Error(`Unknown project setting "${key}"`);
         }
-        return null;
     }
 
     /**
-     * Retrieves an item by its ID
-     * @param {string} id - Item identifier
-     * @returns {Object|null} Item object or null if not found
-     * @public
+     * Fills in missing project settings and drops invalid overrides
+     * @param {Object} [settings={}] - Stored or imported settings
+     * @returns {Object} Normalized settings
+     * @private
      */
-    getItem(id) {
-        const project = this.getCurrentProject();
-        return project ? project.files[id] || null : null;
+    normalizeProjectSettings(settings = {}) {
+        const normalized = { trashRetentionDays: null, ...settings };
+
+        // Projects created before overrides were applied carry theme, scale and
+        // font size defaults the user never chose, so they inherit instead
+        if (!('mermaidTheme' in normalized)) {
+            normalized.theme = null;
+            normalized.scale = null;
+            normalized.fontSize = null;
+        }
+
+        PROJECT_SETTING_KEYS.forEach(key => {
+            try {
+                normalized[key] = this.validateProjectSetting(key, normalized[key]);
+            } catch (error) {
+                console.warn(`Ignoring invalid project setting "${key}":`, error.message);
+                normalized[key] = null;
+            }
+        });
+
+        return normalized;
     }
 
     /**
-     * Updates file content
-     * @param {string} id - File identifier
-     * @param {string} content - New content
+     * Sets how long trashed items are kept before being purged automatically
+     * @param {number|null} days - Retention in days, or null to keep items until the trash is emptied
      * @public
      */
-    updateFileContent(id, content) {
+    setTrashRetention(days) {
         const project = this.getCurrentProject();
-        if (project && project.files[id] && project.files[id].type === 'file') {
-            project.files[id].content = content;
-            project.files[id].modified = new Date().toISOString();
-            this.saveProjects();
+        if (!project) {
+            return;
         }
+
+        project.settings = { ...project.settings, trashRetentionDays: days > 0 ? days : null };
+        this.purgeExpiredTrash(project);
+        this.persistProjectMeta(project);
     }
 
     /**
-     * Renames an item
-     * @param {string} id - Item identifier
-     * @param {string} newName - New name
-     * @public
+     * Drops trash entries older than the project's retention period
+     * @param {Object} project - Project object
+     * @returns {number} Number of purged entries
+     * @private
      */
-    renameItem(id, newName) {
-        const project = this.getCurrentProject();
-        if (!project || !project.files[id]) {
-            return;
+    purgeExpiredTrash(project) {
+        const days = project.settings ? project.settings.trashRetentionDays : null;
+        if (!days || !Array.isArray(project.trash)) {
+            return 0;
         }
 
-        const item = project.files[id];
-        const oldPath = item.path;
-        const pathParts = oldPath.split('/');
-        pathParts[pathParts.length - 1] = newName;
-        const newPath = pathParts.join('/');
-
-        item.name = newName;
-        item.path = newPath;
-        item.modified = new Date().toISOString();
+        const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+        const before = project.trash.length;
+        project.trash = project.trash.filter(entry => new Date(entry.deletedAt).getTime() >= cutoff);
+        return before - project.trash.length;
+    }
 
-        // Update paths for children if it's a folder
-        if (item.type === 'folder') {
-            this.updateChildrenPaths(id, oldPath, newPath);
+    /**
+     * Returns the folder ID for a path, creating any missing folders along the way
+     * @param {string} path - Folder path
+     * @returns {string} Folder identifier
+     * @throws {Error} If a file occupies part of the path
+     * @public
+     */
+    ensureFolderPath(path) {
+        const existingId = this.findItemByPath(path);
+        if (existingId && this.getItem(existingId).type === 'folder') {
+            return existingId;
         }
 
-        this.saveProjects();
+        let currentPath = '/';
+        path.split('/').filter(Boolean).forEach(segment => {
+            const nextPath = this.joinPath(currentPath, segment);
+            const nextId = this.findItemByPath(nextPath);
+            if (!nextId) {
+                this.createItem(currentPath, segment, 'folder');
+            } else if (this.getItem(nextId).type !== 'folder') {
+                throw new Error(`"${nextPath}" is a file, not a folder`);
+            }
+            currentPath = nextPath;
+        });
+
+        return this.findItemByPath(path);
     }
 
     /**
-     * Updates children paths recursively
-     * @param {string} folderId - Folder identifier
-     * @param {string} oldPath - Old path
-     * @param {string} newPath - New path
+     * Generates an ID that is not a key of the given collection yet
+     * @param {string} prefix - ID prefix (e.g. 'file', 'folder', 'project')
+     * @param {Object} [taken={}] - Collection keyed by existing IDs
+     * @returns {string} Unique ID
      * @private
      */
-    updateChildrenPaths(folderId, oldPath, newPath) {
+    generateId(prefix, taken = {}) {
+        let id;
+        do {
+            id = `${prefix}_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+        } while (Object.prototype.hasOwnProperty.call(taken, id));
+        return id;
+    }
+
+    /**
+     * Returns a name that does not clash with the children of a folder,
+     * e.g. "diagram (copy).mmd", "diagram (copy 2).mmd"
+     * @param {string} parentId - Parent folder identifier
+     * @param {string} name - Desired name
+     * @param {string} type - Item type ('file' or 'folder')
+     * @param {string} label - Suffix label (e.g. 'copy', 'restored')
+     * @returns {string} Available name
+     * @public
+     */
+    getAvailableName(parentId, name, type, label) {
         const project = this.getCurrentProject();
-        if (!project) {
-            return;
-        }
+        const parent = project ? project.files[parentId] : null;
+        const taken = new Set((parent && parent.children ? parent.children : [])
+            .map(childId => project.files[childId])
+            .filter(Boolean)
+            .map(child => child.name));
 
-        const folder = project.files[folderId];
-        if (!folder || folder.type !== 'folder') {
-            return;
+        if (!taken.has(name)) {
+            return name;
         }
 
-        folder.children.forEach(childId => {
-            const child = project.files[childId];
-            if (child) {
-                child.path = child.path.replace(oldPath, newPath);
-                if (child.type === 'folder') {
-                    this.updateChildrenPaths(childId, oldPath, newPath);
-                }
+        const dotIndex = type === 'file' ? name.lastIndexOf('.') : -1;
+        const base = dotIndex > 0 ? name.slice(0, dotIndex) : name;
+        const extension = dotIndex > 0 ? name.slice(dotIndex) : '';
+
+        for (let counter = 1; ; counter++) {
+            const candidate = `${base} (${label}${counter > 1 ? ' ' + counter : ''})${extension}`;
+            if (!taken.has(candidate)) {
+                return candidate;
             }
-        });
+        }
     }
 
     /**
-     * Deletes an item and its children recursively
-     * @param {string} id - Item identifier
-     * @public
+     * Joins a parent path and a name
+     * @param {string} parentPath - Parent folder path
+     * @param {string} name - Item name
+     * @returns {string} Full path
+     * @private
      */
-    deleteItem(id) {
-        const project = this.getCurrentProject();
-        if (!project || !project.files[id]) {
-            return;
-        }
+    joinPath(parentPath, name) {
+        return parentPath === '/' ? `/${name}` : `${parentPath}/${name}`;
+    }
 
-        const item = project.files[id];
+    /**
+     * Returns the parent folder path of a path
+     * @param {string} path - Item path
+     * @returns {string} Parent path
+     * @private
+     */
+    getParentPath(path) {
+        return path.substring(0, path.lastIndexOf('/')) || '/';
+    }
 
-        // Remove from parent's children
-        const parentPath = item.path.substring(0, item.path.lastIndexOf('/')) || '/';
-        const parentId = this.findItemByPath(parentPath);
-        if (parentId && project.files[parentId]) {
-            project.files[parentId].children = project.files[parentId].children.filter(childId => childId !== id);
+    /**
+     * Collects the IDs of an item and all of its descendants
+     * @param {string} id - Item identifier
+     * @param {Object} project - Project object
+     * @returns {Array<string>} Item IDs, parent before children
+     * @private
+     */
+    collectSubtreeIds(id, project) {
+        const item = project.files[id];
+        if (!item) {
+            return [];
         }
 
-        // Delete item and children recursively
-        this.deleteItemRecursive(id, project);
-        this.saveProjects();
+        const ids = [id];
+        if (item.type === 'folder' && Array.isArray(item.children)) {
+            item.children.forEach(childId => {
+                ids.push(...this.collectSubtreeIds(childId, project));
+            });
+        }
+        return ids;
     }
 
     /**
@@ -343,32 +2227,62 @@ export class FileSystem {
     }
 
     /**
-     * Exports project as JSON blob
+     * Builds the versioned export representation of a project. The folder
+     * tree is nested so that empty folders and child order survive.
      * @param {string} projectId - Project identifier
-     * @returns {Promise<Blob>} JSON blob for download
+     * @returns {Object} Export data
+     * @throws {Error} If the project does not exist
      * @public
      */
-    async exportProject(projectId) {
+    exportProjectData(projectId) {
         const project = this.projects.projects[projectId];
         if (!project) {
             throw new Error('Project not found');
         }
 
-        const exportData = {
+        const exportNode = (itemId) => {
+            const item = project.files[itemId];
+            if (!item) {
+                return null;
+            }
+
+            const node = {
+                id: itemId,
+                type: item.type,
+                name: item.name,
+                created: item.created,
+                modified: item.modified
+            };
+
+            if (item.type === 'folder') {
+                node.expanded = item.expanded !== false;
+                node.children = (item.children || []).map(exportNode).filter(Boolean);
+            } else {
+                node.content = item.content || '';
+            }
+
+            return node;
+        };
+
+        return {
+            format: PROJECT_EXPORT_FORMAT,
+            version: PROJECT_EXPORT_VERSION,
             name: project.name,
+            created: project.created,
             exported: new Date().toISOString(),
-            files: {}
+            settings: { ...project.settings },
+            root: exportNode('root')
         };
+    }
 
-        // Collect all files
-        for (const [id, item] of Object.entries(project.files)) {
-            if (item.type === 'file') {
-                exportData.files[item.path] = {
-                    content: item.content,
-                    modified: item.modified
-                };
-            }
-        }
+    /**
+     * Exports project as JSON blob
+     * @param {string} projectId - Project identifier
+     * @returns {Promise<Blob>} JSON blob for download
+     * @public
+     */
+    async exportProject(projectId) {
+        const exportData = this.exportProjectData(projectId);
 
         // Create blob
         const blob = new Blob([JSON.stringify(exportData, null, 2)], {
@@ -378,6 +2292,269 @@ export class FileSystem {
         return blob;
     }
 
+    /**
+     * Imports exported project data, either as a new project or merged into
+     * the current one. Accepts the current format and the legacy
+     * `{name, files: {path: {content}}}` format.
+     * @param {Object} importData - Parsed export data
+     * @param {Object} [options={}]
+     * @param {string} [options.mode='new'] - 'new' creates and opens a project, 'merge' adds to the current one
+     * @returns {Object} Project the data was imported into
+     * @throws {Error} If the data is not a valid project export
+     * @public
+     */
+    importProject(importData, { mode = 'new' } = {}) {
+        const data = this.normalizeImportData(importData);
+
+        if (mode === 'merge') {
+            const project = this.getCurrentProject();
+            if (!project) {
+                throw new Error('No current project selected');
+            }
+            this.persistItems(project, this.importNodes(project, 'root', data.root.children));
+            return project;
+        }
+
+        return this.importIntoNewProject(data.name, project => {
+            if (data.created) {
+                project.created = data.created;
+            }
+            project.settings = { ...project.settings, ...this.normalizeProjectSettings(data.settings) };
+            if (data.root.expanded === false) {
+                project.files.root.expanded = false;
+            }
+
+            this.importNodes(project, 'root', data.root.children);
+            this.persistProject(project);
+            return project;
+        });
+    }
+
+    /**
+     * Imports plain folder and file entries (e.g. read from a ZIP archive or a
+     * local folder) by recreating them with createItem. Clashing file names
+     * are renamed "name (imported)".
+     * @param {Object} data - Entries to import
+     * @param {string} [data.name='Imported Project'] - Project name for the 'new' mode
+     * @param {Object} [data.settings={}] - Project settings for the 'new' mode
+     * @param {Array<string>} [data.folders=[]] - Folder paths, created first (keeps empty folders)
+     * @param {Array<{path: string, content: string}>} [data.files=[]] - Files in creation order
+     * @param {Object} [options={}]
+     * @param {string} [options.mode='new'] - 'new' creates and opens a project, 'merge' adds to the current one
+     * @returns {{project: Object, files: Array<Object>}} Target project and created file items
+     * @throws {Error} If an entry has an invalid name
+     * @public
+     */
+    importFileEntries({ name = 'Imported Project', settings = {}, folders = [], files = [] }, { mode = 'new' } = {}) {
+        const importEntries = project => {
+            folders.forEach(path => this.ensureFolderPath(path));
+
+            const created = files.map(({ path, content }) => {
+                const parentPath = this.getParentPath(path);
+                const parentId = this.ensureFolderPath(parentPath);
+                const fileName = path.slice(path.lastIndexOf('/') + 1);
+                return this.createItem(parentPath, this.getAvailableName(parentId, fileName, 'file', 'imported'), 'file', content);
+            });
+            return { project, files: created };
+        };
+
+        if (mode === 'merge') {
+            const project = this.getCurrentProject();
+            if (!project) {
+                throw new Error('No current project selected');
+            }
+            return importEntries(project);
+        }
+
+        return this.importIntoNewProject(name, project => {
+            project.settings = { ...project.settings, ...this.normalizeProjectSettings(settings) };
+            this.persistProjectMeta(project);
+            return importEntries(project);
+        });
+    }
+
+    /**
+     * Creates and opens a project for an import in the 'new' mode and fills
+     * it. If filling it fails, the project is deleted again and the previous
+     * project is reopened, so no half-imported project is left behind.
+     * @param {string} name - Project name
+     * @param {Function} fill - Receives the new project and returns the import result
+     * @returns {*} Result of fill
+     * @throws {Error} Whatever fill threw
+     * @private
+     */
+    importIntoNewProject(name, fill) {
+        const previousId = this.projects.currentProject;
+        const project = this.createProject(name);
+        try {
+            return fill(project);
+        } catch (error) {
+            this.deleteProject(project.id);
+            if (previousId && this.projects.projects[previousId]) {
+                this.projects.currentProject = previousId;
+                this.persistState();
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Converts import data of any supported version into a validated node tree
+     * @param {Object} importData - Parsed export data
+     * @returns {{name: string, created: string|undefined, settings: Object, root: Object}} Normalized data
+     * @throws {Error} If the data is not a valid project export
+     * @private
+     */
+    normalizeImportData(importData) {
+        if (!importData || typeof importData !== 'object') {
+            throw new Error('Not a project export');
+        }
+        if (importData.format && importData.format !== PROJECT_EXPORT_FORMAT) {
+            throw new Error(`Unknown export format "${importData.format}"`);
+        }
+        if (importData.version > PROJECT_EXPORT_VERSION) {
+            throw new Error(`Export format version ${importData.version} is newer than this editor supports`);
+        }
+
+        const name = typeof importData.name === 'string' && importData.name.trim()
+            ? importData.name.trim()
+            : 'Imported Project';
+
+        let root;
+        if (importData.root && typeof importData.root === 'object') {
+            root = importData.root;
+        } else if (importData.files && typeof importData.files === 'object') {
+            root = this.buildTreeFromPaths(importData.files);
+        } else {
+            throw new Error('Not a project export: no files found');
+        }
+
+        const validateNode = (node, path) => {
+            if (!node || (node.type !== 'file' && node.type !== 'folder')) {
+                throw new Error(`Invalid item in ${path}`);
+            }
+            if (node.type === 'folder') {
+                if (node.children !== undefined && !Array.isArray(node.children)) {
+                    throw new Error(`Invalid folder ${path}`);
+                }
+                (node.children || []).forEach(child => {
+                    const childName = child && typeof child.name === 'string' ? child.name.trim() : '';
+                    if (!childName || childName.includes('/') || childName === '.' || childName === '..') {
+                        throw new Error(`Invalid item name "${child && child.name}" in ${path}`);
+                    }
+                    validateNode(child, this.joinPath(path, childName));
+                });
+            }
+        };
+        validateNode({ ...root, type: 'folder' }, '/');
+
+        return {
+            name,
+            created: importData.created,
+            settings: importData.settings && typeof importData.settings === 'object' ? importData.settings : {},
+            root
+        };
+    }
+
+    /**
+     * Builds a node tree from the legacy path-keyed file map
+     * @param {Object} files - Map of path to {content, modified}
+     * @returns {Object} Root folder node
+     * @private
+     */
+    buildTreeFromPaths(files) {
+        const root = { type: 'folder', name: 'root', children: [] };
+
+        Object.entries(files).forEach(([path, file]) => {
+            const segments = path.split('/').filter(Boolean);
+            const fileName = segments.pop();
+            if (!fileName) {
+                return;
+            }
+
+            let folder = root;
+            segments.forEach(segment => {
+                let next = folder.children.find(child => child.type === 'folder' && child.name === segment);
+                if (!next) {
+                    next = { type: 'folder', name: segment, children: [] };
+                    folder.children.push(next);
+                }
+                folder = next;
+            });
+
+            folder.children.push({
+                type: 'file',
+                name: fileName,
+                content: file && typeof file.content === 'string' ? file.content : '',
+                modified: file ? file.modified : undefined
+            });
+        });
+
+        return root;
+    }
+
+    /**
+     * Recreates import nodes under a folder. Folders with the same name are
+     * merged; clashing files are renamed "name (imported)".
+     * @param {Object} project - Target project
+     * @param {string} parentId - Target folder identifier
+     * @param {Array<Object>} nodes - Nodes to import
+     * @returns {Array<string>} IDs of created or changed items
+     * @private
+     */
+    importNodes(project, parentId, nodes = []) {
+        const parent = project.files[parentId];
+        const now = new Date().toISOString();
+        const changedIds = [];
+
+        if (!Array.isArray(parent.children)) {
+            parent.children = [];
+        }
+
+        nodes.forEach(node => {
+            const name = node.name.trim();
+            const existingId = parent.children.find(childId => project.files[childId] && project.files[childId].name === name);
+            const existing = existingId ? project.files[existingId] : null;
+
+            if (node.type === 'folder' && existing && existing.type === 'folder') {
+                changedIds.push(...this.importNodes(project, existingId, node.children));
+                return;
+            }
+
+            // Keep exported IDs unless the target project already uses them
+            const itemId = node.id && !project.files[node.id] && node.id !== 'root'
+                ? node.id
+                : this.generateId(node.type, project.files);
+            const itemName = existing ? this.getAvailableName(parentId, name, node.type, 'imported') : name;
+
+            const item = {
+                id: itemId,
+                type: node.type,
+                name: itemName,
+                path: this.joinPath(parent.path, itemName),
+                content: node.type === 'file' ? String(node.content || '') : '',
+                created: node.created || now,
+                modified: node.modified || now
+            };
+
+            if (node.type === 'folder') {
+                item.children = [];
+                item.expanded = node.expanded !== false;
+            }
+
+            project.files[itemId] = item;
+            parent.children.push(itemId);
+            changedIds.push(itemId);
+
+            if (node.type === 'folder') {
+                changedIds.push(...this.importNodes(project, itemId, node.children));
+            }
+        });
+
+        changedIds.push(parentId);
+        return changedIds;
+    }
+
     /**
      * Gets all folder paths in the current project for UI dropdowns
      * @returns {Array} Array of folder paths
@@ -13,7 +13,27 @@
 
 'use strict';
 
-import { FileSystem } from './FileSystem.js';
+import { FileSystem, PROJECT_SETTING_KEYS } from './FileSystem.js';
+import { CommandHistory } from './CommandHistory.js';
+import { createDefaultStorageAdapter } from '../storage/StorageFactory.js';
+import { searchFiles, planReplacements, applyReplacements } from '../utils/SearchUtils.js';
+import { compareFileTrees } from '../utils/DiffUtils.js';
+import { collectDiagramFiles } from '../utils/ProjectArchive.js';
+import { BUILT_IN_PROJECT_TEMPLATES } from '../utils/ProjectTemplates.js';
+import { BUILT_IN_FILE_TEMPLATES, fillPlaceholders, getTemplateLanguage, createFileTemplatesExport, readFileTemplatesExport } from '../utils/FileTemplates.js';
+import { detectDiagramType } from '../utils/DiagramUtils.js';
+
+/**
+ * Shortest autosave delay in milliseconds
+ * @constant {number}
+ */
+export const AUTO_SAVE_DELAY_MIN = 200;
+
+/**
+ * Longest autosave delay in milliseconds
+ * @constant {number}
+ */
+export const AUTO_SAVE_DELAY_MAX = 60000;
 
 /**
  * DiagramModel class - Manages application data and state
@@ -22,15 +42,18 @@ import { FileSystem } from './FileSystem.js';
 export class DiagramModel {
     /**
      * Creates a new DiagramModel instance
+     * @param {Object} [options={}]
+     * @param {StorageAdapter} [options.storage] - Storage backend for projects and settings
+     * @param {TabSync|null} [options.sync] - Channel to other tabs (null disables cross-tab sync)
      * @constructor
      */
-    constructor() {
+    constructor({ storage = createDefaultStorageAdapter(), sync } = {}) {
         /**
          * File system instance for data persistence
          * @type {FileSystem}
          * @private
          */
-        this.fileSystem = new FileSystem();
+        this.fileSystem = new FileSystem({ storage, sync });
 
         /**
          * Application settings
@@ -41,7 +64,12 @@ export class DiagramModel {
             theme: 'light',
             scale: 100,
             fontSize: 14,
-            autoSave: true
+            autoSave: true,
+            autoSaveDelay: 1000,
+            mermaidTheme: 'auto',
+            mermaidConfig: {},
+            plantumlServer: 'https://www.plantuml.com/plantuml',
+            exportScale: 1
         };
 
         /**
@@ -58,43 +86,85 @@ export class DiagramModel {
          */
         this.currentFile = null;
 
+        /**
+         * Files open in editor tabs, pinned tabs first
+         * @type {Array<{fileId: string, pinned: boolean}>}
+         * @private
+         */
+        this.openTabs = [];
+
+        /**
+         * File shown in the split pane next to the main editor
+         * @type {string|null}
+         * @private
+         */
+        this.splitFileId = null;
+
+        /**
+         * Whether the split pane shows a diff against the main editor
+         * @type {boolean}
+         * @private
+         */
+        this.compareMode = false;
+
+        /**
+         * Last find-and-replace batch, kept so it can be undone as one step
+         * @type {{projectId: string, files: Array<{fileId: string, before: string, after: string}>, count: number}|null}
+         * @private
+         */
+        this.lastReplace = null;
+
+        /**
+         * Undo and redo stacks of project tree operations
+         * @type {CommandHistory}
+         * @private
+         */
+        this.history = new CommandHistory();
+
         /**
          * Current project reference
          * @type {Object|null}
          * @private
          */
         this.currentProject = null;
+    }
 
-        // Initialize model
-        this.loadSettings();
+    /**
+     * Loads persisted projects and settings and selects the initial project.
+     * Must be awaited before the model is handed to the view.
+     * @returns {Promise<void>}
+     * @public
+     */
+    async initialize() {
+        await this.fileSystem.initialize();
+        await this.loadSettings();
         this.initializeProject();
     }
 
     /**
-     * Loads application settings from localStorage
+     * Loads application settings from the storage backend.
+     * Uses the file system's adapter, which may have switched to its fallback.
+     * @returns {Promise<void>}
      * @private
      */
-    loadSettings() {
+    async loadSettings() {
         try {
-            const savedSettings = localStorage.getItem('diagramIDE_settings');
+            const savedSettings = await this.fileSystem.storage.loadSettings();
             if (savedSettings) {
-                this.settings = { ...this.settings, ...JSON.parse(savedSettings) };
+                this.settings = { ...this.settings, ...savedSettings };
             }
         } catch (error) {
-            console.warn('Failed to load settings from localStorage:', error.message);
+            console.warn('Failed to load settings:', error.message);
         }
     }
 
     /**
-     * Saves application settings to localStorage
+     * Saves application settings to the storage backend
      * @private
      */
     saveSettings() {
-        try {
-            localStorage.setItem('diagramIDE_settings', JSON.stringify(this.settings));
-        } catch (error) {
-            console.error('Failed to save settings to localStorage:', error.message);
-        }
+        const settings = { ...this.settings };
+        this.fileSystem.enqueueWrite(() => this.fileSystem.storage.saveSettings(settings));
     }
 
     /**
@@ -107,6 +177,7 @@ export class DiagramModel {
             // Create default project
             this.currentProject = this.fileSystem.createProject('My Project');
         }
+        this.restoreOpenTabs();
     }
 
     /**
@@ -120,14 +191,70 @@ export class DiagramModel {
     }
 
     /**
-     * Retrieves current application settings
+     * Retrieves the effective settings: application settings with the
+     * current project's overrides applied
      * @returns {Object} Current settings
      * @public
      */
     getSettings() {
+        const settings = { ...this.settings };
+        const overrides = this.getProjectSettings();
+
+        PROJECT_SETTING_KEYS.forEach(key => {
+            if (overrides[key] !== null && overrides[key] !== undefined) {
+                settings[key] = overrides[key];
+            }
+        });
+
+        return settings;
+    }
+
+    /**
+     * Retrieves the application settings without project overrides
+     * @returns {Object} Application settings
+     * @public
+     */
+    getGlobalSettings() {
         return { ...this.settings };
     }
 
+    /**
+     * Retrieves the current project's settings; null values inherit the application settings
+     * @returns {Object} Project settings
+     * @public
+     */
+    getProjectSettings() {
+        return this.currentProject ? { ...this.currentProject.settings } : {};
+    }
+
+    /**
+     * Updates the current project's setting overrides
+     * @param {Object} changes - Setting values by key; null inherits the application setting
+     * @returns {Object} Updated project settings
+     * @throws {Error} If a value is invalid
+     * @public
+     */
+    updateProjectSettings(changes) {
+        if (!this.currentProject) {
+            throw new Error('No current project selected');
+        }
+        return { ...this.fileSystem.updateProjectSettings(this.currentProject.id, changes) };
+    }
+
+    /**
+     * Sets the editor theme where it is currently decided: on the project if
+     * it overrides the theme, otherwise application-wide
+     * @param {string} theme - 'light' or 'dark'
+     * @public
+     */
+    setTheme(theme) {
+        if (this.getProjectSettings().theme) {
+            this.updateProjectSettings({ theme });
+        } else {
+            this.updateSettings({ theme });
+        }
+    }
+
     /**
      * Creates a new project
      * @param {string} name - Project name
@@ -135,7 +262,7 @@ export class DiagramModel {
      */
     createNewProject(name) {
         this.currentProject = this.fileSystem.createProject(name);
-        this.currentFile = null;
+        this.restoreOpenTabs();
     }
 
     /**
@@ -156,6 +283,299 @@ export class DiagramModel {
         return this.fileSystem.getProjects();
     }
 
+    /**
+     * Retrieves project summaries for the project manager
+     * @returns {Array<Object>} Project summaries, most recently modified first
+     * @public
+     */
+    getProjectSummaries() {
+        return this.fileSystem.getProjectSummaries();
+    }
+
+    /**
+     * Opens another project
+     * @param {string} projectId - Project identifier
+     * @returns {Object|null} Opened project or null if it does not exist
+     * @public
+     */
+    openProject(projectId) {
+        if (!this.fileSystem.getProjects()[projectId]) {
+            return null;
+        }
+
+        this.fileSystem.setCurrentProject(projectId);
+        this.currentProject = this.fileSystem.getCurrentProject();
+        this.restoreOpenTabs();
+        return this.currentProject;
+    }
+
+    /**
+     * Renames a project
+     * @param {string} projectId - Project identifier
+     * @param {string} name - New name
+     * @returns {Object} Renamed project
+     * @public
+     */
+    renameProject(projectId, name) {
+        return this.fileSystem.renameProject(projectId, name);
+    }
+
+    /**
+     * Duplicates a project without opening it
+     * @param {string} projectId - Project identifier
+     * @returns {Object} Project copy
+     * @public
+     */
+    duplicateProject(projectId) {
+        return this.fileSystem.duplicateProject(projectId);
+    }
+
+    /**
+     * Lists the project templates: the built-in starters followed by the ones
+     * saved by the user
+     * @returns {Array<Object>} Templates, built-in ones flagged with `builtIn`
+     * @public
+     */
+    getProjectTemplates() {
+        return [
+            ...BUILT_IN_PROJECT_TEMPLATES.map(template => ({ ...template, builtIn: true })),
+            ...this.fileSystem.getTemplates().map(template => ({ ...template, builtIn: false }))
+        ];
+    }
+
+    /**
+     * Creates and opens a new project with the folders, files and settings of a template
+     * @param {string} templateId - Template identifier
+     * @param {string} name - Project name
+     * @returns {{project: Object, files: Array<Object>}} Created project and files
+     * @throws {Error} If the template does not exist or the name is empty
+     * @public
+     */
+    createProjectFromTemplate(templateId, name) {
+        const template = this.getProjectTemplates().find(entry => entry.id === templateId);
+        if (!template) {
+            throw new Error('Template not found');
+        }
+
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!trimmed) {
+            throw new Error('Project name cannot be empty');
+        }
+
+        return this.importFileEntries({
+            name: trimmed,
+            settings: template.settings,
+            folders: template.folders,
+            files: template.files
+        });
+    }
+
+    /**
+     * Saves a project as a reusable template
+     * @param {string} projectId - Project identifier
+     * @param {string} name - Template name
+     * @param {string} [description=''] - Template description
+     * @returns {Object} Created template
+     * @throws {Error} If the project does not exist or the name is empty or taken
+     * @public
+     */
+    saveProjectAsTemplate(projectId, name, description = '') {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (BUILT_IN_PROJECT_TEMPLATES.some(template => template.name === trimmed)) {
+            throw new Error(`A template named "${trimmed}" already exists`);
+        }
+        return this.fileSystem.createTemplate(projectId, trimmed, description);
+    }
+
+    /**
+     * Deletes a template saved by the user
+     * @param {string} templateId - Template identifier
+     * @returns {boolean} True if the template existed
+     * @throws {Error} If the template is built in
+     * @public
+     */
+    deleteProjectTemplate(templateId) {
+        if (BUILT_IN_PROJECT_TEMPLATES.some(template => template.id === templateId)) {
+            throw new Error('Built-in templates cannot be deleted');
+        }
+        return this.fileSystem.deleteTemplate(templateId);
+    }
+
+    /**
+     * Lists the file templates: the built-in ones followed by the ones saved by the user
+     * @returns {Array<Object>} Templates, built-in ones flagged with `builtIn`
+     * @public
+     */
+    getFileTemplates() {
+        return [
+            ...BUILT_IN_FILE_TEMPLATES.map(template => ({ ...template, builtIn: true })),
+            ...this.fileSystem.getTemplates('file').map(template => ({ ...template, builtIn: false }))
+        ];
+    }
+
+    /**
+     * Saves a file's content as a file template. The language follows the
+     * file's extension, or its content if the extension is not known.
+     * @param {string} fileId - File identifier
+     * @param {string} name - Template name
+     * @param {string|null} [content=null] - Content to save, e.g. unsaved editor changes
+     *        (defaults to the saved content of the file)
+     * @returns {Object} Created template
+     * @throws {Error} If the file does not exist or the name is empty or taken
+     * @public
+     */
+    saveFileAsTemplate(fileId, name, content = null) {
+        const file = this.fileSystem.getItem(fileId);
+        if (!file || file.type !== 'file') {
+            throw new Error('File not found');
+        }
+
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (BUILT_IN_FILE_TEMPLATES.some(template => template.name === trimmed)) {
+            throw new Error(`A template named "${trimmed}" already exists`);
+        }
+
+        const text = content === null ? file.content || '' : content;
+        return this.fileSystem.createFileTemplate({
+            name: trimmed,
+            language: getTemplateLanguage(file.name, detectDiagramType(text)),
+            description: `Saved from "${file.name}"`,
+            content: text
+        });
+    }
+
+    /**
+     * Deletes a file template saved by the user
+     * @param {string} templateId - Template identifier
+     * @returns {boolean} True if the template existed
+     * @throws {Error} If the template is built in
+     * @public
+     */
+    deleteFileTemplate(templateId) {
+        if (BUILT_IN_FILE_TEMPLATES.some(template => template.id === templateId)) {
+            throw new Error('Built-in templates cannot be deleted');
+        }
+        return this.fileSystem.deleteTemplate(templateId);
+    }
+
+    /**
+     * Creates a file from a template
+     * @param {string} templateId - Template identifier
+     * @param {string} name - File name
+     * @param {string} [parentPath='/'] - Parent folder path
+     * @param {Object<string, string>} [values={}] - Placeholder values by name
+     * @returns {Object} Created file object
+     * @throws {Error} If the template does not exist or the file cannot be created
+     * @public
+     */
+    createFileFromTemplate(templateId, name, parentPath = '/', values = {}) {
+        const template = this.getFileTemplates().find(entry => entry.id === templateId);
+        if (!template) {
+            throw new Error('Template not found');
+        }
+        return this.createFile(name, parentPath, fillPlaceholders(template.content, values));
+    }
+
+    /**
+     * Exports the file templates saved by the user
+     * @returns {Object} Template library, see createFileTemplatesExport()
+     * @public
+     */
+    exportFileTemplates() {
+        return createFileTemplatesExport(this.fileSystem.getTemplates('file'));
+    }
+
+    /**
+     * Imports a template library. Templates whose name is taken are renamed
+     * "name (imported)".
+     * @param {Object} data - Parsed template library
+     * @returns {Array<Object>} Created templates
+     * @throws {Error} If the data is not a template library
+     * @public
+     */
+    importFileTemplates(data) {
+        const templates = readFileTemplatesExport(data);
+        const taken = new Set(this.getFileTemplates().map(template => template.name));
+
+        return templates.map(template => {
+            let name = template.name;
+            for (let counter = 1; taken.has(name); counter++) {
+                name = counter === 1 ? `${template.name} (imported)` : `${template.name} (imported ${counter})`;
+            }
+            taken.add(name);
+            return this.fileSystem.createFileTemplate({ ...template, name });
+        });
+    }
+
+    /**
+     * Deletes a project. A new default project is created when none remain.
+     * @param {string} projectId - Project identifier
+     * @public
+     */
+    deleteProject(projectId) {
+        const wasCurrent = this.currentProject && this.currentProject.id === projectId;
+        this.fileSystem.deleteProject(projectId);
+
+        if (wasCurrent) {
+            this.initializeProject();
+        }
+    }
+
+    /**
+     * Re-points the current project, open tabs and file after another tab
+     * changed storage. A new default project is created if the current
+     * project was deleted and no other project remains.
+     * @public
+     */
+    syncWithFileSystem() {
+        const project = this.fileSystem.getCurrentProject();
+        if (project !== this.currentProject) {
+            this.lastReplace = null;
+            this.currentProject = project;
+            if (project) {
+                this.restoreOpenTabs();
+            } else {
+                this.initializeProject();
+            }
+        }
+
+        this.pruneOpenTabs();
+    }
+
+    /**
+     * Resolves a file that was edited here and in another tab at the same time.
+     * The other tab's version has already been loaded when this is called.
+     * @param {{fileId: string, name: string, path: string}} conflict - Conflicting file
+     * @param {string} choice - 'reload' keeps the other tab's version, 'overwrite'
+     *     replaces it with this tab's content, 'copy' saves this tab's content
+     *     as a new file next to it
+     * @param {string} content - This tab's content
+     * @returns {Object|null} File to show afterwards, or null if it no longer exists
+     * @throws {Error} If a deleted file is overwritten or the copy cannot be created
+     * @public
+     */
+    resolveFileConflict(conflict, choice, content) {
+        const file = this.fileSystem.getItem(conflict.fileId);
+
+        if (choice === 'overwrite') {
+            if (!file) {
+                throw new Error(`"${conflict.name}" was deleted in another tab`);
+            }
+            this.fileSystem.updateFileContent(file.id, content);
+            return file;
+        }
+
+        if (choice === 'copy') {
+            // Recreates the folder if the other tab deleted it
+            const parentPath = conflict.path.slice(0, conflict.path.lastIndexOf('/')) || '/';
+            const parentId = this.fileSystem.ensureFolderPath(parentPath);
+            const name = this.fileSystem.getAvailableName(parentId, conflict.name, 'file', 'conflicted copy');
+            return this.fileSystem.createItem(parentPath, name, 'file', content);
+        }
+
+        return file || null;
+    }
+
     /**
      * Sets current view
      * @param {string} view - View identifier
@@ -175,111 +595,912 @@ export class DiagramModel {
     }
 
     /**
-     * Opens a file for editing
+     * Opens a file for editing, adding a tab for it if it has none
      * @param {string} fileId - File identifier
      * @public
      */
     openFile(fileId) {
         const file = this.fileSystem.getItem(fileId);
         if (file && file.type === 'file') {
+            if (!this.openTabs.some(tab => tab.fileId === fileId)) {
+                this.openTabs.push({ fileId, pinned: false });
+            }
             this.currentFile = file;
             this.setCurrentView('editor');
+            this.saveOpenTabs();
         }
     }
 
     /**
-     * Retrieves currently opened file
-     * @returns {Object|null} Current file object
+     * Retrieves the files open in editor tabs
+     * @returns {Array<{file: Object, pinned: boolean}>} Open tabs in display order
      * @public
      */
-    getCurrentFile() {
-        return this.currentFile;
+    getOpenTabs() {
+        return this.openTabs
+            .map(tab => ({ file: this.fileSystem.getItem(tab.fileId), pinned: tab.pinned }))
+            .filter(tab => tab.file);
     }
 
     /**
-     * Saves content to current file
-     * @param {string} content - File content
+     * Closes a file's tab. Closing the active tab activates its right
+     * neighbour, or the left one if it was last.
+     * @param {string} fileId - File identifier
+     * @returns {boolean} True if the file was open
      * @public
      */
-    saveCurrentFile(content) {
-        if (this.currentFile) {
-            this.fileSystem.updateFileContent(this.currentFile.id, content);
-            this.currentFile.content = content;
-            this.currentFile.modified = new Date().toISOString();
+    closeFile(fileId) {
+        const index = this.openTabs.findIndex(tab => tab.fileId === fileId);
+        if (index === -1) {
+            return false;
+        }
+
+        this.openTabs.splice(index, 1);
+        if (this.currentFile && this.currentFile.id === fileId) {
+            const next = this.openTabs[index] || this.openTabs[index - 1];
+            this.currentFile = next ? this.fileSystem.getItem(next.fileId) : null;
         }
+        this.saveOpenTabs();
+        return true;
     }
 
     /**
-     * Creates a new file
-     * @param {string} name - File name
-     * @param {string} [parentPath='/'] - Parent folder path
-     * @param {string} [content=''] - File content
-     * @returns {Object} Created file object
+     * Closes every unpinned tab except one, which becomes active
+     * @param {string} fileId - File identifier of the tab to keep
+     * @returns {Array<string>} Identifiers of the closed files
      * @public
      */
-    createFile(name, parentPath = '/', content = '') {
-        return this.fileSystem.createItem(parentPath, name, 'file', content);
+    closeOtherFiles(fileId) {
+        const closed = this.openTabs
+            .filter(tab => tab.fileId !== fileId && !tab.pinned)
+            .map(tab => tab.fileId);
+
+        this.openTabs = this.openTabs.filter(tab => !closed.includes(tab.fileId));
+        this.openFile(fileId);
+        return closed;
     }
 
     /**
-     * Creates a new folder
-     * @param {string} name - Folder name
-     * @param {string} [parentPath='/'] - Parent folder path
-     * @returns {Object} Created folder object
+     * Pins or unpins a tab. Pinned tabs stay in front and are kept by
+     * closeOtherFiles.
+     * @param {string} fileId - File identifier
+     * @param {boolean} pinned - Whether the tab is pinned
      * @public
      */
-    createFolder(name, parentPath = '/') {
-        return this.fileSystem.createItem(parentPath, name, 'folder');
+    setFilePinned(fileId, pinned) {
+        const tab = this.openTabs.find(entry => entry.fileId === fileId);
+        if (!tab) {
+            return;
+        }
+
+        // Newly pinned tabs go after the other pinned ones, unpinned tabs before the other unpinned ones
+        this.openTabs.splice(this.openTabs.indexOf(tab), 1);
+        tab.pinned = pinned;
+        this.openTabs.splice(this.openTabs.filter(entry => entry.pinned).length, 0, tab);
+        this.saveOpenTabs();
     }
 
     /**
-     * Renames an item
-     * @param {string} id - Item identifier
-     * @param {string} newName - New name
+     * Retrieves every file open for editing: the tabs and the split pane's file
+     * @returns {Array<Object>} Open files
      * @public
      */
-    renameItem(id, newName) {
-        this.fileSystem.renameItem(id, newName);
-
-        // Update current file reference if renamed
-        if (this.currentFile && this.currentFile.id === id) {
-            this.currentFile = this.fileSystem.getItem(id);
+    getOpenFiles() {
+        const files = this.getOpenTabs().map(tab => tab.file);
+        const splitFile = this.getSplitFile();
+        if (splitFile && !files.includes(splitFile)) {
+            files.push(splitFile);
         }
+        return files;
     }
 
     /**
-     * Deletes an item
-     * @param {string} id - Item identifier
+     * Shows a file in the split pane next to the main editor
+     * @param {string} fileId - File identifier
      * @public
      */
-    deleteItem(id) {
-        // Clear current file if deleted
-        if (this.currentFile && this.currentFile.id === id) {
-            this.currentFile = null;
+    openSplitFile(fileId) {
+        const file = this.fileSystem.getItem(fileId);
+        if (file && file.type === 'file') {
+            this.splitFileId = fileId;
+            this.saveOpenTabs();
         }
+    }
+
+    /**
+     * Closes the split pane
+     * @public
+     */
+    closeSplit() {
+        this.splitFileId = null;
+        this.compareMode = false;
+        this.saveOpenTabs();
+    }
 
-        this.fileSystem.deleteItem(id);
+    /**
+     * Retrieves the file shown in the split pane
+     * @returns {Object|null} File object or null if the pane is closed
+     * @public
+     */
+    getSplitFile() {
+        const file = this.splitFileId ? this.fileSystem.getItem(this.splitFileId) : null;
+        return file && file.type === 'file' ? file : null;
     }
 
     /**
-     * Exports current project
-     * @returns {Promise<Blob>} Project data blob
+     * Turns the diff between the main editor and the split pane on or off
+     * @param {boolean} enabled - Whether to compare
      * @public
      */
-    async exportCurrentProject() {
-        if (this.currentProject) {
-            return await this.fileSystem.exportProject(this.currentProject.id);
-        }
-        return null;
+    setCompareMode(enabled) {
+        this.compareMode = Boolean(enabled) && this.splitFileId !== null;
+        this.saveOpenTabs();
     }
 
     /**
-     * Imports project data
-     * @param {Object} importData - Project import data
+     * Whether the split pane shows a diff against the main editor
+     * @returns {boolean} True in compare mode
      * @public
      */
-    importProject(importData) {
-        this.currentProject = this.fileSystem.importProject(importData);
+    isCompareMode() {
+        return this.compareMode;
+    }
+
+    /**
+     * Loads the open tabs saved with the current project
+     * @private
+     */
+    restoreOpenTabs() {
+        const saved = (this.currentProject && this.currentProject.openTabs) || {};
+        const isFile = (id) => {
+            const item = this.fileSystem.getItem(id);
+            return Boolean(item && item.type === 'file');
+        };
+
+        this.openTabs = (Array.isArray(saved.files) ? saved.files : [])
+            .filter(tab => isFile(tab.id))
+            .map(tab => ({ fileId: tab.id, pinned: Boolean(tab.pinned) }));
+        this.openTabs.sort((a, b) => Number(b.pinned) - Number(a.pinned));
+
+        const active = saved.active && this.openTabs.some(tab => tab.fileId === saved.active);
+        this.currentFile = active ? this.fileSystem.getItem(saved.active) : null;
+
+        this.splitFileId = saved.split && isFile(saved.split) ? saved.split : null;
+        this.compareMode = Boolean(saved.compare) && this.splitFileId !== null;
+    }
+
+    /**
+     * Closes tabs (and the split pane) whose files no longer exist. If the
+     * active file is gone, the nearest remaining tab becomes active.
+     * @private
+     */
+    pruneOpenTabs() {
+        const exists = (tab) => {
+            const item = this.fileSystem.getItem(tab.fileId);
+            return Boolean(item && item.type === 'file');
+        };
+
+        if (this.currentFile && !exists({ fileId: this.currentFile.id })) {
+            const index = this.openTabs.findIndex(tab => tab.fileId === this.currentFile.id);
+            const next = this.openTabs.slice(index + 1).find(exists) || this.openTabs.slice(0, Math.max(index, 0)).reverse().find(exists);
+            this.currentFile = next ? this.fileSystem.getItem(next.fileId) : null;
+        } else if (this.currentFile) {
+            this.currentFile = this.fileSystem.getItem(this.currentFile.id);
+        }
+
+        if (!this.openTabs.every(exists)) {
+            this.openTabs = this.openTabs.filter(exists);
+        }
+        if (this.splitFileId && !exists({ fileId: this.splitFileId })) {
+            this.splitFileId = null;
+            this.compareMode = false;
+        }
+        this.saveOpenTabs();
+    }
+
+    /**
+     * Saves the open tabs, active file and split pane with the current project
+     * @private
+     */
+    saveOpenTabs() {
+        if (this.currentProject) {
+            this.fileSystem.setOpenTabs(this.currentProject.id, {
+                files: this.openTabs.map(tab => ({ id: tab.fileId, pinned: tab.pinned })),
+                active: this.currentFile ? this.currentFile.id : null,
+                split: this.splitFileId,
+                compare: this.compareMode
+            });
+        }
+    }
+
+    /**
+     * Retrieves currently opened file
+     * @returns {Object|null} Current file object
+     * @public
+     */
+    getCurrentFile() {
+        return this.currentFile;
+    }
+
+    /**
+     * Saves content to current file
+     * @param {string} content - File content
+     * @public
+     */
+    saveCurrentFile(content) {
+        if (this.currentFile) {
+            this.saveFile(this.currentFile.id, content);
+        }
+    }
+
+    /**
+     * Saves content to a file, e.g. one open in a background tab
+     * @param {string} fileId - File identifier
+     * @param {string} content - File content
+     * @param {string} [reason='save'] - 'save', or 'autosave' for saves no one asked for
+     * @public
+     */
+    saveFile(fileId, content, reason = 'save') {
+        const file = this.fileSystem.getItem(fileId);
+        if (file && file.type === 'file') {
+            this.fileSystem.updateFileContent(fileId, content, reason);
+            file.content = content;
+            file.modified = new Date().toISOString();
+        }
+    }
+
+    /**
+     * Snapshots unsaved editor content of the current file (e.g. before an AI insertion)
+     * @param {string} content - Content to snapshot
+     * @param {string} reason - Why the snapshot was taken
+     * @returns {Object|null} Created version or null if skipped
+     * @public
+     */
+    snapshotCurrentFile(content, reason) {
+        if (!this.currentFile) {
+            return null;
+        }
+        return this.fileSystem.addFileVersion(this.currentFile.id, content, reason);
+    }
+
+    /**
+     * Retrieves the history snapshots of a file
+     * @param {string} fileId - File identifier
+     * @returns {Array<Object>} Versions, newest first
+     * @public
+     */
+    getFileVersions(fileId) {
+        return this.fileSystem.getFileVersions(fileId);
+    }
+
+    /**
+     * Restores a file to a history snapshot
+     * @param {string} fileId - File identifier
+     * @param {string} versionId - Version identifier
+     * @returns {Object|null} Updated file or null if the version was not found
+     * @public
+     */
+    restoreFileVersion(fileId, versionId) {
+        return this.fileSystem.restoreFileVersion(fileId, versionId);
+    }
+
+    /**
+     * Creates a new file
+     * @param {string} name - File name
+     * @param {string} [parentPath='/'] - Parent folder path
+     * @param {string} [content=''] - File content
+     * @returns {Object} Created file object
+     * @public
+     */
+    createFile(name, parentPath = '/', content = '') {
+        const file = this.fileSystem.createItem(parentPath, name, 'file', content);
+        this.recordCreation(file, 'create');
+        return file;
+    }
+
+    /**
+     * Creates a new folder
+     * @param {string} name - Folder name
+     * @param {string} [parentPath='/'] - Parent folder path
+     * @returns {Object} Created folder object
+     * @public
+     */
+    createFolder(name, parentPath = '/') {
+        const folder = this.fileSystem.createItem(parentPath, name, 'folder');
+        this.recordCreation(folder, 'create');
+        return folder;
+    }
+
+    /**
+     * Renames an item
+     * @param {string} id - Item identifier
+     * @param {string} newName - New name
+     * @returns {Object|undefined} Renamed item
+     * @throws {Error} If the name is invalid
+     * @public
+     */
+    renameItem(id, newName) {
+        const original = this.fileSystem.getItem(id);
+        const oldName = original ? original.name : null;
+        const item = this.applyRename(id, newName);
+
+        if (item && item.name !== oldName) {
+            const name = item.name;
+            this.recordCommand(`rename '${oldName}' to '${name}'`,
+                () => this.applyRename(id, oldName),
+                () => this.applyRename(id, name));
+        }
+
+        return item;
+    }
+
+    /**
+     * Renames an item without recording it in the command history
+     * @param {string} id - Item identifier
+     * @param {string} newName - New name
+     * @returns {Object|undefined} Renamed item
+     * @throws {Error} If the item is gone or the name is invalid
+     * @private
+     */
+    applyRename(id, newName) {
+        const item = this.fileSystem.renameItem(id, newName);
+
+        // Update current file reference if renamed
+        if (this.currentFile && this.currentFile.id === id) {
+            this.currentFile = this.fileSystem.getItem(id);
+        }
+
+        return item;
+    }
+
+    /**
+     * Moves an item into another folder
+     * @param {string} id - Item identifier
+     * @param {string} targetFolderId - Destination folder identifier
+     * @param {number|null} [index=null] - Position among the destination's children
+     * @returns {Object} Moved item
+     * @public
+     */
+    moveItem(id, targetFolderId, index = null) {
+        const oldParentId = this.fileSystem.getParentId(id);
+        const oldIndex = oldParentId ? this.fileSystem.getItem(oldParentId).children.indexOf(id) : -1;
+        const item = this.fileSystem.moveItem(id, targetFolderId, index);
+        const newIndex = this.fileSystem.getItem(targetFolderId).children.indexOf(id);
+
+        if (oldParentId && (oldParentId !== targetFolderId || oldIndex !== newIndex)) {
+            this.recordCommand(`move '${item.name}'`,
+                () => this.fileSystem.moveItem(id, oldParentId, oldIndex),
+                () => this.fileSystem.moveItem(id, targetFolderId, newIndex));
+        }
+
+        return item;
+    }
+
+    /**
+     * Copies an item (and its subtree) into a folder
+     * @param {string} id - Item identifier
+     * @param {string} targetFolderId - Destination folder identifier
+     * @returns {Object} Copied item
+     * @public
+     */
+    copyItem(id, targetFolderId) {
+        const copy = this.fileSystem.copyItem(id, targetFolderId);
+        this.recordCreation(copy, 'copy');
+        return copy;
+    }
+
+    /**
+     * Duplicates an item next to the original
+     * @param {string} id - Item identifier
+     * @returns {Object} Duplicated item
+     * @public
+     */
+    duplicateItem(id) {
+        const copy = this.fileSystem.duplicateItem(id);
+        this.recordCreation(copy, 'duplicate');
+        return copy;
+    }
+
+    /**
+     * Moves an item to the project trash
+     * @param {string} id - Item identifier
+     * @public
+     */
+    deleteItem(id) {
+        const parentId = this.fileSystem.getParentId(id);
+        const index = parentId ? this.fileSystem.getItem(parentId).children.indexOf(id) : -1;
+        const entry = this.fileSystem.deleteItem(id);
+
+        // Close the tabs of deleted files (directly or with their folder)
+        this.pruneOpenTabs();
+
+        if (!entry) {
+            return;
+        }
+        let trashId = entry.id;
+        this.recordCommand(`delete '${entry.name}'`, () => {
+            if (!this.fileSystem.restoreTrashItem(trashId)) {
+                throw new Error(`'${entry.name}' is no longer in the Trash`);
+            }
+            // Back to its old place among its siblings
+            if (this.fileSystem.getParentId(id) === parentId) {
+                this.fileSystem.moveItem(id, parentId, index);
+            }
+        }, () => {
+            const again = this.fileSystem.deleteItem(id);
+            if (!again) {
+                throw new Error(`'${entry.name}' no longer exists`);
+            }
+            trashId = again.id;
+        });
+    }
+
+    /**
+     * Records the creation of an item (and its subtree). Undoing it removes
+     * the items without a trash entry; redoing it brings them back as they were.
+     * @param {Object} item - Created item
+     * @param {string} verb - Operation name for the history label
+     * @private
+     */
+    recordCreation(item, verb) {
+        let entry = null;
+        this.recordCommand(`${verb} '${item.name}'`, () => {
+            entry = this.fileSystem.deleteItem(item.id);
+            if (!entry) {
+                throw new Error(`'${item.name}' no longer exists`);
+            }
+            this.fileSystem.purgeTrashItem(entry.id);
+        }, () => {
+            this.fileSystem.restorePurgedEntry(entry);
+        });
+    }
+
+    /**
+     * Adds a project tree operation to the undo history
+     * @param {string} label - Operation name, e.g. "delete 'auth-flow.mmd'"
+     * @param {Function} undo - Reverts the operation
+     * @param {Function} redo - Applies the operation again
+     * @private
+     */
+    recordCommand(label, undo, redo) {
+        if (this.currentProject) {
+            this.history.record({ label, scope: this.currentProject.id, undo, redo });
+        }
+    }
+
+    /**
+     * Names the project tree operation the next undo reverts
+     * @returns {string|null} Operation label or null if there is nothing to undo
+     * @public
+     */
+    getUndoLabel() {
+        const command = this.currentProject ? this.history.peekUndo(this.currentProject.id) : null;
+        return command ? command.label : null;
+    }
+
+    /**
+     * Names the project tree operation the next redo applies
+     * @returns {string|null} Operation label or null if there is nothing to redo
+     * @public
+     */
+    getRedoLabel() {
+        const command = this.currentProject ? this.history.peekRedo(this.currentProject.id) : null;
+        return command ? command.label : null;
+    }
+
+    /**
+     * Reverts the most recent project tree operation
+     * @returns {string|null} Label of the undone operation, null if there was nothing to undo
+     * @throws {Error} If the tree changed so that the operation cannot be undone
+     * @public
+     */
+    undo() {
+        return this.runHistory('undo');
+    }
+
+    /**
+     * Applies the most recently undone project tree operation again
+     * @returns {string|null} Label of the redone operation, null if there was nothing to redo
+     * @throws {Error} If the tree changed so that the operation cannot be redone
+     * @public
+     */
+    redo() {
+        return this.runHistory('redo');
+    }
+
+    /**
+     * Runs an undo or redo and closes the tabs of files it removed
+     * @param {string} direction - 'undo' or 'redo'
+     * @returns {string|null} Operation label
+     * @throws {Error} If the operation failed
+     * @private
+     */
+    runHistory(direction) {
+        if (!this.currentProject) {
+            return null;
+        }
+
+        const label = direction === 'undo' ? this.getUndoLabel() : this.getRedoLabel();
+        try {
+            const command = this.history[direction](this.currentProject.id);
+            return command ? command.label : null;
+        } catch (error) {
+            throw new Error(`Cannot ${direction} ${label}: ${error.message}`);
+        } finally {
+            this.pruneOpenTabs();
+        }
+    }
+
+    /**
+     * Retrieves the trash entries of the current project
+     * @returns {Array<Object>} Trash entries, most recently deleted first
+     * @public
+     */
+    getTrash() {
+        return this.fileSystem.getTrash();
+    }
+
+    /**
+     * Restores a trashed item
+     * @param {string} entryId - Trash entry identifier
+     * @returns {Object|null} Restored item
+     * @public
+     */
+    restoreTrashItem(entryId) {
+        return this.fileSystem.restoreTrashItem(entryId);
+    }
+
+    /**
+     * Permanently deletes a trash entry
+     * @param {string} entryId - Trash entry identifier
+     * @public
+     */
+    purgeTrashItem(entryId) {
+        this.fileSystem.purgeTrashItem(entryId);
+    }
+
+    /**
+     * Permanently deletes all trashed items
+     * @public
+     */
+    emptyTrash() {
+        this.fileSystem.emptyTrash();
+    }
+
+    /**
+     * Sets the trash retention period of the current project
+     * @param {number|null} days - Retention in days, or null to keep forever
+     * @public
+     */
+    setTrashRetention(days) {
+        this.fileSystem.setTrashRetention(days);
+    }
+
+    /**
+     * Saves the current state of the whole project as a named checkpoint
+     * @param {string} name - Checkpoint name
+     * @returns {Object} Checkpoint summary
+     * @throws {Error} If the name is empty or taken
+     * @public
+     */
+    createCheckpoint(name) {
+        return this.fileSystem.createCheckpoint(name);
+    }
+
+    /**
+     * Lists the checkpoints of the current project
+     * @returns {Array<Object>} Checkpoint summaries, newest first
+     * @public
+     */
+    getCheckpoints() {
+        return this.fileSystem.getCheckpoints();
+    }
+
+    /**
+     * Deletes a checkpoint
+     * @param {string} checkpointId - Checkpoint identifier
+     * @public
+     */
+    deleteCheckpoint(checkpointId) {
+        this.fileSystem.deleteCheckpoint(checkpointId);
+    }
+
+    /**
+     * Lists the files added, removed and changed since a checkpoint
+     * @param {string} checkpointId - Checkpoint identifier
+     * @returns {Promise<{added: Array<Object>, removed: Array<Object>, changed: Array<Object>}|null>}
+     *          Result of compareFileTrees() or null if the checkpoint was not found
+     * @public
+     */
+    async compareCheckpoint(checkpointId) {
+        const files = await this.fileSystem.getCheckpointFiles(checkpointId);
+        return files && this.currentProject ? compareFileTrees(files, this.currentProject.files) : null;
+    }
+
+    /**
+     * Restores a checkpoint. The state being replaced is saved as a checkpoint
+     * first (unless nothing changed since), so the restore can be reverted.
+     * @param {string} checkpointId - Checkpoint identifier
+     * @returns {Promise<Object|null>} Summary of the checkpoint holding the replaced state,
+     *          null if none was needed
+     * @throws {Error} If the checkpoint was not found or the project was switched while it loaded
+     * @public
+     */
+    async restoreCheckpoint(checkpointId) {
+        const project = this.currentProject;
+        const files = await this.fileSystem.getCheckpointFiles(checkpointId);
+        if (!files || !project) {
+            throw new Error('Checkpoint not found');
+        }
+        if (this.currentProject !== project) {
+            throw new Error('The project was switched while the checkpoint was loading');
+        }
+
+        const comparison = compareFileTrees(files, project.files);
+
+        const { name } = this.getCheckpoints().find(checkpoint => checkpoint.id === checkpointId);
+        const unchanged = Object.values(comparison).every(list => list.length === 0);
+        let backup = null;
+        if (!unchanged) {
+            const base = `Before restoring "${name}"`;
+            const taken = new Set(this.getCheckpoints().map(checkpoint => checkpoint.name));
+            let backupName = base;
+            for (let counter = 2; taken.has(backupName); counter++) {
+                backupName = `${base} (${counter})`;
+            }
+            backup = this.fileSystem.createCheckpoint(backupName);
+        }
+
+        this.fileSystem.restoreCheckpoint(checkpointId, files);
+        this.pruneOpenTabs();
+        return backup;
+    }
+
+    /**
+     * Exports current project
+     * @returns {Promise<Blob>} Project data blob
+     * @public
+     */
+    async exportCurrentProject() {
+        if (this.currentProject) {
+            return await this.fileSystem.exportProject(this.currentProject.id);
+        }
+        return null;
+    }
+
+    /**
+     * Lists the diagrams of a folder or whole project for batch export
+     * @param {string} [projectId] - Project identifier (defaults to the current project)
+     * @param {string} [folderId='root'] - Folder to export, 'root' for the whole project
+     * @returns {{name: string, diagrams: Array<Object>}} Name of the folder or project and
+     *          the result of collectDiagramFiles()
+     * @throws {Error} If the project or folder does not exist
+     * @public
+     */
+    getDiagramExport(projectId = this.currentProject && this.currentProject.id, folderId = 'root') {
+        const data = this.fileSystem.exportProjectData(projectId);
+
+        const findNode = (node) => {
+            if (node.id === folderId) {
+                return node;
+            }
+            for (const child of node.children || []) {
+                const found = child.type === 'folder' ? findNode(child) : null;
+                if (found) {
+                    return found;
+                }
+            }
+            return null;
+        };
+
+        const folder = findNode(data.root);
+        if (!folder || folder.type !== 'folder') {
+            throw new Error('Folder not found');
+        }
+
+        return {
+            name: folderId === 'root' ? data.name : folder.name,
+            diagrams: collectDiagramFiles(folder)
+        };
+    }
+
+    /**
+     * Imports plain folder and file entries read from a ZIP archive or local folder
+     * @param {Object} data - Entries as returned by readProjectArchive()/readDirectoryFiles()
+     * @param {Object} [options={}]
+     * @param {string} [options.mode='new'] - 'new' or 'merge'
+     * @returns {{project: Object, files: Array<Object>}} Target project and created files
+     * @public
+     */
+    importFileEntries(data, { mode = 'new' } = {}) {
+        const result = this.fileSystem.importFileEntries(data, { mode });
+        this.currentProject = this.fileSystem.getCurrentProject();
+        if (mode !== 'merge') {
+            this.restoreOpenTabs();
+        }
+        return result;
+    }
+
+    /**
+     * Imports files dropped from the desktop or picked from disk into a folder,
+     * recreating their directory structure
+     * @param {string} targetFolderId - Folder to import into
+     * @param {Object} data - Entries as returned by readDroppedItems()/readFileList()
+     * @param {Function} resolveConflict - Called with (path, existingItem) for name clashes;
+     *        resolves to 'rename', 'overwrite' or 'skip'
+     * @returns {Promise<{imported: Array<Object>, overwritten: Array<Object>, skipped: Array<string>, failed: Array<string>}>} Summary
+     * @public
+     */
+    async importExternalFiles(targetFolderId, data, resolveConflict) {
+        const target = this.fileSystem.getItem(targetFolderId);
+        if (!target || target.type !== 'folder') {
+            throw new Error('Files can only be imported into a folder');
+        }
+
+        const resolvePath = (path) => (target.path === '/' ? path : target.path + path);
+        const summary = { imported: [], overwritten: [], skipped: [...data.skipped], failed: [] };
+
+        for (const folderPath of data.folders) {
+            try {
+                this.fileSystem.ensureFolderPath(resolvePath(folderPath));
+            } catch (error) {
+                summary.failed.push(`${folderPath}: ${error.message}`);
+            }
+        }
+
+        for (const file of data.files) {
+            const path = resolvePath(file.path);
+            const parentPath = path.substring(0, path.lastIndexOf('/')) || '/';
+            let name = path.slice(path.lastIndexOf('/') + 1);
+
+            try {
+                const parentId = this.fileSystem.ensureFolderPath(parentPath);
+                const existing = this.fileSystem.getItemByPath(path);
+
+                if (existing) {
+                    const choice = await resolveConflict(path, existing);
+                    if (choice === 'skip') {
+                        summary.skipped.push(file.path);
+                        continue;
+                    }
+                    if (choice === 'overwrite' && existing.type === 'file') {
+                        this.fileSystem.updateFileContent(existing.id, file.content);
+                        summary.overwritten.push({ ...existing, fileType: file.fileType });
+                        continue;
+                    }
+                    name = this.fileSystem.getAvailableName(parentId, name, 'file', 'imported');
+                }
+
+                const item = this.fileSystem.createItem(parentPath, name, 'file', file.content);
+                summary.imported.push({ ...item, fileType: file.fileType });
+            } catch (error) {
+                summary.failed.push(`${file.path}: ${error.message}`);
+            }
+        }
+
+        return summary;
+    }
+
+    /**
+     * Imports project data
+     * @param {Object} importData - Project import data
+     * @param {Object} [options={}]
+     * @param {string} [options.mode='new'] - 'new' opens the data as a new project, 'merge' adds it to the current one
+     * @returns {Object} Project the data was imported into
+     * @public
+     */
+    importProject(importData, { mode = 'new' } = {}) {
+        const project = this.fileSystem.importProject(importData, { mode });
+        this.currentProject = this.fileSystem.getCurrentProject();
+        if (mode !== 'merge') {
+            this.restoreOpenTabs();
+        }
+        return project;
+    }
+
+    /**
+     * Searches the contents of every file in the current project
+     * @param {string} query - Search text or pattern
+     * @param {Object} [options={}] - caseSensitive, wholeWord, regex, include and exclude globs
+     * @param {Object<string, string>} [unsavedContent={}] - Content to search instead of the stored one, by file id
+     * @returns {Object} Matches grouped by file (see searchFiles)
+     * @throws {SyntaxError} If a regex query is invalid
+     * @public
+     */
+    searchProject(query, options = {}, unsavedContent = {}) {
+        if (!this.currentProject) {
+            return { files: [], total: 0, truncated: false };
+        }
+
+        const files = Object.values(this.currentProject.files)
+            .filter(item => item.type === 'file')
+            .map(item => (item.id in unsavedContent ? { ...item, content: unsavedContent[item.id] } : item));
+        return searchFiles(files, query, options);
+    }
+
+    /**
+     * Searches the current project and computes the replacement for every match
+     * @param {string} query - Search text or pattern
+     * @param {Object} options - caseSensitive, wholeWord, regex, include and exclude globs
+     * @param {string} replacement - Replacement text; `$1`, `$&` etc. are expanded in regex mode
+     * @param {Object<string, string>} [unsavedContent={}] - Content to search instead of the stored one, by file id
+     * @returns {Object} Search result whose matches carry `replacement` and `preview`
+     * @throws {SyntaxError} If a regex query is invalid
+     * @public
+     */
+    planProjectReplace(query, options, replacement, unsavedContent = {}) {
+        return planReplacements(this.searchProject(query, options, unsavedContent), query, replacement, options);
+    }
+
+    /**
+     * Applies accepted replacements as one batch. Files whose matched lines
+     * changed since the preview are skipped.
+     * @param {Array<{fileId: string, matches: Array<Object>}>} edits - Planned matches to replace, by file
+     * @returns {{files: number, replaced: number, skipped: Array<string>}} Summary
+     * @public
+     */
+    applyProjectReplace(edits) {
+        const batch = { projectId: this.currentProject ? this.currentProject.id : null, files: [], count: 0 };
+        const skipped = [];
+
+        edits.forEach(({ fileId, matches }) => {
+            const file = this.fileSystem.getItem(fileId);
+            if (!file || file.type !== 'file' || matches.length === 0) {
+                return;
+            }
+
+            const lines = file.content.split(/\r?\n/);
+            if (matches.some(match => lines[match.line - 1] !== match.text)) {
+                skipped.push(file.path);
+                return;
+            }
+
+            const before = file.content;
+            const after = applyReplacements(before, matches);
+            this.fileSystem.updateFileContent(fileId, after, 'replace');
+            batch.files.push({ fileId, before, after });
+            batch.count += matches.length;
+        });
+
+        if (batch.files.length > 0) {
+            this.lastReplace = batch;
+        }
+
+        return { files: batch.files.length, replaced: batch.count, skipped };
+    }
+
+    /**
+     * Whether the last replace batch can be undone in the current project
+     * @returns {boolean} True if an undo is available
+     * @public
+     */
+    canUndoReplace() {
+        return Boolean(this.lastReplace && this.currentProject && this.lastReplace.projectId === this.currentProject.id);
+    }
+
+    /**
+     * Reverts the last replace batch. Files edited since then are left alone.
+     * @returns {{restored: number, skipped: Array<string>}} Summary
+     * @public
+     */
+    undoLastReplace() {
+        const result = { restored: 0, skipped: [] };
+        if (!this.canUndoReplace()) {
+            return result;
+        }
+
+        this.lastReplace.files.forEach(({ fileId, before, after }) => {
+            const file = this.fileSystem.getItem(fileId);
+            if (!file || file.content !== after) {
+                result.skipped.push(file ? file.path : fileId);
+                return;
+            }
+            this.fileSystem.updateFileContent(fileId, before, 'replace');
+            result.restored++;
+        });
+
+        this.lastReplace = null;
+        return result;
     }
 }
 
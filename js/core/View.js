@@ -17,9 +17,23 @@ import { detectDiagramType } from '../utils/DiagramUtils.js';
 import { RenderingEngine } from '../rendering/RenderingEngine.js';
 import { PanZoom } from './PanZoom.js';
 import { startInlineEdit as startInlineEditHelper, finishInlineEdit as finishInlineEditHelper, showNotification as showNotificationHelper, escapeHtml, getFileTypeBadgeInfo } from '../view/UIHelpers.js';
-import { buildProjectTreeHtml } from '../view/TreeRenderer.js';
-import { attachEventListeners, attachContextMenu } from '../view/ViewEvents.js';
+import { buildProjectTreeHtml, buildTrashHtml } from '../view/TreeRenderer.js';
+import { attachEventListeners, attachContextMenu, attachTreeDragAndDrop } from '../view/ViewEvents.js';
 import { ErrorPanelManager } from '../view/ErrorPanelManager.js';
+import { HistoryPanel } from '../view/HistoryPanel.js';
+import { CheckpointsPanel } from '../view/CheckpointsPanel.js';
+import { ExportDiagramsDialog } from '../view/ExportDiagramsDialog.js';
+import { ProjectManagerPanel } from '../view/ProjectManagerPanel.js';
+import { ProjectTemplatesDialog } from '../view/ProjectTemplatesDialog.js';
+import { FileTemplatesPanel } from '../view/FileTemplatesPanel.js';
+import { ImportConflictDialog } from '../view/ImportConflictDialog.js';
+import { FileConflictDialog } from '../view/FileConflictDialog.js';
+import { SearchPanel } from '../view/SearchPanel.js';
+import { ReplacePreviewDialog } from '../view/ReplacePreviewDialog.js';
+import { ProjectSettingsDialog } from '../view/ProjectSettingsDialog.js';
+import { EditorTabs } from '../view/EditorTabs.js';
+import { SplitPane } from '../view/SplitPane.js';
+import { diffLines } from '../utils/DiffUtils.js';
 
 /**
  * DiagramView class - Manages UI rendering and user interactions
@@ -54,6 +68,78 @@ export class DiagramView {
          */
         this.editor = null;
 
+        /**
+         * Ace edit session of every open tab, with the stored content it was
+         * last synced to. A session is only reloaded when the stored content
+         * changes and it has no unsaved edits, so view updates keep them.
+         * @type {Map<string, {session: Object, content: string}>}
+         * @private
+         */
+        this.sessions = new Map();
+
+        /**
+         * Empty session shown when no file is open
+         * @type {Object|null}
+         * @private
+         */
+        this.blankSession = null;
+
+        /**
+         * Project the edit sessions belong to
+         * @type {string|null}
+         * @private
+         */
+        this.sessionsProjectId = null;
+
+        /**
+         * File shown in the editor
+         * @type {string|null}
+         * @private
+         */
+        this.activeFileId = null;
+
+        /**
+         * Open files with unsaved changes
+         * @type {Set<string>}
+         * @private
+         */
+        this.modifiedFiles = new Set();
+
+        /**
+         * Ace Editor instance of the split pane
+         * @type {Object|null}
+         * @private
+         */
+        this.splitEditor = null;
+
+        /**
+         * File shown in the split pane
+         * @type {string|null}
+         * @private
+         */
+        this.splitFileId = null;
+
+        /**
+         * Whether the split pane shows a diff against the main editor
+         * @type {boolean}
+         * @private
+         */
+        this.compareMode = false;
+
+        /**
+         * Line highlights added to editor sessions in compare mode
+         * @type {Array<{session: Object, id: number}>}
+         * @private
+         */
+        this.compareMarkers = [];
+
+        /**
+         * File and content last rendered in the split preview
+         * @type {{fileId: string|null, content: string|null}}
+         * @private
+         */
+        this.splitRendered = { fileId: null, content: null };
+
         /**
          * Context menu target item ID
          * @type {string|null}
@@ -61,6 +147,13 @@ export class DiagramView {
          */
         this.contextMenuTarget = null;
 
+        /**
+         * Whether the Trash node of the project tree is expanded
+         * @type {boolean}
+         * @private
+         */
+        this.trashExpanded = false;
+
         /**
          * Current preview mode
          * @type {string}
@@ -82,6 +175,97 @@ export class DiagramView {
          */
         this.errorPanelManager = new ErrorPanelManager(this.elements, this);
 
+        /**
+         * File version history panel
+         * @type {HistoryPanel}
+         * @private
+         */
+        this.historyPanel = new HistoryPanel(this.elements, this);
+
+        /**
+         * Project checkpoints dialog
+         * @type {CheckpointsPanel}
+         * @private
+         */
+        this.checkpointsPanel = new CheckpointsPanel(this.elements, this);
+
+        /**
+         * Batch diagram export dialog
+         * @type {ExportDiagramsDialog}
+         * @private
+         */
+        this.exportDiagramsDialog = new ExportDiagramsDialog(this.elements, this);
+
+        /**
+         * Project manager dialog and header quick-switch
+         * @type {ProjectManagerPanel}
+         * @private
+         */
+        this.projectManagerPanel = new ProjectManagerPanel(this.elements, this);
+
+        /**
+         * New project from template dialog
+         * @type {ProjectTemplatesDialog}
+         * @private
+         */
+        this.projectTemplatesDialog = new ProjectTemplatesDialog(this.elements, this);
+
+        /**
+         * Template list of the new file dialog
+         * @type {FileTemplatesPanel}
+         * @private
+         */
+        this.fileTemplatesPanel = new FileTemplatesPanel(this.elements, this);
+
+        /**
+         * Name conflict prompt for file imports
+         * @type {ImportConflictDialog}
+         * @private
+         */
+        this.importConflictDialog = new ImportConflictDialog(this.elements);
+
+        /**
+         * Prompt for files edited in this tab and another tab at once
+         * @type {FileConflictDialog}
+         * @private
+         */
+        this.fileConflictDialog = new FileConflictDialog(this.elements);
+
+        /**
+         * Project-wide search sidebar
+         * @type {SearchPanel}
+         * @private
+         */
+        this.searchPanel = new SearchPanel(this.elements, this);
+
+        /**
+         * Find-and-replace preview dialog
+         * @type {ReplacePreviewDialog}
+         * @private
+         */
+        this.replacePreviewDialog = new ReplacePreviewDialog(this.elements, this);
+
+        /**
+         * Project settings dialog
+         * @type {ProjectSettingsDialog}
+         * @private
+         */
+        this.projectSettingsDialog = new ProjectSettingsDialog(this.elements, this);
+
+        /**
+         * Tab strip of open files
+         * @type {EditorTabs}
+         * @private
+         */
+        this.editorTabs = new EditorTabs(this.elements, this);
+
+        /**
+         * Second editor and preview next to the main ones
+         * @type {SplitPane}
+         * @private
+         */
+        this.splitPane = new SplitPane(this.elements, this);
+
         // Initialize view
         this.initializeView();
         this.initializeEditor();
@@ -96,6 +280,8 @@ export class DiagramView {
         return {
             // Header elements
             projectTitle: document.getElementById('project-title'),
+            projectTitleName: document.getElementById('project-title-name'),
+            projectSwitcherList: document.getElementById('project-switcher-list'),
             themeToggle: document.getElementById('theme-toggle'),
             newProjectBtn: document.getElementById('new-project'),
             exportProjectBtn: document.getElementById('export-project'),
@@ -104,6 +290,8 @@ export class DiagramView {
             newFileBtn: document.getElementById('new-file'),
             newFolderBtn: document.getElementById('new-folder'),
             saveFileBtn: document.getElementById('save-file'),
+            autoSaveToggle: document.getElementById('toggle-autosave'),
+            autoSaveDelayBtn: document.getElementById('autosave-delay'),
             deleteFileBtn: document.getElementById('delete-file'),
             downloadFileBtn: document.getElementById('download-file'),
 
@@ -112,11 +300,29 @@ export class DiagramView {
 
             // Editor elements
             editorView: document.getElementById('editor-view'),
+            editorTabs: document.getElementById('editor-tabs'),
+            tabContextMenu: document.getElementById('tab-context-menu'),
             fileNameDisplay: document.getElementById('file-name-display'),
             fileEditor: document.getElementById('file-editor'),
             fileTypeBadge: document.getElementById('file-type-badge'),
             previewType: document.getElementById('preview-type'),
             diagramPreview: document.getElementById('diagram-preview'),
+
+            // Split pane
+            editorContainer: document.querySelector('#editor-view .editor-container'),
+            splitPane: document.getElementById('split-pane'),
+            splitFileSelect: document.getElementById('split-file-select'),
+            splitCompareBtn: document.getElementById('split-compare-btn'),
+            splitCloseBtn: document.getElementById('split-close-btn'),
+            splitFileEditor: document.getElementById('split-editor'),
+            splitPreview: document.getElementById('split-preview'),
+            splitDiff: document.getElementById('split-diff'),
+            splitCompareSummary: document.getElementById('split-compare-summary'),
+            toggleSplitBtn: document.getElementById('toggle-split-editor'),
+            undoTreeBtn: document.getElementById('undo-tree'),
+            redoTreeBtn: document.getElementById('redo-tree'),
+            compareFilesBtn: document.getElementById('compare-files'),
+
             panZoomControls: document.getElementById('pan-zoom-controls'),
             zoomInBtn: document.getElementById('zoom-in-btn'),
             zoomOutBtn: document.getElementById('zoom-out-btn'),
@@ -138,10 +344,107 @@ export class DiagramView {
             fileTypeModal: bootstrap.Modal ? new bootstrap.Modal(document.getElementById('fileTypeModal')) : null,
             fileLocation: document.getElementById('file-location'),
             fileNameInput: document.getElementById('file-name-input'),
+            fileTemplateList: document.getElementById('file-template-list'),
+            fileTemplatePlaceholders: document.getElementById('file-template-placeholders'),
+            fileTemplatePlaceholderName: document.getElementById('file-template-placeholder-name'),
+            fileTemplatePlaceholderFields: document.getElementById('file-template-placeholder-fields'),
+            fileTemplatePlaceholdersBack: document.getElementById('file-template-placeholders-back'),
             previewMode: document.getElementById('preview-mode'),
             fullscreenBtn: document.getElementById('fullscreen-btn'),
             fullscreenModal: bootstrap.Modal ? new bootstrap.Modal(document.getElementById('fullscreenModal')) : null,
-            fullscreenPreview: document.getElementById('fullscreen-preview')
+            fullscreenPreview: document.getElementById('fullscreen-preview'),
+
+            // Move modal
+            moveModal: bootstrap.Modal ? new bootstrap.Modal(document.getElementById('moveItemModal')) : null,
+            moveItemName: document.getElementById('move-item-name'),
+            moveTargetFolder: document.getElementById('move-target-folder'),
+
+            // Import project modal
+            importModal: bootstrap.Modal ? new bootstrap.Modal(document.getElementById('importProjectModal')) : null,
+            importProjectName: document.getElementById('import-project-name'),
+
+            // Import conflict modal
+            importConflictModal: bootstrap.Modal ? new bootstrap.Modal(document.getElementById('importConflictModal')) : null,
+            conflictPath: document.getElementById('import-conflict-path'),
+            conflictApplyAll: document.getElementById('import-conflict-apply-all'),
+            conflictRenameBtn: document.getElementById('import-conflict-rename'),
+            conflictOverwriteBtn: document.getElementById('import-conflict-overwrite'),
+            conflictSkipBtn: document.getElementById('import-conflict-skip'),
+
+            // Cross-tab file conflict modal
+            fileConflictModal: bootstrap.Modal ? new bootstrap.Modal(document.getElementById('fileConflictModal')) : null,
+            fileConflictMessage: document.getElementById('file-conflict-message'),
+            fileConflictDiff: document.getElementById('file-conflict-diff'),
+            fileConflictReloadBtn: document.getElementById('file-conflict-reload'),
+            fileConflictOverwriteBtn: document.getElementById('file-conflict-overwrite'),
+            fileConflictCopyBtn: document.getElementById('file-conflict-copy'),
+
+            // Project manager modal
+            projectManagerModal: bootstrap.Modal ? new bootstrap.Modal(document.getElementById('projectManagerModal')) : null,
+            projectManagerList: document.getElementById('project-manager-list'),
+            projectTemplatesModal: bootstrap.Modal ? new bootstrap.Modal(document.getElementById('projectTemplatesModal')) : null,
+            projectTemplateForm: document.getElementById('project-template-form'),
+            projectTemplateList: document.getElementById('project-template-list'),
+            projectTemplateNameInput: document.getElementById('project-template-name'),
+            projectTemplateDescription: document.getElementById('project-template-description'),
+            projectTemplateFiles: document.getElementById('project-template-files'),
+            projectTemplateCreateBtn: document.getElementById('project-template-create-btn'),
+            projectTemplateDeleteBtn: document.getElementById('project-template-delete-btn'),
+
+            // Project settings modal
+            projectSettingsModal: bootstrap.Modal ? new bootstrap.Modal(document.getElementById('projectSettingsModal')) : null,
+            projectSettingsName: document.getElementById('project-settings-name'),
+            projectSettingsForm: document.getElementById('project-settings-form'),
+            projectSettingsError: document.getElementById('project-settings-error'),
+            projectSettingsSave: document.getElementById('project-settings-save'),
+            projectSettingsReset: document.getElementById('project-settings-reset'),
+
+            // Search sidebar
+            searchInProject: document.getElementById('search-in-project'),
+            searchQuery: document.getElementById('search-query'),
+            searchReplace: document.getElementById('search-replace'),
+            searchReplaceAllBtn: document.getElementById('search-replace-all'),
+            searchUndoReplaceBtn: document.getElementById('search-undo-replace'),
+            searchCaseBtn: document.getElementById('search-case'),
+            searchWordBtn: document.getElementById('search-word'),
+            searchRegexBtn: document.getElementById('search-regex'),
+            searchInclude: document.getElementById('search-include'),
+            searchExclude: document.getElementById('search-exclude'),
+            searchSummary: document.getElementById('search-summary'),
+            searchResults: document.getElementById('search-results'),
+
+            // Replace preview modal
+            replacePreviewModal: bootstrap.Modal ? new bootstrap.Modal(document.getElementById('replacePreviewModal')) : null,
+            replacePreviewSummary: document.getElementById('replace-preview-summary'),
+            replacePreviewList: document.getElementById('replace-preview-list'),
+            replacePreviewApply: document.getElementById('replace-preview-apply'),
+
+            // Version history modal
+            historyModal: bootstrap.Modal ? new bootstrap.Modal(document.getElementById('fileHistoryModal')) : null,
+            historyFileName: document.getElementById('history-file-name'),
+            historyVersionList: document.getElementById('history-version-list'),
+            historyDiff: document.getElementById('history-diff'),
+            historySideBySideTab: document.getElementById('history-side-by-side-tab'),
+            historyPreviewVersion: document.getElementById('history-preview-version'),
+            historyPreviewCurrent: document.getElementById('history-preview-current'),
+            historyRestoreBtn: document.getElementById('history-restore-btn'),
+
+            // Checkpoints modal
+            checkpointsModal: bootstrap.Modal ? new bootstrap.Modal(document.getElementById('checkpointsModal')) : null,
+            checkpointCreateForm: document.getElementById('checkpoint-create-form'),
+            checkpointNameInput: document.getElementById('checkpoint-name'),
+            checkpointList: document.getElementById('checkpoint-list'),
+            checkpointSummary: document.getElementById('checkpoint-summary'),
+            checkpointChanges: document.getElementById('checkpoint-changes'),
+            checkpointDiff: document.getElementById('checkpoint-diff'),
+            checkpointRestoreBtn: document.getElementById('checkpoint-restore-btn'),
+            checkpointDeleteBtn: document.getElementById('checkpoint-delete-btn'),
+            exportDiagramsModal: bootstrap.Modal ? new bootstrap.Modal(document.getElementById('exportDiagramsModal')) : null,
+            exportDiagramsForm: document.getElementById('export-diagrams-form'),
+            exportDiagramsTarget: document.getElementById('export-diagrams-target'),
+            exportDiagramsProgress: document.getElementById('export-diagrams-progress'),
+            exportDiagramsResults: document.getElementById('export-diagrams-results'),
+            exportDiagramsBtn: document.getElementById('export-diagrams-btn')
         };
     }
 
@@ -157,6 +460,7 @@ export class DiagramView {
 
         attachEventListeners(this);
         attachContextMenu(this);
+        attachTreeDragAndDrop(this);
     }
 
     /**
@@ -179,37 +483,176 @@ export class DiagramView {
             case 'delete':
                 this.controller.handleDeleteItem(itemId);
                 break;
+            case 'move':
+                this.controller.handleMoveItemPrompt(itemId);
+                break;
+            case 'duplicate':
+                this.controller.handleDuplicateItem(itemId);
+                break;
+            case 'copy':
+                this.controller.handleCopyItem(itemId);
+                break;
+            case 'paste':
+                this.controller.handlePasteItem(itemId);
+                break;
+            case 'import-files':
+                this.controller.handleImportFiles(itemId);
+                break;
+            case 'export-diagrams':
+                this.controller.handleShowExportDiagrams(itemId);
+                break;
+            case 'open-side':
+                this.controller.handleOpenToSide(itemId);
+                break;
             case 'download-svg':
                 this.controller.handleDownloadSVG(itemId);
                 break;
             case 'download-png':
                 this.controller.handleDownloadPNG(itemId);
                 break;
+            case 'history':
+                this.controller.handleShowHistory(itemId);
+                break;
+            case 'restore':
+                this.controller.handleRestoreTrashItem(itemId);
+                break;
+            case 'purge':
+                this.controller.handlePurgeTrashItem(itemId);
+                break;
+            case 'empty-trash':
+                this.controller.handleEmptyTrash();
+                break;
+            case 'trash-retention':
+                this.controller.handleTrashRetention();
+                break;
         }
     }
 
     /**
-     * Toggles between dark and light themes
+     * Returns the active theme
+     * @returns {string} 'light' or 'dark'
      * @public
      */
-    toggleTheme() {
-        const currentTheme = document.documentElement.getAttribute('data-theme') || 'light';
-        const newTheme = currentTheme === 'light' ? 'dark' : 'light';
+    getTheme() {
+        return document.documentElement.getAttribute('data-theme') || 'light';
+    }
 
-        document.documentElement.setAttribute('data-theme', newTheme);
+    /**
+     * Switches between dark and light themes
+     * @param {string} theme - 'light' or 'dark'
+     * @public
+     */
+    setTheme(theme) {
+        document.documentElement.setAttribute('data-theme', theme);
 
         // Update icon
-        const icon = this.elements.themeToggle.querySelector('i');
+        const icon = this.elements.themeToggle ? this.elements.themeToggle.querySelector('i') : null;
         if (icon) {
-            icon.className = newTheme === 'light' ? 'fas fa-moon' : 'fas fa-sun';
+            icon.className = theme === 'light' ? 'fas fa-moon' : 'fas fa-sun';
         }
 
         // Update Ace Editor theme
-        if (this.editor) {
-            this.editor.setTheme(newTheme === 'light' ? 'ace/theme/chrome' : 'ace/theme/monokai');
+        [this.editor, this.splitEditor].forEach(editor => {
+            if (editor) {
+                editor.setTheme(theme === 'light' ? 'ace/theme/chrome' : 'ace/theme/monokai');
+            }
+        });
+
+        // Mermaid's 'auto' theme follows the editor theme
+        this.renderingEngine.clearCache();
+    }
+
+    /**
+     * Applies effective settings (application settings with project overrides)
+     * @param {Object} settings - Result of DiagramModel.getSettings()
+     * @public
+     */
+    applySettings(settings) {
+        this.setTheme(settings.theme);
+
+        [this.editor, this.splitEditor].forEach(editor => {
+            if (editor) {
+                editor.setFontSize(settings.fontSize);
+            }
+        });
+
+        // Initial zoom of rendered diagrams, see .preview-content in styles.css
+        if (this.elements.diagramPreview) {
+            this.elements.diagramPreview.style.setProperty('--preview-scale', String(settings.scale / 100));
+        }
+
+        this.renderingEngine.configure(settings);
+        this.setAutoSaveState(settings.autoSave);
+    }
+
+    /**
+     * Shows whether autosave is on in the File menu
+     * @param {boolean} enabled - Autosave setting
+     * @public
+     */
+    setAutoSaveState(enabled) {
+        if (this.elements.autoSaveToggle) {
+            this.elements.autoSaveToggle.setAttribute('aria-checked', String(Boolean(enabled)));
+            const icon = this.elements.autoSaveToggle.querySelector('i');
+            if (icon) {
+                icon.className = `fas fa-toggle-${enabled ? 'on' : 'off'} me-2`;
+            }
         }
     }
 
+    /**
+     * Shows or clears the unsaved-changes marker of a file on its tab, tree
+     * item and (if it is the active file) the file name
+     * @param {string} fileId - File identifier
+     * @param {boolean} modified - Whether the file's tab holds unsaved changes
+     * @public
+     */
+    setFileModified(fileId, modified) {
+        if (modified) {
+            this.modifiedFiles.add(fileId);
+        } else {
+            this.modifiedFiles.delete(fileId);
+        }
+
+        if (this.elements.fileNameDisplay && fileId === this.activeFileId) {
+            this.elements.fileNameDisplay.classList.toggle('modified', modified);
+        }
+        if (fileId === this.splitFileId) {
+            this.splitPane.setModified(modified);
+        }
+        if (this.elements.projectTree) {
+            const treeItem = this.elements.projectTree.querySelector(`.tree-item[data-id="${fileId}"]`);
+            if (treeItem) {
+                treeItem.classList.toggle('modified', modified);
+            }
+        }
+        this.editorTabs.setModified(fileId, modified);
+    }
+
+    /**
+     * Retrieves the editor content of an open tab
+     * @param {string} fileId - File identifier
+     * @returns {string|null} Content, or null if the file has no tab
+     * @public
+     */
+    getSessionContent(fileId) {
+        const entry = this.sessions.get(fileId);
+        return entry ? entry.session.getValue() : null;
+    }
+
+    /**
+     * Records that a tab's content has been saved
+     * @param {string} fileId - File identifier
+     * @public
+     */
+    markSessionSaved(fileId) {
+        const entry = this.sessions.get(fileId);
+        if (entry) {
+            entry.content = entry.session.getValue();
+        }
+        this.setFileModified(fileId, false);
+    }
+
     /**
      * Updates view with model data
      * @param {DiagramModel} model - Application model
@@ -217,16 +660,270 @@ export class DiagramView {
      */
     update(model) {
 
-        // Update project tree
-        this.updateProjectTree(model);
-
         // Update current file display
+        this.closeStaleSessions(model);
         this.updateCurrentFile(model.getCurrentFile());
+        this.updateSplitPane(model);
+
+        this.updateSidebar(model);
+        this.updateHistoryMenu(model);
+    }
+
+    /**
+     * Names the project tree operations Undo and Redo in the Edit menu would
+     * revert or apply, and disables them when there is none
+     * @param {DiagramModel} model - Application model
+     * @private
+     */
+    updateHistoryMenu(model) {
+        const entries = [
+            [this.elements.undoTreeBtn, 'Undo', model.getUndoLabel()],
+            [this.elements.redoTreeBtn, 'Redo', model.getRedoLabel()]
+        ];
+        entries.forEach(([entry, action, label]) => {
+            if (!entry) {
+                return;
+            }
+            entry.querySelector('span').textContent = label ? `${action} ${label}` : action;
+            entry.classList.toggle('disabled', !label);
+            entry.setAttribute('aria-disabled', String(!label));
+        });
+    }
+
+    /**
+     * Drops the sessions of closed tabs, or all of them when another project
+     * was opened (duplicated projects share file IDs)
+     * @param {DiagramModel} model - Application model
+     * @private
+     */
+    closeStaleSessions(model) {
+        const project = model.getCurrentProject();
+        const projectId = project ? project.id : null;
+        const openIds = projectId === this.sessionsProjectId
+            ? new Set(model.getOpenFiles().map(file => file.id))
+            : new Set();
+
+        this.sessions.forEach((entry, fileId) => {
+            if (!openIds.has(fileId)) {
+                this.closeSession(fileId);
+            }
+        });
+        this.sessionsProjectId = projectId;
+    }
+
+    /**
+     * Updates the project switcher, tree, editor tabs and search results
+     * without touching the editor, e.g. after another tab changed other files
+     * @param {DiagramModel} model - Application model
+     * @public
+     */
+    updateSidebar(model) {
+        // Update project title and switcher
+        this.projectManagerPanel.render(model.getProjectSummaries());
+
+        // Update project tree and editor tabs
+        this.updateProjectTree(model);
+        this.editorTabs.render(model.getOpenTabs(), this.activeFileId, this.modifiedFiles);
+
+        // Keep search results in sync with file changes
+        this.searchPanel.setUndoAvailable(model.canUndoReplace());
+        this.searchPanel.refresh();
+    }
+
+    /**
+     * Replaces the content of an open tab with the stored content, keeping
+     * the cursor where it was
+     * @param {string} fileId - File identifier
+     * @param {string} content - New content
+     * @public
+     */
+    setSessionContent(fileId, content) {
+        const entry = this.sessions.get(fileId);
+        if (!entry) {
+            return;
+        }
+
+        entry.content = content;
+        if (entry.session.getValue() !== content) {
+            const cursor = entry.session.selection.getCursor();
+            entry.session.setValue(content);
+            entry.session.selection.moveCursorToPosition(cursor);
+            entry.session.selection.clearSelection();
+        }
+        this.setFileModified(fileId, false);
+    }
+
+    /**
+     * Returns the edit session of a file, creating it when its tab is opened
+     * @param {Object} file - File object
+     * @returns {{session: Object, content: string}} Session and the stored content it was synced to
+     * @private
+     */
+    getSession(file) {
+        let entry = this.sessions.get(file.id);
+        if (!entry) {
+            // Each tab keeps its own undo history, cursor and scroll position
+            const session = ace.createEditSession(file.content, 'ace/mode/markdown');
+            session.setOptions({ tabSize: 2, useSoftTabs: true, wrap: true });
+            entry = { session, content: file.content };
+            this.sessions.set(file.id, entry);
+        }
+        return entry;
+    }
+
+    /**
+     * Returns the session of a file, reloading it if the stored content
+     * changed and it has no unsaved edits
+     * @param {Object} file - File object
+     * @returns {{session: Object, content: string}} Session and the stored content it was synced to
+     * @private
+     */
+    syncSession(file) {
+        const entry = this.getSession(file);
+        if (file.content !== entry.content) {
+            if (entry.session.getValue() === entry.content) {
+                entry.session.setValue(file.content);
+            }
+            entry.content = file.content;
+        }
+        this.setFileModified(file.id, entry.session.getValue() !== file.content);
+        return entry;
+    }
+
+    /**
+     * Shows or hides the split pane and the file it edits
+     * @param {DiagramModel} model - Application model
+     * @private
+     */
+    updateSplitPane(model) {
+        const file = model.getSplitFile();
+        const project = model.getCurrentProject();
+        const files = project
+            ? Object.values(project.files).filter(item => item.type === 'file').sort((a, b) => a.path.localeCompare(b.path))
+            : [];
 
-        // Update editor font size
-        if (this.elements.fileEditor) {
-            this.elements.fileEditor.style.fontSize = `${model.getSettings().fontSize}px`;
+        this.splitFileId = file ? file.id : null;
+        this.compareMode = Boolean(file) && model.isCompareMode();
+        this.splitPane.render(files, file, this.compareMode);
+
+        if (!this.splitEditor) {
+            return;
+        }
+        if (!file) {
+            this.splitEditor.setSession(this.splitBlankSession);
+            this.clearCompareMarkers();
+            this.splitRendered = { fileId: null, content: null };
+            return;
+        }
+
+        // Both editors edit the same document when they show the same file
+        const entry = this.syncSession(file);
+        if (!entry.splitSession) {
+            entry.splitSession = ace.createEditSession(entry.session.getDocument(), 'ace/mode/markdown');
+            entry.splitSession.setOptions({ tabSize: 2, useSoftTabs: true, wrap: true });
+            entry.splitSession.setUndoManager(entry.session.getUndoManager());
+        }
+        if (this.splitEditor.session !== entry.splitSession) {
+            this.splitEditor.setSession(entry.splitSession);
+        }
+        this.splitPane.setModified(this.modifiedFiles.has(file.id));
+        this.renderSplitPreview();
+    }
+
+    /**
+     * Renders the split pane's file, or the diff against the main editor in
+     * compare mode
+     * @public
+     */
+    renderSplitPreview() {
+        if (!this.splitEditor || !this.splitFileId) {
+            return;
+        }
+
+        if (this.compareMode) {
+            this.splitRendered = { fileId: null, content: null };
+            this.updateCompare();
+            return;
+        }
+
+        this.clearCompareMarkers();
+        const content = this.splitEditor.getValue();
+        if (this.splitRendered.fileId === this.splitFileId && this.splitRendered.content === content) {
+            return;
+        }
+        this.splitRendered = { fileId: this.splitFileId, content };
+        this.renderPreviewInto(this.elements.splitPreview, content);
+    }
+
+    /**
+     * Diffs the main editor against the split pane and highlights the lines
+     * that only one of them has
+     * @private
+     */
+    updateCompare() {
+        const Range = ace.require('ace/range').Range;
+        const left = this.activeFileId ? this.editor.getValue() : '';
+        const right = this.splitEditor.getValue();
+        const diff = diffLines(left, right);
+
+        this.clearCompareMarkers();
+        diff.forEach(entry => {
+            if (entry.type === 'removed') {
+                this.addCompareMarker(this.editor.session, new Range(entry.oldLine - 1, 0, entry.oldLine - 1, 1), 'compare-removed');
+            } else if (entry.type === 'added') {
+                this.addCompareMarker(this.splitEditor.session, new Range(entry.newLine - 1, 0, entry.newLine - 1, 1), 'compare-added');
+            }
+        });
+
+        const leftName = this.elements.fileNameDisplay ? this.elements.fileNameDisplay.textContent : 'Main editor';
+        const selected = this.elements.splitFileSelect ? this.elements.splitFileSelect.selectedOptions[0] : null;
+        this.splitPane.showDiff(diff, leftName, selected ? selected.textContent.trim() : 'Split editor');
+    }
+
+    /**
+     * Highlights one line in an editor session for compare mode
+     * @param {Object} session - Ace edit session
+     * @param {Object} range - Ace range of the line
+     * @param {string} className - CSS class of the highlight
+     * @private
+     */
+    addCompareMarker(session, range, className) {
+        this.compareMarkers.push({ session, id: session.addMarker(range, className, 'fullLine') });
+    }
+
+    /**
+     * Removes the compare mode line highlights
+     * @private
+     */
+    clearCompareMarkers() {
+        this.compareMarkers.forEach(({ session, id }) => session.removeMarker(id));
+        this.compareMarkers = [];
+    }
+
+    /**
+     * Drops the edit session of a closed tab
+     * @param {string} fileId - File identifier
+     * @private
+     */
+    closeSession(fileId) {
+        const entry = this.sessions.get(fileId);
+        if (!entry) {
+            return;
         }
+
+        if (this.editor && this.editor.session === entry.session) {
+            this.editor.setSession(this.blankSession);
+        }
+        if (entry.splitSession && this.splitEditor.session === entry.splitSession) {
+            this.splitEditor.setSession(this.splitBlankSession);
+        }
+        [entry.session, entry.splitSession].forEach(session => {
+            if (session && typeof session.destroy === 'function') {
+                session.destroy();
+            }
+        });
+        this.sessions.delete(fileId);
+        this.modifiedFiles.delete(fileId);
     }
 
     /**
@@ -241,7 +938,9 @@ export class DiagramView {
         }
 
         const treeHtml = buildProjectTreeHtml(project.files, 'root', this.selectedItemId);
-        this.elements.projectTree.innerHTML = treeHtml;
+        const trashHtml = buildTrashHtml(model.getTrash(), this.trashExpanded, this.selectedItemId);
+        this.elements.projectTree.innerHTML = treeHtml + trashHtml;
+        this.modifiedFiles.forEach(fileId => this.setFileModified(fileId, true));
     }
 
     /**
@@ -256,8 +955,12 @@ export class DiagramView {
 
         if (file) {
             this.elements.fileNameDisplay.textContent = file.name;
+            this.activeFileId = file.id;
             if (this.editor) {
-                this.editor.setValue(file.content, -1); // -1 moves cursor to start
+                const entry = this.syncSession(file);
+                if (this.editor.session !== entry.session) {
+                    this.editor.setSession(entry.session);
+                }
             }
 
             // Enable toolbar buttons
@@ -268,7 +971,10 @@ export class DiagramView {
             getFileTypeBadgeInfo(fileType);
         } else {
             this.elements.fileNameDisplay.textContent = 'Untitled';
+            this.elements.fileNameDisplay.classList.remove('modified');
+            this.activeFileId = null;
             if (this.editor) {
+                this.editor.setSession(this.blankSession);
                 this.editor.setValue('', -1);
             }
 
@@ -323,14 +1029,8 @@ export class DiagramView {
      * @private
      */
     getPreviewModeDisplayName() {
-        const modeNames = {
-            auto: 'Auto-detect',
-            mermaid: 'Mermaid Diagram',
-            plantuml: 'PlantUML Diagram',
-            txt: 'Plain Text',
-            md: 'Markdown'
-        };
-        return modeNames[this.previewMode] || 'Auto-detect';
+        const renderer = this.renderingEngine.getRenderer(this.previewMode);
+        return renderer ? renderer.label : 'Auto-detect';
     }
 
     /**
@@ -344,63 +1044,232 @@ export class DiagramView {
     }
 
     /**
-     * Renders diagram based on detected type
+     * Renders diagram code into the preview with the current preview mode
      * @param {string} code - Diagram code
      * @public
      */
     async renderDiagram(code) {
+        const preview = this.elements.diagramPreview;
+        if (!preview) {
+            return;
+        }
+
         try {
-            await this.renderingEngine.render(code, this.previewMode, this.elements.diagramPreview);
+            const result = await this.renderingEngine.render(code, this.previewMode, preview);
+            if (!result) {
+                return; // Superseded by a newer render
+            }
+
+            this.errorPanelManager.clearErrors();
+            if (result.svgElement && result.capabilities.panZoom) {
+                result.svgElement._panZoomManager = new PanZoom(result.svgElement);
+                this.showPanZoomControls();
+            } else {
+                this.hidePanZoomControls();
+            }
         } catch (error) {
             console.error('Error rendering diagram:', error);
+            this.hidePanZoomControls();
+            preview.innerHTML = `<div class="text-danger p-2">${escapeHtml(error.message)}</div>`;
             this.renderError(error);
         }
     }
 
     /**
-     * Renders plain text content
-     * @param {string} code - Text content
-     * @private
+     * Renders diagram code into an arbitrary container (used by side-by-side views)
+     * @param {HTMLElement} container - Target container
+     * @param {string} code - Diagram code
+     * @public
      */
-    renderPlainText(code) {
-        this.hidePanZoomControls();
-        const pre = document.createElement('pre');
-        pre.className = 'text-muted';
-        pre.style.fontFamily = "'Consolas', 'Monaco', 'Courier New', monospace";
-        pre.style.fontSize = '0.9rem';
-        pre.style.whiteSpace = 'pre-wrap';
-        pre.style.wordWrap = 'break-word';
-        pre.textContent = code || 'No content to display';
+    async renderPreviewInto(container, code) {
+        try {
+            await this.renderingEngine.render(code, this.previewMode, container);
+        } catch (error) {
+            container.innerHTML = `<div class="text-danger p-2">${escapeHtml(error.message)}</div>`;
+        }
+    }
 
-        this.elements.diagramPreview.appendChild(pre);
+    /**
+     * Gets the diagram code shown in the editor
+     * @returns {string} Editor content, or an empty string without an editor
+     * @public
+     */
+    getCurrentDiagramContent() {
+        return this.editor ? this.editor.getValue() : '';
     }
 
     /**
-     * Renders Markdown content
-     * @param {string} code - Markdown content
+     * Shows the zoom buttons above the preview
      * @private
      */
-    renderMarkdown(code) {
-        this.hidePanZoomControls();
-        if (!window.marked) {
-            throw new Error('Marked library not loaded');
+    showPanZoomControls() {
+        if (this.elements.panZoomControls) {
+            this.elements.panZoomControls.style.display = '';
         }
+    }
 
-        // Configure marked for security
-        window.marked.setOptions({
-            breaks: true,
-            gfm: true,
-            headerIds: false,
-            mangle: false
-        });
+    /**
+     * Hides the zoom buttons above the preview
+     * @private
+     */
+    hidePanZoomControls() {
+        if (this.elements.panZoomControls) {
+            this.elements.panZoomControls.style.display = 'none';
+        }
+    }
 
-        const html = window.marked.parse(code || '');
-        const div = document.createElement('div');
-        div.className = 'markdown-preview';
-        div.style.padding = '1rem';
-        div.innerHTML = html;
+    /**
+     * Shows the import dialog asking whether to create a new project or merge
+     * @param {string} name - Name of the imported project or file
+     * @public
+     */
+    showImportModal(name) {
+        if (this.elements.importProjectName) {
+            this.elements.importProjectName.textContent = name;
+        }
+        const newMode = document.getElementById('import-mode-new');
+        if (newMode) {
+            newMode.checked = true;
+        }
+        if (this.elements.importModal) {
+            this.elements.importModal.show();
+        }
+    }
 
-        this.elements.diagramPreview.appendChild(div);
+    /**
+     * Hides the import dialog
+     * @public
+     */
+    hideImportModal() {
+        if (this.elements.importModal) {
+            this.elements.importModal.hide();
+        }
+    }
+
+    /**
+     * Reads the import mode selected in the import dialog
+     * @returns {string} 'new' or 'merge'
+     * @public
+     */
+    getImportMode() {
+        const selected = document.querySelector('input[name="import-mode"]:checked');
+        return selected ? selected.value : 'new';
+    }
+
+    /**
+     * Asks how to resolve a name conflict while importing files
+     * @param {string} path - Path of the imported file
+     * @param {boolean} canOverwrite - Whether the existing item can be overwritten
+     * @returns {Promise<{choice: string, applyToAll: boolean}>} 'rename', 'overwrite' or 'skip'
+     * @public
+     */
+    askImportConflict(path, canOverwrite) {
+        return this.importConflictDialog.ask(path, canOverwrite);
+    }
+
+    /**
+     * Asks how to resolve a file edited here and in another tab
+     * @param {Object} conflict - Conflict with path, content (this tab) and deleted
+     * @param {string} theirs - Content saved by the other tab
+     * @returns {Promise<string>} 'reload', 'overwrite' or 'copy'
+     * @public
+     */
+    askFileConflict(conflict, theirs) {
+        return this.fileConflictDialog.ask(conflict, theirs);
+    }
+
+    /**
+     * Shows the project manager dialog
+     * @param {Array<Object>} summaries - Project summaries
+     * @public
+     */
+    showProjectManager(summaries) {
+        this.projectManagerPanel.show(summaries);
+    }
+
+    /**
+     * Shows the new project from template dialog
+     * @param {Array<Object>} templates - Built-in templates followed by saved ones
+     * @public
+     */
+    showProjectTemplates(templates) {
+        this.projectTemplatesDialog.show(templates);
+    }
+
+    /**
+     * Shows the project settings dialog
+     * @param {string} projectName - Name of the current project
+     * @param {Object} projectSettings - Project overrides (null inherits)
+     * @param {Object} globalSettings - Application settings
+     * @public
+     */
+    showProjectSettings(projectName, projectSettings, globalSettings) {
+        this.projectSettingsDialog.show(projectName, projectSettings, globalSettings);
+    }
+
+    /**
+     * Opens the search sidebar and focuses the query field
+     * @param {string} [query] - Optional text to search for
+     * @public
+     */
+    showSearchPanel(query) {
+        this.searchPanel.show(query);
+    }
+
+    /**
+     * Shows the find-and-replace preview
+     * @param {Object} plan - Planned replacements grouped by file
+     * @public
+     */
+    showReplacePreview(plan) {
+        this.replacePreviewDialog.show(plan);
+    }
+
+    /**
+     * Scrolls the editor to a match and selects it
+     * @param {number} line - 1-based line number
+     * @param {number} column - 0-based column
+     * @param {number} length - Length of the match
+     * @public
+     */
+    revealEditorRange(line, column, length) {
+        if (!this.editor) {
+            return;
+        }
+
+        const Range = ace.require('ace/range').Range;
+        this.editor.scrollToLine(line - 1, true, true, () => {});
+        this.editor.selection.setRange(new Range(line - 1, column, line - 1, column + length));
+        this.editor.focus();
+    }
+
+    /**
+     * Shows the version history panel for a file
+     * @param {Object} file - File item
+     * @param {Array<Object>} versions - Versions, newest first
+     * @param {string} currentContent - Content to compare against
+     * @public
+     */
+    showHistoryPanel(file, versions, currentContent) {
+        this.historyPanel.show(file, versions, currentContent);
+    }
+
+    /**
+     * Shows the checkpoints dialog of the current project
+     * @param {Array<Object>} checkpoints - Checkpoint summaries, newest first
+     * @public
+     */
+    showCheckpointsPanel(checkpoints) {
+        this.checkpointsPanel.show(checkpoints);
+    }
+
+    /**
+     * Shows the batch export dialog for a folder or project
+     * @param {Object} target - Project, folder, name and number of diagrams to export
+     * @public
+     */
+    showExportDiagramsDialog(target) {
+        this.exportDiagramsDialog.show(target);
     }
 
     /**
@@ -450,7 +1319,7 @@ export class DiagramView {
      */
     showContextMenu(x, y, target) {
         const item = target.closest('.tree-item');
-        if (!item) {
+        if (!item || item.classList.contains('trash-node') || item.classList.contains('trash-item')) {
             return;
         }
 
@@ -494,6 +1363,41 @@ export class DiagramView {
         }
     }
 
+    /**
+     * Shows the "Move to" modal listing the valid destination folders
+     * @param {Object} item - Item to move
+     * @param {Array<Object>} folders - Destination folders ({id, path})
+     * @param {string} currentFolderId - ID of the item's current parent folder
+     * @public
+     */
+    showMoveModal(item, folders, currentFolderId) {
+        if (!this.elements.moveModal || !this.elements.moveTargetFolder) {
+            return;
+        }
+
+        this.elements.moveItemName.textContent = `"${item.name}"`;
+        this.elements.moveTargetFolder.innerHTML = '';
+        folders.forEach(folder => {
+            const option = document.createElement('option');
+            option.value = folder.id;
+            option.textContent = folder.path || '/';
+            option.selected = folder.id === currentFolderId;
+            this.elements.moveTargetFolder.appendChild(option);
+        });
+
+        this.elements.moveModal.show();
+    }
+
+    /**
+     * Hides the "Move to" modal
+     * @public
+     */
+    hideMoveModal() {
+        if (this.elements.moveModal) {
+            this.elements.moveModal.hide();
+        }
+    }
+
     /**
      * Shows file type selection modal
      * @param {string} [parentPath='/'] - Default parent path
@@ -599,142 +1503,34 @@ export class DiagramView {
     }
 
     /**
-     * Renders diagram in fullscreen mode with enhanced pan and zoom
+     * Renders a diagram to SVG with the current preview mode and opens it
+     * in a new browser tab
      * @param {string} code - Diagram code
      * @private
      */
-    renderDiagramFullscreen(code) {
-        let renderType;
-        if (this.previewMode === 'auto') {
-            renderType = this.detectFileType(code);
-        } else {
-            renderType = this.previewMode;
-        }
-
+    async openDiagramInNewTab(code) {
         try {
-            if (renderType === 'mermaid') {
-                this.renderMermaidFullscreen(code);
-            } else if (renderType === 'plantuml') {
-                this.renderPlantumlFullscreen(code);
-            } else {
-                this.renderPlainTextFullscreen(code);
-            }
+            const { svg } = await this.renderingEngine.renderForExport(code, this.previewMode);
+            this.openSvgInNewTab(svg);
         } catch (error) {
-            console.error('Error rendering fullscreen diagram:', error);
-            this.renderErrorFullscreen(error);
-        }
-    }
-
-    /**
-     * Renders Mermaid diagram in fullscreen
-     * @param {string} code - Mermaid code
-     * @private
-     */
-    renderMermaidFullscreen(code) {
-        if (!window.mermaid || !this.elements.fullscreenPreview) {
-            throw new Error('Mermaid library not loaded');
+            console.error('Opening diagram in a new tab failed:', error);
+            this.showNotification(`Cannot open the diagram in a new tab: ${error.message}`, 'error');
         }
-
-        window.mermaid.initialize({
-            startOnLoad: false,
-            theme: document.documentElement.getAttribute('data-theme') === 'light' ? 'default' : 'dark',
-            securityLevel: 'loose'
-        });
-
-        const renderCallback = (svgCode) => {
-            this.elements.fullscreenPreview.innerHTML = svgCode;
-            const svgElement = this.elements.fullscreenPreview.querySelector('svg');
-            this.applyFullscreenSvgBehavior(svgElement);
-        };
-
-        const id = 'fullscreen-mermaid-' + Date.now();
-        window.mermaid.render(id, code).then(({ svg }) => {
-            renderCallback(svg);
-        }).catch(error => {
-            console.error('Mermaid render failed:', error);
-            throw new Error(`Mermaid fullscreen rendering failed: ${error.message}`);
-        });
     }
 
     /**
-     * Renders PlantUML diagram in fullscreen
-     * @param {string} code - PlantUML code
+     * Opens SVG markup in a new browser tab
+     * @param {string} svg - SVG markup
      * @private
      */
-    async renderPlantumlFullscreen(code) {
-        if (!window.plantumlEncoder || !this.elements.fullscreenPreview) {
-            throw new Error('PlantUML encoder not loaded');
-        }
-
-        try {
-            const encoded = window.plantumlEncoder.encode(code);
-            const imageUrl = `https://www.plantuml.com/plantuml/svg/${encoded}`;
-
-            const response = await fetch(imageUrl);
-            if (!response.ok) {
-                throw new Error(`Failed to fetch PlantUML diagram: ${response.statusText}`);
-            }
-            const svgText = await response.text();
-
-            this.elements.fullscreenPreview.innerHTML = svgText;
-            const svgElement = this.elements.fullscreenPreview.querySelector('svg');
-            this.applyFullscreenSvgBehavior(svgElement);
-        } catch (error) {
-            console.error('PlantUML fullscreen rendering failed:', error);
-            this.renderErrorFullscreen(new Error(`PlantUML fullscreen rendering failed: ${error.message}`));
+    openSvgInNewTab(svg) {
+        const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+        const tab = window.open(url, '_blank');
+        if (!tab) {
+            this.showNotification('Allow pop-ups to open the diagram in a new tab', 'warning');
         }
-    }
-
-    /**
-     * Applies consistent fullscreen behaviors to rendered SVG elements
-     * @param {SVGElement|null} svgElement - SVG element to normalize
-     * @private
-     */
-    applyFullscreenSvgBehavior(svgElement) {
-        if (!svgElement) {
-            console.warn('SVG element not found for fullscreen rendering');
-            return;
-        }
-
-        const serialized = new XMLSerializer().serializeToString(svgElement);
-        this.openSvgInNewTab(serialized);
-    }
-
-    /**
-     * Renders plain text in fullscreen
-     * @param {string} code - Text content
-     * @private
-     */
-    renderPlainTextFullscreen(code) {
-        const pre = document.createElement('pre');
-        pre.className = 'text-muted p-4';
-        pre.style.fontFamily = "'Consolas', 'Monaco', 'Courier New', monospace";
-        pre.style.fontSize = '1.2rem';
-        pre.style.whiteSpace = 'pre-wrap';
-        pre.style.wordWrap = 'break-word';
-        pre.style.maxWidth = '90%';
-        pre.style.margin = 'auto';
-        pre.textContent = code || 'No content to display';
-
-        this.elements.fullscreenPreview.appendChild(pre);
-    }
-
-    /**
-     * Renders error message in fullscreen
-     * @param {Error} error - Error object
-     * @private
-     */
-    renderErrorFullscreen(error) {
-        const errorDiv = document.createElement('div');
-        errorDiv.className = 'd-flex align-items-center justify-content-center h-100 text-center text-danger';
-        errorDiv.innerHTML = `
-            <div>
-                <i class="fas fa-exclamation-triangle fa-4x mb-4"></i>
-                <p style="font-size: 1.5rem;">Error rendering diagram: ${error.message}</p>
-            </div>
-        `;
-
-        this.elements.fullscreenPreview.appendChild(errorDiv);
+        // Give the new tab time to load the image before releasing it
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
     }
 
     /**
@@ -814,7 +1610,7 @@ export class DiagramView {
             return;
         }
 
-        const diagramType = detectDiagramType(currentCode);
+        const diagramType = this.renderingEngine.detectType(currentCode);
         const typeName = diagramType === 'mermaid' ? 'Mermaid' :
                         diagramType === 'plantuml' ? 'PlantUML' : 'diagram';
 
@@ -865,6 +1661,7 @@ export class DiagramView {
                 highlightActiveLine: true,
                 showPrintMargin: false
             });
+            this.blankSession = this.editor.session;
 
             // Set up auto-render with debouncing
             let renderTimeout;
@@ -873,9 +1670,30 @@ export class DiagramView {
                 renderTimeout = setTimeout(() => {
                     const code = this.editor.getValue();
                     this.renderDiagram(code);
+                    if (this.compareMode) {
+                        this.updateCompare();
+                    }
                 }, 500);
             });
         }
+
+        if (ace && this.elements.splitFileEditor) {
+            this.splitEditor = ace.edit(this.elements.splitFileEditor);
+            this.splitEditor.setTheme(this.editor ? this.editor.getTheme() : 'ace/theme/chrome');
+            this.splitEditor.setOptions({
+                fontSize: '14px',
+                showLineNumbers: true,
+                highlightActiveLine: true,
+                showPrintMargin: false
+            });
+            this.splitBlankSession = this.splitEditor.session;
+
+            let splitRenderTimeout;
+            this.splitEditor.on('change', () => {
+                clearTimeout(splitRenderTimeout);
+                splitRenderTimeout = setTimeout(() => this.renderSplitPreview(), 500);
+            });
+        }
     }
 
 }
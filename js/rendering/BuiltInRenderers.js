@@ -0,0 +1,239 @@
+/**
+ * Built-in Renderers Module - Enterprise Diagram IDE
+ * Mermaid, PlantUML, Markdown and plain text renderers registered with the
+ * RenderingEngine.
+ *
+ * Each renderer implements the DiagramRenderer contract documented in
+ * RenderingEngine.js and receives the engine for the current diagram settings.
+ *
+ * @module BuiltInRenderers
+ * @version 1.0.0
+ * @author Diagram IDE Team
+ * @license MIT
+ */
+
+'use strict';
+
+import { detectDiagramType } from '../utils/DiagramUtils.js';
+
+/**
+ * Renderer for Mermaid diagrams, rendered in the browser
+ * @type {DiagramRenderer}
+ */
+export const MermaidRenderer = {
+    id: 'mermaid',
+    label: 'Mermaid Diagram',
+
+    detect(code) {
+        return detectDiagramType(code) === 'mermaid';
+    },
+
+    validate(code) {
+        if (!code.includes('\n') && !code.includes(' ')) {
+            return { valid: false, errors: ['Mermaid diagram appears incomplete'] };
+        }
+        return { valid: true, errors: [] };
+    },
+
+    async render(code, container, engine) {
+        const svg = await this.renderSvg(code, engine, engine.getMermaidConfig({
+            fontFamily: '"Segoe UI", Tahoma, Geneva, Verdana, sans-serif',
+            fontSize: 14,
+            flowchart: {
+                useMaxWidth: false,
+                htmlLabels: true,
+                curve: 'basis'
+            }
+        }));
+
+        container.innerHTML = svg.content;
+        if (svg.bindFunctions) {
+            svg.bindFunctions(container);
+        }
+        return { svgElement: container.querySelector('svg') };
+    },
+
+    // An 'auto' Mermaid theme renders light, since exported images are
+    // usually placed on white backgrounds
+    async renderForExport(code, engine) {
+        const svg = await this.renderSvg(code, engine, engine.getMermaidConfig({
+            flowchart: {
+                useMaxWidth: true,
+                htmlLabels: true
+            }
+        }, 'light'));
+        return svg.content;
+    },
+
+    async renderSvg(code, engine, config) {
+        if (!window.mermaid) {
+            throw new Error('Mermaid library not loaded');
+        }
+
+        window.mermaid.initialize(config);
+        try {
+            const { svg, bindFunctions } = await window.mermaid.render(engine.nextRenderId('mermaid'), code);
+            return { content: svg, bindFunctions };
+        } catch (error) {
+            throw new Error(`Mermaid rendering error: ${error.message}`);
+        }
+    },
+
+    capabilities() {
+        return { available: !!window.mermaid, export: true, panZoom: true };
+    }
+};
+
+/**
+ * Renderer for PlantUML diagrams, rendered by the configured PlantUML server
+ * @type {DiagramRenderer}
+ */
+export const PlantumlRenderer = {
+    id: 'plantuml',
+    label: 'PlantUML Diagram',
+
+    detect(code) {
+        return detectDiagramType(code) === 'plantuml';
+    },
+
+    validate(code) {
+        const start = code.trim().match(/^@start(\w+)/);
+        if (start && !code.includes(`@end${start[1]}`)) {
+            return { valid: false, errors: [`PlantUML diagram missing @end${start[1]}`] };
+        }
+        if (!start && !code.includes('@enduml') && !code.includes('@endmindmap')) {
+            return { valid: false, errors: ['PlantUML diagram missing end tag'] };
+        }
+        return { valid: true, errors: [] };
+    },
+
+    async render(code, container, engine) {
+        const img = document.createElement('img');
+        img.alt = 'PlantUML diagram';
+        img.addEventListener('error', () => {
+            // A newer render may have replaced the image while it loaded
+            if (img.parentNode === container) {
+                container.innerHTML = '<div class="text-danger p-2">The PlantUML server could not render this diagram</div>';
+            }
+        });
+        img.src = this.getUrl(code, engine);
+
+        container.replaceChildren(img);
+        return { svgElement: null };
+    },
+
+    async renderForExport(code, engine) {
+        let response;
+        try {
+            response = await fetch(this.getUrl(code, engine));
+        } catch (error) {
+            throw new Error(`PlantUML server not reachable: ${error.message}`);
+        }
+        if (!response.ok) {
+            throw new Error(`PlantUML server responded with ${response.status} ${response.statusText}`.trim());
+        }
+        return response.text();
+    },
+
+    getUrl(code, engine) {
+        if (!window.plantumlEncoder) {
+            throw new Error('PlantUML encoder not loaded');
+        }
+        return engine.getPlantumlUrl(code, 'svg');
+    },
+
+    capabilities() {
+        return { available: !!window.plantumlEncoder, export: true, panZoom: false };
+    }
+};
+
+/**
+ * Renderer for Markdown. Auto-detect never picks it; it is used when
+ * chosen as the preview mode.
+ * @type {DiagramRenderer}
+ */
+export const MarkdownRenderer = {
+    id: 'md',
+    label: 'Markdown',
+
+    detect() {
+        return false;
+    },
+
+    validate() {
+        return { valid: true, errors: [] };
+    },
+
+    async render(code, container) {
+        if (!window.marked) {
+            throw new Error('Marked library not loaded');
+        }
+
+        window.marked.setOptions({
+            breaks: true,
+            gfm: true,
+            headerIds: false,
+            mangle: false
+        });
+
+        const div = document.createElement('div');
+        div.className = 'markdown-preview';
+        div.style.padding = '1rem';
+        div.innerHTML = window.marked.parse(code);
+
+        container.replaceChildren(div);
+        return { svgElement: null };
+    },
+
+    async renderForExport() {
+        throw new Error('Markdown cannot be exported as an image');
+    },
+
+    capabilities() {
+        return { available: !!window.marked, export: false, panZoom: false };
+    }
+};
+
+/**
+ * Renderer for plain text, used when no other renderer detects the content
+ * @type {DiagramRenderer}
+ */
+export const TextRenderer = {
+    id: 'txt',
+    label: 'Plain Text',
+
+    detect() {
+        return false;
+    },
+
+    validate() {
+        return { valid: true, errors: [] };
+    },
+
+    async render(code, container) {
+        const pre = document.createElement('pre');
+        pre.className = 'text-muted';
+        pre.style.fontFamily = "'Consolas', 'Monaco', 'Courier New', monospace";
+        pre.style.fontSize = '0.9rem';
+        pre.style.whiteSpace = 'pre-wrap';
+        pre.style.wordWrap = 'break-word';
+        pre.textContent = code || 'No content to display';
+
+        container.replaceChildren(pre);
+        return { svgElement: null };
+    },
+
+    async renderForExport() {
+        throw new Error('Plain text cannot be exported as an image');
+    },
+
+    capabilities() {
+        return { available: true, export: false, panZoom: false };
+    }
+};
+
+/**
+ * Built-in renderers in auto-detect order
+ * @constant {Array<DiagramRenderer>}
+ */
+export const BUILT_IN_RENDERERS = [MermaidRenderer, PlantumlRenderer, MarkdownRenderer, TextRenderer];
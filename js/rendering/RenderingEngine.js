@@ -2,8 +2,10 @@
  * Rendering Engine Module - Enterprise Diagram IDE
  * Handles diagram rendering and visualization.
  *
- * This module provides optimized rendering capabilities for different diagram types,
- * including Mermaid and PlantUML, with performance optimizations and error handling.
+ * Every language is rendered by a renderer registered with the engine (see
+ * BuiltInRenderers.js for Mermaid, PlantUML, Markdown and plain text). The
+ * preview, split and history previews, "open in new tab" and all image
+ * exports go through render() and renderForExport().
  *
  * @module RenderingEngine
  * @version 1.0.0
@@ -13,7 +15,35 @@
 
 'use strict';
 
-import { detectDiagramType } from '../utils/DiagramUtils.js';
+import { BUILT_IN_RENDERERS } from './BuiltInRenderers.js';
+
+/**
+ * Public PlantUML server used unless a project configures its own
+ * @constant {string}
+ */
+export const DEFAULT_PLANTUML_SERVER = 'https://www.plantuml.com/plantuml';
+
+/**
+ * Renderer used when auto-detect finds no other renderer for the content
+ * @constant {string}
+ */
+export const FALLBACK_RENDERER = 'txt';
+
+/**
+ * A renderer for one language. Renderers are plain objects registered with
+ * RenderingEngine.registerRenderer(); the preview mode selects one by id.
+ * @typedef {Object} DiagramRenderer
+ * @property {string} id - Preview mode id, e.g. 'mermaid'
+ * @property {string} label - Name shown next to the preview
+ * @property {function(string): boolean} detect - Whether auto-detect should use this renderer
+ * @property {function(string): {valid: boolean, errors: Array<string>}} validate - Checks the code without rendering it
+ * @property {function(string, HTMLElement, RenderingEngine): Promise<{svgElement: SVGElement|null}>} render -
+ *           Replaces the container's content with the rendered code
+ * @property {function(string, RenderingEngine): Promise<string>} renderForExport - Renders SVG markup for
+ *           downloads; throws if the language has no image form
+ * @property {function(): {available: boolean, export: boolean, panZoom: boolean}} capabilities -
+ *           Whether the renderer's library is loaded, it can export images, and its preview supports pan and zoom
+ */
 
 /**
  * RenderingEngine class - Handles diagram rendering operations
@@ -38,140 +68,294 @@ export class RenderingEngine {
          * @private
          */
         this.maxCacheSize = 50;
+
+        /**
+         * Diagram settings (Mermaid theme and config, PlantUML server)
+         * @type {{mermaidTheme: string, mermaidConfig: Object, plantumlServer: string}}
+         * @private
+         */
+        this.settings = {
+            mermaidTheme: 'auto',
+            mermaidConfig: {},
+            plantumlServer: DEFAULT_PLANTUML_SERVER
+        };
+
+        /**
+         * Registered renderers by id, in auto-detect order
+         * @type {Map<string, DiagramRenderer>}
+         * @private
+         */
+        this.renderers = new Map();
+
+        /**
+         * Renders waiting to run. Renders run one at a time, since Mermaid
+         * cannot render several diagrams at once; background renders only
+         * run when no other render is waiting.
+         * @type {Array<Object>}
+         * @private
+         */
+        this.renderQueue = [];
+
+        /**
+         * Whether a queued render is running
+         * @type {boolean}
+         * @private
+         */
+        this.rendering = false;
+
+        /**
+         * Latest render requested per container; older queued renders into
+         * the same container are skipped
+         * @type {WeakMap<HTMLElement, Object>}
+         * @private
+         */
+        this.latestRenders = new WeakMap();
+
+        /**
+         * Counter for unique Mermaid render ids
+         * @type {number}
+         * @private
+         */
+        this.renderCount = 0;
+
+        BUILT_IN_RENDERERS.forEach(renderer => this.registerRenderer(renderer));
     }
 
     /**
-     * Renders a diagram based on content type
-     * @param {string} content - Diagram content
-     * @param {string} containerId - Container element ID
-     * @returns {Promise<Object>} Render result
+     * Registers a renderer, replacing any renderer with the same id
+     * @param {DiagramRenderer} renderer - Renderer to register
+     * @throws {Error} If the renderer does not implement the contract
      * @public
      */
-    async renderDiagram(content, containerId) {
-        const cacheKey = this.generateCacheKey(content, containerId);
-
-        // Check cache first
-        if (this.renderCache.has(cacheKey)) {
-            return this.renderCache.get(cacheKey);
+    registerRenderer(renderer) {
+        const methods = ['detect', 'validate', 'render', 'renderForExport', 'capabilities'];
+        if (!renderer || !renderer.id || methods.some(method => typeof renderer[method] !== 'function')) {
+            throw new Error(`A renderer needs an id and the methods ${methods.join(', ')}`);
         }
 
-        const type = await this.detectDiagramType(content);
-        let result;
-
-        try {
-            switch (type) {
-                case 'mermaid':
-                    result = await this.renderMermaid(content, containerId);
-                    break;
-                case 'plantuml':
-                    result = await this.renderPlantuml(content, containerId);
-                    break;
-                default:
-                    result = this.renderPlainText(content, containerId);
-            }
+        this.renderers.set(renderer.id, renderer);
+        this.clearCache();
+    }
+
+    /**
+     * Gets a registered renderer
+     * @param {string} id - Renderer id
+     * @returns {DiagramRenderer|null} Renderer, or null if none is registered
+     * @public
+     */
+    getRenderer(id) {
+        return this.renderers.get(id) || null;
+    }
 
-            // Cache successful renders
-            this.cacheResult(cacheKey, result);
+    /**
+     * Gets the registered renderers in auto-detect order
+     * @returns {Array<DiagramRenderer>} Renderers
+     * @public
+     */
+    getRenderers() {
+        return Array.from(this.renderers.values());
+    }
 
-            return result;
-        } catch (error) {
-            console.error('Diagram rendering failed:', error);
-            throw new Error(`Rendering failed: ${error.message}`);
-        }
+    /**
+     * Detects which renderer auto-detect uses for the code
+     * @param {string} code - Diagram code
+     * @returns {string} Renderer id
+     * @public
+     */
+    detectType(code) {
+        const renderer = this.getRenderers().find(entry => entry.detect(code || ''));
+        return renderer ? renderer.id : FALLBACK_RENDERER;
     }
 
     /**
-     * Renders Mermaid diagram
-     * @param {string} content - Mermaid content
-     * @param {string} containerId - Container ID
-     * @returns {Promise<Object>} Render result
+     * Picks the renderer for a preview mode
+     * @param {string} code - Diagram code
+     * @param {string} [mode='auto'] - Renderer id, or 'auto' to detect it
+     * @returns {DiagramRenderer} Renderer
+     * @throws {Error} If no renderer is registered for the mode
      * @private
      */
-    async renderMermaid(content, containerId) {
-        if (!window.mermaid) {
-            throw new Error('Mermaid library not loaded');
+    resolveRenderer(code, mode = 'auto') {
+        const id = !mode || mode === 'auto' ? this.detectType(code) : mode;
+        const renderer = this.getRenderer(id);
+        if (!renderer) {
+            throw new Error(`No renderer registered for "${id}"`);
         }
+        return renderer;
+    }
 
-        // Configure Mermaid
-        const theme = document.documentElement.getAttribute('data-theme') === 'light' ? 'default' : 'dark';
+    /**
+     * Creates an id for a render that needs one (e.g. Mermaid's temporary element)
+     * @param {string} prefix - Id prefix
+     * @returns {string} Unique id
+     * @public
+     */
+    nextRenderId(prefix) {
+        this.renderCount++;
+        return `${prefix}-render-${this.renderCount}`;
+    }
+
+    /**
+     * Applies diagram settings and drops cached renders made with the old ones
+     * @param {Object} settings - Application or project settings
+     * @param {string} [settings.mermaidTheme] - Mermaid theme, 'auto' follows the editor theme
+     * @param {Object} [settings.mermaidConfig] - Extra Mermaid configuration
+     * @param {string} [settings.plantumlServer] - PlantUML server base URL
+     * @public
+     */
+    configure({ mermaidTheme, mermaidConfig, plantumlServer } = {}) {
+        this.settings = {
+            mermaidTheme: mermaidTheme || 'auto',
+            mermaidConfig: mermaidConfig || {},
+            plantumlServer: (plantumlServer || DEFAULT_PLANTUML_SERVER).replace(/\/+$/, '')
+        };
+        this.clearCache();
+    }
+
+    /**
+     * Builds the Mermaid configuration from the current settings
+     * @param {Object} [defaults={}] - Options the configured Mermaid config may override
+     * @param {string} [uiTheme] - Editor theme an 'auto' Mermaid theme follows (defaults to the current one)
+     * @returns {Object} Configuration for mermaid.initialize()
+     * @public
+     */
+    getMermaidConfig(defaults = {}, uiTheme = document.documentElement.getAttribute('data-theme')) {
+        const theme = this.settings.mermaidTheme === 'auto'
+            ? (uiTheme === 'light' ? 'default' : 'dark')
+            : this.settings.mermaidTheme;
 
-        window.mermaid.initialize({
-            startOnLoad: false,
-            theme: theme,
+        return {
             securityLevel: 'loose',
-            fontFamily: '"Segoe UI", Tahoma, Geneva, Verdana, sans-serif',
-            fontSize: 14,
-            flowchart: {
-                useMaxWidth: false,
-                htmlLabels: true,
-                curve: 'basis'
-            }
-        });
+            theme,
+            ...defaults,
+            ...this.settings.mermaidConfig,
+            startOnLoad: false
+        };
+    }
+
+    /**
+     * Builds the image URL of a PlantUML diagram on the configured server
+     * @param {string} content - PlantUML content
+     * @param {string} [format='svg'] - Image format ('svg' or 'png')
+     * @returns {string} Image URL
+     * @public
+     */
+    getPlantumlUrl(content, format = 'svg') {
+        return `${this.settings.plantumlServer}/${format}/${window.plantumlEncoder.encode(content)}`;
+    }
+
+    /**
+     * Renders code into a container, replacing its content. Renders run one
+     * at a time; a render still waiting when a newer one is requested for the
+     * same container is skipped and resolves to null.
+     * @param {string} code - Diagram code
+     * @param {string} mode - Renderer id, or 'auto' to detect it
+     * @param {HTMLElement} container - Target container
+     * @param {Object} [options={}]
+     * @param {boolean} [options.background=false] - Let other renders go first (e.g. for
+     *     thumbnails); skipped if the container has left the document by then
+     * @returns {Promise<{type: string, svgElement: SVGElement|null, capabilities: Object}|null>} Render result
+     * @throws {Error} If no renderer is registered for the mode or rendering fails
+     * @public
+     */
+    async render(code, mode, container, { background = false } = {}) {
+        const renderer = this.resolveRenderer(code, mode);
 
-        try {
-            const { svg, bindFunctions } = await window.mermaid.render(containerId, content);
+        return this.enqueue(container, background, async () => {
+            const result = await renderer.render(code || '', container, this);
             return {
-                type: 'mermaid',
-                content: svg,
-                bindFunctions: bindFunctions,
-                success: true
+                type: renderer.id,
+                svgElement: result && result.svgElement ? result.svgElement : null,
+                capabilities: renderer.capabilities()
             };
-        } catch (error) {
-            throw new Error(`Mermaid rendering error: ${error.message}`);
-        }
+        });
     }
 
     /**
-     * Renders PlantUML diagram
-     * @param {string} content - PlantUML content
-     * @param {string} containerId - Container ID
-     * @returns {Promise<Object>} Render result
-     * @private
+     * Renders code to SVG markup for downloads and new tabs. Results are
+     * cached until the diagram settings change.
+     * @param {string} code - Diagram code
+     * @param {string} [mode='auto'] - Renderer id, or 'auto' to detect it
+     * @returns {Promise<{type: string, svg: string}>} Renderer id and SVG markup
+     * @throws {Error} If the language has no image form or rendering fails
+     * @public
      */
-    async renderPlantuml(content, containerId) {
-        if (!window.plantumlEncoder) {
-            throw new Error('PlantUML encoder not loaded');
+    async renderForExport(code, mode = 'auto') {
+        const renderer = this.resolveRenderer(code, mode);
+        const content = code || '';
+        const cacheKey = this.generateCacheKey(content, `export-${renderer.id}`);
+
+        // Keys are hashes, so compare the content to rule out collisions
+        const cached = this.renderCache.get(cacheKey);
+        if (cached && cached.content === content) {
+            return { type: renderer.id, svg: cached.svg };
         }
 
-        try {
-            const encoded = window.plantumlEncoder.encode(content);
-            const imageUrl = `https://www.plantuml.com/plantuml/svg/${encoded}`;
+        const svg = await this.enqueue(null, false, () => renderer.renderForExport(content, this));
+        this.cacheResult(cacheKey, { content, svg });
+        return { type: renderer.id, svg };
+    }
 
-            return {
-                type: 'plantuml',
-                content: imageUrl,
-                success: true
-            };
-        } catch (error) {
-            throw new Error(`PlantUML encoding error: ${error.message}`);
+    /**
+     * Adds a task to the render queue
+     * @param {HTMLElement|null} container - Container the task renders into, if any
+     * @param {boolean} background - Whether other waiting tasks go first
+     * @param {function(): Promise} task - Render task
+     * @returns {Promise} Task result, or null if the task was skipped
+     * @private
+     */
+    enqueue(container, background, task) {
+        const ticket = {};
+        if (container) {
+            this.latestRenders.set(container, ticket);
         }
+
+        return new Promise((resolve, reject) => {
+            this.renderQueue.push({ container, background, ticket, task, resolve, reject });
+            this.runQueue();
+        });
     }
 
     /**
-     * Renders plain text content
-     * @param {string} content - Text content
-     * @param {string} containerId - Container ID
-     * @returns {Object} Render result
+     * Runs queued tasks one at a time until the queue is empty. Waiting
+     * foreground tasks run before background ones.
      * @private
      */
-    renderPlainText(content, containerId) {
-        const formattedContent = content || 'No content to display';
+    async runQueue() {
+        if (this.rendering) {
+            return;
+        }
 
-        return {
-            type: 'text',
-            content: formattedContent,
-            success: true
-        };
+        this.rendering = true;
+        // Start on a later microtask, so a newer render requested right away
+        // supersedes this one before it runs
+        await Promise.resolve();
+        while (this.renderQueue.length > 0) {
+            const foreground = this.renderQueue.findIndex(entry => !entry.background);
+            const [entry] = this.renderQueue.splice(foreground === -1 ? 0 : foreground, 1);
+            const { container } = entry;
+
+            if (container && (this.latestRenders.get(container) !== entry.ticket || (entry.background && !container.isConnected))) {
+                entry.resolve(null);
+                continue;
+            }
+            try {
+                entry.resolve(await entry.task());
+            } catch (error) {
+                entry.reject(error);
+            }
+        }
+        this.rendering = false;
     }
 
     /**
      * Generates cache key for content
      * @param {string} content - Content
-     * @param {string} containerId - Container ID
+     * @param {string} prefix - Kind of cached result, e.g. 'export-mermaid'
      * @returns {string} Cache key
      * @private
      */
-    generateCacheKey(content, containerId) {
+    generateCacheKey(content, prefix) {
         // Simple hash function for content
         let hash = 0;
         for (let i = 0; i < content.length; i++) {
@@ -180,7 +364,7 @@ export class RenderingEngine {
             hash = hash & hash; // Convert to 32-bit integer
         }
 
-        return `${containerId}_${hash}`;
+        return `${prefix}_${hash}`;
     }
 
     /**
@@ -221,68 +405,38 @@ export class RenderingEngine {
     }
 
     /**
-     * Validates diagram content
+     * Validates diagram content with the renderer auto-detect picks
      * @param {string} content - Content to validate
      * @returns {Object} Validation result
      * @public
      */
     validateContent(content) {
-        const type = detectDiagramType(content);
-        const result = {
-            type: type,
-            valid: false,
-            errors: []
-        };
-
+        const renderer = this.resolveRenderer(content);
         if (!content || content.trim().length === 0) {
-            result.errors.push('Content is empty');
-            return result;
-        }
-
-        switch (type) {
-            case 'mermaid':
-                // Basic Mermaid validation
-                if (!content.includes('\n') && !content.includes(' ')) {
-                    result.errors.push('Mermaid diagram appears incomplete');
-                } else {
-                    result.valid = true;
-                }
-                break;
-
-            case 'plantuml':
-                // Basic PlantUML validation
-                if (!content.includes('@enduml') && !content.includes('@endmindmap')) {
-                    result.errors.push('PlantUML diagram missing end tag');
-                } else {
-                    result.valid = true;
-                }
-                break;
-
-            default:
-                result.valid = true; // Plain text is always valid
+            return { type: renderer.id, valid: false, errors: ['Content is empty'] };
         }
 
-        return result;
+        const { valid, errors } = renderer.validate(content);
+        return { type: renderer.id, valid, errors };
     }
 
     /**
      * Gets supported diagram types
-     * @returns {Array<string>} Supported types
+     * @returns {Array<string>} Ids of the registered renderers
      * @public
      */
     getSupportedTypes() {
-        return ['mermaid', 'plantuml', 'text'];
+        return this.getRenderers().map(renderer => renderer.id);
     }
 
     /**
      * Gets rendering capabilities
-     * @returns {Object} Capabilities object
+     * @returns {Object} Capabilities of each renderer by id, and of the engine
      * @public
      */
     getCapabilities() {
         return {
-            mermaid: !!window.mermaid,
-            plantuml: !!window.plantumlEncoder,
+            ...Object.fromEntries(this.getRenderers().map(renderer => [renderer.id, renderer.capabilities()])),
             caching: true,
             themes: true
         };
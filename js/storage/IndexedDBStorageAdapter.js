@@ -0,0 +1,472 @@
+/**
+ * IndexedDB Storage Adapter Module - Enterprise Diagram IDE
+ * Persists projects, files, settings and project templates in IndexedDB.
+ *
+ * Project metadata and file records live in separate object stores, so a
+ * single file edit rewrites one record instead of the whole project collection.
+ * Checkpoint file trees have a store of their own and are read on demand.
+ * When the database is empty, data is migrated from the fallback adapter
+ * (normally the legacy localStorage blob) on first load.
+ *
+ * @module IndexedDBStorageAdapter
+ * @version 1.0.0
+ * @author Diagram IDE Team
+ * @license MIT
+ */
+
+'use strict';
+
+import { StorageAdapter } from './StorageAdapter.js';
+
+const STORE_META = 'meta';
+const STORE_PROJECTS = 'projects';
+const STORE_FILES = 'files';
+const STORE_CHECKPOINTS = 'checkpoints';
+
+/**
+ * IndexedDBStorageAdapter class - Per-file project persistence backed by IndexedDB
+ * @class
+ * @extends StorageAdapter
+ */
+export class IndexedDBStorageAdapter extends StorageAdapter {
+    /**
+     * Creates a new IndexedDBStorageAdapter instance
+     * @param {Object} [options={}]
+     * @param {string} [options.databaseName='diagramIDE'] - IndexedDB database name
+     * @param {number} [options.version=2] - Database schema version
+     * @param {StorageAdapter|null} [options.fallback=null] - Migration source and fallback adapter
+     */
+    constructor({ databaseName = 'diagramIDE', version = 2, fallback = null } = {}) {
+        super({ fallback });
+
+        /**
+         * IndexedDB database name
+         * @type {string}
+         * @private
+         */
+        this.databaseName = databaseName;
+
+        /**
+         * Database schema version
+         * @type {number}
+         * @private
+         */
+        this.version = version;
+
+        /**
+         * Open database connection
+         * @type {IDBDatabase|null}
+         * @private
+         */
+        this.db = null;
+    }
+
+    /**
+     * Checks whether IndexedDB is available in the current environment
+     * @returns {boolean} True if IndexedDB can be used
+     * @public
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    }
+
+    /**
+     * Opens (and upgrades if needed) the database
+     * @returns {Promise<IDBDatabase>} Open database connection
+     * @private
+     */
+    async open() {
+        if (this.db) {
+            return this.db;
+        }
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.databaseName, this.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE_META)) {
+                    db.createObjectStore(STORE_META, { keyPath: 'key' });
+                }
+                if (!db.objectStoreNames.contains(STORE_PROJECTS)) {
+                    db.createObjectStore(STORE_PROJECTS, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(STORE_FILES)) {
+                    const files = db.createObjectStore(STORE_FILES, { keyPath: ['projectId', 'id'] });
+                    files.createIndex('projectId', 'projectId', { unique: false });
+                }
+                if (!db.objectStoreNames.contains(STORE_CHECKPOINTS)) {
+                    db.createObjectStore(STORE_CHECKPOINTS, { keyPath: ['projectId', 'id'] });
+                }
+            };
+
+            request.onsuccess = () => {
+                const db = request.result;
+                // Let a tab with a newer schema upgrade instead of blocking it
+                db.onversionchange = () => {
+                    db.close();
+                    this.db = null;
+                };
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another open tab'));
+        });
+
+        return this.db;
+    }
+
+    /**
+     * Runs work inside a transaction and resolves once it has committed
+     * @param {Array<string>} storeNames - Object stores to include
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} work - Receives the transaction and returns any value to resolve with
+     * @returns {Promise<*>} Value returned by work, available after commit
+     * @private
+     */
+    async transaction(storeNames, mode, work) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            let result;
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+
+            result = work(tx);
+        });
+    }
+
+    /**
+     * Builds a key range covering every file or checkpoint record of a project
+     * @param {string} projectId - Project identifier
+     * @returns {IDBKeyRange} Key range
+     * @private
+     */
+    projectRange(projectId) {
+        // Arrays sort after strings, so [id, []] is above every [id, recordId]
+        return IDBKeyRange.bound([projectId], [projectId, []]);
+    }
+
+    /**
+     * Splits a project into its metadata record (without files)
+     * @param {Object} project - Project object
+     * @returns {Object} Project metadata
+     * @private
+     */
+    toProjectRecord(project) {
+        const { files, ...meta } = project;
+        return meta;
+    }
+
+    /** @inheritdoc */
+    async loadState() {
+        const state = await this.readState();
+        if (state || !this.fallback) {
+            return state;
+        }
+        return this.migrateFrom(this.fallback);
+    }
+
+    /**
+     * Copies projects, settings and templates from another adapter into IndexedDB.
+     * The source is cleared afterwards if it supports `clear()`.
+     * @param {StorageAdapter} source - Adapter holding legacy data
+     * @returns {Promise<Object|null>} Migrated projects data or null if the source was empty
+     * @private
+     */
+    async migrateFrom(source) {
+        const legacy = await source.loadState();
+        if (!legacy) {
+            return null;
+        }
+
+        for (const project of Object.values(legacy.projects)) {
+            await this.saveProject(project);
+            for (const checkpoint of project.checkpoints || []) {
+                const files = checkpoint.files ? null : await source.loadCheckpoint(project.id, checkpoint.id);
+                if (files) {
+                    await this.saveCheckpoint(project.id, checkpoint.id, files);
+                }
+            }
+        }
+        await this.saveState(legacy);
+
+        const legacySettings = await source.loadSettings();
+        if (legacySettings) {
+            await this.saveSettings(legacySettings);
+        }
+
+        const legacyTemplates = await source.loadTemplates();
+        if (legacyTemplates) {
+            await this.saveTemplates(legacyTemplates);
+        }
+
+        if (typeof source.clear === 'function') {
+            await source.clear();
+        }
+        return legacy;
+    }
+
+    /**
+     * Reads the full projects structure from the database
+     * @returns {Promise<Object|null>} Projects data or null if the database is empty
+     * @private
+     */
+    async readState() {
+        const requests = await this.transaction([STORE_META, STORE_PROJECTS, STORE_FILES], 'readonly', (tx) => ({
+            meta: tx.objectStore(STORE_META).get('state'),
+            projects: tx.objectStore(STORE_PROJECTS).getAll(),
+            files: tx.objectStore(STORE_FILES).getAll()
+        }));
+
+        const projectRecords = requests.projects.result || [];
+        if (projectRecords.length === 0) {
+            return null;
+        }
+
+        const projects = {};
+        projectRecords.forEach(record => {
+            projects[record.id] = { ...record, files: {} };
+        });
+
+        (requests.files.result || []).forEach(record => {
+            const project = projects[record.projectId];
+            if (project) {
+                project.files[record.id] = record.item;
+            }
+        });
+
+        const meta = requests.meta.result;
+        const currentProject = meta && projects[meta.currentProject] ? meta.currentProject : null;
+
+        return { currentProject, projects };
+    }
+
+    /** @inheritdoc */
+    async saveState(state) {
+        await this.transaction([STORE_META], 'readwrite', (tx) => {
+            tx.objectStore(STORE_META).put({ key: 'state', currentProject: state.currentProject || null });
+        });
+    }
+
+    /** @inheritdoc */
+    async saveProject(project) {
+        await this.transaction([STORE_PROJECTS, STORE_FILES], 'readwrite', (tx) => {
+            tx.objectStore(STORE_PROJECTS).put(this.toProjectRecord(project));
+
+            const files = tx.objectStore(STORE_FILES);
+            files.delete(this.projectRange(project.id));
+            Object.entries(project.files || {}).forEach(([id, item]) => {
+                files.put({ projectId: project.id, id, item });
+            });
+        });
+    }
+
+    /** @inheritdoc */
+    async saveProjectMeta(project) {
+        await this.transaction([STORE_PROJECTS], 'readwrite', (tx) => {
+            tx.objectStore(STORE_PROJECTS).put(this.toProjectRecord(project));
+        });
+    }
+
+    /** @inheritdoc */
+    async saveFiles(project, ids) {
+        const present = ids.filter(id => project.files[id]);
+        if (present.length === 0) {
+            return;
+        }
+
+        await this.transaction([STORE_FILES], 'readwrite', (tx) => {
+            const files = tx.objectStore(STORE_FILES);
+            present.forEach(id => {
+                files.put({ projectId: project.id, id, item: project.files[id] });
+            });
+        });
+    }
+
+    /** @inheritdoc */
+    async updateFiles(project, ids, resolve) {
+        let writable = [];
+        let failure = null;
+
+        // Reads and writes share one readwrite transaction, which IndexedDB
+        // does not interleave with writes from other tabs
+        const done = this.transaction([STORE_FILES], 'readwrite', (tx) => {
+            const files = tx.objectStore(STORE_FILES);
+            const items = {};
+            let pending = ids.length;
+
+            const write = () => {
+                try {
+                    writable = resolve(items);
+                } catch (error) {
+                    failure = error;
+                    tx.abort();
+                    return;
+                }
+                writable.filter(id => project.files[id]).forEach(id => {
+                    files.put({ projectId: project.id, id, item: project.files[id] });
+                });
+            };
+
+            if (pending === 0) {
+                write();
+                return;
+            }
+            ids.forEach(id => {
+                const request = files.get([project.id, id]);
+                request.onsuccess = () => {
+                    if (request.result) {
+                        items[id] = request.result.item;
+                    }
+                    pending -= 1;
+                    if (pending === 0) {
+                        write();
+                    }
+                };
+            });
+        });
+
+        try {
+            await done;
+        } catch (error) {
+            throw failure || error;
+        }
+        return writable;
+    }
+
+    /** @inheritdoc */
+    async deleteFiles(project, ids) {
+        if (ids.length === 0) {
+            return;
+        }
+
+        await this.transaction([STORE_FILES], 'readwrite', (tx) => {
+            const files = tx.objectStore(STORE_FILES);
+            ids.forEach(id => files.delete([project.id, id]));
+        });
+    }
+
+    /** @inheritdoc */
+    async deleteProject(projectId) {
+        await this.transaction([STORE_PROJECTS, STORE_FILES, STORE_CHECKPOINTS], 'readwrite', (tx) => {
+            tx.objectStore(STORE_PROJECTS).delete(projectId);
+            tx.objectStore(STORE_FILES).delete(this.projectRange(projectId));
+            tx.objectStore(STORE_CHECKPOINTS).delete(this.projectRange(projectId));
+        });
+    }
+
+    /** @inheritdoc */
+    async loadProject(projectId) {
+        const requests = await this.transaction([STORE_PROJECTS, STORE_FILES], 'readonly', (tx) => ({
+            project: tx.objectStore(STORE_PROJECTS).get(projectId),
+            files: tx.objectStore(STORE_FILES).getAll(this.projectRange(projectId))
+        }));
+
+        if (!requests.project.result) {
+            return null;
+        }
+
+        const project = { ...requests.project.result, files: {} };
+        (requests.files.result || []).forEach(record => {
+            project.files[record.id] = record.item;
+        });
+        return project;
+    }
+
+    /** @inheritdoc */
+    async loadFiles(projectId, ids) {
+        const requests = await this.transaction([STORE_FILES], 'readonly', (tx) => {
+            const files = tx.objectStore(STORE_FILES);
+            return ids.map(id => files.get([projectId, id]));
+        });
+
+        const items = {};
+        requests.forEach((request, index) => {
+            if (request.result) {
+                items[ids[index]] = request.result.item;
+            }
+        });
+        return items;
+    }
+
+    /** @inheritdoc */
+    async loadCheckpoint(projectId, checkpointId) {
+        const request = await this.transaction([STORE_CHECKPOINTS], 'readonly', (tx) => tx.objectStore(STORE_CHECKPOINTS).get([projectId, checkpointId]));
+        return request.result ? request.result.files : null;
+    }
+
+    /** @inheritdoc */
+    async saveCheckpoint(projectId, checkpointId, files) {
+        await this.transaction([STORE_CHECKPOINTS], 'readwrite', (tx) => {
+            tx.objectStore(STORE_CHECKPOINTS).put({ projectId, id: checkpointId, files });
+        });
+    }
+
+    /** @inheritdoc */
+    async deleteCheckpoint(projectId, checkpointId) {
+        await this.transaction([STORE_CHECKPOINTS], 'readwrite', (tx) => {
+            tx.objectStore(STORE_CHECKPOINTS).delete([projectId, checkpointId]);
+        });
+    }
+
+    /** @inheritdoc */
+    async loadSettings() {
+        const request = await this.transaction([STORE_META], 'readonly', (tx) => tx.objectStore(STORE_META).get('settings'));
+        return request.result ? request.result.value : null;
+    }
+
+    /** @inheritdoc */
+    async saveSettings(settings) {
+        await this.transaction([STORE_META], 'readwrite', (tx) => {
+            tx.objectStore(STORE_META).put({ key: 'settings', value: settings });
+        });
+    }
+
+    /** @inheritdoc */
+    async loadTemplates() {
+        const request = await this.transaction([STORE_META], 'readonly', (tx) => tx.objectStore(STORE_META).get('templates'));
+        return request.result ? request.result.value : null;
+    }
+
+    /** @inheritdoc */
+    async saveTemplates(templates) {
+        await this.transaction([STORE_META], 'readwrite', (tx) => {
+            tx.objectStore(STORE_META).put({ key: 'templates', value: templates });
+        });
+    }
+
+    /** @inheritdoc */
+    async updateTemplates(resolve) {
+        let templates = null;
+        let failure = null;
+
+        const done = this.transaction([STORE_META], 'readwrite', (tx) => {
+            const meta = tx.objectStore(STORE_META);
+            const request = meta.get('templates');
+            request.onsuccess = () => {
+                try {
+                    templates = resolve(request.result ? request.result.value : null);
+                } catch (error) {
+                    failure = error;
+                    tx.abort();
+                    return;
+                }
+                meta.put({ key: 'templates', value: templates });
+            };
+        });
+
+        try {
+            await done;
+        } catch (error) {
+            throw failure || error;
+        }
+        return templates;
+    }
+}
+
+// Default export for convenience
+export default IndexedDBStorageAdapter;
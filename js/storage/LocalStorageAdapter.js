@@ -0,0 +1,290 @@
+/**
+ * LocalStorage Adapter Module - Enterprise Diagram IDE
+ * Persists all projects as a single JSON blob in browser localStorage.
+ *
+ * This is the original storage format of the IDE. It is limited by the ~5 MB
+ * localStorage quota and is used as a fallback and migration source for IndexedDB.
+ * Writes merge into the stored blob rather than replacing it, so tabs editing
+ * different files do not overwrite each other. Checkpoint file trees are kept
+ * under keys of their own so they are not rewritten with the blob.
+ *
+ * @module LocalStorageAdapter
+ * @version 1.0.0
+ * @author Diagram IDE Team
+ * @license MIT
+ */
+
+'use strict';
+
+import { StorageAdapter } from './StorageAdapter.js';
+
+/**
+ * LocalStorageAdapter class - Single-blob localStorage backend
+ * @class
+ * @extends StorageAdapter
+ */
+export class LocalStorageAdapter extends StorageAdapter {
+    /**
+     * Creates a new LocalStorageAdapter instance
+     * @param {Object} [options={}]
+     * @param {string} [options.projectsKey='diagramIDE_projects'] - localStorage key for projects
+     * @param {string} [options.settingsKey='diagramIDE_settings'] - localStorage key for settings
+     * @param {string} [options.templatesKey='diagramIDE_templates'] - localStorage key for project templates
+     * @param {string} [options.checkpointsKey='diagramIDE_checkpoint'] - localStorage key prefix for checkpoint file trees
+     * @param {Storage} [options.storage=localStorage] - Web Storage implementation
+     */
+    constructor({ projectsKey = 'diagramIDE_projects', settingsKey = 'diagramIDE_settings', templatesKey = 'diagramIDE_templates', checkpointsKey = 'diagramIDE_checkpoint', storage = globalThis.localStorage } = {}) {
+        super();
+
+        /**
+         * localStorage key for project data persistence
+         * @type {string}
+         * @private
+         */
+        this.projectsKey = projectsKey;
+
+        /**
+         * localStorage key for settings persistence
+         * @type {string}
+         * @private
+         */
+        this.settingsKey = settingsKey;
+
+        /**
+         * localStorage key for project templates persistence
+         * @type {string}
+         * @private
+         */
+        this.templatesKey = templatesKey;
+
+        /**
+         * localStorage key prefix for checkpoint file trees
+         * @type {string}
+         * @private
+         */
+        this.checkpointsKey = checkpointsKey;
+
+        /**
+         * Web Storage implementation
+         * @type {Storage}
+         * @private
+         */
+        this.storage = storage;
+    }
+
+    /**
+     * Reads the projects blob. It is re-read on every access because other
+     * tabs may have written to it in the meantime.
+     * @returns {Object} Projects data structure
+     * @private
+     */
+    readState() {
+        return this.readJson(this.projectsKey, 'projects') || { currentProject: null, projects: {} };
+    }
+
+    /**
+     * Reads a JSON value. Unreadable data is treated as nothing stored, so one
+     * corrupt key does not keep the IDE from starting.
+     * @param {string} key - localStorage key
+     * @param {string} label - What the key holds, for the warning
+     * @returns {*} Parsed value or null
+     * @private
+     */
+    readJson(key, label) {
+        try {
+            const data = this.storage.getItem(key);
+            return data ? JSON.parse(data) : null;
+        } catch (error) {
+            console.warn(`Failed to load ${label} from localStorage:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Writes the projects blob
+     * @param {Object} state - Projects data structure
+     * @private
+     */
+    writeState(state) {
+        this.storage.setItem(this.projectsKey, JSON.stringify(state));
+    }
+
+    /** @inheritdoc */
+    async loadState() {
+        const state = this.readState();
+        return Object.keys(state.projects).length > 0 ? state : null;
+    }
+
+    /** @inheritdoc */
+    async saveState(state) {
+        const stored = this.readState();
+        stored.currentProject = state.currentProject || null;
+        this.writeState(stored);
+    }
+
+    /** @inheritdoc */
+    async saveProject(project) {
+        const state = this.readState();
+        state.projects[project.id] = project;
+        this.writeState(state);
+    }
+
+    /** @inheritdoc */
+    async deleteProject(projectId) {
+        const state = this.readState();
+        delete state.projects[projectId];
+        this.writeState(state);
+        this.removeKeys(`${this.checkpointsKey}:${projectId}:`);
+    }
+
+    /** @inheritdoc */
+    async saveProjectMeta(project) {
+        const state = this.readState();
+        const stored = state.projects[project.id];
+        state.projects[project.id] = stored ? { ...project, files: stored.files } : project;
+        this.writeState(state);
+    }
+
+    /** @inheritdoc */
+    async saveFiles(project, ids) {
+        this.writeFiles(this.readState(), project, ids);
+    }
+
+    /** @inheritdoc */
+    async updateFiles(project, ids, resolve) {
+        // The blob is read and written in the same task, so no other tab writes in between
+        const state = this.readState();
+        const stored = state.projects[project.id];
+        const items = {};
+        ids.forEach(id => {
+            if (stored && stored.files[id]) {
+                items[id] = stored.files[id];
+            }
+        });
+
+        const writable = resolve(items);
+        if (writable.length > 0) {
+            this.writeFiles(state, project, writable);
+        }
+        return writable;
+    }
+
+    /**
+     * Puts items of a project into a projects blob and writes it, adding the
+     * whole project if it is not stored yet
+     * @param {Object} state - Projects data structure as read from storage
+     * @param {Object} project - Project object
+     * @param {Array<string>} ids - Item identifiers
+     * @private
+     */
+    writeFiles(state, project, ids) {
+        const stored = state.projects[project.id];
+        if (!stored) {
+            state.projects[project.id] = project;
+        } else {
+            ids.filter(id => project.files[id]).forEach(id => {
+                stored.files[id] = project.files[id];
+            });
+        }
+        this.writeState(state);
+    }
+
+    /** @inheritdoc */
+    async deleteFiles(project, ids) {
+        const state = this.readState();
+        const stored = state.projects[project.id];
+        if (stored) {
+            ids.forEach(id => delete stored.files[id]);
+            this.writeState(state);
+        }
+    }
+
+    /** @inheritdoc */
+    async loadProject(projectId) {
+        return this.readState().projects[projectId] || null;
+    }
+
+    /** @inheritdoc */
+    async loadFiles(projectId, ids) {
+        const stored = this.readState().projects[projectId];
+        const items = {};
+        ids.forEach(id => {
+            if (stored && stored.files[id]) {
+                items[id] = stored.files[id];
+            }
+        });
+        return items;
+    }
+
+    /** @inheritdoc */
+    async loadCheckpoint(projectId, checkpointId) {
+        return this.readJson(`${this.checkpointsKey}:${projectId}:${checkpointId}`, 'checkpoint');
+    }
+
+    /** @inheritdoc */
+    async saveCheckpoint(projectId, checkpointId, files) {
+        this.storage.setItem(`${this.checkpointsKey}:${projectId}:${checkpointId}`, JSON.stringify(files));
+    }
+
+    /** @inheritdoc */
+    async deleteCheckpoint(projectId, checkpointId) {
+        this.storage.removeItem(`${this.checkpointsKey}:${projectId}:${checkpointId}`);
+    }
+
+    /**
+     * Removes all keys starting with a prefix
+     * @param {string} prefix - Key prefix
+     * @private
+     */
+    removeKeys(prefix) {
+        // Iterate backwards because removing a key shifts the indices after it
+        for (let i = this.storage.length - 1; i >= 0; i--) {
+            const key = this.storage.key(i);
+            if (key && key.startsWith(prefix)) {
+                this.storage.removeItem(key);
+            }
+        }
+    }
+
+    /** @inheritdoc */
+    async loadSettings() {
+        return this.readJson(this.settingsKey, 'settings');
+    }
+
+    /** @inheritdoc */
+    async saveSettings(settings) {
+        this.storage.setItem(this.settingsKey, JSON.stringify(settings));
+    }
+
+    /** @inheritdoc */
+    async loadTemplates() {
+        return this.readJson(this.templatesKey, 'project templates');
+    }
+
+    /** @inheritdoc */
+    async saveTemplates(templates) {
+        this.storage.setItem(this.templatesKey, JSON.stringify(templates));
+    }
+
+    /** @inheritdoc */
+    async updateTemplates(resolve) {
+        const templates = resolve(this.readJson(this.templatesKey, 'project templates'));
+        this.storage.setItem(this.templatesKey, JSON.stringify(templates));
+        return templates;
+    }
+
+    /**
+     * Removes all data written by this adapter
+     * @returns {Promise<void>}
+     * @public
+     */
+    async clear() {
+        this.storage.removeItem(this.projectsKey);
+        this.storage.removeItem(this.settingsKey);
+        this.storage.removeItem(this.templatesKey);
+        this.removeKeys(`${this.checkpointsKey}:`);
+    }
+}
+
+// Default export for convenience
+export default LocalStorageAdapter;
@@ -0,0 +1,231 @@
+/**
+ * Memory Storage Adapter Module - Enterprise Diagram IDE
+ * Keeps projects, settings and templates in memory only.
+ *
+ * Useful for unit tests in Node and for sessions that must not persist anything.
+ *
+ * @module MemoryStorageAdapter
+ * @version 1.0.0
+ * @author Diagram IDE Team
+ * @license MIT
+ */
+
+'use strict';
+
+import { StorageAdapter } from './StorageAdapter.js';
+
+/**
+ * Deep-copies plain data so callers cannot mutate stored records
+ * @param {*} value - JSON-compatible value
+ * @returns {*} Copy of the value
+ */
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * MemoryStorageAdapter class - Non-persistent storage backend
+ * @class
+ * @extends StorageAdapter
+ */
+export class MemoryStorageAdapter extends StorageAdapter {
+    /**
+     * Creates a new MemoryStorageAdapter instance
+     * @param {Object} [options={}]
+     * @param {Object|null} [options.state=null] - Initial projects structure
+     * @param {Object|null} [options.settings=null] - Initial settings
+     * @param {Array<Object>|null} [options.templates=null] - Initial project templates
+     */
+    constructor({ state = null, settings = null, templates = null } = {}) {
+        super();
+
+        /**
+         * Current project pointer
+         * @type {string|null}
+         * @private
+         */
+        this.currentProject = state ? state.currentProject : null;
+
+        /**
+         * Stored projects keyed by ID
+         * @type {Object}
+         * @private
+         */
+        this.projects = state ? clone(state.projects) : {};
+
+        /**
+         * Stored settings
+         * @type {Object|null}
+         * @private
+         */
+        this.settings = clone(settings);
+
+        /**
+         * Stored project templates
+         * @type {Array<Object>|null}
+         * @private
+         */
+        this.templates = clone(templates);
+
+        /**
+         * Stored checkpoint file trees keyed by project and checkpoint ID
+         * @type {Object<string, Object<string, Object>>}
+         * @private
+         */
+        this.checkpoints = {};
+    }
+
+    /** @inheritdoc */
+    async loadState() {
+        if (Object.keys(this.projects).length === 0) {
+            return null;
+        }
+        return {
+            currentProject: this.currentProject,
+            projects: clone(this.projects)
+        };
+    }
+
+    /** @inheritdoc */
+    async saveState(state) {
+        this.currentProject = state.currentProject || null;
+    }
+
+    /** @inheritdoc */
+    async saveProject(project) {
+        this.projects[project.id] = clone(project);
+    }
+
+    /** @inheritdoc */
+    async deleteProject(projectId) {
+        delete this.projects[projectId];
+        delete this.checkpoints[projectId];
+    }
+
+    /** @inheritdoc */
+    async saveProjectMeta(project) {
+        const stored = this.projects[project.id];
+        if (!stored) {
+            return this.saveProject(project);
+        }
+        const { files, ...meta } = project;
+        this.projects[project.id] = { ...clone(meta), files: stored.files };
+    }
+
+    /** @inheritdoc */
+    async saveFiles(project, ids) {
+        this.writeFiles(project, ids);
+    }
+
+    /** @inheritdoc */
+    async deleteFiles(project, ids) {
+        const stored = this.projects[project.id];
+        if (stored) {
+            ids.forEach(id => delete stored.files[id]);
+        }
+    }
+
+    /** @inheritdoc */
+    async loadProject(projectId) {
+        return clone(this.projects[projectId]) || null;
+    }
+
+    /** @inheritdoc */
+    async loadFiles(projectId, ids) {
+        return this.readFiles(projectId, ids);
+    }
+
+    /** @inheritdoc */
+    async updateFiles(project, ids, resolve) {
+        // Nothing is awaited between reading and writing, so the update is atomic
+        const writable = resolve(this.readFiles(project.id, ids));
+        if (writable.length > 0) {
+            this.writeFiles(project, writable);
+        }
+        return writable;
+    }
+
+    /**
+     * Copies stored items of a project
+     * @param {string} projectId - Project identifier
+     * @param {Array<string>} ids - Item identifiers
+     * @returns {Object<string, Object>} Stored items by ID (missing items are absent)
+     * @private
+     */
+    readFiles(projectId, ids) {
+        const stored = this.projects[projectId];
+        const items = {};
+        ids.forEach(id => {
+            if (stored && stored.files[id]) {
+                items[id] = clone(stored.files[id]);
+            }
+        });
+        return items;
+    }
+
+    /**
+     * Stores copies of items of a project, or the whole project if it is not stored yet
+     * @param {Object} project - Project object
+     * @param {Array<string>} ids - Item identifiers
+     * @private
+     */
+    writeFiles(project, ids) {
+        const stored = this.projects[project.id];
+        if (!stored) {
+            this.projects[project.id] = clone(project);
+            return;
+        }
+        ids.filter(id => project.files[id]).forEach(id => {
+            stored.files[id] = clone(project.files[id]);
+        });
+    }
+
+    /** @inheritdoc */
+    async loadCheckpoint(projectId, checkpointId) {
+        const stored = this.checkpoints[projectId];
+        return stored && stored[checkpointId] ? clone(stored[checkpointId]) : null;
+    }
+
+    /** @inheritdoc */
+    async saveCheckpoint(projectId, checkpointId, files) {
+        const stored = this.checkpoints[projectId] || (this.checkpoints[projectId] = {});
+        stored[checkpointId] = clone(files);
+    }
+
+    /** @inheritdoc */
+    async deleteCheckpoint(projectId, checkpointId) {
+        if (this.checkpoints[projectId]) {
+            delete this.checkpoints[projectId][checkpointId];
+        }
+    }
+
+    /** @inheritdoc */
+    async loadSettings() {
+        return clone(this.settings);
+    }
+
+    /** @inheritdoc */
+    async saveSettings(settings) {
+        this.settings = clone(settings);
+    }
+
+    /** @inheritdoc */
+    async loadTemplates() {
+        return clone(this.templates);
+    }
+
+    /** @inheritdoc */
+    async saveTemplates(templates) {
+        this.templates = clone(templates);
+    }
+
+    /** @inheritdoc */
+    async updateTemplates(resolve) {
+        const templates = resolve(clone(this.templates));
+        this.templates = clone(templates);
+        return templates;
+    }
+}
+
+// Default export for convenience
+export default MemoryStorageAdapter;
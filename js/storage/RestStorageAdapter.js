@@ -0,0 +1,194 @@
+/**
+ * REST Storage Adapter Module - Enterprise Diagram IDE
+ * Persists projects on a remote HTTP backend, one resource per project.
+ *
+ * Expected endpoints, relative to `baseUrl`:
+ *   GET    /projects        -> array of project IDs (or objects with an `id`)
+ *   GET    /projects/:id    -> project JSON
+ *   PUT    /projects/:id    -> store project JSON
+ *   DELETE /projects/:id    -> remove project and its checkpoints
+ *   GET|PUT|DELETE /projects/:id/checkpoints/:checkpointId -> checkpoint file tree JSON
+ *   GET|PUT /state          -> `{ currentProject }`
+ *   GET|PUT /settings       -> settings JSON
+ *   GET|PUT /templates      -> array of project templates
+ * A 404 on `/state`, `/settings`, `/templates` or a checkpoint is treated as "nothing stored yet".
+ *
+ * @module RestStorageAdapter
+ * @version 1.0.0
+ * @author Diagram IDE Team
+ * @license MIT
+ */
+
+'use strict';
+
+import { StorageAdapter } from './StorageAdapter.js';
+
+/**
+ * RestStorageAdapter class - Remote HTTP storage backend
+ * @class
+ * @extends StorageAdapter
+ */
+export class RestStorageAdapter extends StorageAdapter {
+    /**
+     * Creates a new RestStorageAdapter instance
+     * @param {Object} options
+     * @param {string} options.baseUrl - Base URL of the storage API
+     * @param {Object} [options.headers={}] - Extra request headers (e.g. Authorization)
+     * @param {Function} [options.fetch=globalThis.fetch] - fetch implementation, injectable for tests
+     */
+    constructor({ baseUrl, headers = {}, fetch = globalThis.fetch } = {}) {
+        super();
+
+        if (!baseUrl) {
+            throw new Error('RestStorageAdapter requires a baseUrl');
+        }
+
+        /**
+         * Base URL without trailing slash
+         * @type {string}
+         * @private
+         */
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+
+        /**
+         * Extra request headers
+         * @type {Object}
+         * @private
+         */
+        this.headers = headers;
+
+        /**
+         * fetch implementation
+         * @type {Function}
+         * @private
+         */
+        this.fetchImpl = fetch;
+    }
+
+    /**
+     * Performs a JSON request against the backend
+     * @param {string} method - HTTP method
+     * @param {string} path - Path relative to baseUrl
+     * @param {*} [body] - JSON body
+     * @param {Object} [options={}]
+     * @param {boolean} [options.allowNotFound=false] - Resolve with null on 404
+     * @returns {Promise<*>} Parsed response body, or null
+     * @private
+     */
+    async request(method, path, body, { allowNotFound = false } = {}) {
+        const init = {
+            method,
+            headers: { Accept: 'application/json', ...this.headers }
+        };
+
+        if (body !== undefined) {
+            init.headers['Content-Type'] = 'application/json';
+            init.body = JSON.stringify(body);
+        }
+
+        const response = await this.fetchImpl(`${this.baseUrl}${path}`, init);
+
+        if (allowNotFound && response.status === 404) {
+            return null;
+        }
+
+        if (!response.ok) {
+            const error = new Error(`Remote storage request failed: ${method} ${path} -> ${response.status} ${response.statusText}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        if (response.status === 204) {
+            return null;
+        }
+
+        const text = await response.text();
+        return text ? JSON.parse(text) : null;
+    }
+
+    /** @inheritdoc */
+    async loadState() {
+        const list = await this.request('GET', '/projects') || [];
+        if (list.length === 0) {
+            return null;
+        }
+
+        const ids = list.map(entry => (typeof entry === 'string' ? entry : entry.id));
+        const projects = {};
+        for (const id of ids) {
+            const project = await this.request('GET', `/projects/${encodeURIComponent(id)}`, undefined, { allowNotFound: true });
+            if (project) {
+                projects[id] = project;
+            }
+        }
+
+        const state = await this.request('GET', '/state', undefined, { allowNotFound: true });
+        const currentProject = state && projects[state.currentProject] ? state.currentProject : null;
+
+        return { currentProject, projects };
+    }
+
+    /** @inheritdoc */
+    async saveState(state) {
+        await this.request('PUT', '/state', { currentProject: state.currentProject || null });
+    }
+
+    /** @inheritdoc */
+    async saveProject(project) {
+        await this.request('PUT', `/projects/${encodeURIComponent(project.id)}`, project);
+    }
+
+    /** @inheritdoc */
+    async deleteProject(projectId) {
+        await this.request('DELETE', `/projects/${encodeURIComponent(projectId)}`, undefined, { allowNotFound: true });
+    }
+
+    /** @inheritdoc */
+    async loadCheckpoint(projectId, checkpointId) {
+        return this.request('GET', this.checkpointPath(projectId, checkpointId), undefined, { allowNotFound: true });
+    }
+
+    /** @inheritdoc */
+    async saveCheckpoint(projectId, checkpointId, files) {
+        await this.request('PUT', this.checkpointPath(projectId, checkpointId), files);
+    }
+
+    /** @inheritdoc */
+    async deleteCheckpoint(projectId, checkpointId) {
+        await this.request('DELETE', this.checkpointPath(projectId, checkpointId), undefined, { allowNotFound: true });
+    }
+
+    /**
+     * Builds the resource path of a checkpoint
+     * @param {string} projectId - Project identifier
+     * @param {string} checkpointId - Checkpoint identifier
+     * @returns {string} Path relative to the base URL
+     * @private
+     */
+    checkpointPath(projectId, checkpointId) {
+        return `/projects/${encodeURIComponent(projectId)}/checkpoints/${encodeURIComponent(checkpointId)}`;
+    }
+
+    /** @inheritdoc */
+    async loadSettings() {
+        return this.request('GET', '/settings', undefined, { allowNotFound: true });
+    }
+
+    /** @inheritdoc */
+    async saveSettings(settings) {
+        await this.request('PUT', '/settings', settings);
+    }
+
+    /** @inheritdoc */
+    async loadTemplates() {
+        return this.request('GET', '/templates', undefined, { allowNotFound: true });
+    }
+
+    /** @inheritdoc */
+    async saveTemplates(templates) {
+        await this.request('PUT', '/templates', templates);
+    }
+}
+
+// Default export for convenience
+export default RestStorageAdapter;
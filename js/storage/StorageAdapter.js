@@ -0,0 +1,236 @@
+/**
+ * Storage Adapter Module - Enterprise Diagram IDE
+ * Defines the persistence contract used by FileSystem and DiagramModel.
+ *
+ * Adapters only have to implement whole-project writes. Backends that can store
+ * individual files (such as IndexedDB) override the granular methods to avoid
+ * rewriting the whole project on every edit, and `loadFiles`/`updateFiles` so
+ * writes can be checked against changes made by other tabs.
+ *
+ * @module StorageAdapter
+ * @version 1.0.0
+ * @author Diagram IDE Team
+ * @license MIT
+ */
+
+'use strict';
+
+/**
+ * StorageAdapter class - Base class for project and settings persistence
+ * @class
+ * @abstract
+ */
+export class StorageAdapter {
+    /**
+     * Creates a new StorageAdapter instance
+     * @param {Object} [options={}]
+     * @param {StorageAdapter|null} [options.fallback=null] - Adapter to use if this one cannot be opened
+     */
+    constructor({ fallback = null } = {}) {
+        /**
+         * Adapter to switch to when this one fails to load
+         * @type {StorageAdapter|null}
+         * @public
+         */
+        this.fallback = fallback;
+    }
+
+    /**
+     * Loads the full projects structure
+     * @returns {Promise<Object|null>} `{ currentProject, projects }` or null if nothing is stored
+     * @abstract
+     */
+    async loadState() {
+        throw new Error(`${this.constructor.name} does not implement loadState()`);
+    }
+
+    /**
+     * Saves top-level state (current project pointer)
+     * @param {Object} state - Projects data structure
+     * @returns {Promise<void>}
+     * @abstract
+     */
+    async saveState(state) {
+        throw new Error(`${this.constructor.name} does not implement saveState()`);
+    }
+
+    /**
+     * Saves a whole project including all of its files
+     * @param {Object} project - Project object
+     * @returns {Promise<void>}
+     * @abstract
+     */
+    async saveProject(project) {
+        throw new Error(`${this.constructor.name} does not implement saveProject()`);
+    }
+
+    /**
+     * Deletes a project with all of its files and checkpoints
+     * @param {string} projectId - Project identifier
+     * @returns {Promise<void>}
+     * @abstract
+     */
+    async deleteProject(projectId) {
+        throw new Error(`${this.constructor.name} does not implement deleteProject()`);
+    }
+
+    /**
+     * Saves project metadata (name, settings, ...). Defaults to a whole-project write.
+     * @param {Object} project - Project object
+     * @returns {Promise<void>}
+     */
+    async saveProjectMeta(project) {
+        return this.saveProject(project);
+    }
+
+    /**
+     * Saves individual items of a project. Defaults to a whole-project write.
+     * @param {Object} project - Project object
+     * @param {Array<string>} ids - Changed item identifiers
+     * @returns {Promise<void>}
+     */
+    async saveFiles(project, ids) {
+        return this.saveProject(project);
+    }
+
+    /**
+     * Removes individual items of a project. Defaults to a whole-project write.
+     * @param {Object} project - Project object (items already removed)
+     * @param {Array<string>} ids - Removed item identifiers
+     * @returns {Promise<void>}
+     */
+    async deleteFiles(project, ids) {
+        return this.saveProject(project);
+    }
+
+    /**
+     * Loads a single project including all of its files. Defaults to a full state load.
+     * @param {string} projectId - Project identifier
+     * @returns {Promise<Object|null>} Project object or null if it is not stored
+     */
+    async loadProject(projectId) {
+        const state = await this.loadState();
+        return state && state.projects[projectId] ? state.projects[projectId] : null;
+    }
+
+    /**
+     * Loads the stored versions of individual items, used to detect edits made
+     * by other tabs. Adapters that cannot read items cheaply return null, which
+     * turns the check off.
+     * @param {string} projectId - Project identifier
+     * @param {Array<string>} ids - Item identifiers
+     * @returns {Promise<Object<string, Object>|null>} Stored items by ID (missing items are absent) or null
+     */
+    async loadFiles(projectId, ids) {
+        return null;
+    }
+
+    /**
+     * Writes individual items after checking them against their stored versions.
+     * `resolve` receives the stored items (as returned by loadFiles) and returns
+     * the identifiers to write; it must not be asynchronous. Backends override
+     * this to read and write in one atomic step, so no other tab can write in
+     * between. The default reads and writes in separate steps.
+     * @param {Object} project - Project object
+     * @param {Array<string>} ids - Item identifiers to read
+     * @param {Function} resolve - Receives the stored items by ID (or null) and returns the identifiers to write
+     * @returns {Promise<Array<string>>} Identifiers that were written
+     */
+    async updateFiles(project, ids, resolve) {
+        const writable = resolve(await this.loadFiles(project.id, ids));
+        if (writable.length > 0) {
+            await this.saveFiles(project, writable);
+        }
+        return writable;
+    }
+
+    /**
+     * Loads the saved file tree of a checkpoint. The project only keeps a
+     * summary of each checkpoint, so metadata writes stay small.
+     * @param {string} projectId - Project identifier
+     * @param {string} checkpointId - Checkpoint identifier
+     * @returns {Promise<Object<string, Object>|null>} Items by ID or null if not stored
+     * @abstract
+     */
+    async loadCheckpoint(projectId, checkpointId) {
+        throw new Error(`${this.constructor.name} does not implement loadCheckpoint()`);
+    }
+
+    /**
+     * Saves the file tree of a checkpoint
+     * @param {string} projectId - Project identifier
+     * @param {string} checkpointId - Checkpoint identifier
+     * @param {Object<string, Object>} files - Items by ID
+     * @returns {Promise<void>}
+     * @abstract
+     */
+    async saveCheckpoint(projectId, checkpointId, files) {
+        throw new Error(`${this.constructor.name} does not implement saveCheckpoint()`);
+    }
+
+    /**
+     * Deletes the file tree of a checkpoint
+     * @param {string} projectId - Project identifier
+     * @param {string} checkpointId - Checkpoint identifier
+     * @returns {Promise<void>}
+     * @abstract
+     */
+    async deleteCheckpoint(projectId, checkpointId) {
+        throw new Error(`${this.constructor.name} does not implement deleteCheckpoint()`);
+    }
+
+    /**
+     * Loads application settings
+     * @returns {Promise<Object|null>} Settings object or null if none stored
+     * @abstract
+     */
+    async loadSettings() {
+        throw new Error(`${this.constructor.name} does not implement loadSettings()`);
+    }
+
+    /**
+     * Saves application settings
+     * @param {Object} settings - Settings object
+     * @returns {Promise<void>}
+     * @abstract
+     */
+    async saveSettings(settings) {
+        throw new Error(`${this.constructor.name} does not implement saveSettings()`);
+    }
+
+    /**
+     * Loads the project templates saved by the user
+     * @returns {Promise<Array<Object>|null>} Templates or null if none stored
+     * @abstract
+     */
+    async loadTemplates() {
+        throw new Error(`${this.constructor.name} does not implement loadTemplates()`);
+    }
+
+    /**
+     * Saves the project templates saved by the user
+     * @param {Array<Object>} templates - All user templates
+     * @returns {Promise<void>}
+     * @abstract
+     */
+    async saveTemplates(templates) {
+        throw new Error(`${this.constructor.name} does not implement saveTemplates()`);
+    }
+
+    /**
+     * Replaces the stored templates with a version computed from them.
+     * `resolve` receives the stored templates (or null) and returns the
+     * templates to save; it must not be asynchronous. Backends override this
+     * to read and write in one atomic step, like updateFiles.
+     * @param {Function} resolve - Receives the stored templates and returns the templates to save
+     * @returns {Promise<Array<Object>>} Saved templates
+     */
+    async updateTemplates(resolve) {
+        const templates = resolve(await this.loadTemplates());
+        await this.saveTemplates(templates);
+        return templates;
+    }
+}
+
+// Default export for convenience
+export default StorageAdapter;
@@ -0,0 +1,61 @@
+/**
+ * Storage Factory Module - Enterprise Diagram IDE
+ * Creates storage adapters from configuration.
+ *
+ * @module StorageFactory
+ * @version 1.0.0
+ * @author Diagram IDE Team
+ * @license MIT
+ */
+
+'use strict';
+
+import { MemoryStorageAdapter } from './MemoryStorageAdapter.js';
+import { LocalStorageAdapter } from './LocalStorageAdapter.js';
+import { IndexedDBStorageAdapter } from './IndexedDBStorageAdapter.js';
+import { RestStorageAdapter } from './RestStorageAdapter.js';
+
+/**
+ * Creates the best available browser storage: IndexedDB with localStorage as
+ * migration source and fallback, localStorage alone, or memory outside a browser.
+ * @returns {StorageAdapter} Storage adapter
+ */
+export function createDefaultStorageAdapter() {
+    const local = typeof localStorage !== 'undefined' ? new LocalStorageAdapter() : null;
+
+    if (IndexedDBStorageAdapter.isSupported()) {
+        return new IndexedDBStorageAdapter({ fallback: local });
+    }
+
+    return local || new MemoryStorageAdapter();
+}
+
+/**
+ * Creates a storage adapter from a configuration object
+ * @param {Object|null} [config=null] - Storage configuration
+ * @param {string} [config.type='auto'] - 'auto', 'indexeddb', 'localstorage', 'memory' or 'rest'
+ * @param {string} [config.baseUrl] - Base URL for the 'rest' type
+ * @param {Object} [config.headers] - Extra request headers for the 'rest' type
+ * @returns {StorageAdapter} Storage adapter
+ */
+export function createStorageAdapter(config = null) {
+    const { type = 'auto', ...options } = config || {};
+
+    switch (type) {
+        case 'indexeddb':
+            return new IndexedDBStorageAdapter(options);
+        case 'localstorage':
+            return new LocalStorageAdapter(options);
+        case 'memory':
+            return new MemoryStorageAdapter(options);
+        case 'rest':
+            return new RestStorageAdapter(options);
+        case 'auto':
+            return createDefaultStorageAdapter();
+        default:
+            throw new Error(`Unknown storage type: ${type}`);
+    }
+}
+
+// Default export for convenience
+export default createStorageAdapter;
@@ -0,0 +1,154 @@
+/**
+ * Tab Sync Module - Enterprise Diagram IDE
+ * Broadcasts storage change notifications between browser tabs.
+ *
+ * Uses a BroadcastChannel where available and falls back to localStorage
+ * `storage` events, which fire in every other tab of the same origin.
+ * Messages are never delivered back to the tab that posted them.
+ *
+ * @module TabSync
+ * @version 1.0.0
+ * @author Diagram IDE Team
+ * @license MIT
+ */
+
+'use strict';
+
+/**
+ * TabSync class - Cross-tab message channel
+ * @class
+ */
+export class TabSync {
+    /**
+     * Creates a new TabSync instance
+     * @param {Object} [options={}]
+     * @param {string} [options.channelName='diagramIDE_sync'] - Channel name, also used as the localStorage key
+     */
+    constructor({ channelName = 'diagramIDE_sync' } = {}) {
+        /**
+         * Channel name shared by all tabs
+         * @type {string}
+         * @private
+         */
+        this.channelName = channelName;
+
+        /**
+         * Identifier of this tab, attached to every message
+         * @type {string}
+         * @public
+         */
+        this.tabId = 'tab_' + Date.now().toString(36) + '_' + Math.random().toString(36).slice(2, 8);
+
+        /**
+         * Registered message handlers
+         * @type {Array<Function>}
+         * @private
+         */
+        this.handlers = [];
+
+        /**
+         * BroadcastChannel, or null when the localStorage fallback is used
+         * @type {BroadcastChannel|null}
+         * @private
+         */
+        this.channel = null;
+
+        /**
+         * Bound `storage` event listener of the fallback
+         * @type {Function|null}
+         * @private
+         */
+        this.storageListener = null;
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(channelName);
+            this.channel.onmessage = (event) => this.dispatch(event.data);
+        } else if (typeof window !== 'undefined' && typeof localStorage !== 'undefined') {
+            this.storageListener = (event) => {
+                if (event.key === this.channelName && event.newValue) {
+                    try {
+                        this.dispatch(JSON.parse(event.newValue));
+                    } catch (error) {
+                        console.warn('Ignoring malformed tab sync message:', error.message);
+                    }
+                }
+            };
+            window.addEventListener('storage', this.storageListener);
+        }
+    }
+
+    /**
+     * Sends a message to every other tab
+     * @param {Object} message - JSON-compatible message
+     * @public
+     */
+    post(message) {
+        const envelope = { ...message, source: this.tabId, sentAt: Date.now() };
+
+        try {
+            if (this.channel) {
+                this.channel.postMessage(envelope);
+            } else if (this.storageListener) {
+                // The timestamp makes every write a change, so repeated messages still fire
+                localStorage.setItem(this.channelName, JSON.stringify(envelope));
+            }
+        } catch (error) {
+            console.warn('Failed to notify other tabs:', error.message);
+        }
+    }
+
+    /**
+     * Registers a handler for messages from other tabs
+     * @param {Function} handler - Receives the message object
+     * @public
+     */
+    onMessage(handler) {
+        this.handlers.push(handler);
+    }
+
+    /**
+     * Passes a received message to the handlers
+     * @param {Object} message - Received message
+     * @private
+     */
+    dispatch(message) {
+        if (!message || message.source === this.tabId) {
+            return;
+        }
+        this.handlers.forEach(handler => {
+            try {
+                handler(message);
+            } catch (error) {
+                console.error('Tab sync handler failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Stops listening and releases the channel
+     * @public
+     */
+    close() {
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+        if (this.storageListener) {
+            window.removeEventListener('storage', this.storageListener);
+            this.storageListener = null;
+        }
+        this.handlers = [];
+    }
+}
+
+/**
+ * Creates the tab sync channel for the browser, or null outside a browser
+ * (Node tests), where there are no other tabs to talk to
+ * @returns {TabSync|null} Tab sync channel
+ */
+export function createDefaultTabSync() {
+    return typeof window !== 'undefined' ? new TabSync() : null;
+}
+
+// Default export for convenience
+export default TabSync;
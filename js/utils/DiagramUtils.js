@@ -13,7 +13,20 @@ export const detectDiagramType = (content = '') => {
         'stateDiagram'
     ];
 
-    if (mermaidPatterns.some((pattern) => trimmed.includes(pattern)) || /^\s*graph\s+/i.test(trimmed)) {
+    // Diagram families declared by a keyword on a line of its own, e.g. "gantt" or "pie title Pets"
+    const mermaidDeclarations = [
+        /^\s*(erDiagram|gantt|journey|mindmap|timeline|quadrantChart|requirementDiagram)\s*$/m,
+        /^\s*C4(Context|Container|Component|Dynamic|Deployment)\s*$/m,
+        /^\s*pie(\s+showData)?(\s+title\s.*)?\s*$/m,
+        /^\s*gitGraph(\s+(LR|TB|BT))?:?\s*$/m,
+        /^\s*xychart-beta(\s+(horizontal|vertical))?\s*$/m
+    ];
+
+    if (
+        mermaidPatterns.some((pattern) => trimmed.includes(pattern)) ||
+        /^\s*graph\s+/i.test(trimmed) ||
+        mermaidDeclarations.some((pattern) => pattern.test(trimmed))
+    ) {
         return 'mermaid';
     }
 
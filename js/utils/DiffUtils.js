@@ -0,0 +1,153 @@
+/**
+ * Diff Utilities Module - Enterprise Diagram IDE
+ * Line-based text diffing used by version history and compare views.
+ */
+
+'use strict';
+
+/**
+ * Maximum LCS table size before falling back to a coarse diff
+ * @constant {number}
+ */
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Splits text into lines, treating empty text as no lines
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Lines
+ */
+function splitLines(text) {
+    return text ? text.replace(/\r\n/g, '\n').split('\n') : [];
+}
+
+/**
+ * Computes a line diff between two texts.
+ * @param {string} [oldText=''] - Original text
+ * @param {string} [newText=''] - Changed text
+ * @returns {Array<{type: string, text: string, oldLine: number|null, newLine: number|null}>}
+ *          Diff entries of type 'equal', 'removed' or 'added' with 1-based line numbers
+ */
+export function diffLines(oldText = '', newText = '') {
+    const a = splitLines(oldText);
+    const b = splitLines(newText);
+    const result = [];
+
+    // Common prefix and suffix keep the LCS table small for typical edits
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        result.push({ type: 'equal', text: a[start], oldLine: start + 1, newLine: start + 1 });
+        start++;
+    }
+
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const n = endA - start;
+    const m = endB - start;
+    const middle = [];
+
+    if (n * m > MAX_DIFF_CELLS) {
+        for (let i = 0; i < n; i++) {
+            middle.push({ type: 'removed', text: a[start + i], oldLine: start + i + 1, newLine: null });
+        }
+        for (let j = 0; j < m; j++) {
+            middle.push({ type: 'added', text: b[start + j], oldLine: null, newLine: start + j + 1 });
+        }
+    } else {
+        // lengths[i][j] = LCS length of a[start+i..endA) and b[start+j..endB)
+        const lengths = [];
+        for (let i = 0; i <= n; i++) {
+            lengths.push(new Uint32Array(m + 1));
+        }
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lengths[i][j] = a[start + i] === b[start + j]
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < n || j < m) {
+            if (i < n && j < m && a[start + i] === b[start + j]) {
+                middle.push({ type: 'equal', text: a[start + i], oldLine: start + i + 1, newLine: start + j + 1 });
+                i++;
+                j++;
+            } else if (i < n && (j === m || lengths[i + 1][j] >= lengths[i][j + 1])) {
+                middle.push({ type: 'removed', text: a[start + i], oldLine: start + i + 1, newLine: null });
+                i++;
+            } else {
+                middle.push({ type: 'added', text: b[start + j], oldLine: null, newLine: start + j + 1 });
+                j++;
+            }
+        }
+    }
+
+    result.push(...middle);
+
+    for (let k = 0; k < a.length - endA; k++) {
+        result.push({ type: 'equal', text: a[endA + k], oldLine: endA + k + 1, newLine: endB + k + 1 });
+    }
+
+    return result;
+}
+
+/**
+ * Counts added and removed lines of a diff
+ * @param {Array<Object>} diff - Result of diffLines()
+ * @returns {{added: number, removed: number}} Line counts
+ */
+export function summarizeDiff(diff) {
+    return diff.reduce((summary, entry) => {
+        if (entry.type === 'added') {
+            summary.added++;
+        } else if (entry.type === 'removed') {
+            summary.removed++;
+        }
+        return summary;
+    }, { added: 0, removed: 0 });
+}
+
+/**
+ * Compares the files of two project trees by path. Folders are not listed;
+ * a renamed or moved file shows as removed from its old path and added at its new one.
+ * @param {Object<string, Object>} oldFiles - Items by ID (e.g. a checkpoint)
+ * @param {Object<string, Object>} newFiles - Items by ID (e.g. the current project)
+ * @returns {{added: Array<Object>, removed: Array<Object>, changed: Array<Object>}}
+ *          Files as `{path, oldContent, newContent}`, sorted by path
+ */
+export function compareFileTrees(oldFiles, newFiles) {
+    const byPath = (files) => {
+        const map = new Map();
+        Object.values(files).forEach(item => {
+            if (item.type === 'file') {
+                map.set(item.path, item.content || '');
+            }
+        });
+        return map;
+    };
+    const before = byPath(oldFiles);
+    const after = byPath(newFiles);
+    const result = { added: [], removed: [], changed: [] };
+
+    after.forEach((newContent, path) => {
+        if (!before.has(path)) {
+            result.added.push({ path, oldContent: '', newContent });
+        } else if (before.get(path) !== newContent) {
+            result.changed.push({ path, oldContent: before.get(path), newContent });
+        }
+    });
+    before.forEach((oldContent, path) => {
+        if (!after.has(path)) {
+            result.removed.push({ path, oldContent, newContent: '' });
+        }
+    });
+
+    Object.values(result).forEach(list => list.sort((a, b) => a.path.localeCompare(b.path)));
+    return result;
+}
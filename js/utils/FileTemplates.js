@@ -0,0 +1,612 @@
+/**
+ * File Templates Module - Enterprise Diagram IDE
+ * Built-in file templates, {{placeholder}} substitution and the template
+ * library import/export format.
+ */
+
+'use strict';
+
+/**
+ * Format identifier of exported template libraries
+ * @constant {string}
+ */
+export const FILE_TEMPLATES_FORMAT = 'diagram-ide-file-templates';
+
+/**
+ * Current version of the exported template library format
+ * @constant {number}
+ */
+export const FILE_TEMPLATES_VERSION = 1;
+
+/**
+ * Template languages in the order they are listed, with the extension a
+ * file created from the template usually has
+ * @constant {Array<{id: string, label: string, extension: string, icon: string}>}
+ */
+export const FILE_TEMPLATE_LANGUAGES = [
+    { id: 'mermaid', label: 'Mermaid', extension: 'mmd', icon: 'fa-project-diagram' },
+    { id: 'plantuml', label: 'PlantUML', extension: 'puml', icon: 'fa-sitemap' },
+    { id: 'md', label: 'Markdown', extension: 'md', icon: 'fa-file-code' },
+    { id: 'txt', label: 'Plain Text', extension: 'txt', icon: 'fa-file-alt' }
+];
+
+/**
+ * Matches a placeholder such as {{title}} or {{ due-date }}
+ * @constant {RegExp}
+ */
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z][\w-]*)\s*\}\}/g;
+
+/**
+ * Built-in file templates: a starter for every Mermaid diagram family, the
+ * common PlantUML diagrams, Markdown and plain text
+ * @constant {Array<{id: string, name: string, language: string, description: string, content: string}>}
+ */
+export const BUILT_IN_FILE_TEMPLATES = [
+    {
+        id: 'builtin-mermaid',
+        name: 'Flowchart',
+        language: 'mermaid',
+        description: 'Steps and decisions connected by arrows',
+        content: `graph TD
+    A[Start] --> B{Decision}
+    B -->|Yes| C[Action 1]
+    B -->|No| D[Action 2]
+    C --> E[End]
+    D --> E
+
+%% Welcome to Mermaid!
+%% This is a flowchart template
+%% Learn more at: https://mermaid-js.github.io/`
+    },
+    {
+        id: 'builtin-mermaid-sequence',
+        name: 'Sequence Diagram',
+        language: 'mermaid',
+        description: 'Messages exchanged between participants over time',
+        content: `sequenceDiagram
+    autonumber
+    actor User
+    participant App
+    participant API
+    participant DB as Database
+
+    User->>App: Sign in
+    App->>API: POST /sessions
+    API->>DB: Look up user
+    DB-->>API: User record
+    alt Valid credentials
+        API-->>App: 201 Created + token
+        App-->>User: Show dashboard
+    else Invalid credentials
+        API-->>App: 401 Unauthorized
+        App-->>User: Show error
+    end`
+    },
+    {
+        id: 'builtin-mermaid-class',
+        name: 'Class Diagram',
+        language: 'mermaid',
+        description: 'Classes with attributes, methods and relationships',
+        content: `classDiagram
+    class Order {
+        +String id
+        +Date placedAt
+        +total() Decimal
+    }
+    class OrderLine {
+        +int quantity
+        +Decimal unitPrice
+    }
+    class Customer {
+        +String name
+        +String email
+    }
+    class PaymentMethod {
+        <<interface>>
+        +charge(amount) bool
+    }
+    class CardPayment
+
+    Customer "1" --> "*" Order : places
+    Order "1" *-- "1..*" OrderLine : contains
+    Order --> PaymentMethod : paid with
+    PaymentMethod <|.. CardPayment`
+    },
+    {
+        id: 'builtin-mermaid-state',
+        name: 'State Diagram',
+        language: 'mermaid',
+        description: 'States of an object and the events that change them',
+        content: `stateDiagram-v2
+    [*] --> Draft
+    Draft --> InReview : submit
+    InReview --> Draft : request changes
+    InReview --> Approved : approve
+    Approved --> Published : publish
+    Published --> Archived : archive
+    Archived --> [*]
+
+    state InReview {
+        [*] --> Waiting
+        Waiting --> Reviewing : reviewer assigned
+        Reviewing --> [*]
+    }`
+    },
+    {
+        id: 'builtin-mermaid-er',
+        name: 'Entity Relationship Diagram',
+        language: 'mermaid',
+        description: 'Tables, their columns and relationships',
+        content: `erDiagram
+    CUSTOMER ||--o{ ORDER : places
+    ORDER ||--|{ ORDER_LINE : contains
+    PRODUCT ||--o{ ORDER_LINE : "ordered in"
+
+    CUSTOMER {
+        int id PK
+        string name
+        string email
+    }
+    ORDER {
+        int id PK
+        int customer_id FK
+        date placed_at
+    }
+    ORDER_LINE {
+        int order_id FK
+        int product_id FK
+        int quantity
+    }
+    PRODUCT {
+        int id PK
+        string name
+        decimal price
+    }`
+    },
+    {
+        id: 'builtin-mermaid-gantt',
+        name: 'Gantt Chart',
+        language: 'mermaid',
+        description: 'Project schedule with tasks, dependencies and milestones',
+        content: `gantt
+    title Release Plan
+    dateFormat YYYY-MM-DD
+
+    section Design
+    Requirements        :done, req, 2024-01-01, 5d
+    Mock-ups            :active, mock, after req, 5d
+
+    section Build
+    Backend             :be, after mock, 10d
+    Frontend            :fe, after mock, 12d
+
+    section Launch
+    Testing             :test, after fe, 5d
+    Release             :milestone, after test, 0d`
+    },
+    {
+        id: 'builtin-mermaid-pie',
+        name: 'Pie Chart',
+        language: 'mermaid',
+        description: 'Proportions of a whole',
+        content: `pie showData title Time Spent per Activity
+    "Development" : 45
+    "Meetings" : 20
+    "Code Review" : 15
+    "Support" : 12
+    "Learning" : 8`
+    },
+    {
+        id: 'builtin-mermaid-journey',
+        name: 'User Journey',
+        language: 'mermaid',
+        description: 'Steps a user takes, scored by how they feel',
+        content: `journey
+    title Buying a Product Online
+    section Discover
+      Search for product: 4: Customer
+      Compare offers: 3: Customer
+    section Purchase
+      Add to cart: 5: Customer
+      Enter payment details: 2: Customer
+    section Delivery
+      Track parcel: 3: Customer, Support
+      Receive parcel: 5: Customer`
+    },
+    {
+        id: 'builtin-mermaid-mindmap',
+        name: 'Mind Map',
+        language: 'mermaid',
+        description: 'Ideas branching out from a central topic',
+        content: `mindmap
+  root((Product Launch))
+    Marketing
+      Blog post
+      Social media
+      Newsletter
+    Engineering
+      Feature freeze
+      Load testing
+    Support
+      FAQ
+      Training`
+    },
+    {
+        id: 'builtin-mermaid-timeline',
+        name: 'Timeline',
+        language: 'mermaid',
+        description: 'Events in chronological order',
+        content: `timeline
+    title Company History
+    2019 : Founded
+    2020 : First product release
+         : 1,000 customers
+    2022 : Series A funding
+    2024 : International expansion`
+    },
+    {
+        id: 'builtin-mermaid-gitgraph',
+        name: 'Git Graph',
+        language: 'mermaid',
+        description: 'Branches, commits and merges of a repository',
+        content: `gitGraph
+    commit id: "Initial commit"
+    commit id: "Add README"
+    branch feature
+    checkout feature
+    commit id: "Add login form"
+    commit id: "Validate input"
+    checkout main
+    commit id: "Fix typo"
+    merge feature
+    commit id: "Release 1.0" tag: "v1.0"`
+    },
+    {
+        id: 'builtin-mermaid-quadrant',
+        name: 'Quadrant Chart',
+        language: 'mermaid',
+        description: 'Items placed on two axes, e.g. effort versus impact',
+        content: `quadrantChart
+    title Feature Prioritisation
+    x-axis Low Effort --> High Effort
+    y-axis Low Impact --> High Impact
+    quadrant-1 Plan carefully
+    quadrant-2 Do first
+    quadrant-3 Fill-ins
+    quadrant-4 Avoid
+    Dark mode: [0.3, 0.6]
+    Search: [0.45, 0.85]
+    Export to PDF: [0.7, 0.4]
+    New onboarding: [0.8, 0.75]
+    Tooltip fixes: [0.15, 0.2]`
+    },
+    {
+        id: 'builtin-mermaid-c4',
+        name: 'C4 Context Diagram',
+        language: 'mermaid',
+        description: 'A system, its users and the systems it depends on',
+        content: `C4Context
+    title System Context - Online Banking
+
+    Person(customer, "Customer", "Holds accounts at the bank")
+    System(banking, "Online Banking", "Lets customers view balances and make payments")
+    System_Ext(mail, "Email System", "Sends notifications")
+    System_Ext(core, "Core Banking", "Stores accounts and transactions")
+
+    Rel(customer, banking, "Uses", "HTTPS")
+    Rel(banking, core, "Reads and writes", "REST")
+    Rel(banking, mail, "Sends email", "SMTP")`
+    },
+    {
+        id: 'builtin-mermaid-xychart',
+        name: 'XY Chart',
+        language: 'mermaid',
+        description: 'Bar and line chart of values over categories',
+        content: `xychart-beta
+    title "Monthly Active Users"
+    x-axis [Jan, Feb, Mar, Apr, May, Jun]
+    y-axis "Users (thousands)" 0 --> 60
+    bar [12, 18, 25, 31, 40, 52]
+    line [12, 18, 25, 31, 40, 52]`
+    },
+    {
+        id: 'builtin-plantuml',
+        name: 'Use Case Diagram',
+        language: 'plantuml',
+        description: 'Actors and what they do with a system',
+        content: `@startuml
+actor User
+User --> (Login)
+User --> (Logout)
+
+rectangle System {
+  (Login) --> (Validate Credentials)
+  (Validate Credentials) --> (Show Dashboard)
+  (Show Dashboard) --> (Logout)
+}
+@enduml
+
+' Welcome to PlantUML!
+' This is a basic use case diagram template
+' Learn more at: https://plantuml.com/`
+    },
+    {
+        id: 'builtin-plantuml-sequence',
+        name: 'Sequence Diagram',
+        language: 'plantuml',
+        description: 'Messages exchanged between participants over time',
+        content: `@startuml
+autonumber
+actor User
+participant "Web App" as App
+participant "Auth Service" as Auth
+database "User Store" as DB
+
+User -> App : Sign in
+App -> Auth : Validate credentials
+Auth -> DB : Find user
+DB --> Auth : User record
+alt credentials valid
+    Auth --> App : Token
+    App --> User : Dashboard
+else credentials invalid
+    Auth --> App : Error
+    App --> User : Show message
+end
+@enduml`
+    },
+    {
+        id: 'builtin-plantuml-activity',
+        name: 'Activity Diagram',
+        language: 'plantuml',
+        description: 'Workflow with decisions and parallel steps',
+        content: `@startuml
+start
+:Receive order;
+if (In stock?) then (yes)
+    fork
+        :Charge payment;
+    fork again
+        :Reserve items;
+    end fork
+    :Ship order;
+else (no)
+    :Notify customer;
+endif
+:Close order;
+stop
+@enduml`
+    },
+    {
+        id: 'builtin-plantuml-component',
+        name: 'Component Diagram',
+        language: 'plantuml',
+        description: 'Components, their interfaces and dependencies',
+        content: `@startuml
+package "Frontend" {
+    [Web App]
+}
+
+package "Backend" {
+    [API Gateway]
+    [Order Service]
+    [Billing Service]
+}
+
+database "Orders DB" as OrdersDB
+interface REST
+
+[Web App] --> REST
+REST - [API Gateway]
+[API Gateway] --> [Order Service]
+[API Gateway] --> [Billing Service]
+[Order Service] --> OrdersDB
+@enduml`
+    },
+    {
+        id: 'builtin-plantuml-deployment',
+        name: 'Deployment Diagram',
+        language: 'plantuml',
+        description: 'Where software runs and how nodes connect',
+        content: `@startuml
+actor User
+node "Browser" as browser {
+    artifact "web-app.js" as webapp
+}
+cloud "CDN" as cdn
+node "Application Server" as server {
+    component "API" as api
+}
+database "PostgreSQL" as db
+queue "Message Queue" as mq
+
+User --> browser
+browser --> cdn : HTTPS
+browser --> api : HTTPS
+api --> db : SQL
+api --> mq : AMQP
+@enduml`
+    },
+    {
+        id: 'builtin-plantuml-mindmap',
+        name: 'Mind Map',
+        language: 'plantuml',
+        description: 'Ideas branching out from a central topic',
+        content: `@startmindmap
+* Product Launch
+** Marketing
+*** Blog post
+*** Newsletter
+** Engineering
+*** Feature freeze
+*** Load testing
+left side
+** Support
+*** FAQ
+*** Training
+@endmindmap`
+    },
+    {
+        id: 'builtin-plantuml-wbs',
+        name: 'Work Breakdown Structure',
+        language: 'plantuml',
+        description: 'Project deliverables broken down into work packages',
+        content: `@startwbs
+* Website Redesign
+** Discovery
+*** Stakeholder interviews
+*** Content audit
+** Design
+*** Wireframes
+*** Visual design
+** Build
+*** Templates
+*** Migration
+** Launch
+*** Testing
+*** Go live
+@endwbs`
+    },
+    {
+        id: 'builtin-md',
+        name: 'Markdown File',
+        language: 'md',
+        description: 'Documentation and notes',
+        content: `# Document Title
+
+## Introduction
+
+This is a Markdown file created with Diagram IDE.
+
+## Features
+
+- Easy to read and write
+- Supports formatting
+- Great for documentation
+
+## Code Example
+
+\`\`\`javascript
+console.log('Hello, World!');
+\`\`\`
+
+Learn more about Markdown: [Markdown Guide](https://www.markdownguide.org/)`
+    },
+    {
+        id: 'builtin-txt',
+        name: 'Plain Text File',
+        language: 'txt',
+        description: 'Simple text document',
+        content: `This is a plain text file.
+
+You can write any text content here.
+
+Created with Diagram IDE.`
+    }
+];
+
+/**
+ * Lists the placeholders of a template in order of first appearance
+ * @param {string} content - Template content
+ * @returns {Array<string>} Placeholder names without braces
+ */
+export function extractPlaceholders(content) {
+    const names = [];
+    for (const match of (content || '').matchAll(PLACEHOLDER_PATTERN)) {
+        if (!names.includes(match[1])) {
+            names.push(match[1]);
+        }
+    }
+    return names;
+}
+
+/**
+ * Replaces the placeholders of a template. Placeholders without a value
+ * become empty.
+ * @param {string} content - Template content
+ * @param {Object<string, string>} values - Values by placeholder name
+ * @returns {string} Content with the placeholders filled in
+ */
+export function fillPlaceholders(content, values) {
+    return (content || '').replace(PLACEHOLDER_PATTERN, (match, name) => values[name] || '');
+}
+
+/**
+ * Suggests values for well-known placeholders: {{date}} is today and
+ * {{title}} the file name without its extension
+ * @param {Array<string>} names - Placeholder names
+ * @param {string} fileName - Name of the file being created
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Object<string, string>} Suggested values by placeholder name
+ */
+export function getPlaceholderDefaults(names, fileName, now = new Date()) {
+    const pad = (value) => String(value).padStart(2, '0');
+    const suggestions = {
+        date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+        title: (fileName || '').replace(/\.[^/.]+$/, '')
+    };
+
+    return Object.fromEntries(names.map(name => [name, suggestions[name] || '']));
+}
+
+/**
+ * Works out the template language of a file from its name and content
+ * @param {string} name - File name
+ * @param {string} type - Diagram type detected from the content
+ * @returns {string} 'mermaid', 'plantuml', 'md' or 'txt'
+ */
+export function getTemplateLanguage(name, type) {
+    const extension = name.includes('.') ? name.slice(name.lastIndexOf('.') + 1).toLowerCase() : '';
+    if (['mmd', 'mermaid'].includes(extension)) {
+        return 'mermaid';
+    }
+    if (['puml', 'plantuml', 'pu', 'iuml', 'wsd'].includes(extension)) {
+        return 'plantuml';
+    }
+    if (['md', 'markdown'].includes(extension)) {
+        return 'md';
+    }
+    return type === 'mermaid' || type === 'plantuml' ? type : 'txt';
+}
+
+/**
+ * Builds the exported form of a template library
+ * @param {Array<Object>} templates - File templates saved by the user
+ * @returns {Object} Export data
+ */
+export function createFileTemplatesExport(templates) {
+    return {
+        format: FILE_TEMPLATES_FORMAT,
+        version: FILE_TEMPLATES_VERSION,
+        exported: new Date().toISOString(),
+        templates: templates.map(({ name, language, description, content }) => ({ name, language, description, content }))
+    };
+}
+
+/**
+ * Validates an imported template library
+ * @param {Object} data - Parsed export data
+ * @returns {Array<{name: string, language: string, description: string, content: string}>} Templates
+ * @throws {Error} If the data is not a template library
+ */
+export function readFileTemplatesExport(data) {
+    if (!data || data.format !== FILE_TEMPLATES_FORMAT || !Array.isArray(data.templates)) {
+        throw new Error('Not a file template library');
+    }
+    if (data.version > FILE_TEMPLATES_VERSION) {
+        throw new Error(`Template library version ${data.version} is newer than this editor supports`);
+    }
+
+    const languages = FILE_TEMPLATE_LANGUAGES.map(language => language.id);
+    return data.templates.map((template, index) => {
+        if (!template || typeof template.name !== 'string' || !template.name.trim() || typeof template.content !== 'string') {
+            throw new Error(`Invalid template at position ${index + 1}`);
+        }
+        return {
+            name: template.name.trim(),
+            language: languages.includes(template.language) ? template.language : 'txt',
+            description: typeof template.description === 'string' ? template.description : '',
+            content: template.content
+        };
+    });
+}
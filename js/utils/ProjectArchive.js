@@ -0,0 +1,445 @@
+/**
+ * Project Archive Module - Enterprise Diagram IDE
+ * Converts projects to and from ZIP archives and local folders of plain files.
+ * Relies on the JSZip global loaded from the CDN.
+ */
+
+'use strict';
+
+import { detectDiagramType } from './DiagramUtils.js';
+
+/**
+ * Name of the optional manifest stored at the archive root
+ * @constant {string}
+ */
+export const MANIFEST_FILE = 'project.json';
+
+/**
+ * File types by extension for imported files. Plain text files may still
+ * turn out to be diagrams, see getImportFileType().
+ * @constant {Object}
+ */
+const FILE_TYPES_BY_EXTENSION = {
+    mmd: 'mermaid',
+    mermaid: 'mermaid',
+    puml: 'plantuml',
+    plantuml: 'plantuml',
+    pu: 'plantuml',
+    iuml: 'plantuml',
+    wsd: 'plantuml',
+    md: 'markdown',
+    markdown: 'markdown',
+    txt: 'text'
+};
+
+/**
+ * File extensions read when importing archives or folders
+ * @constant {Array<string>}
+ */
+export const IMPORTABLE_EXTENSIONS = Object.keys(FILE_TYPES_BY_EXTENSION);
+
+/**
+ * Returns the JSZip constructor or fails with a readable message
+ * @returns {Function} JSZip constructor
+ */
+function getJSZip() {
+    if (typeof JSZip === 'undefined') {
+        throw new Error('ZIP support is not available (JSZip failed to load)');
+    }
+    return JSZip;
+}
+
+/**
+ * Checks whether a path should be imported: known extension, no hidden
+ * segments (.git, .DS_Store, ...) and no archive tool metadata
+ * @param {string} path - Relative path inside the archive or folder
+ * @returns {boolean} True if the file should be imported
+ */
+function isImportablePath(path) {
+    const segments = path.split('/').filter(Boolean);
+    if (segments.length === 0 || segments[0] === '__MACOSX') {
+        return false;
+    }
+    if (segments.some(segment => segment.startsWith('.'))) {
+        return false;
+    }
+    const name = segments[segments.length - 1];
+    const dotIndex = name.lastIndexOf('.');
+    return dotIndex > 0 && IMPORTABLE_EXTENSIONS.includes(name.slice(dotIndex + 1).toLowerCase());
+}
+
+/**
+ * Returns the lower-case extension of a file name
+ * @param {string} name - File name
+ * @returns {string} Extension without the dot, or '' if there is none
+ */
+function getExtension(name) {
+    const dotIndex = name.lastIndexOf('.');
+    return dotIndex > 0 ? name.slice(dotIndex + 1).toLowerCase() : '';
+}
+
+/**
+ * Detects the type of an imported file from its extension and content.
+ * Files without an extension are only accepted when they contain a diagram.
+ * @param {string} name - File name
+ * @param {string} [content=''] - File content
+ * @returns {string|null} 'mermaid', 'plantuml', 'markdown', 'text' or null if not importable
+ */
+export function getImportFileType(name, content = '') {
+    const extension = getExtension(name);
+    const byExtension = FILE_TYPES_BY_EXTENSION[extension];
+    if (byExtension && byExtension !== 'text') {
+        return byExtension;
+    }
+
+    if (byExtension || !extension) {
+        const detected = detectDiagramType(content);
+        if (detected === 'mermaid' || detected === 'plantuml') {
+            return detected;
+        }
+        return byExtension || null;
+    }
+
+    return null;
+}
+
+/**
+ * Normalizes a relative path to the project's absolute form ("/a/b.mmd")
+ * @param {string} path - Relative path
+ * @returns {string} Absolute path
+ */
+function toProjectPath(path) {
+    return '/' + path.split('/').filter(Boolean).join('/');
+}
+
+/**
+ * Returns the file name used inside an archive. Names without an extension
+ * get one that matches their content (.mmd, .puml or .txt).
+ * @param {Object} node - File node or item
+ * @returns {string} File name with extension
+ */
+export function getArchiveFileName(node) {
+    if (/\.[^./]+$/.test(node.name)) {
+        return node.name;
+    }
+
+    const type = detectDiagramType(node.content || '');
+    const extension = type === 'mermaid' ? 'mmd' : type === 'plantuml' ? 'puml' : 'txt';
+    return `${node.name}.${extension}`;
+}
+
+/**
+ * Creates a ZIP archive with every file at its project path
+ * @param {Object} exportData - Result of FileSystem.exportProjectData()
+ * @param {Object} [options={}]
+ * @param {boolean} [options.includeManifest=true] - Add project.json with structure, order and settings
+ * @returns {Promise<Blob>} ZIP archive
+ */
+export async function createProjectArchive(exportData, { includeManifest = true } = {}) {
+    const ZipLib = getJSZip();
+    const zip = new ZipLib();
+    const usedPaths = new Set([MANIFEST_FILE]);
+
+    // Returns the manifest node (without content) for a project node
+    const addNode = (node, folderPath) => {
+        if (node.type === 'folder') {
+            const path = folderPath ? `${folderPath}/${node.name}` : node.name;
+            zip.folder(path);
+            return {
+                ...node,
+                children: (node.children || []).map(child => addNode(child, path))
+            };
+        }
+
+        const fileName = getArchiveFileName(node);
+        const dotIndex = fileName.lastIndexOf('.');
+        let archivePath = folderPath ? `${folderPath}/${fileName}` : fileName;
+        for (let counter = 2; usedPaths.has(archivePath); counter++) {
+            const candidate = `${fileName.slice(0, dotIndex)} (${counter})${fileName.slice(dotIndex)}`;
+            archivePath = folderPath ? `${folderPath}/${candidate}` : candidate;
+        }
+        usedPaths.add(archivePath);
+        zip.file(archivePath, node.content || '');
+
+        const { content, ...meta } = node;
+        return { ...meta, archivePath };
+    };
+
+    const manifestRoot = {
+        ...exportData.root,
+        children: (exportData.root.children || []).map(child => addNode(child, ''))
+    };
+
+    if (includeManifest) {
+        zip.file(MANIFEST_FILE, JSON.stringify({ ...exportData, root: manifestRoot }, null, 2));
+    }
+
+    return zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+}
+
+/**
+ * Lists the Mermaid and PlantUML files below a folder node of the export data
+ * @param {Object} folderNode - Folder node from FileSystem.exportProjectData()
+ * @returns {Array<{path: string, content: string, type: string}>} Diagrams in tree order,
+ *     with paths relative to the folder ("flows/login.mmd")
+ */
+export function collectDiagramFiles(folderNode) {
+    const diagrams = [];
+
+    const walk = (node, folderPath) => {
+        for (const child of node.children || []) {
+            const path = folderPath ? `${folderPath}/${child.name}` : child.name;
+            if (child.type === 'folder') {
+                walk(child, path);
+                continue;
+            }
+
+            const type = getImportFileType(child.name, child.content || '');
+            if (type === 'mermaid' || type === 'plantuml') {
+                diagrams.push({ path, content: child.content || '', type });
+            }
+        }
+    };
+
+    walk(folderNode, '');
+    return diagrams;
+}
+
+/**
+ * Creates a ZIP archive of rendered diagram images. Each image replaces the
+ * extension of its source path, so the folder structure is kept; images that
+ * would collide ("a.mmd" and "a.puml") get a numbered name.
+ * @param {Array<{path: string, format: string, data: (Blob|string)}>} images - Rendered images
+ * @returns {Promise<Blob>} ZIP archive
+ */
+export async function createDiagramArchive(images) {
+    const ZipLib = getJSZip();
+    const zip = new ZipLib();
+    const usedPaths = new Set();
+
+    for (const { path, format, data } of images) {
+        const baseName = path.replace(/\.[^./]+$/, '');
+        let archivePath = `${baseName}.${format}`;
+        for (let counter = 2; usedPaths.has(archivePath); counter++) {
+            archivePath = `${baseName} (${counter}).${format}`;
+        }
+        usedPaths.add(archivePath);
+        zip.file(archivePath, data);
+    }
+
+    return zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+}
+
+/**
+ * Reads a ZIP archive into folder and file entries ready for import.
+ * With a project.json manifest the original names, order and settings are
+ * restored; files the manifest does not know about are appended.
+ * @param {Blob|ArrayBuffer} archive - ZIP data
+ * @param {string} [fallbackName='Imported Project'] - Project name when there is no manifest
+ * @returns {Promise<{name: string, settings: Object, folders: Array<string>, files: Array<{path: string, content: string}>, skipped: Array<string>}>}
+ */
+export async function readProjectArchive(archive, fallbackName = 'Imported Project') {
+    const ZipLib = getJSZip();
+    const zip = await ZipLib.loadAsync(archive);
+    const entries = Object.values(zip.files);
+
+    // Archives often wrap everything in a single top-level folder
+    const topLevel = new Set(entries.map(entry => entry.name.split('/')[0]).filter(name => name && name !== '__MACOSX'));
+    const wrapper = topLevel.size === 1 && entries.every(entry => entry.name.includes('/') || entry.dir || entry.name.startsWith('__MACOSX'))
+        ? [...topLevel][0]
+        : null;
+    const relative = (name) => (wrapper && name.startsWith(wrapper + '/') ? name.slice(wrapper.length + 1) : name);
+
+    const result = { name: wrapper || fallbackName, settings: {}, folders: [], files: [], skipped: [] };
+    const consumed = new Set();
+
+    const manifestEntry = zip.file((wrapper ? wrapper + '/' : '') + MANIFEST_FILE);
+    if (manifestEntry) {
+        consumed.add(manifestEntry.name);
+        let manifest = null;
+        try {
+            manifest = JSON.parse(await manifestEntry.async('string'));
+        } catch (error) {
+            result.skipped.push(MANIFEST_FILE);
+        }
+
+        if (manifest && manifest.root) {
+            result.name = manifest.name || result.name;
+            result.settings = manifest.settings || {};
+
+            const walk = async (node, path) => {
+                for (const child of node.children || []) {
+                    const childPath = path === '/' ? `/${child.name}` : `${path}/${child.name}`;
+                    if (child.type === 'folder') {
+                        result.folders.push(childPath);
+                        await walk(child, childPath);
+                    } else if (child.archivePath) {
+                        const entry = zip.file((wrapper ? wrapper + '/' : '') + child.archivePath);
+                        if (entry) {
+                            consumed.add(entry.name);
+                            result.files.push({ path: childPath, content: await entry.async('string') });
+                        }
+                    }
+                }
+            };
+            await walk(manifest.root, '/');
+        }
+    }
+
+    const remaining = entries
+        .filter(entry => !consumed.has(entry.name))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of remaining) {
+        const path = relative(entry.name);
+        if (!path) {
+            continue;
+        }
+        if (entry.dir) {
+            const folderPath = toProjectPath(path);
+            if (!path.split('/').some(segment => segment.startsWith('.') || segment === '__MACOSX') && !result.folders.includes(folderPath)) {
+                result.folders.push(folderPath);
+            }
+        } else if (isImportablePath(path)) {
+            result.files.push({ path: toProjectPath(path), content: await entry.async('string') });
+        } else {
+            result.skipped.push(path);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Reads files picked from a local folder (input with webkitdirectory)
+ * into folder and file entries ready for import
+ * @param {FileList|Array<File>} fileList - Picked files with webkitRelativePath
+ * @returns {Promise<{name: string, settings: Object, folders: Array<string>, files: Array<{path: string, content: string}>, skipped: Array<string>}>}
+ */
+export async function readDirectoryFiles(fileList) {
+    const files = Array.from(fileList);
+    const result = { name: 'Imported Project', settings: {}, folders: [], files: [], skipped: [] };
+
+    if (files.length > 0) {
+        result.name = (files[0].webkitRelativePath || files[0].name).split('/')[0] || result.name;
+    }
+
+    const sorted = files
+        .map(file => ({ file, path: (file.webkitRelativePath || file.name).split('/').slice(1).join('/') || file.name }))
+        .sort((a, b) => a.path.localeCompare(b.path));
+
+    for (const { file, path } of sorted) {
+        if (isImportablePath(path)) {
+            result.files.push({ path: toProjectPath(path), content: await file.text() });
+        } else {
+            result.skipped.push(path);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Largest extension-less file that is read to sniff for diagram content
+ * @constant {number}
+ */
+const MAX_SNIFF_SIZE = 1024 * 1024;
+
+/**
+ * Reads a dropped or picked file as an import entry, or records it as skipped
+ * @param {File} file - File to read
+ * @param {string} path - Relative path of the file ("dir/a.mmd")
+ * @param {Object} result - Import entries being collected
+ * @returns {Promise<void>}
+ */
+async function readImportFile(file, path, result) {
+    const extension = getExtension(file.name);
+    const hidden = path.split('/').some(segment => segment.startsWith('.'));
+    const readable = extension ? Boolean(FILE_TYPES_BY_EXTENSION[extension]) : file.size <= MAX_SNIFF_SIZE;
+
+    if (hidden || !readable) {
+        result.skipped.push(path);
+        return;
+    }
+
+    const content = await file.text();
+    const fileType = getImportFileType(file.name, content);
+    if (fileType) {
+        result.files.push({ path: toProjectPath(path), content, fileType });
+    } else {
+        result.skipped.push(path);
+    }
+}
+
+/**
+ * Reads files from a multi-file picker into import entries
+ * @param {FileList|Array<File>} fileList - Picked files
+ * @returns {Promise<{name: string, settings: Object, folders: Array<string>, files: Array<{path: string, content: string, fileType: string}>, skipped: Array<string>}>}
+ */
+export async function readFileList(fileList) {
+    const result = { name: 'Imported Files', settings: {}, folders: [], files: [], skipped: [] };
+    for (const file of Array.from(fileList)) {
+        await readImportFile(file, file.webkitRelativePath || file.name, result);
+    }
+    return result;
+}
+
+/**
+ * Reads files and directories dropped from the desktop into import entries.
+ * Dropped directories keep their name and structure. Must be called while
+ * the drop event is being dispatched, since the browser clears the
+ * DataTransfer afterwards.
+ * @param {DataTransfer} dataTransfer - Drop event data
+ * @returns {Promise<{name: string, settings: Object, folders: Array<string>, files: Array<{path: string, content: string, fileType: string}>, skipped: Array<string>}>}
+ */
+export function readDroppedItems(dataTransfer) {
+    const entries = Array.from(dataTransfer.items || [])
+        .filter(item => item.kind === 'file')
+        .map(item => (typeof item.webkitGetAsEntry === 'function' ? item.webkitGetAsEntry() : null));
+
+    // Without the entries API only top-level files are available
+    if (entries.length === 0 || entries.some(entry => !entry)) {
+        return readFileList(Array.from(dataTransfer.files || []));
+    }
+
+    const result = { name: 'Imported Files', settings: {}, folders: [], files: [], skipped: [] };
+
+    const readAllEntries = (reader) => new Promise((resolve, reject) => {
+        const collected = [];
+        const readBatch = () => reader.readEntries(batch => {
+            if (batch.length === 0) {
+                resolve(collected);
+            } else {
+                collected.push(...batch);
+                readBatch();
+            }
+        }, reject);
+        readBatch();
+    });
+
+    const walk = async (entry) => {
+        const path = entry.fullPath.replace(/^\/+/, '');
+        if (entry.isDirectory) {
+            if (path.split('/').some(segment => segment.startsWith('.'))) {
+                result.skipped.push(path + '/');
+                return;
+            }
+            result.folders.push(toProjectPath(path));
+            const children = await readAllEntries(entry.createReader());
+            children.sort((a, b) => a.name.localeCompare(b.name));
+            for (const child of children) {
+                await walk(child);
+            }
+        } else {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            await readImportFile(file, path, result);
+        }
+    };
+
+    return (async () => {
+        for (const entry of entries) {
+            await walk(entry);
+        }
+        return result;
+    })();
+}
@@ -0,0 +1,219 @@
+/**
+ * Project Templates Module - Enterprise Diagram IDE
+ * Built-in starter projects offered by "New Project from Template".
+ */
+
+'use strict';
+
+/**
+ * Built-in project templates. Folders and files use the same entry shape as
+ * imports (see FileSystem.importFileEntries()), so templates saved from a
+ * project are created the same way.
+ * @constant {Array<{id: string, name: string, description: string, icon: string, settings: Object, folders: Array<string>, files: Array<{path: string, content: string}>}>}
+ */
+export const BUILT_IN_PROJECT_TEMPLATES = [
+    {
+        id: 'builtin-blank',
+        name: 'Blank Project',
+        description: 'An empty project.',
+        icon: 'fa-file',
+        settings: {},
+        folders: [],
+        files: []
+    },
+    {
+        id: 'builtin-microservices',
+        name: 'Microservice Architecture',
+        description: 'C4 system context, checkout sequence and order data model for a microservice shop, with a README describing the pack.',
+        icon: 'fa-project-diagram',
+        settings: {},
+        folders: ['/architecture', '/flows', '/data'],
+        files: [
+            {
+                path: '/README.md',
+                content: `# Shop Platform Architecture
+
+Starter documentation for a system built from microservices.
+
+| Diagram | Shows |
+| --- | --- |
+| \`architecture/system-context.mmd\` | Who uses the platform and which external systems it depends on (C4 level 1) |
+| \`flows/checkout-sequence.mmd\` | How the services cooperate when a customer places an order |
+| \`data/orders-er.mmd\` | Tables owned by the order service |
+
+Rename the services and replace the sample flows with your own.
+Keep one diagram per concern so each one stays readable.
+`
+            },
+            {
+                path: '/architecture/system-context.mmd',
+                content: `C4Context
+    title System Context - Shop Platform
+
+    Person(customer, "Customer", "Browses the catalogue and places orders")
+    Person(support, "Support Agent", "Handles refunds and order questions")
+
+    System(shop, "Shop Platform", "Catalogue, order and payment services behind an API gateway")
+
+    System_Ext(payments, "Payment Provider", "Authorises and captures card payments")
+    System_Ext(email, "Email Service", "Delivers order confirmations")
+
+    Rel(customer, shop, "Orders products", "HTTPS")
+    Rel(support, shop, "Manages orders", "HTTPS")
+    Rel(shop, payments, "Charges cards", "REST")
+    Rel(shop, email, "Sends emails", "SMTP")
+`
+            },
+            {
+                path: '/flows/checkout-sequence.mmd',
+                content: `sequenceDiagram
+    autonumber
+    actor Customer
+    participant Gateway as API Gateway
+    participant Orders as Order Service
+    participant Payments as Payment Service
+    participant Queue as Message Broker
+    participant Notify as Notification Service
+
+    Customer->>Gateway: POST /orders
+    Gateway->>Orders: Create order
+    Orders->>Payments: Authorise payment
+    alt Payment authorised
+        Payments-->>Orders: Authorisation ID
+        Orders->>Queue: Publish OrderPlaced
+        Orders-->>Gateway: 201 Created
+        Gateway-->>Customer: Order confirmation
+        Queue-->>Notify: OrderPlaced
+        Notify->>Customer: Confirmation email
+    else Payment declined
+        Payments-->>Orders: Declined
+        Orders-->>Gateway: 402 Payment Required
+        Gateway-->>Customer: Payment failed
+    end
+`
+            },
+            {
+                path: '/data/orders-er.mmd',
+                content: `erDiagram
+    CUSTOMER ||--o{ ORDER : places
+    ORDER ||--|{ ORDER_LINE : contains
+    PRODUCT ||--o{ ORDER_LINE : "ordered in"
+    ORDER ||--o| PAYMENT : "paid by"
+
+    CUSTOMER {
+        uuid id PK
+        string email
+        string name
+    }
+    ORDER {
+        uuid id PK
+        uuid customer_id FK
+        string status
+        datetime placed_at
+    }
+    ORDER_LINE {
+        uuid order_id FK
+        uuid product_id FK
+        int quantity
+        decimal unit_price
+    }
+    PRODUCT {
+        uuid id PK
+        string sku
+        string name
+    }
+    PAYMENT {
+        uuid id PK
+        uuid order_id FK
+        string provider_reference
+        string status
+    }
+`
+            }
+        ]
+    },
+    {
+        id: 'builtin-onboarding',
+        name: 'Onboarding Docs',
+        description: 'Welcome guide, onboarding flow, first-week plan, team chart and glossary for new team members.',
+        icon: 'fa-user-graduate',
+        settings: {},
+        folders: ['/onboarding', '/team', '/docs'],
+        files: [
+            {
+                path: '/README.md',
+                content: `# Welcome to the Team
+
+This project collects everything a new team member needs in their first weeks.
+
+1. Follow \`onboarding/onboarding-flow.mmd\` to get access and set up your machine.
+2. Check \`onboarding/first-week.mmd\` for the sessions planned in your first week.
+3. See \`team/team-structure.mmd\` for who works on what.
+4. Look up unfamiliar terms in \`docs/glossary.md\`.
+
+Found something outdated? Fix it here so the next person has an easier start.
+`
+            },
+            {
+                path: '/onboarding/onboarding-flow.mmd',
+                content: `flowchart TD
+    start([First day]) --> laptop[Collect laptop and badge]
+    laptop --> accounts[Activate accounts: email, chat, code hosting]
+    accounts --> access{All access granted?}
+    access -- No --> ticket[Open an access request with IT]
+    ticket --> access
+    access -- Yes --> setup[Set up the development environment]
+    setup --> buddy[Meet your onboarding buddy]
+    buddy --> task[Pick a starter task]
+    task --> done([Ready to contribute])
+`
+            },
+            {
+                path: '/onboarding/first-week.mmd',
+                content: `gantt
+    title First Week
+    dateFormat YYYY-MM-DD
+    axisFormat %a
+
+    section Setup
+    Accounts and hardware      :a1, 2024-01-01, 1d
+    Development environment    :a2, after a1, 1d
+
+    section Learning
+    Architecture overview      :b1, 2024-01-02, 1d
+    Codebase walkthrough       :b2, after b1, 1d
+
+    section Contributing
+    Starter task               :c1, 2024-01-03, 3d
+    First code review          :milestone, c2, 2024-01-05, 0d
+`
+            },
+            {
+                path: '/team/team-structure.mmd',
+                content: `flowchart TD
+    lead[Engineering Lead]
+    lead --> product[Product Team]
+    lead --> platform[Platform Team]
+    lead --> design[Design]
+
+    product --> fe[Frontend Engineers]
+    product --> be[Backend Engineers]
+    platform --> ops[Infrastructure]
+    platform --> qa[Quality Assurance]
+`
+            },
+            {
+                path: '/docs/glossary.md',
+                content: `# Glossary
+
+| Term | Meaning |
+| --- | --- |
+| Buddy | Team member who answers your questions during onboarding |
+| Starter task | Small, well-described issue to learn the workflow |
+| Standup | Short daily meeting to share progress and blockers |
+| Code review | Every change is reviewed by at least one other engineer |
+`
+            }
+        ]
+    }
+];
@@ -0,0 +1,232 @@
+/**
+ * Search Utilities Module - Enterprise Diagram IDE
+ * Project-wide text search and replace with regex, whole-word and path glob filters.
+ */
+
+'use strict';
+
+/**
+ * Maximum number of matches collected per search
+ * @constant {number}
+ */
+export const MAX_SEARCH_RESULTS = 2000;
+
+/**
+ * Escapes a string for literal use inside a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Builds the global regular expression for a search query
+ * @param {string} query - Search text or pattern
+ * @param {Object} [options={}]
+ * @param {boolean} [options.caseSensitive=false] - Match case
+ * @param {boolean} [options.wholeWord=false] - Only match whole words
+ * @param {boolean} [options.regex=false] - Treat the query as a regular expression
+ * @returns {RegExp} Global regular expression
+ * @throws {SyntaxError} If the query is not a valid regular expression
+ */
+export function buildSearchRegExp(query, { caseSensitive = false, wholeWord = false, regex = false } = {}) {
+    let source = regex ? query : escapeRegExp(query);
+    if (wholeWord) {
+        source = `\\b(?:${source})\\b`;
+    }
+    return new RegExp(source, caseSensitive ? 'g' : 'gi');
+}
+
+/**
+ * Converts a path glob to a regular expression. Supports `**`, `*`, `?`
+ * and `{a,b}`; globs without a slash match the file name at any depth.
+ * @param {string} glob - Glob pattern, e.g. "docs/**", "*.mmd"
+ * @returns {RegExp} Anchored regular expression
+ */
+export function globToRegExp(glob) {
+    let pattern = glob.trim().replace(/^\/+/, '');
+    if (!pattern.includes('/')) {
+        pattern = `**/${pattern}`;
+    }
+
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*' && pattern[i + 1] === '*') {
+            // "**/" matches zero or more folders, a trailing "**" anything
+            if (pattern[i + 2] === '/') {
+                source += '(?:.*/)?';
+                i += 2;
+            } else {
+                source += '.*';
+                i += 1;
+            }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '{') {
+            const end = pattern.indexOf('}', i);
+            if (end === -1) {
+                source += '\\{';
+            } else {
+                source += `(?:${pattern.slice(i + 1, end).split(',').map(escapeRegExp).join('|')})`;
+                i = end;
+            }
+        } else {
+            source += escapeRegExp(char);
+        }
+    }
+
+    // A folder glob also matches everything inside the folder
+    return new RegExp(`^${source}(?:/.*)?$`);
+}
+
+/**
+ * Splits a comma separated glob list into regular expressions
+ * @param {string} globs - e.g. "*.mmd, docs/**"
+ * @returns {Array<RegExp>} Regular expressions
+ */
+function parseGlobList(globs) {
+    return (globs || '').split(',').map(glob => glob.trim()).filter(Boolean).map(globToRegExp);
+}
+
+/**
+ * Searches file contents line by line
+ * @param {Array<Object>} files - File items ({id, name, path, content})
+ * @param {string} query - Search text or pattern
+ * @param {Object} [options={}]
+ * @param {boolean} [options.caseSensitive=false] - Match case
+ * @param {boolean} [options.wholeWord=false] - Only match whole words
+ * @param {boolean} [options.regex=false] - Treat the query as a regular expression
+ * @param {string} [options.include=''] - Comma separated globs a path must match
+ * @param {string} [options.exclude=''] - Comma separated globs a path must not match
+ * @returns {{files: Array<{fileId: string, name: string, path: string, matches: Array<Object>}>, total: number, truncated: boolean}}
+ *          Matches carry 1-based `line`, 0-based `column`, `length` and the line `text`
+ * @throws {SyntaxError} If a regex query is invalid
+ */
+export function searchFiles(files, query, options = {}) {
+    const result = { files: [], total: 0, truncated: false };
+    if (!query) {
+        return result;
+    }
+
+    const pattern = buildSearchRegExp(query, options);
+    const include = parseGlobList(options.include);
+    const exclude = parseGlobList(options.exclude);
+
+    const candidates = files
+        .filter(file => {
+            const path = file.path.replace(/^\/+/, '');
+            return (include.length === 0 || include.some(glob => glob.test(path)))
+                && !exclude.some(glob => glob.test(path));
+        })
+        .sort((a, b) => a.path.localeCompare(b.path));
+
+    for (const file of candidates) {
+        const matches = [];
+        const lines = (file.content || '').split(/\r?\n/);
+
+        for (let index = 0; index < lines.length && !result.truncated; index++) {
+            const text = lines[index];
+            pattern.lastIndex = 0;
+            let match;
+            while ((match = pattern.exec(text)) !== null) {
+                // Empty matches (e.g. /^/) would loop forever
+                if (match[0].length === 0) {
+                    pattern.lastIndex++;
+                    continue;
+                }
+                matches.push({ line: index + 1, column: match.index, length: match[0].length, text });
+                if (++result.total >= MAX_SEARCH_RESULTS) {
+                    result.truncated = true;
+                    break;
+                }
+            }
+        }
+
+        if (matches.length > 0) {
+            result.files.push({ fileId: file.id, name: file.name, path: file.path, matches });
+        }
+        if (result.truncated) {
+            break;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Computes the text that replaces one match. In regex mode the replacement
+ * may use `$1`, `$<name>` and `$&`; otherwise it is inserted literally.
+ * @param {string} text - Line the match was found in
+ * @param {Object} match - Match with `column` and `length`
+ * @param {string} query - Search text or pattern
+ * @param {string} replacement - Replacement text
+ * @param {Object} [options={}] - Options the search was run with
+ * @returns {string} Replacement for the match
+ */
+export function getReplacementText(text, match, query, replacement, options = {}) {
+    if (!options.regex) {
+        return replacement;
+    }
+
+    // Re-run the pattern at the match position so groups and lookarounds see the whole line
+    const global = buildSearchRegExp(query, options);
+    const sticky = new RegExp(global.source, global.flags.replace('g', '') + 'y');
+    sticky.lastIndex = match.column;
+    const replaced = text.replace(sticky, replacement);
+    const tailLength = text.length - match.column - match.length;
+
+    return replaced.slice(match.column, replaced.length - tailLength);
+}
+
+/**
+ * Adds the replacement text and the resulting line to every match of a search result
+ * @param {Object} result - Result of searchFiles()
+ * @param {string} query - Search text or pattern
+ * @param {string} replacement - Replacement text
+ * @param {Object} [options={}] - Options the search was run with
+ * @returns {Object} Copy of the result whose matches carry `replacement` and `preview`
+ */
+export function planReplacements(result, query, replacement, options = {}) {
+    return {
+        ...result,
+        files: result.files.map(file => ({
+            ...file,
+            matches: file.matches.map(match => {
+                const text = getReplacementText(match.text, match, query, replacement, options);
+                return {
+                    ...match,
+                    replacement: text,
+                    preview: match.text.slice(0, match.column) + text + match.text.slice(match.column + match.length)
+                };
+            })
+        }))
+    };
+}
+
+/**
+ * Applies replacements to file content, keeping its line endings
+ * @param {string} content - Original content
+ * @param {Array<{line: number, column: number, length: number, replacement: string}>} edits - Non-overlapping edits
+ * @returns {string} Updated content
+ */
+export function applyReplacements(content, edits) {
+    // Odd entries are the line separators
+    const parts = (content || '').split(/(\r?\n)/);
+
+    // Apply right to left so earlier columns stay valid
+    const sorted = edits.slice().sort((a, b) => b.line - a.line || b.column - a.column);
+    for (const edit of sorted) {
+        const index = (edit.line - 1) * 2;
+        const text = parts[index];
+        if (text === undefined) {
+            continue;
+        }
+        parts[index] = text.slice(0, edit.column) + edit.replacement + text.slice(edit.column + edit.length);
+    }
+
+    return parts.join('');
+}
@@ -0,0 +1,252 @@
+'use strict';
+
+import { diffLines } from '../utils/DiffUtils.js';
+import { buildDiffHtml } from './HistoryPanel.js';
+import { escapeHtml } from './UIHelpers.js';
+
+/**
+ * Labels and badge classes of the change kinds in a checkpoint comparison
+ * @constant {Object}
+ */
+const CHANGE_KINDS = {
+    added: { label: 'A', title: 'Added since the checkpoint', className: 'bg-success' },
+    removed: { label: 'D', title: 'Deleted since the checkpoint', className: 'bg-danger' },
+    changed: { label: 'M', title: 'Changed since the checkpoint', className: 'bg-warning text-dark' }
+};
+
+/**
+ * Manages the project checkpoints modal: creating, deleting and restoring
+ * checkpoints, and comparing one with the current state of the project.
+ */
+export class CheckpointsPanel {
+    constructor(elements, view) {
+        this.elements = elements;
+        this.view = view;
+        this.checkpoints = [];
+        this.selectedId = null;
+        this.comparison = null;
+        this.selectedPath = null;
+        // Incremented per selection so a slow comparison cannot replace a newer one
+        this.selectCount = 0;
+
+        this.attachEventListeners();
+    }
+
+    attachEventListeners() {
+        if (this.elements.checkpointCreateForm) {
+            this.elements.checkpointCreateForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.view.controller.handleCreateCheckpoint(this.elements.checkpointNameInput.value);
+            });
+        }
+
+        if (this.elements.checkpointList) {
+            this.elements.checkpointList.addEventListener('click', (e) => {
+                const entry = e.target.closest('[data-checkpoint-id]');
+                if (entry) {
+                    e.preventDefault();
+                    this.select(entry.getAttribute('data-checkpoint-id'));
+                }
+            });
+        }
+
+        if (this.elements.checkpointChanges) {
+            this.elements.checkpointChanges.addEventListener('click', (e) => {
+                const entry = e.target.closest('[data-path]');
+                if (entry) {
+                    e.preventDefault();
+                    this.selectFile(entry.getAttribute('data-path'));
+                }
+            });
+        }
+
+        if (this.elements.checkpointRestoreBtn) {
+            this.elements.checkpointRestoreBtn.addEventListener('click', () => {
+                if (this.selectedId) {
+                    this.view.controller.handleRestoreCheckpoint(this.selectedId);
+                }
+            });
+        }
+        if (this.elements.checkpointDeleteBtn) {
+            this.elements.checkpointDeleteBtn.addEventListener('click', () => {
+                if (this.selectedId) {
+                    this.view.controller.handleDeleteCheckpoint(this.selectedId);
+                }
+            });
+        }
+    }
+
+    /**
+     * Opens the panel.
+     * @param {Array<Object>} checkpoints - Checkpoint summaries, newest first
+     */
+    show(checkpoints) {
+        if (this.elements.checkpointNameInput) {
+            this.elements.checkpointNameInput.value = '';
+        }
+        this.refresh(checkpoints);
+
+        if (this.elements.checkpointsModal) {
+            this.elements.checkpointsModal.show();
+        }
+    }
+
+    hide() {
+        if (this.elements.checkpointsModal) {
+            this.elements.checkpointsModal.hide();
+        }
+    }
+
+    /**
+     * Redraws the checkpoint list, keeping the selection if it still exists.
+     * @param {Array<Object>} checkpoints - Checkpoint summaries, newest first
+     * @param {string|null} [selectId=null] - Checkpoint to select instead
+     */
+    refresh(checkpoints, selectId = null) {
+        this.checkpoints = checkpoints;
+        const keep = selectId || this.selectedId;
+        const selected = checkpoints.some(checkpoint => checkpoint.id === keep)
+            ? keep
+            : (checkpoints[0] ? checkpoints[0].id : null);
+
+        if (selected) {
+            this.select(selected);
+        } else {
+            this.selectCount++;
+            this.selectedId = null;
+            this.comparison = null;
+            this.renderList();
+            this.renderEmpty();
+        }
+    }
+
+    renderList() {
+        if (!this.elements.checkpointList) {
+            return;
+        }
+
+        if (this.checkpoints.length === 0) {
+            this.elements.checkpointList.innerHTML = '<div class="text-muted p-3">No checkpoints yet. Name the current state of the project above to create one.</div>';
+            return;
+        }
+
+        this.elements.checkpointList.innerHTML = this.checkpoints.map(checkpoint => `
+            <a href="#" class="list-group-item list-group-item-action ${checkpoint.id === this.selectedId ? 'active' : ''}" data-checkpoint-id="${checkpoint.id}">
+                <div class="fw-semibold">${escapeHtml(checkpoint.name)}</div>
+                <small>${escapeHtml(new Date(checkpoint.created).toLocaleString())}</small>
+                <small class="ms-2">${checkpoint.fileCount} file${checkpoint.fileCount === 1 ? '' : 's'}</small>
+            </a>
+        `).join('');
+    }
+
+    renderEmpty() {
+        if (this.elements.checkpointSummary) {
+            this.elements.checkpointSummary.textContent = '';
+        }
+        if (this.elements.checkpointChanges) {
+            this.elements.checkpointChanges.innerHTML = '';
+        }
+        if (this.elements.checkpointDiff) {
+            this.elements.checkpointDiff.innerHTML = '';
+        }
+        if (this.elements.checkpointRestoreBtn) {
+            this.elements.checkpointRestoreBtn.disabled = true;
+        }
+        if (this.elements.checkpointDeleteBtn) {
+            this.elements.checkpointDeleteBtn.disabled = true;
+        }
+    }
+
+    /**
+     * Selects a checkpoint and shows how the project changed since. The
+     * checkpoint's files are loaded from storage first.
+     * @param {string} checkpointId - Checkpoint identifier
+     * @returns {Promise<void>}
+     */
+    async select(checkpointId) {
+        const checkpoint = this.checkpoints.find(entry => entry.id === checkpointId);
+        if (!checkpoint) {
+            return;
+        }
+
+        const count = ++this.selectCount;
+        this.selectedId = checkpointId;
+        this.comparison = null;
+        this.renderList();
+        this.renderEmpty();
+        if (this.elements.checkpointSummary) {
+            this.elements.checkpointSummary.textContent = `Loading "${checkpoint.name}"…`;
+        }
+
+        const comparison = await this.view.controller.handleCompareCheckpoint(checkpointId);
+        if (count !== this.selectCount) {
+            return;
+        }
+
+        this.comparison = comparison;
+        if (this.elements.checkpointDeleteBtn) {
+            this.elements.checkpointDeleteBtn.disabled = false;
+        }
+        if (!comparison) {
+            if (this.elements.checkpointSummary) {
+                this.elements.checkpointSummary.textContent = `The files of "${checkpoint.name}" could not be loaded.`;
+            }
+            return;
+        }
+        if (this.elements.checkpointRestoreBtn) {
+            this.elements.checkpointRestoreBtn.disabled = false;
+        }
+
+        const { added, removed, changed } = comparison;
+        if (this.elements.checkpointSummary) {
+            this.elements.checkpointSummary.textContent = added.length + removed.length + changed.length === 0
+                ? `The project is unchanged since "${checkpoint.name}".`
+                : `Since "${checkpoint.name}": ${added.length} added, ${removed.length} deleted, ${changed.length} changed`;
+        }
+
+        const files = this.getChangedFiles();
+        const keep = files.find(file => file.path === this.selectedPath);
+        this.selectFile(keep ? keep.path : (files[0] ? files[0].path : null));
+    }
+
+    /**
+     * Flattens the comparison into one list, sorted by path.
+     * @returns {Array<Object>} Files with their change kind
+     */
+    getChangedFiles() {
+        if (!this.comparison) {
+            return [];
+        }
+        return Object.keys(CHANGE_KINDS)
+            .flatMap(kind => this.comparison[kind].map(file => ({ ...file, kind })))
+            .sort((a, b) => a.path.localeCompare(b.path));
+    }
+
+    renderChanges(files) {
+        if (!this.elements.checkpointChanges) {
+            return;
+        }
+
+        this.elements.checkpointChanges.innerHTML = files.map(file => {
+            const kind = CHANGE_KINDS[file.kind];
+            return `
+                <a href="#" class="list-group-item list-group-item-action checkpoint-change ${file.path === this.selectedPath ? 'active' : ''}" data-path="${escapeHtml(file.path)}" title="${kind.title}">
+                    <span class="badge ${kind.className} me-2">${kind.label}</span>${escapeHtml(file.path.slice(1))}
+                </a>
+            `;
+        }).join('');
+    }
+
+    selectFile(path) {
+        this.selectedPath = path;
+        const files = this.getChangedFiles();
+        const file = files.find(entry => entry.path === path);
+
+        this.renderChanges(files);
+        if (this.elements.checkpointDiff) {
+            this.elements.checkpointDiff.innerHTML = file
+                ? buildDiffHtml(diffLines(file.oldContent, file.newContent))
+                : '';
+        }
+    }
+}
@@ -0,0 +1,196 @@
+'use strict';
+
+import { escapeHtml } from './UIHelpers.js';
+
+/**
+ * Builds the tab strip above the editor.
+ * @param {Array<{file: Object, pinned: boolean}>} tabs - Result of getOpenTabs()
+ * @param {string|null} activeId - ID of the file shown in the editor
+ * @param {Set<string>} modified - IDs of files with unsaved changes
+ * @returns {string} HTML string
+ */
+export function buildEditorTabsHtml(tabs, activeId, modified) {
+    return tabs.map(({ file, pinned }) => {
+        const isActive = file.id === activeId;
+        const classes = ['editor-tab', isActive ? 'active' : '', pinned ? 'pinned' : '', modified.has(file.id) ? 'modified' : '']
+            .filter(Boolean)
+            .join(' ');
+        const button = pinned
+            ? `<button type="button" class="editor-tab-action" data-tab-action="unpin" title="Unpin" aria-label="Unpin ${escapeHtml(file.name)}"><i class="fas fa-thumbtack"></i></button>`
+            : `<button type="button" class="editor-tab-action" data-tab-action="close" title="Close" aria-label="Close ${escapeHtml(file.name)}"><i class="fas fa-times"></i></button>`;
+
+        return `
+            <div class="${classes}" role="tab" aria-selected="${isActive}" tabindex="${isActive ? 0 : -1}" data-file-id="${file.id}" title="${escapeHtml(file.path)}">
+                <span class="editor-tab-name">${escapeHtml(file.name)}</span>
+                ${button}
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Manages the editor tab strip and its context menu.
+ */
+export class EditorTabs {
+    constructor(elements, view) {
+        this.elements = elements;
+        this.view = view;
+        this.menuTarget = null;
+
+        this.attachEventListeners();
+    }
+
+    attachEventListeners() {
+        const strip = this.elements.editorTabs;
+        if (strip) {
+            strip.addEventListener('click', (e) => {
+                const tab = e.target.closest('.editor-tab');
+                if (!tab) {
+                    return;
+                }
+
+                const fileId = tab.getAttribute('data-file-id');
+                const action = e.target.closest('[data-tab-action]');
+                if (action && action.getAttribute('data-tab-action') === 'close') {
+                    this.view.controller.handleCloseTab(fileId);
+                } else if (action) {
+                    this.view.controller.handleTogglePinTab(fileId);
+                } else {
+                    this.view.controller.handleSwitchTab(fileId);
+                }
+            });
+
+            // Middle click closes a tab
+            strip.addEventListener('mousedown', (e) => {
+                if (e.button === 1 && e.target.closest('.editor-tab')) {
+                    e.preventDefault(); // No autoscroll
+                }
+            });
+            strip.addEventListener('auxclick', (e) => {
+                const tab = e.target.closest('.editor-tab');
+                if (tab && e.button === 1) {
+                    e.preventDefault();
+                    this.view.controller.handleCloseTab(tab.getAttribute('data-file-id'));
+                }
+            });
+
+            strip.addEventListener('contextmenu', (e) => {
+                const tab = e.target.closest('.editor-tab');
+                if (tab) {
+                    e.preventDefault();
+                    this.showMenu(e.clientX, e.clientY, tab.getAttribute('data-file-id'));
+                }
+            });
+
+            strip.addEventListener('keydown', (e) => {
+                const tab = e.target.closest('.editor-tab');
+                if (!tab) {
+                    return;
+                }
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.view.controller.handleSwitchTab(tab.getAttribute('data-file-id'));
+                } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+                    const sibling = e.key === 'ArrowLeft' ? tab.previousElementSibling : tab.nextElementSibling;
+                    if (sibling) {
+                        sibling.focus();
+                    }
+                }
+            });
+        }
+
+        const menu = this.elements.tabContextMenu;
+        if (menu) {
+            menu.addEventListener('click', (e) => {
+                const entry = e.target.closest('[data-tab-command]');
+                if (!entry) {
+                    return;
+                }
+                e.preventDefault();
+
+                const fileId = this.menuTarget;
+                this.hideMenu();
+                switch (entry.getAttribute('data-tab-command')) {
+                    case 'pin':
+                        this.view.controller.handleTogglePinTab(fileId);
+                        break;
+                    case 'close':
+                        this.view.controller.handleCloseTab(fileId);
+                        break;
+                    case 'close-others':
+                        this.view.controller.handleCloseOtherTabs(fileId);
+                        break;
+                    case 'open-side':
+                        this.view.controller.handleOpenToSide(fileId);
+                        break;
+                }
+            });
+
+            document.addEventListener('click', (e) => {
+                if (!menu.contains(e.target)) {
+                    this.hideMenu();
+                }
+            });
+        }
+    }
+
+    /**
+     * Redraws the tab strip.
+     * @param {Array<{file: Object, pinned: boolean}>} tabs - Result of getOpenTabs()
+     * @param {string|null} activeId - ID of the file shown in the editor
+     * @param {Set<string>} modified - IDs of files with unsaved changes
+     */
+    render(tabs, activeId, modified) {
+        if (!this.elements.editorTabs) {
+            return;
+        }
+
+        this.elements.editorTabs.innerHTML = buildEditorTabsHtml(tabs, activeId, modified);
+        this.elements.editorTabs.hidden = tabs.length === 0;
+
+        const active = this.elements.editorTabs.querySelector('.editor-tab.active');
+        if (active) {
+            active.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+        }
+    }
+
+    /**
+     * Shows or clears the unsaved-changes marker of one tab.
+     * @param {string} fileId - File identifier
+     * @param {boolean} modified - Whether the tab holds unsaved changes
+     */
+    setModified(fileId, modified) {
+        const tab = this.elements.editorTabs
+            ? this.elements.editorTabs.querySelector(`.editor-tab[data-file-id="${fileId}"]`)
+            : null;
+        if (tab) {
+            tab.classList.toggle('modified', modified);
+        }
+    }
+
+    showMenu(x, y, fileId) {
+        const menu = this.elements.tabContextMenu;
+        const tab = this.elements.editorTabs.querySelector(`.editor-tab[data-file-id="${fileId}"]`);
+        if (!menu || !tab) {
+            return;
+        }
+
+        this.menuTarget = fileId;
+        const pinEntry = menu.querySelector('[data-tab-command="pin"]');
+        if (pinEntry) {
+            const pinned = tab.classList.contains('pinned');
+            pinEntry.innerHTML = `<i class="fas fa-thumbtack me-2"></i>${pinned ? 'Unpin' : 'Pin'}`;
+        }
+
+        menu.style.left = `${Math.min(x, window.innerWidth - 190)}px`;
+        menu.style.top = `${Math.min(y, window.innerHeight - 130)}px`;
+        menu.style.display = 'block';
+    }
+
+    hideMenu() {
+        if (this.elements.tabContextMenu) {
+            this.elements.tabContextMenu.style.display = 'none';
+        }
+        this.menuTarget = null;
+    }
+}
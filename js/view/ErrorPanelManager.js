@@ -1,6 +1,6 @@
 'use strict';
 
-import { showNotification } from './UIHelpers.js';
+import { showNotification, escapeHtml } from './UIHelpers.js';
 
 export class ErrorPanelManager {
     constructor(elements, view) {
@@ -8,6 +8,11 @@ export class ErrorPanelManager {
         this.view = view;
     }
 
+    renderError(error) {
+        this.clearErrors();
+        this.addError(error);
+    }
+
     addError(error) {
         if (!this.elements.errorMessages) {
             return;
@@ -22,7 +27,7 @@ export class ErrorPanelManager {
         errorElement.className = 'error-message error';
         errorElement.innerHTML = `
             <div class="error-content">
-                <strong>${error.message}</strong>
+                <strong>${escapeHtml(error.message)}</strong>
             </div>
             <div class="error-actions">
                 <button class="btn btn-sm btn-outline-primary ai-repair-error-btn">
@@ -0,0 +1,147 @@
+'use strict';
+
+import { escapeHtml } from './UIHelpers.js';
+
+/**
+ * Manages the batch export dialog: picking the image formats for every
+ * diagram of a folder or project, showing progress and listing the
+ * diagrams that failed to render.
+ */
+export class ExportDiagramsDialog {
+    constructor(elements, view) {
+        this.elements = elements;
+        this.view = view;
+        this.target = null;
+        this.busy = false;
+
+        this.attachEventListeners();
+    }
+
+    attachEventListeners() {
+        if (this.elements.exportDiagramsForm) {
+            this.elements.exportDiagramsForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const formats = this.getFormats();
+                if (this.target && !this.busy && formats.length > 0) {
+                    this.view.controller.handleExportDiagrams(this.target, formats);
+                }
+            });
+            this.elements.exportDiagramsForm.addEventListener('change', () => this.updateButton());
+        }
+    }
+
+    /**
+     * Opens the dialog.
+     * @param {Object} target - What to export
+     * @param {string} target.projectId - Project identifier
+     * @param {string} target.folderId - Folder identifier, 'root' for the whole project
+     * @param {string} target.name - Name of the folder or project
+     * @param {number} target.count - Number of diagrams
+     */
+    show(target) {
+        this.target = target;
+        this.busy = false;
+
+        if (this.elements.exportDiagramsTarget) {
+            this.elements.exportDiagramsTarget.textContent =
+                `${target.count} diagram${target.count === 1 ? '' : 's'} in "${target.name}"`;
+        }
+        this.setProgress(0, 0);
+        if (this.elements.exportDiagramsResults) {
+            this.elements.exportDiagramsResults.innerHTML = '';
+        }
+        this.updateButton();
+
+        if (this.elements.exportDiagramsModal) {
+            this.elements.exportDiagramsModal.show();
+        }
+    }
+
+    hide() {
+        if (this.elements.exportDiagramsModal) {
+            this.elements.exportDiagramsModal.hide();
+        }
+    }
+
+    /**
+     * Returns the checked image formats.
+     * @returns {Array<string>} 'svg' and/or 'png'
+     */
+    getFormats() {
+        if (!this.elements.exportDiagramsForm) {
+            return [];
+        }
+        return Array.from(this.elements.exportDiagramsForm.querySelectorAll('input[name="export-format"]:checked'))
+            .map(input => input.value);
+    }
+
+    updateButton() {
+        if (this.elements.exportDiagramsBtn) {
+            this.elements.exportDiagramsBtn.disabled = this.busy || this.getFormats().length === 0;
+        }
+    }
+
+    /**
+     * Locks the form while the diagrams render.
+     * @param {boolean} busy - Whether an export is running
+     */
+    setBusy(busy) {
+        this.busy = busy;
+        this.updateButton();
+        if (this.elements.exportDiagramsResults && busy) {
+            this.elements.exportDiagramsResults.innerHTML = '';
+        }
+    }
+
+    /**
+     * Shows how many diagrams have been rendered so far.
+     * @param {number} done - Diagrams rendered
+     * @param {number} total - Diagrams to render, 0 hides the progress bar
+     * @param {string} [path=''] - Diagram being rendered
+     */
+    setProgress(done, total, path = '') {
+        const progress = this.elements.exportDiagramsProgress;
+        if (!progress) {
+            return;
+        }
+
+        progress.hidden = total === 0;
+        const bar = progress.querySelector('.progress-bar');
+        if (bar) {
+            const percent = total ? Math.round(done / total * 100) : 0;
+            bar.style.width = `${percent}%`;
+            bar.setAttribute('aria-valuenow', String(percent));
+        }
+        const label = progress.querySelector('.export-progress-label');
+        if (label) {
+            label.textContent = path ? `Rendering ${path} (${done + 1} of ${total})` : '';
+        }
+    }
+
+    /**
+     * Shows the outcome of an export.
+     * @param {number} exported - Number of images written to the ZIP
+     * @param {Array<{path: string, reason: string}>} failures - Diagrams that failed and why
+     */
+    showResults(exported, failures) {
+        if (!this.elements.exportDiagramsResults) {
+            return;
+        }
+
+        const summary = `<div class="mb-2"><i class="fas fa-${failures.length ? 'exclamation-triangle text-warning' : 'check text-success'} me-1"></i>`
+            + `${exported} image${exported === 1 ? '' : 's'} exported`
+            + (failures.length ? `, ${failures.length} failed:` : '')
+            + '</div>';
+
+        this.elements.exportDiagramsResults.innerHTML = summary + (failures.length ? `
+            <ul class="list-group list-group-flush export-failures">
+                ${failures.map(failure => `
+                    <li class="list-group-item">
+                        <div class="fw-semibold">${escapeHtml(failure.path)}</div>
+                        <small class="text-danger">${escapeHtml(failure.reason)}</small>
+                    </li>
+                `).join('')}
+            </ul>
+        ` : '');
+    }
+}
@@ -0,0 +1,84 @@
+'use strict';
+
+import { diffLines } from '../utils/DiffUtils.js';
+import { buildDiffHtml } from './HistoryPanel.js';
+
+/**
+ * Asks how to resolve a file that was changed in this tab and in another tab.
+ */
+export class FileConflictDialog {
+    constructor(elements) {
+        this.elements = elements;
+        this.resolve = null;
+        this.choice = null;
+
+        this.attachEventListeners();
+    }
+
+    attachEventListeners() {
+        const choices = {
+            reload: this.elements.fileConflictReloadBtn,
+            overwrite: this.elements.fileConflictOverwriteBtn,
+            copy: this.elements.fileConflictCopyBtn
+        };
+
+        Object.entries(choices).forEach(([choice, button]) => {
+            if (button) {
+                button.addEventListener('click', () => {
+                    this.choice = choice;
+                    this.elements.fileConflictModal.hide();
+                });
+            }
+        });
+
+        // Closing the dialog without a choice keeps both versions
+        const modalElement = document.getElementById('fileConflictModal');
+        if (modalElement) {
+            modalElement.addEventListener('hidden.bs.modal', () => this.finish(this.choice || 'copy'));
+        }
+    }
+
+    /**
+     * Shows the dialog for one conflicting file.
+     * @param {Object} conflict - Conflict with path, content (this tab) and deleted
+     * @param {string} theirs - Content saved by the other tab
+     * @returns {Promise<string>} 'reload', 'overwrite' or 'copy'
+     */
+    ask(conflict, theirs) {
+        if (!this.elements.fileConflictModal) {
+            return Promise.resolve('copy');
+        }
+
+        if (this.elements.fileConflictMessage) {
+            this.elements.fileConflictMessage.textContent = conflict.deleted
+                ? `"${conflict.path}" was deleted in another tab while you were editing it.`
+                : `"${conflict.path}" was changed in another tab while you were editing it.`;
+        }
+        if (this.elements.fileConflictDiff) {
+            // Lines only in the other tab's version show as removed, lines only in yours as added
+            this.elements.fileConflictDiff.innerHTML = buildDiffHtml(diffLines(conflict.deleted ? '' : theirs, conflict.content));
+        }
+        if (this.elements.fileConflictOverwriteBtn) {
+            this.elements.fileConflictOverwriteBtn.disabled = conflict.deleted;
+        }
+        if (this.elements.fileConflictReloadBtn) {
+            this.elements.fileConflictReloadBtn.textContent = conflict.deleted ? 'Discard Mine' : 'Reload Theirs';
+        }
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+            this.choice = null;
+            this.elements.fileConflictModal.show();
+        });
+    }
+
+    finish(choice) {
+        if (!this.resolve) {
+            return;
+        }
+
+        const resolve = this.resolve;
+        this.resolve = null;
+        resolve(choice);
+    }
+}
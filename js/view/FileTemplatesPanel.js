@@ -0,0 +1,213 @@
+'use strict';
+
+import { escapeHtml } from './UIHelpers.js';
+import { FILE_TEMPLATE_LANGUAGES, extractPlaceholders, getPlaceholderDefaults } from '../utils/FileTemplates.js';
+
+/**
+ * Number of lines shown in the thumbnail of a text template
+ * @constant {number}
+ */
+const TEXT_THUMBNAIL_LINES = 8;
+
+/**
+ * Manages the template gallery of the "Create New File" modal: templates
+ * grouped by language with live thumbnails, and the form asking for
+ * placeholder values.
+ */
+export class FileTemplatesPanel {
+    constructor(elements, view) {
+        this.elements = elements;
+        this.view = view;
+        this.templates = [];
+        this.pendingId = null;
+
+        // Rendered Mermaid thumbnails by theme and content
+        this.thumbnails = new Map();
+
+        this.attachEventListeners();
+    }
+
+    attachEventListeners() {
+        if (this.elements.fileTemplateList) {
+            this.elements.fileTemplateList.addEventListener('click', (e) => {
+                const deleteButton = e.target.closest('[data-delete-template]');
+                if (deleteButton) {
+                    this.view.controller.handleDeleteFileTemplate(deleteButton.getAttribute('data-delete-template'));
+                    return;
+                }
+
+                const entry = e.target.closest('[data-template-id]');
+                if (entry) {
+                    this.choose(entry.getAttribute('data-template-id'));
+                }
+            });
+        }
+
+        if (this.elements.fileTemplatePlaceholders) {
+            this.elements.fileTemplatePlaceholders.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const values = {};
+                this.elements.fileTemplatePlaceholders.querySelectorAll('[data-placeholder]').forEach(input => {
+                    values[input.getAttribute('data-placeholder')] = input.value;
+                });
+                this.view.controller.handleCreateFileFromTemplate(this.pendingId, values);
+            });
+        }
+
+        if (this.elements.fileTemplatePlaceholdersBack) {
+            this.elements.fileTemplatePlaceholdersBack.addEventListener('click', () => this.hidePlaceholders());
+        }
+    }
+
+    /**
+     * Shows the templates grouped by language, built-in ones first, and
+     * starts rendering their thumbnails.
+     * @param {Array<Object>} templates - Result of getFileTemplates()
+     */
+    render(templates) {
+        this.templates = templates;
+        this.hidePlaceholders();
+        if (!this.elements.fileTemplateList) {
+            return;
+        }
+
+        this.elements.fileTemplateList.innerHTML = FILE_TEMPLATE_LANGUAGES.map(language => {
+            const group = templates.filter(template => template.language === language.id);
+            if (group.length === 0) {
+                return '';
+            }
+
+            return `
+                <div class="file-template-group">
+                    <h6 class="file-template-group-title">${language.label}</h6>
+                    <div class="file-template-gallery">
+                        ${group.map(template => this.renderTemplate(template, language)).join('')}
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        this.renderThumbnails();
+    }
+
+    renderTemplate(template, language) {
+        const placeholders = extractPlaceholders(template.content);
+        const diagram = language.id === 'mermaid' || language.id === 'plantuml';
+        const thumbnail = diagram
+            ? `<div class="file-template-thumbnail" data-thumbnail-id="${escapeHtml(template.id)}"><i class="fas fa-spinner fa-spin text-muted"></i></div>`
+            : `<div class="file-template-thumbnail"><pre>${escapeHtml(template.content.split('\n').slice(0, TEXT_THUMBNAIL_LINES).join('\n'))}</pre></div>`;
+
+        return `
+            <div class="file-template-card">
+                <button type="button" class="btn btn-outline-secondary file-template-card-body" data-template-id="${escapeHtml(template.id)}" title="${escapeHtml(template.description || template.name)}">
+                    ${thumbnail}
+                    <span class="file-template-card-title">
+                        <i class="fas ${language.icon} me-1"></i>${escapeHtml(template.name)}
+                        ${template.builtIn ? '' : '<span class="badge bg-secondary ms-1">Custom</span>'}
+                    </span>
+                    <small class="text-muted d-block">${escapeHtml(template.description || '')}${placeholders.length ? ` · ${placeholders.map(name => `{{${escapeHtml(name)}}}`).join(' ')}` : ''}</small>
+                </button>
+                ${template.builtIn ? '' : `
+                    <button type="button" class="btn btn-sm btn-outline-danger file-template-delete" data-delete-template="${escapeHtml(template.id)}" title="Delete template" aria-label="Delete template ${escapeHtml(template.name)}">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                `}
+            </div>
+        `;
+    }
+
+    /**
+     * Fills the diagram thumbnails through the rendering engine as background
+     * renders, so the live preview goes first. Thumbnails replaced by a newer
+     * render() are skipped. Rendered Mermaid thumbnails are kept for the next
+     * time the dialog opens.
+     */
+    renderThumbnails() {
+        const engine = this.view.renderingEngine;
+
+        this.elements.fileTemplateList.querySelectorAll('[data-thumbnail-id]').forEach(slot => {
+            const template = this.templates.find(entry => entry.id === slot.getAttribute('data-thumbnail-id'));
+            if (!template) {
+                return;
+            }
+
+            const key = template.language === 'mermaid' ? `${engine.getMermaidConfig().theme}\n${template.content}` : null;
+            if (key && this.thumbnails.has(key)) {
+                slot.innerHTML = this.thumbnails.get(key);
+                return;
+            }
+
+            engine.render(template.content, template.language, slot, { background: true })
+                .then(result => {
+                    if (result && key) {
+                        this.thumbnails.set(key, slot.innerHTML);
+                    }
+                })
+                .catch(() => this.showThumbnailError(slot));
+        });
+    }
+
+    showThumbnailError(slot) {
+        slot.innerHTML = '<span class="text-muted small"><i class="fas fa-image me-1"></i>No preview</span>';
+    }
+
+    /**
+     * Creates a file from a template, asking for its placeholders first.
+     * @param {string} templateId - Template identifier
+     */
+    choose(templateId) {
+        const template = this.templates.find(entry => entry.id === templateId);
+        if (!template) {
+            return;
+        }
+
+        const names = extractPlaceholders(template.content);
+        if (names.length === 0) {
+            this.view.controller.handleCreateFileFromTemplate(templateId, {});
+            return;
+        }
+        this.showPlaceholders(template, names);
+    }
+
+    showPlaceholders(template, names) {
+        const form = this.elements.fileTemplatePlaceholders;
+        if (!form) {
+            return;
+        }
+
+        this.pendingId = template.id;
+        const fileName = this.elements.fileNameInput ? this.elements.fileNameInput.value.trim() : '';
+        const defaults = getPlaceholderDefaults(names, fileName);
+
+        if (this.elements.fileTemplatePlaceholderName) {
+            this.elements.fileTemplatePlaceholderName.textContent = template.name;
+        }
+        if (this.elements.fileTemplatePlaceholderFields) {
+            this.elements.fileTemplatePlaceholderFields.innerHTML = names.map((name, index) => `
+                <div class="mb-2">
+                    <label for="file-template-field-${index}" class="form-label small mb-1">${escapeHtml(name)}</label>
+                    <input type="text" class="form-control form-control-sm" id="file-template-field-${index}" data-placeholder="${escapeHtml(name)}" value="${escapeHtml(defaults[name])}">
+                </div>
+            `).join('');
+        }
+
+        form.hidden = false;
+        if (this.elements.fileTemplateList) {
+            this.elements.fileTemplateList.hidden = true;
+        }
+        const first = form.querySelector('[data-placeholder]');
+        if (first) {
+            first.focus();
+        }
+    }
+
+    hidePlaceholders() {
+        this.pendingId = null;
+        if (this.elements.fileTemplatePlaceholders) {
+            this.elements.fileTemplatePlaceholders.hidden = true;
+        }
+        if (this.elements.fileTemplateList) {
+            this.elements.fileTemplateList.hidden = false;
+        }
+    }
+}
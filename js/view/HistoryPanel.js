@@ -0,0 +1,190 @@
+'use strict';
+
+import { diffLines, summarizeDiff } from '../utils/DiffUtils.js';
+import { escapeHtml } from './UIHelpers.js';
+
+/**
+ * Human readable labels for snapshot reasons
+ * @constant {Object}
+ */
+const REASON_LABELS = {
+    save: 'Before save',
+    autosave: 'Before autosave',
+    'ai-insert': 'Before AI insertion',
+    restore: 'Before restore',
+    replace: 'Before find and replace',
+    checkpoint: 'Before checkpoint restore',
+    manual: 'Snapshot'
+};
+
+/**
+ * Renders a line diff as HTML rows.
+ * @param {Array<Object>} diff - Result of diffLines()
+ * @returns {string} HTML string
+ */
+export function buildDiffHtml(diff) {
+    if (diff.length === 0) {
+        return '<div class="text-muted p-3">Both versions are empty.</div>';
+    }
+
+    const rows = diff.map(entry => {
+        const marker = entry.type === 'added' ? '+' : entry.type === 'removed' ? '-' : ' ';
+        return `
+            <div class="diff-line ${entry.type}">
+                <span class="diff-line-number">${entry.oldLine || ''}</span>
+                <span class="diff-line-number">${entry.newLine || ''}</span>
+                <span class="diff-marker">${marker}</span>
+                <span class="diff-text">${escapeHtml(entry.text) || '&nbsp;'}</span>
+            </div>
+        `;
+    });
+
+    return rows.join('');
+}
+
+/**
+ * Manages the file version history modal.
+ */
+export class HistoryPanel {
+    constructor(elements, view) {
+        this.elements = elements;
+        this.view = view;
+        this.fileId = null;
+        this.versions = [];
+        this.currentContent = '';
+        this.selectedVersionId = null;
+
+        this.attachEventListeners();
+    }
+
+    attachEventListeners() {
+        if (this.elements.historyVersionList) {
+            this.elements.historyVersionList.addEventListener('click', (e) => {
+                const entry = e.target.closest('[data-version-id]');
+                if (entry) {
+                    e.preventDefault();
+                    this.selectVersion(entry.getAttribute('data-version-id'));
+                }
+            });
+        }
+
+        if (this.elements.historyRestoreBtn) {
+            this.elements.historyRestoreBtn.addEventListener('click', () => {
+                if (this.fileId && this.selectedVersionId) {
+                    this.view.controller.handleRestoreVersion(this.fileId, this.selectedVersionId);
+                }
+            });
+        }
+
+        if (this.elements.historySideBySideTab) {
+            this.elements.historySideBySideTab.addEventListener('shown.bs.tab', () => this.renderSideBySide());
+        }
+    }
+
+    /**
+     * Opens the panel for a file.
+     * @param {Object} file - File item
+     * @param {Array<Object>} versions - Versions, newest first
+     * @param {string} currentContent - Content to compare against
+     */
+    show(file, versions, currentContent) {
+        this.fileId = file.id;
+        this.versions = versions;
+        this.currentContent = currentContent || '';
+        this.selectedVersionId = null;
+
+        if (this.elements.historyFileName) {
+            this.elements.historyFileName.textContent = file.name;
+        }
+
+        this.renderVersionList();
+        if (versions.length > 0) {
+            this.selectVersion(versions[0].id);
+        } else {
+            this.renderEmpty();
+        }
+
+        if (this.elements.historyModal) {
+            this.elements.historyModal.show();
+        }
+    }
+
+    hide() {
+        if (this.elements.historyModal) {
+            this.elements.historyModal.hide();
+        }
+    }
+
+    renderVersionList() {
+        if (!this.elements.historyVersionList) {
+            return;
+        }
+
+        if (this.versions.length === 0) {
+            this.elements.historyVersionList.innerHTML = '<div class="text-muted p-3">No earlier versions yet. Versions are recorded when the file is saved.</div>';
+            return;
+        }
+
+        this.elements.historyVersionList.innerHTML = this.versions.map(version => {
+            const summary = summarizeDiff(diffLines(version.content, this.currentContent));
+            const isSelected = version.id === this.selectedVersionId;
+            return `
+                <a href="#" class="list-group-item list-group-item-action ${isSelected ? 'active' : ''}" data-version-id="${version.id}">
+                    <div class="fw-semibold">${escapeHtml(new Date(version.timestamp).toLocaleString())}</div>
+                    <small>${escapeHtml(REASON_LABELS[version.reason] || version.reason)}</small>
+                    <small class="ms-2 diff-summary"><span class="text-success">+${summary.added}</span> <span class="text-danger">-${summary.removed}</span></small>
+                </a>
+            `;
+        }).join('');
+    }
+
+    renderEmpty() {
+        if (this.elements.historyDiff) {
+            this.elements.historyDiff.innerHTML = '';
+        }
+        if (this.elements.historyPreviewVersion) {
+            this.elements.historyPreviewVersion.innerHTML = '';
+        }
+        if (this.elements.historyPreviewCurrent) {
+            this.elements.historyPreviewCurrent.innerHTML = '';
+        }
+        if (this.elements.historyRestoreBtn) {
+            this.elements.historyRestoreBtn.disabled = true;
+        }
+    }
+
+    selectVersion(versionId) {
+        const version = this.versions.find(entry => entry.id === versionId);
+        if (!version) {
+            return;
+        }
+
+        this.selectedVersionId = versionId;
+        this.renderVersionList();
+
+        if (this.elements.historyDiff) {
+            this.elements.historyDiff.innerHTML = buildDiffHtml(diffLines(version.content, this.currentContent));
+        }
+        if (this.elements.historyRestoreBtn) {
+            this.elements.historyRestoreBtn.disabled = false;
+        }
+
+        if (this.elements.historySideBySideTab && this.elements.historySideBySideTab.classList.contains('active')) {
+            this.renderSideBySide();
+        }
+    }
+
+    renderSideBySide() {
+        const version = this.versions.find(entry => entry.id === this.selectedVersionId);
+        if (!version) {
+            return;
+        }
+
+        if (this.elements.historyPreviewVersion) {
+            this.view.renderPreviewInto(this.elements.historyPreviewVersion, version.content);
+        }
+        if (this.elements.historyPreviewCurrent) {
+            this.view.renderPreviewInto(this.elements.historyPreviewCurrent, this.currentContent);
+        }
+    }
+}
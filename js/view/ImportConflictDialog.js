@@ -0,0 +1,79 @@
+'use strict';
+
+/**
+ * Asks how to resolve a name collision while importing files.
+ */
+export class ImportConflictDialog {
+    constructor(elements) {
+        this.elements = elements;
+        this.resolve = null;
+        this.choice = null;
+
+        this.attachEventListeners();
+    }
+
+    attachEventListeners() {
+        const choices = {
+            rename: this.elements.conflictRenameBtn,
+            overwrite: this.elements.conflictOverwriteBtn,
+            skip: this.elements.conflictSkipBtn
+        };
+
+        Object.entries(choices).forEach(([choice, button]) => {
+            if (button) {
+                button.addEventListener('click', () => {
+                    this.choice = choice;
+                    this.elements.importConflictModal.hide();
+                });
+            }
+        });
+
+        // Resolve once the dialog is fully hidden so the next conflict can open it
+        // again; closing it without a choice skips the file
+        const modalElement = document.getElementById('importConflictModal');
+        if (modalElement) {
+            modalElement.addEventListener('hidden.bs.modal', () => this.finish(this.choice || 'skip'));
+        }
+    }
+
+    /**
+     * Shows the dialog for one colliding path.
+     * @param {string} path - Path of the imported file
+     * @param {boolean} canOverwrite - False when the existing item is a folder
+     * @returns {Promise<{choice: string, applyToAll: boolean}>} Selected resolution
+     */
+    ask(path, canOverwrite) {
+        if (!this.elements.importConflictModal) {
+            return Promise.resolve({ choice: 'rename', applyToAll: false });
+        }
+
+        if (this.elements.conflictPath) {
+            this.elements.conflictPath.textContent = path;
+        }
+        if (this.elements.conflictOverwriteBtn) {
+            this.elements.conflictOverwriteBtn.disabled = !canOverwrite;
+        }
+        if (this.elements.conflictApplyAll) {
+            this.elements.conflictApplyAll.checked = false;
+        }
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+            this.choice = null;
+            this.elements.importConflictModal.show();
+        });
+    }
+
+    finish(choice) {
+        if (!this.resolve) {
+            return;
+        }
+
+        const resolve = this.resolve;
+        this.resolve = null;
+        resolve({
+            choice,
+            applyToAll: Boolean(this.elements.conflictApplyAll && this.elements.conflictApplyAll.checked)
+        });
+    }
+}
@@ -0,0 +1,160 @@
+'use strict';
+
+import { escapeHtml } from './UIHelpers.js';
+
+/**
+ * Formats an ISO timestamp for display.
+ * @param {string} value - ISO timestamp
+ * @returns {string} Localized date/time or a dash
+ */
+function formatDate(value) {
+    return value ? new Date(value).toLocaleString() : '–';
+}
+
+/**
+ * Builds the items of the header quick-switch dropdown.
+ * @param {Array<Object>} summaries - Result of getProjectSummaries()
+ * @returns {string} HTML string
+ */
+export function buildProjectSwitcherHtml(summaries) {
+    const projects = summaries.map(project => `
+        <li>
+            <a class="dropdown-item ${project.isCurrent ? 'active' : ''}" href="#" data-project-id="${project.id}">
+                <i class="fas fa-${project.isCurrent ? 'check' : 'folder'} me-2"></i>${escapeHtml(project.name)}
+                <small class="text-muted ms-2">${project.fileCount} file${project.fileCount === 1 ? '' : 's'}</small>
+            </a>
+        </li>
+    `).join('');
+
+    return `
+        ${projects}
+        <li><hr class="dropdown-divider"></li>
+        <li><a class="dropdown-item" href="#" data-project-command="new"><i class="fas fa-plus me-2"></i>New Project</a></li>
+        <li><a class="dropdown-item" href="#" data-project-command="new-from-template"><i class="fas fa-clone me-2"></i>New Project from Template…</a></li>
+        <li><a class="dropdown-item" href="#" data-project-command="manage"><i class="fas fa-tasks me-2"></i>Manage Projects…</a></li>
+        <li><a class="dropdown-item" href="#" data-project-command="settings"><i class="fas fa-sliders-h me-2"></i>Project Settings…</a></li>
+    `;
+}
+
+/**
+ * Manages the project manager modal and the header quick-switch dropdown.
+ */
+export class ProjectManagerPanel {
+    constructor(elements, view) {
+        this.elements = elements;
+        this.view = view;
+
+        this.attachEventListeners();
+    }
+
+    attachEventListeners() {
+        if (this.elements.projectSwitcherList) {
+            this.elements.projectSwitcherList.addEventListener('click', (e) => {
+                const entry = e.target.closest('[data-project-id], [data-project-command]');
+                if (!entry) {
+                    return;
+                }
+                e.preventDefault();
+
+                const command = entry.getAttribute('data-project-command');
+                if (command === 'new') {
+                    this.view.controller.handleNewProject();
+                } else if (command === 'new-from-template') {
+                    this.view.controller.handleShowProjectTemplates();
+                } else if (command === 'manage') {
+                    this.view.controller.handleShowProjectManager();
+                } else if (command === 'settings') {
+                    this.view.controller.handleShowProjectSettings();
+                } else {
+                    this.view.controller.handleOpenProject(entry.getAttribute('data-project-id'));
+                }
+            });
+        }
+
+        if (this.elements.projectManagerList) {
+            this.elements.projectManagerList.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-project-action]');
+                if (!button) {
+                    return;
+                }
+                e.preventDefault();
+
+                const projectId = button.closest('[data-project-id]').getAttribute('data-project-id');
+                switch (button.getAttribute('data-project-action')) {
+                    case 'open':
+                        this.view.controller.handleOpenProject(projectId);
+                        break;
+                    case 'rename':
+                        this.view.controller.handleRenameProject(projectId);
+                        break;
+                    case 'duplicate':
+                        this.view.controller.handleDuplicateProject(projectId);
+                        break;
+                    case 'save-template':
+                        this.view.controller.handleSaveProjectAsTemplate(projectId);
+                        break;
+                    case 'export-diagrams':
+                        this.hide();
+                        this.view.controller.handleShowExportDiagrams('root', projectId);
+                        break;
+                    case 'delete':
+                        this.view.controller.handleDeleteProject(projectId);
+                        break;
+                }
+            });
+        }
+    }
+
+    /**
+     * Opens the project manager.
+     * @param {Array<Object>} summaries - Result of getProjectSummaries()
+     */
+    show(summaries) {
+        this.render(summaries);
+        if (this.elements.projectManagerModal) {
+            this.elements.projectManagerModal.show();
+        }
+    }
+
+    hide() {
+        if (this.elements.projectManagerModal) {
+            this.elements.projectManagerModal.hide();
+        }
+    }
+
+    /**
+     * Refreshes the header title, the quick-switch dropdown and the manager table.
+     * @param {Array<Object>} summaries - Result of getProjectSummaries()
+     */
+    render(summaries) {
+        const current = summaries.find(project => project.isCurrent);
+
+        if (this.elements.projectTitleName) {
+            this.elements.projectTitleName.textContent = current ? current.name : 'No project';
+        }
+        if (this.elements.projectSwitcherList) {
+            this.elements.projectSwitcherList.innerHTML = buildProjectSwitcherHtml(summaries);
+        }
+        if (this.elements.projectManagerList) {
+            this.elements.projectManagerList.innerHTML = summaries.map(project => `
+                <tr data-project-id="${project.id}" class="${project.isCurrent ? 'table-active' : ''}">
+                    <td>
+                        ${escapeHtml(project.name)}
+                        ${project.isCurrent ? '<span class="badge bg-primary ms-2">Open</span>' : ''}
+                    </td>
+                    <td>${escapeHtml(formatDate(project.created))}</td>
+                    <td>${project.fileCount}</td>
+                    <td>${escapeHtml(formatDate(project.modified))}</td>
+                    <td class="text-end text-nowrap">
+                        <button type="button" class="btn btn-sm btn-outline-primary" data-project-action="open" ${project.isCurrent ? 'disabled' : ''} title="Open"><i class="fas fa-folder-open"></i></button>
+                        <button type="button" class="btn btn-sm btn-outline-secondary" data-project-action="rename" title="Rename"><i class="fas fa-edit"></i></button>
+                        <button type="button" class="btn btn-sm btn-outline-secondary" data-project-action="duplicate" title="Duplicate"><i class="fas fa-clone"></i></button>
+                        <button type="button" class="btn btn-sm btn-outline-secondary" data-project-action="export-diagrams" title="Export all diagrams"><i class="fas fa-images"></i></button>
+                        <button type="button" class="btn btn-sm btn-outline-secondary" data-project-action="save-template" title="Save as template"><i class="fas fa-bookmark"></i></button>
+                        <button type="button" class="btn btn-sm btn-outline-danger" data-project-action="delete" title="Delete"><i class="fas fa-trash"></i></button>
+                    </td>
+                </tr>
+            `).join('');
+        }
+    }
+}
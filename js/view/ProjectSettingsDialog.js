@@ -0,0 +1,137 @@
+'use strict';
+
+/**
+ * Settings edited as numbers
+ * @constant {Array<string>}
+ */
+const NUMBER_SETTINGS = ['fontSize', 'scale', 'exportScale'];
+
+/**
+ * Edits the settings a project overrides. Empty fields inherit the
+ * application settings, which are shown as placeholders.
+ */
+export class ProjectSettingsDialog {
+    constructor(elements, view) {
+        this.elements = elements;
+        this.view = view;
+
+        this.attachEventListeners();
+    }
+
+    attachEventListeners() {
+        if (this.elements.projectSettingsSave) {
+            this.elements.projectSettingsSave.addEventListener('click', () => this.save());
+        }
+
+        if (this.elements.projectSettingsReset) {
+            this.elements.projectSettingsReset.addEventListener('click', () => {
+                this.getFields().forEach(field => {
+                    field.value = '';
+                });
+                this.showError('');
+            });
+        }
+
+        if (this.elements.projectSettingsForm) {
+            this.elements.projectSettingsForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.save();
+            });
+        }
+    }
+
+    getFields() {
+        return this.elements.projectSettingsForm
+            ? [...this.elements.projectSettingsForm.querySelectorAll('[data-setting]')]
+            : [];
+    }
+
+    /**
+     * Opens the dialog.
+     * @param {string} projectName - Name of the current project
+     * @param {Object} projectSettings - Project overrides (null inherits)
+     * @param {Object} globalSettings - Application settings
+     */
+    show(projectName, projectSettings, globalSettings) {
+        if (this.elements.projectSettingsName) {
+            this.elements.projectSettingsName.textContent = projectName;
+        }
+
+        this.getFields().forEach(field => {
+            const key = field.getAttribute('data-setting');
+            const value = projectSettings[key];
+            const fallback = key === 'mermaidConfig'
+                ? JSON.stringify(globalSettings[key] || {})
+                : String(globalSettings[key]);
+
+            if (field.tagName === 'SELECT') {
+                const inherit = field.querySelector('option[value=""]');
+                if (inherit) {
+                    inherit.textContent = `Application default (${fallback})`;
+                }
+            } else {
+                field.placeholder = fallback;
+            }
+
+            if (value === null || value === undefined) {
+                field.value = '';
+            } else {
+                field.value = key === 'mermaidConfig' ? JSON.stringify(value, null, 2) : String(value);
+            }
+        });
+
+        this.showError('');
+        if (this.elements.projectSettingsModal) {
+            this.elements.projectSettingsModal.show();
+        }
+    }
+
+    /**
+     * Reads the form into setting changes.
+     * @returns {Object} Values by key; null inherits the application setting
+     * @throws {Error} If the Mermaid config is not valid JSON
+     */
+    readValues() {
+        const changes = {};
+
+        this.getFields().forEach(field => {
+            const key = field.getAttribute('data-setting');
+            const value = field.value.trim();
+
+            if (value === '') {
+                changes[key] = null;
+            } else if (key === 'mermaidConfig') {
+                try {
+                    changes[key] = JSON.parse(value);
+                } catch (error) {
+                    throw new Error(`Mermaid config is not valid JSON: ${error.message}`);
+                }
+            } else {
+                changes[key] = NUMBER_SETTINGS.includes(key) ? Number(value) : value;
+            }
+        });
+
+        return changes;
+    }
+
+    save() {
+        let changes;
+        try {
+            changes = this.readValues();
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+
+        if (this.view.controller.handleSaveProjectSettings(changes)) {
+            this.elements.projectSettingsModal.hide();
+        }
+    }
+
+    showError(message) {
+        if (this.elements.projectSettingsError) {
+            this.elements.projectSettingsError.textContent = message;
+            this.elements.projectSettingsError.classList.toggle('d-none', !message);
+        }
+    }
+}
@@ -0,0 +1,114 @@
+'use strict';
+
+import { escapeHtml } from './UIHelpers.js';
+
+/**
+ * Manages the "New Project from Template" dialog: choosing a built-in or
+ * saved template, naming the project and deleting saved templates.
+ */
+export class ProjectTemplatesDialog {
+    constructor(elements, view) {
+        this.elements = elements;
+        this.view = view;
+        this.templates = [];
+        this.selectedId = null;
+
+        this.attachEventListeners();
+    }
+
+    attachEventListeners() {
+        if (this.elements.projectTemplateList) {
+            this.elements.projectTemplateList.addEventListener('click', (e) => {
+                const entry = e.target.closest('[data-template-id]');
+                if (entry) {
+                    e.preventDefault();
+                    this.select(entry.getAttribute('data-template-id'));
+                }
+            });
+        }
+
+        if (this.elements.projectTemplateForm) {
+            this.elements.projectTemplateForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                if (this.selectedId) {
+                    this.view.controller.handleCreateProjectFromTemplate(this.selectedId, this.elements.projectTemplateNameInput.value);
+                }
+            });
+        }
+
+        if (this.elements.projectTemplateDeleteBtn) {
+            this.elements.projectTemplateDeleteBtn.addEventListener('click', () => {
+                if (this.selectedId) {
+                    this.view.controller.handleDeleteProjectTemplate(this.selectedId);
+                }
+            });
+        }
+    }
+
+    /**
+     * Opens the dialog with the first template selected.
+     * @param {Array<Object>} templates - Built-in templates followed by saved ones
+     */
+    show(templates) {
+        this.selectedId = null;
+        if (this.elements.projectTemplateNameInput) {
+            this.elements.projectTemplateNameInput.value = 'New Project';
+        }
+        this.refresh(templates);
+
+        if (this.elements.projectTemplatesModal) {
+            this.elements.projectTemplatesModal.show();
+        }
+    }
+
+    hide() {
+        if (this.elements.projectTemplatesModal) {
+            this.elements.projectTemplatesModal.hide();
+        }
+    }
+
+    /**
+     * Redraws the template list, keeping the selection if it still exists.
+     * @param {Array<Object>} templates - Built-in templates followed by saved ones
+     */
+    refresh(templates) {
+        this.templates = templates;
+        const keep = templates.some(template => template.id === this.selectedId);
+        this.select(keep ? this.selectedId : (templates[0] ? templates[0].id : null));
+    }
+
+    renderList() {
+        if (!this.elements.projectTemplateList) {
+            return;
+        }
+
+        this.elements.projectTemplateList.innerHTML = this.templates.map(template => `
+            <a href="#" class="list-group-item list-group-item-action ${template.id === this.selectedId ? 'active' : ''}" data-template-id="${escapeHtml(template.id)}">
+                <i class="fas ${template.icon || 'fa-bookmark'} me-2"></i>${escapeHtml(template.name)}
+                ${template.builtIn ? '' : '<span class="badge bg-secondary ms-2">Saved</span>'}
+            </a>
+        `).join('');
+    }
+
+    select(templateId) {
+        this.selectedId = templateId;
+        const template = this.templates.find(entry => entry.id === templateId);
+        this.renderList();
+
+        if (this.elements.projectTemplateDescription) {
+            this.elements.projectTemplateDescription.textContent = template ? template.description || '' : '';
+        }
+        if (this.elements.projectTemplateFiles) {
+            const files = template ? template.files : [];
+            this.elements.projectTemplateFiles.innerHTML = files.length === 0
+                ? '<li class="list-group-item text-muted">No files</li>'
+                : files.map(file => `<li class="list-group-item"><i class="fas fa-file me-2"></i>${escapeHtml(file.path.slice(1))}</li>`).join('');
+        }
+        if (this.elements.projectTemplateCreateBtn) {
+            this.elements.projectTemplateCreateBtn.disabled = !template;
+        }
+        if (this.elements.projectTemplateDeleteBtn) {
+            this.elements.projectTemplateDeleteBtn.disabled = !template || template.builtIn;
+        }
+    }
+}
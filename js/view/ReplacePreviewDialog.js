@@ -0,0 +1,159 @@
+'use strict';
+
+import { escapeHtml } from './UIHelpers.js';
+
+/**
+ * Renders one side of a replacement as a diff row.
+ * @param {string} type - 'removed' or 'added'
+ * @param {number} line - 1-based line number
+ * @param {string} before - Text before the changed part
+ * @param {string} changed - Removed or inserted text
+ * @param {string} after - Text after the changed part
+ * @returns {string} HTML string
+ */
+function buildChangeLineHtml(type, line, before, changed, after) {
+    const tag = type === 'removed' ? 'del' : 'ins';
+    return `
+        <div class="diff-line ${type}">
+            <span class="diff-line-number">${line}</span>
+            <span class="diff-marker">${type === 'removed' ? '-' : '+'}</span>
+            <span class="diff-text">${escapeHtml(before)}<${tag}>${escapeHtml(changed)}</${tag}>${escapeHtml(after)}</span>
+        </div>
+    `;
+}
+
+/**
+ * Renders the before/after rows of a single replacement.
+ * @param {Object} match - Planned match with text, column, length and replacement
+ * @returns {string} HTML string
+ */
+export function buildReplacementDiffHtml(match) {
+    const before = match.text.slice(0, match.column);
+    const after = match.text.slice(match.column + match.length);
+
+    return buildChangeLineHtml('removed', match.line, before, match.text.slice(match.column, match.column + match.length), after)
+        + buildChangeLineHtml('added', match.line, before, match.replacement, after);
+}
+
+/**
+ * Previews a project-wide replace and lets the user pick the matches to apply.
+ */
+export class ReplacePreviewDialog {
+    constructor(elements, view) {
+        this.elements = elements;
+        this.view = view;
+        this.plan = null;
+
+        this.attachEventListeners();
+    }
+
+    attachEventListeners() {
+        if (this.elements.replacePreviewList) {
+            this.elements.replacePreviewList.addEventListener('change', (e) => {
+                const fileToggle = e.target.closest('[data-replace-file]');
+                if (fileToggle) {
+                    const group = fileToggle.closest('.replace-preview-file');
+                    group.querySelectorAll('[data-replace-match]').forEach(checkbox => {
+                        checkbox.checked = fileToggle.checked;
+                    });
+                }
+                this.updateSelectionState();
+            });
+        }
+
+        if (this.elements.replacePreviewApply) {
+            this.elements.replacePreviewApply.addEventListener('click', () => {
+                const edits = this.getSelectedEdits();
+                this.hide();
+                this.view.controller.handleApplyReplace(edits);
+            });
+        }
+    }
+
+    /**
+     * Opens the preview with every match selected.
+     * @param {Object} plan - Result of planProjectReplace()
+     */
+    show(plan) {
+        this.plan = plan;
+        this.render();
+        if (this.elements.replacePreviewModal) {
+            this.elements.replacePreviewModal.show();
+        }
+    }
+
+    hide() {
+        if (this.elements.replacePreviewModal) {
+            this.elements.replacePreviewModal.hide();
+        }
+    }
+
+    render() {
+        if (!this.elements.replacePreviewList) {
+            return;
+        }
+
+        this.elements.replacePreviewList.innerHTML = this.plan.files.map((file, fileIndex) => `
+            <div class="replace-preview-file" data-file-index="${fileIndex}">
+                <label class="replace-preview-file-header">
+                    <input type="checkbox" class="form-check-input me-2" data-replace-file checked>
+                    <i class="fas fa-file me-1"></i>
+                    <span>${escapeHtml(file.path)}</span>
+                    <span class="badge bg-secondary ms-2">${file.matches.length}</span>
+                </label>
+                ${file.matches.map((match, matchIndex) => `
+                    <label class="replace-preview-match">
+                        <input type="checkbox" class="form-check-input" data-replace-match="${matchIndex}" checked>
+                        <div class="replace-preview-diff">${buildReplacementDiffHtml(match)}</div>
+                    </label>
+                `).join('')}
+            </div>
+        `).join('');
+
+        this.updateSelectionState();
+    }
+
+    /**
+     * Syncs the file checkboxes, the summary and the apply button with the selection.
+     */
+    updateSelectionState() {
+        let selected = 0;
+        let total = 0;
+
+        this.elements.replacePreviewList.querySelectorAll('.replace-preview-file').forEach(group => {
+            const checkboxes = [...group.querySelectorAll('[data-replace-match]')];
+            const checked = checkboxes.filter(checkbox => checkbox.checked).length;
+            const fileToggle = group.querySelector('[data-replace-file]');
+            fileToggle.checked = checked === checkboxes.length;
+            fileToggle.indeterminate = checked > 0 && checked < checkboxes.length;
+            selected += checked;
+            total += checkboxes.length;
+        });
+
+        if (this.elements.replacePreviewSummary) {
+            this.elements.replacePreviewSummary.textContent = `${selected} of ${total} replacement${total === 1 ? '' : 's'} selected in ${this.plan.files.length} file${this.plan.files.length === 1 ? '' : 's'}`;
+        }
+        if (this.elements.replacePreviewApply) {
+            this.elements.replacePreviewApply.disabled = selected === 0;
+        }
+    }
+
+    /**
+     * Collects the selected matches, grouped by file.
+     * @returns {Array<{fileId: string, matches: Array<Object>}>} Edits to apply
+     */
+    getSelectedEdits() {
+        const edits = [];
+
+        this.elements.replacePreviewList.querySelectorAll('.replace-preview-file').forEach(group => {
+            const file = this.plan.files[Number(group.getAttribute('data-file-index'))];
+            const matches = [...group.querySelectorAll('[data-replace-match]:checked')]
+                .map(checkbox => file.matches[Number(checkbox.getAttribute('data-replace-match'))]);
+            if (matches.length > 0) {
+                edits.push({ fileId: file.fileId, matches });
+            }
+        });
+
+        return edits;
+    }
+}
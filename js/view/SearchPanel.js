@@ -0,0 +1,254 @@
+'use strict';
+
+import { escapeHtml } from './UIHelpers.js';
+
+/**
+ * Delay before a search runs after typing
+ * @constant {number}
+ */
+const SEARCH_DEBOUNCE_MS = 250;
+
+/**
+ * Characters of context shown before a match in a result preview
+ * @constant {number}
+ */
+const PREVIEW_CONTEXT = 30;
+
+/**
+ * Renders a result line with the match highlighted.
+ * @param {Object} match - Match with text, column and length
+ * @returns {string} HTML string
+ */
+export function buildMatchPreviewHtml(match) {
+    const start = Math.max(0, match.column - PREVIEW_CONTEXT);
+    const before = (start > 0 ? '…' : '') + match.text.slice(start, match.column).replace(/^\s+/, '');
+    const matched = match.text.slice(match.column, match.column + match.length);
+    const after = match.text.slice(match.column + match.length, match.column + match.length + 80);
+
+    return `${escapeHtml(before)}<mark>${escapeHtml(matched)}</mark>${escapeHtml(after)}`;
+}
+
+/**
+ * Manages the project-wide search sidebar.
+ */
+export class SearchPanel {
+    constructor(elements, view) {
+        this.elements = elements;
+        this.view = view;
+        this.options = { caseSensitive: false, wholeWord: false, regex: false };
+        this.collapsedFiles = new Set();
+        this.debounceTimer = null;
+        this.lastResult = null;
+
+        this.attachEventListeners();
+    }
+
+    attachEventListeners() {
+        ['searchQuery', 'searchInclude', 'searchExclude'].forEach(key => {
+            if (this.elements[key]) {
+                this.elements[key].addEventListener('input', () => this.scheduleSearch());
+                this.elements[key].addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter') {
+                        e.preventDefault();
+                        this.search();
+                    }
+                });
+            }
+        });
+
+        const toggles = {
+            caseSensitive: this.elements.searchCaseBtn,
+            wholeWord: this.elements.searchWordBtn,
+            regex: this.elements.searchRegexBtn
+        };
+        Object.entries(toggles).forEach(([option, button]) => {
+            if (button) {
+                button.addEventListener('click', () => {
+                    this.options[option] = !this.options[option];
+                    button.classList.toggle('active', this.options[option]);
+                    button.setAttribute('aria-pressed', String(this.options[option]));
+                    this.search();
+                });
+            }
+        });
+
+        if (this.elements.searchReplaceAllBtn) {
+            this.elements.searchReplaceAllBtn.addEventListener('click', () => {
+                const { query, options } = this.getRequest();
+                if (query) {
+                    this.view.controller.handleReplaceAll(query, options, this.getReplacement());
+                }
+            });
+        }
+
+        if (this.elements.searchUndoReplaceBtn) {
+            this.elements.searchUndoReplaceBtn.addEventListener('click', () => {
+                this.view.controller.handleUndoReplace();
+            });
+        }
+
+        if (this.elements.searchResults) {
+            this.elements.searchResults.addEventListener('click', (e) => {
+                const header = e.target.closest('[data-search-file]');
+                if (header) {
+                    this.toggleFile(header.getAttribute('data-search-file'));
+                    return;
+                }
+
+                const entry = e.target.closest('[data-match-index]');
+                if (entry) {
+                    e.preventDefault();
+                    const fileId = entry.closest('[data-file-id]').getAttribute('data-file-id');
+                    const group = this.lastResult.files.find(file => file.fileId === fileId);
+                    const match = group ? group.matches[Number(entry.getAttribute('data-match-index'))] : null;
+                    if (!match) {
+                        return;
+                    }
+
+                    if (e.target.closest('.search-match-replace')) {
+                        const { query, options } = this.getRequest();
+                        this.view.controller.handleReplaceMatch(fileId, match, query, options, this.getReplacement());
+                    } else {
+                        this.view.controller.handleOpenSearchResult(fileId, match.line, match.column, match.length);
+                    }
+                }
+            });
+        }
+    }
+
+    /**
+     * Reads the current query and filters.
+     * @returns {{query: string, options: Object}} Search request
+     */
+    getRequest() {
+        return {
+            query: this.elements.searchQuery ? this.elements.searchQuery.value : '',
+            options: {
+                ...this.options,
+                include: this.elements.searchInclude ? this.elements.searchInclude.value : '',
+                exclude: this.elements.searchExclude ? this.elements.searchExclude.value : ''
+            }
+        };
+    }
+
+    getReplacement() {
+        return this.elements.searchReplace ? this.elements.searchReplace.value : '';
+    }
+
+    /**
+     * Enables the undo button while a replace batch can be undone.
+     * @param {boolean} available - Whether an undo is available
+     */
+    setUndoAvailable(available) {
+        if (this.elements.searchUndoReplaceBtn) {
+            this.elements.searchUndoReplaceBtn.disabled = !available;
+        }
+    }
+
+    scheduleSearch() {
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = setTimeout(() => this.search(), SEARCH_DEBOUNCE_MS);
+    }
+
+    search() {
+        clearTimeout(this.debounceTimer);
+        const { query, options } = this.getRequest();
+
+        if (!query) {
+            this.lastResult = null;
+            this.renderSummary('');
+            this.elements.searchResults.innerHTML = '';
+            return;
+        }
+
+        try {
+            this.lastResult = this.view.controller.handleProjectSearch(query, options);
+            this.renderResults();
+        } catch (error) {
+            this.lastResult = null;
+            this.elements.searchResults.innerHTML = '';
+            this.renderSummary(`Invalid search: ${error.message}`, true);
+        }
+    }
+
+    /**
+     * Re-runs the last search, e.g. after files changed.
+     */
+    refresh() {
+        if (this.elements.searchQuery && this.elements.searchQuery.value) {
+            this.search();
+        }
+    }
+
+    /**
+     * Opens the search sidebar and focuses the query field.
+     * @param {string} [query] - Optional text to search for
+     */
+    show(query) {
+        const tab = document.getElementById('sidebar-search-tab');
+        if (tab && typeof bootstrap !== 'undefined' && bootstrap.Tab) {
+            bootstrap.Tab.getOrCreateInstance(tab).show();
+        }
+        if (this.elements.searchQuery) {
+            if (query) {
+                this.elements.searchQuery.value = query;
+                this.search();
+            }
+            this.elements.searchQuery.focus();
+            this.elements.searchQuery.select();
+        }
+    }
+
+    toggleFile(fileId) {
+        if (this.collapsedFiles.has(fileId)) {
+            this.collapsedFiles.delete(fileId);
+        } else {
+            this.collapsedFiles.add(fileId);
+        }
+        this.renderResults();
+    }
+
+    renderSummary(text, isError = false) {
+        if (this.elements.searchSummary) {
+            this.elements.searchSummary.textContent = text;
+            this.elements.searchSummary.classList.toggle('text-danger', isError);
+            this.elements.searchSummary.classList.toggle('text-muted', !isError);
+        }
+    }
+
+    renderResults() {
+        const result = this.lastResult;
+        if (!result || !this.elements.searchResults) {
+            return;
+        }
+
+        const fileCount = result.files.length;
+        this.renderSummary(result.total === 0
+            ? 'No results found.'
+            : `${result.total}${result.truncated ? '+' : ''} result${result.total === 1 ? '' : 's'} in ${fileCount} file${fileCount === 1 ? '' : 's'}`);
+
+        this.elements.searchResults.innerHTML = result.files.map(file => {
+            const collapsed = this.collapsedFiles.has(file.fileId);
+            const matches = collapsed ? '' : file.matches.map((match, index) => `
+                <div class="search-match" data-match-index="${index}" title="Line ${match.line}">
+                    <span class="search-match-line">${match.line}</span>
+                    <span class="search-match-text">${buildMatchPreviewHtml(match)}</span>
+                    <button type="button" class="btn btn-link btn-sm search-match-replace" title="Replace"><i class="fas fa-exchange-alt"></i></button>
+                </div>
+            `).join('');
+
+            return `
+                <div class="search-file" data-file-id="${file.fileId}">
+                    <div class="search-file-header" data-search-file="${file.fileId}" title="${escapeHtml(file.path)}">
+                        <span class="toggle">${collapsed ? '▶' : '▼'}</span>
+                        <i class="fas fa-file me-1"></i>
+                        <span class="search-file-name">${escapeHtml(file.name)}</span>
+                        <span class="search-file-path">${escapeHtml(file.path)}</span>
+                        <span class="badge bg-secondary ms-auto">${file.matches.length}</span>
+                    </div>
+                    ${matches}
+                </div>
+            `;
+        }).join('');
+    }
+}
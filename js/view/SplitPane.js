@@ -0,0 +1,101 @@
+'use strict';
+
+import { escapeHtml } from './UIHelpers.js';
+import { buildDiffHtml } from './HistoryPanel.js';
+import { summarizeDiff } from '../utils/DiffUtils.js';
+
+/**
+ * Manages the split pane: a second editor and preview next to the main ones,
+ * which can also show a diff against the main editor.
+ */
+export class SplitPane {
+    constructor(elements, view) {
+        this.elements = elements;
+        this.view = view;
+
+        this.attachEventListeners();
+    }
+
+    attachEventListeners() {
+        if (this.elements.splitFileSelect) {
+            this.elements.splitFileSelect.addEventListener('change', () => {
+                this.view.controller.handleSplitFileChange(this.elements.splitFileSelect.value);
+            });
+        }
+        if (this.elements.splitCompareBtn) {
+            this.elements.splitCompareBtn.addEventListener('click', () => this.view.controller.handleToggleCompare());
+        }
+        if (this.elements.splitCloseBtn) {
+            this.elements.splitCloseBtn.addEventListener('click', () => this.view.controller.handleCloseSplit());
+        }
+    }
+
+    /**
+     * Shows or hides the pane and fills its file picker.
+     * @param {Array<Object>} files - Project files, sorted by path
+     * @param {Object|null} splitFile - File shown in the pane, null to hide it
+     * @param {boolean} compare - Whether the pane shows a diff instead of a preview
+     */
+    render(files, splitFile, compare) {
+        const pane = this.elements.splitPane;
+        if (!pane) {
+            return;
+        }
+
+        pane.hidden = !splitFile;
+        if (this.elements.editorContainer) {
+            this.elements.editorContainer.classList.toggle('split', Boolean(splitFile));
+        }
+        if (!splitFile) {
+            return;
+        }
+
+        if (this.elements.splitFileSelect) {
+            this.elements.splitFileSelect.innerHTML = files.map(file => `
+                <option value="${file.id}" ${file.id === splitFile.id ? 'selected' : ''}>${escapeHtml(file.path.slice(1))}</option>
+            `).join('');
+        }
+        if (this.elements.splitCompareBtn) {
+            this.elements.splitCompareBtn.classList.toggle('active', compare);
+            this.elements.splitCompareBtn.setAttribute('aria-pressed', String(compare));
+        }
+        if (this.elements.splitPreview) {
+            this.elements.splitPreview.hidden = compare;
+        }
+        if (this.elements.splitDiff) {
+            this.elements.splitDiff.hidden = !compare;
+        }
+        if (this.elements.splitCompareSummary) {
+            this.elements.splitCompareSummary.hidden = !compare;
+        }
+    }
+
+    /**
+     * Shows or clears the unsaved-changes marker of the pane's file.
+     * @param {boolean} modified - Whether the file has unsaved changes
+     */
+    setModified(modified) {
+        if (this.elements.splitPane) {
+            this.elements.splitPane.classList.toggle('modified', modified);
+        }
+    }
+
+    /**
+     * Shows the diff between the main editor (old side) and the pane (new side).
+     * @param {Array<Object>} diff - Result of diffLines()
+     * @param {string} leftName - Name of the file in the main editor
+     * @param {string} rightName - Name of the file in the pane
+     */
+    showDiff(diff, leftName, rightName) {
+        const { added, removed } = summarizeDiff(diff);
+
+        if (this.elements.splitCompareSummary) {
+            this.elements.splitCompareSummary.innerHTML = added === 0 && removed === 0
+                ? `<i class="fas fa-check me-1"></i>${escapeHtml(leftName)} and ${escapeHtml(rightName)} are identical`
+                : `<span class="text-danger">−${removed}</span> ${escapeHtml(leftName)} · <span class="text-success">+${added}</span> ${escapeHtml(rightName)}`;
+        }
+        if (this.elements.splitDiff) {
+            this.elements.splitDiff.innerHTML = buildDiffHtml(diff);
+        }
+    }
+}
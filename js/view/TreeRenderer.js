@@ -3,6 +3,12 @@
 import { detectDiagramType } from '../utils/DiagramUtils.js';
 import { escapeHtml } from './UIHelpers.js';
 
+/**
+ * Tree node ID of the Trash pseudo-folder
+ * @constant {string}
+ */
+export const TRASH_NODE_ID = '__trash__';
+
 /**
  * Builds HTML for project tree display recursively.
  * @param {Object} files - Files collection
@@ -22,7 +28,7 @@ export function buildProjectTreeHtml(files, itemId = 'root', selectedItemId = nu
     const typeBadge = isFolder ? '' : getFileTypeBadge(item);
 
     let html = `
-        <div class="tree-item ${isSelected ? 'selected' : ''} ${isFolder ? 'folder' : 'file'} ${!isExpanded ? 'collapsed' : ''}" data-id="${itemId}">
+        <div class="tree-item ${isSelected ? 'selected' : ''} ${isFolder ? 'folder' : 'file'} ${!isExpanded ? 'collapsed' : ''}" data-id="${itemId}" draggable="${itemId !== 'root'}">
             ${isFolder ? `<span class="toggle">${isExpanded ? '▼' : '▶'}</span>` : ''}
             <div class="item-content">
                 <i class="fas fa-${isFolder ? 'folder' : 'file'}"></i>
@@ -51,10 +57,79 @@ export function buildProjectTreeHtml(files, itemId = 'root', selectedItemId = nu
     return html;
 }
 
+/**
+ * Builds HTML for the Trash node and its entries.
+ * @param {Array<Object>} entries - Trash entries, most recent first
+ * @param {boolean} expanded - Whether the Trash node is expanded
+ * @param {string|null} selectedItemId - Currently selected item ID
+ * @returns {string} HTML string
+ */
+export function buildTrashHtml(entries = [], expanded = false, selectedItemId = null) {
+    let html = `
+        <div class="tree-item folder trash-node ${!expanded ? 'collapsed' : ''}" data-id="${TRASH_NODE_ID}">
+            <span class="toggle">${expanded ? '▼' : '▶'}</span>
+            <div class="item-content">
+                <i class="fas fa-trash-alt"></i>
+                <span class="name">Trash</span>
+                ${entries.length > 0 ? `<span class="file-type-badge badge-generic">${entries.length}</span>` : ''}
+            </div>
+            <div class="dropdown">
+                <button class="btn btn-sm btn-outline-secondary dropdown-toggle" type="button" data-bs-toggle="dropdown" aria-expanded="false">
+                    <i class="fas fa-ellipsis-h"></i>
+                </button>
+                <ul class="dropdown-menu">
+                    <li><a class="dropdown-item" href="#" data-action="trash-retention"><i class="fas fa-clock me-2"></i>Retention Period…</a></li>
+                    <li><hr class="dropdown-divider"></li>
+                    <li><a class="dropdown-item text-danger ${entries.length === 0 ? 'disabled' : ''}" href="#" data-action="empty-trash"><i class="fas fa-dumpster me-2"></i>Empty Trash</a></li>
+                </ul>
+            </div>
+        </div>
+    `;
+
+    if (expanded) {
+        html += '<div class="children">';
+        if (entries.length === 0) {
+            html += '<div class="trash-empty text-muted">Trash is empty</div>';
+        }
+        entries.forEach(entry => {
+            const originalPath = entry.originalParentPath === '/' ? `/${entry.name}` : `${entry.originalParentPath}/${entry.name}`;
+            const deletedAt = new Date(entry.deletedAt).toLocaleString();
+            html += `
+                <div class="tree-item trash-item ${selectedItemId === entry.id ? 'selected' : ''}" data-id="${entry.id}" title="${escapeHtml(originalPath)} - deleted ${escapeHtml(deletedAt)}">
+                    <div class="item-content">
+                        <i class="fas fa-${entry.type === 'folder' ? 'folder' : 'file'}"></i>
+                        <span class="name">${escapeHtml(entry.name)}</span>
+                    </div>
+                    <div class="dropdown">
+                        <button class="btn btn-sm btn-outline-secondary dropdown-toggle" type="button" data-bs-toggle="dropdown" aria-expanded="false">
+                            <i class="fas fa-ellipsis-h"></i>
+                        </button>
+                        <ul class="dropdown-menu">
+                            <li><a class="dropdown-item" href="#" data-action="restore"><i class="fas fa-trash-restore me-2"></i>Restore</a></li>
+                            <li><hr class="dropdown-divider"></li>
+                            <li><a class="dropdown-item text-danger" href="#" data-action="purge"><i class="fas fa-times me-2"></i>Delete Permanently</a></li>
+                        </ul>
+                    </div>
+                </div>
+            `;
+        });
+        html += '</div>';
+    }
+
+    return html;
+}
+
 function getFolderActionsHtml() {
     return `
         <li><a class="dropdown-item" href="#" data-action="new-file"><i class="fas fa-file-plus me-2"></i>New File</a></li>
         <li><a class="dropdown-item" href="#" data-action="new-folder"><i class="fas fa-folder-plus me-2"></i>New Folder</a></li>
+        <li><a class="dropdown-item" href="#" data-action="import-files"><i class="fas fa-file-import me-2"></i>Import Files…</a></li>
+        <li><a class="dropdown-item" href="#" data-action="export-diagrams"><i class="fas fa-images me-2"></i>Export All Diagrams…</a></li>
+        <li><hr class="dropdown-divider"></li>
+        <li><a class="dropdown-item" href="#" data-action="duplicate"><i class="fas fa-clone me-2"></i>Duplicate</a></li>
+        <li><a class="dropdown-item" href="#" data-action="copy"><i class="fas fa-copy me-2"></i>Copy</a></li>
+        <li><a class="dropdown-item" href="#" data-action="paste"><i class="fas fa-paste me-2"></i>Paste</a></li>
+        <li><a class="dropdown-item" href="#" data-action="move"><i class="fas fa-arrows-alt me-2"></i>Move to…</a></li>
         <li><hr class="dropdown-divider"></li>
         <li><a class="dropdown-item text-danger" href="#" data-action="delete"><i class="fas fa-trash me-2"></i>Delete</a></li>
     `;
@@ -62,8 +137,15 @@ function getFolderActionsHtml() {
 
 function getFileActionsHtml() {
     return `
+        <li><a class="dropdown-item" href="#" data-action="open-side"><i class="fas fa-columns me-2"></i>Open to the Side</a></li>
+        <li><hr class="dropdown-divider"></li>
         <li><a class="dropdown-item" href="#" data-action="download-svg"><i class="fas fa-image me-2"></i>Download SVG</a></li>
         <li><a class="dropdown-item" href="#" data-action="download-png"><i class="fas fa-file-image me-2"></i>Download PNG</a></li>
+        <li><a class="dropdown-item" href="#" data-action="history"><i class="fas fa-history me-2"></i>Version History</a></li>
+        <li><hr class="dropdown-divider"></li>
+        <li><a class="dropdown-item" href="#" data-action="duplicate"><i class="fas fa-clone me-2"></i>Duplicate</a></li>
+        <li><a class="dropdown-item" href="#" data-action="copy"><i class="fas fa-copy me-2"></i>Copy</a></li>
+        <li><a class="dropdown-item" href="#" data-action="move"><i class="fas fa-arrows-alt me-2"></i>Move to…</a></li>
         <li><hr class="dropdown-divider"></li>
         <li><a class="dropdown-item text-danger" href="#" data-action="delete"><i class="fas fa-trash me-2"></i>Delete</a></li>
     `;
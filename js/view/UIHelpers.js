@@ -115,7 +115,7 @@ export function finishInlineEdit(view, input, cancel) {
         } catch (error) {
             console.error('Rename failed:', error);
             span.textContent = input.dataset.originalName;
-            showNotification('Failed to rename item', 'error');
+            showNotification(`Failed to rename item: ${error.message}`, 'error');
         }
     }
 }
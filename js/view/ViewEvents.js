@@ -8,7 +8,7 @@ export function attachEventListeners(view) {
     const { elements } = view;
 
     if (elements.themeToggle) {
-        elements.themeToggle.addEventListener('click', () => view.toggleTheme());
+        elements.themeToggle.addEventListener('click', () => view.controller.handleToggleTheme());
     }
 
     if (elements.previewMode) {
@@ -46,6 +46,65 @@ export function attachEventListeners(view) {
         elements.toggleErrorPanel.addEventListener('click', () => view.toggleErrorPanel());
     }
 
+    if (elements.searchInProject) {
+        elements.searchInProject.addEventListener('click', (e) => {
+            e.preventDefault();
+            view.showSearchPanel();
+        });
+    }
+
+    if (elements.toggleSplitBtn) {
+        elements.toggleSplitBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            view.controller.handleToggleSplitEditor();
+        });
+    }
+    if (elements.compareFilesBtn) {
+        elements.compareFilesBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            view.controller.handleToggleCompare();
+        });
+    }
+
+    if (elements.undoTreeBtn) {
+        elements.undoTreeBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            view.controller.handleUndoTreeOperation();
+        });
+    }
+    if (elements.redoTreeBtn) {
+        elements.redoTreeBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            view.controller.handleRedoTreeOperation();
+        });
+    }
+
+    // Ctrl+Z / Ctrl+Y (or Ctrl+Shift+Z) undo and redo tree operations while the tree has focus
+    if (elements.projectTree) {
+        elements.projectTree.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.target.closest('input, textarea')) {
+                return;
+            }
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                view.controller.handleUndoTreeOperation();
+            } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                e.preventDefault();
+                view.controller.handleRedoTreeOperation();
+            }
+        });
+    }
+
+    // Ctrl+Shift+F opens project search, seeded with the editor selection
+    document.addEventListener('keydown', (e) => {
+        if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === 'f') {
+            e.preventDefault();
+            const selection = view.editor ? view.editor.getSelectedText() : '';
+            view.showSearchPanel(selection.includes('\n') ? '' : selection);
+        }
+    });
+
     document.addEventListener('click', (e) => {
         const dropdownItem = e.target.closest('.dropdown-item');
         if (dropdownItem) {
@@ -79,3 +138,161 @@ export function attachContextMenu(view) {
         });
     }
 }
+
+/**
+ * Drop indicator classes applied to tree items while dragging
+ * @constant {Array<string>}
+ */
+const DROP_CLASSES = ['drop-before', 'drop-after', 'drop-inside'];
+
+/**
+ * Works out where a dragged item would land relative to a tree item.
+ * Folders accept drops inside (middle band); the root only accepts inside.
+ * @param {HTMLElement} treeItem - Tree item under the pointer
+ * @param {number} clientY - Pointer position
+ * @returns {string} 'before', 'after' or 'inside'
+ */
+function getDropPosition(treeItem, clientY) {
+    const isFolder = treeItem.classList.contains('folder');
+    if (treeItem.getAttribute('data-id') === 'root') {
+        return 'inside';
+    }
+
+    const rect = treeItem.getBoundingClientRect();
+    const offset = (clientY - rect.top) / (rect.height || 1);
+
+    if (isFolder) {
+        if (offset < 0.25) return 'before';
+        if (offset > 0.75) return 'after';
+        return 'inside';
+    }
+    return offset < 0.5 ? 'before' : 'after';
+}
+
+/**
+ * Attaches drag-and-drop reparenting and reordering to the project tree.
+ * @param {Object} view - DiagramView instance
+ */
+export function attachTreeDragAndDrop(view) {
+    const { elements } = view;
+    if (!elements.projectTree) {
+        return;
+    }
+
+    let draggedId = null;
+
+    const clearIndicators = () => {
+        elements.projectTree.querySelectorAll('.drop-before, .drop-after, .drop-inside')
+            .forEach(el => el.classList.remove(...DROP_CLASSES));
+    };
+
+    const getTargetItem = (e) => {
+        const treeItem = e.target.closest('.tree-item');
+        if (!treeItem || !draggedId || treeItem.matches('.trash-node, .trash-item')) {
+            return null;
+        }
+        // Dropping onto the dragged item or its descendants is never valid
+        const source = elements.projectTree.querySelector(`.tree-item[data-id="${draggedId}"]`);
+        const sourceChildren = source ? source.nextElementSibling : null;
+        if (source === treeItem || (sourceChildren && sourceChildren.classList.contains('children') && sourceChildren.contains(treeItem))) {
+            return null;
+        }
+        return treeItem;
+    };
+
+    // Files dragged in from the desktop land in the folder under the pointer,
+    // or in the folder containing the file under the pointer
+    const isExternalDrag = (e) => !draggedId && Array.from(e.dataTransfer.types || []).includes('Files');
+
+    const getExternalTargetFolder = (e) => {
+        const treeItem = e.target.closest('.tree-item');
+        if (treeItem && treeItem.matches('.trash-node, .trash-item')) {
+            return null;
+        }
+        if (treeItem && treeItem.classList.contains('folder')) {
+            return treeItem;
+        }
+        const children = treeItem ? treeItem.parentElement.closest('.children') : null;
+        return (children && children.previousElementSibling) || elements.projectTree.querySelector('.tree-item[data-id="root"]');
+    };
+
+    elements.projectTree.addEventListener('dragover', (e) => {
+        if (!isExternalDrag(e)) {
+            return;
+        }
+        const folder = getExternalTargetFolder(e);
+        clearIndicators();
+        if (!folder) {
+            return;
+        }
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        folder.classList.add('drop-inside');
+    });
+
+    elements.projectTree.addEventListener('drop', (e) => {
+        if (!isExternalDrag(e)) {
+            return;
+        }
+        const folder = getExternalTargetFolder(e);
+        clearIndicators();
+        if (!folder) {
+            return;
+        }
+        e.preventDefault();
+        view.controller.handleExternalDrop(folder.getAttribute('data-id'), e.dataTransfer);
+    });
+
+    elements.projectTree.addEventListener('dragstart', (e) => {
+        const treeItem = e.target.closest('.tree-item[draggable="true"]');
+        if (!treeItem) {
+            return;
+        }
+        draggedId = treeItem.getAttribute('data-id');
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', draggedId);
+        treeItem.classList.add('dragging');
+    });
+
+    elements.projectTree.addEventListener('dragover', (e) => {
+        if (!draggedId) {
+            return;
+        }
+        const treeItem = getTargetItem(e);
+        clearIndicators();
+        if (!treeItem) {
+            return;
+        }
+        e.preventDefault();
+        e.stopPropagation();
+        e.dataTransfer.dropEffect = 'move';
+        treeItem.classList.add(`drop-${getDropPosition(treeItem, e.clientY)}`);
+    });
+
+    elements.projectTree.addEventListener('dragleave', (e) => {
+        if (!elements.projectTree.contains(e.relatedTarget)) {
+            clearIndicators();
+        }
+    });
+
+    elements.projectTree.addEventListener('drop', (e) => {
+        if (!draggedId) {
+            return;
+        }
+        const treeItem = getTargetItem(e);
+        clearIndicators();
+        if (!treeItem) {
+            return;
+        }
+        e.preventDefault();
+        e.stopPropagation();
+        const position = getDropPosition(treeItem, e.clientY);
+        view.controller.handleTreeDrop(draggedId, treeItem.getAttribute('data-id'), position);
+    });
+
+    elements.projectTree.addEventListener('dragend', () => {
+        clearIndicators();
+        elements.projectTree.querySelectorAll('.dragging').forEach(el => el.classList.remove('dragging'));
+        draggedId = null;
+    });
+}